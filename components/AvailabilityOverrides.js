@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarOff, CalendarPlus, Trash2 } from 'lucide-react';
+
+const EMPTY_FORM = {
+  kind: 'block',
+  start_date: '',
+  end_date: '',
+  allDay: true,
+  start_time: '09:00',
+  end_time: '13:00',
+  reason: ''
+};
+
+// Time off, partial blocks and extra one-off sessions on top of the weekly schedule
+export default function AvailabilityOverrides({ token }) {
+  const [overrides, setOverrides] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchOverrides = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await fetch('/api/doctor/availability-overrides', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (response.ok) {
+        setOverrides(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching availability overrides:', error);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchOverrides();
+  }, [fetchOverrides]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const saveOverride = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      // Extra sessions always have times; only blocks can cover whole days
+      const withTimes = form.kind === 'extra' || !form.allDay;
+
+      const response = await fetch('/api/doctor/availability-overrides', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          kind: form.kind,
+          start_date: form.start_date,
+          end_date: form.end_date || form.start_date,
+          start_time: withTimes ? form.start_time : null,
+          end_time: withTimes ? form.end_time : null,
+          reason: form.reason
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save');
+      }
+
+      if (data.conflictingAppointments?.length > 0) {
+        alert(`Saved. ${data.conflictingAppointments.length} existing appointment(s) fall in this time off and still need to be cancelled or moved.`);
+      }
+
+      setForm(EMPTY_FORM);
+      fetchOverrides();
+    } catch (error) {
+      console.error('Error saving availability override:', error);
+      alert(error.message || 'Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteOverride = async (id) => {
+    if (!confirm('Remove this schedule change?')) return;
+    try {
+      const response = await fetch(`/api/doctor/availability-overrides?id=${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        throw new Error('Failed to delete');
+      }
+      setOverrides(prev => prev.filter(o => o.id !== id));
+    } catch (error) {
+      console.error('Error deleting availability override:', error);
+      alert('Failed to remove schedule change');
+    }
+  };
+
+  const formatRange = (override) => {
+    const dates = override.start_date === override.end_date
+      ? override.start_date
+      : `${override.start_date} to ${override.end_date}`;
+    const times = override.start_time
+      ? `${override.start_time.slice(0, 5)} - ${override.end_time.slice(0, 5)}`
+      : 'All day';
+    return `${dates} · ${times}`;
+  };
+
+  return (
+    <div className="mt-6 bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+      <div className="p-6 border-b border-slate-100">
+        <h3 className="text-lg font-bold text-slate-900">Time Off & Extra Sessions</h3>
+        <p className="text-sm text-slate-500 mt-1">Changes to your weekly schedule on specific dates</p>
+      </div>
+
+      <form onSubmit={saveOverride} className="p-6 border-b border-slate-100 flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">Type</label>
+          <select
+            value={form.kind}
+            onChange={(e) => updateForm('kind', e.target.value)}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm bg-white"
+          >
+            <option value="block">Time off</option>
+            <option value="extra">Extra session</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">From</label>
+          <input
+            type="date"
+            required
+            value={form.start_date}
+            onChange={(e) => updateForm('start_date', e.target.value)}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-500 mb-1">To</label>
+          <input
+            type="date"
+            value={form.end_date}
+            min={form.start_date}
+            onChange={(e) => updateForm('end_date', e.target.value)}
+            className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        {form.kind === 'block' && (
+          <label className="flex items-center gap-2 py-2 text-sm text-slate-600">
+            <input
+              type="checkbox"
+              checked={form.allDay}
+              onChange={(e) => updateForm('allDay', e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded border-gray-300"
+            />
+            All day
+          </label>
+        )}
+        {(form.kind === 'extra' || !form.allDay) && (
+          <>
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">Start</label>
+              <input
+                type="time"
+                required
+                value={form.start_time}
+                onChange={(e) => updateForm('start_time', e.target.value)}
+                className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-slate-500 mb-1">End</label>
+              <input
+                type="time"
+                required
+                value={form.end_time}
+                onChange={(e) => updateForm('end_time', e.target.value)}
+                className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+              />
+            </div>
+          </>
+        )}
+        <div className="flex-1 min-w-[160px]">
+          <label className="block text-xs font-medium text-slate-500 mb-1">Reason (optional)</label>
+          <input
+            type="text"
+            value={form.reason}
+            placeholder="e.g. Conference"
+            onChange={(e) => updateForm('reason', e.target.value)}
+            className="w-full px-3 py-2 border border-slate-200 rounded-lg text-sm"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving || !token}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors text-sm font-medium"
+        >
+          {saving ? 'Saving...' : 'Add'}
+        </button>
+      </form>
+
+      <div className="p-6 space-y-3">
+        {overrides.length === 0 ? (
+          <p className="text-sm text-slate-400 italic">No upcoming schedule changes</p>
+        ) : (
+          overrides.map(override => (
+            <div key={override.id} className="flex items-center justify-between p-4 bg-slate-50 rounded-xl border border-slate-200">
+              <div className="flex items-center gap-3">
+                {override.kind === 'block' ? (
+                  <CalendarOff size={18} className="text-red-500" />
+                ) : (
+                  <CalendarPlus size={18} className="text-green-600" />
+                )}
+                <div>
+                  <p className="text-sm font-medium text-slate-900">
+                    {override.kind === 'block' ? 'Time off' : 'Extra session'}
+                    {override.reason && <span className="text-slate-500 font-normal"> · {override.reason}</span>}
+                  </p>
+                  <p className="text-xs text-slate-500">{formatRange(override)}</p>
+                </div>
+              </div>
+              <button
+                onClick={() => deleteOverride(override.id)}
+                className="p-2 text-slate-400 hover:text-red-600 transition-colors"
+                title="Remove"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
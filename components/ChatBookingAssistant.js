@@ -0,0 +1,293 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Send, Loader2, CheckCircle, AlertCircle, RotateCcw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { LANGUAGES, AUTO_LANGUAGE } from '../lib/languages';
+
+// Where the chat's conversation id is kept, so reloading the page resumes it
+const SESSION_STORAGE_KEY = 'chatBookingSessionId';
+
+// The typed version of the voice assistant: the same server-side dialogue
+// (/api/conversation, lib/dialogue.js) with message bubbles, and buttons for
+// the options on offer (suggested slots, doctors, yes/no). Everything works
+// from the keyboard, and new messages are announced to screen readers.
+export default function ChatBookingAssistant({ patientId }) {
+  const { session } = useAuth();
+  const [messages, setMessages] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [input, setInput] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [isFinished, setIsFinished] = useState(false);
+  const [stage, setStage] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [conversationLanguage, setConversationLanguage] = useState(null);
+  const [language, setLanguage] = useState(AUTO_LANGUAGE);
+
+  const sessionIdRef = useRef(null);
+  const hasStartedRef = useRef(false);
+  const inputRef = useRef(null);
+  const logEndRef = useRef(null);
+
+  // Ties the conversation to the signed-in patient, whose appointments
+  // cancelling and rescheduling act on
+  const authHeaders = useCallback(
+    () => (session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}),
+    [session]
+  );
+
+  // Show the server's reply to a turn. Its transcript replaces ours, which
+  // also restores it after a resume.
+  const applyTurn = useCallback((turn) => {
+    sessionIdRef.current = turn.sessionId;
+    localStorage.setItem(SESSION_STORAGE_KEY, turn.sessionId);
+    setMessages(turn.history);
+    setOptions(turn.options || []);
+    setStage(turn.stage);
+    setConversationLanguage(turn.language);
+    setIsFinished(!turn.listen);
+    setResult(turn.result);
+    setError(turn.error);
+  }, []);
+
+  // Start a conversation, or with resume, continue the unfinished one
+  const startConversation = useCallback(async ({ resume = false } = {}) => {
+    setIsSending(true);
+    setError(null);
+    try {
+      const res = await axios.post('/api/conversation', {
+        language,
+        fallbackLanguage: navigator.language,
+        resume,
+        sessionId: resume ? localStorage.getItem(SESSION_STORAGE_KEY) : undefined
+      }, { headers: authHeaders() });
+      applyTurn(res.data);
+    } catch (err) {
+      console.error('Could not start the conversation:', err);
+      setError('The booking assistant is not available right now. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  }, [language, authHeaders, applyTurn]);
+
+  // Greet the patient, or pick up their unfinished conversation, once
+  useEffect(() => {
+    if (!patientId || hasStartedRef.current) return;
+    hasStartedRef.current = true;
+    startConversation({ resume: true });
+  }, [patientId, startConversation]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    logEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages, isSending]);
+
+  // Send a typed message, or a quick reply (its label, with its choice)
+  const sendMessage = async (text, choice) => {
+    const trimmed = text.trim();
+    if (!trimmed || isSending) return;
+
+    setMessages(prev => [...prev, { speaker: 'user', text: trimmed, timestamp: Date.now() }]);
+    setOptions([]);
+    setInput('');
+    setIsSending(true);
+    setError(null);
+
+    try {
+      const res = await axios.post('/api/conversation', {
+        sessionId: sessionIdRef.current,
+        text: trimmed,
+        choice,
+        language,
+        channel: 'chat'
+      }, { headers: authHeaders() });
+      applyTurn(res.data);
+    } catch (err) {
+      if (err.response?.data?.reason === 'unknown_session') {
+        await startOver();
+        return;
+      }
+      console.error('Chat turn failed:', err);
+      setError('Sorry, something went wrong. Please send your message again.');
+    } finally {
+      setIsSending(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    sendMessage(input);
+  };
+
+  const startOver = async () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    sessionIdRef.current = null;
+    setMessages([]);
+    setOptions([]);
+    setResult(null);
+    setIsFinished(false);
+    inputRef.current?.focus();
+    await startConversation();
+  };
+
+  const isEmergency = stage === 'emergency';
+
+  return (
+    <section
+      aria-labelledby="chat-assistant-title"
+      className="w-full max-w-lg bg-white rounded-xl shadow-sm border border-slate-200 flex flex-col text-left"
+    >
+      {/* Header */}
+      <div className="p-4 border-b border-slate-100 flex items-center gap-3">
+        <h3 id="chat-assistant-title" className="font-semibold text-slate-900">Booking Assistant</h3>
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          aria-label="Conversation language"
+          className="ml-auto text-sm border border-slate-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+        >
+          <option value={AUTO_LANGUAGE}>Auto-detect</option>
+          {Object.entries(LANGUAGES).map(([code, { nativeName }]) => (
+            <option key={code} value={code}>{nativeName}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={startOver}
+          disabled={isSending}
+          className="flex items-center gap-1 text-sm text-slate-500 hover:text-slate-900 transition-colors disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-200 rounded"
+        >
+          <RotateCcw size={14} aria-hidden="true" />
+          Start over
+        </button>
+      </div>
+
+      {/* Messages: a live log, so screen readers read each new message */}
+      <ol
+        role="log"
+        aria-live="polite"
+        aria-label="Conversation"
+        aria-busy={isSending}
+        className="h-80 overflow-y-auto p-4 space-y-3"
+      >
+        {messages.map((msg, idx) => (
+          <li
+            key={idx}
+            className={`flex ${msg.speaker === 'user' ? 'justify-end' : 'justify-start'}`}
+          >
+            <div
+              className={`max-w-[80%] rounded-2xl px-4 py-2 ${
+                msg.speaker === 'user'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-slate-100 text-slate-900'
+              }`}
+            >
+              <span className="sr-only">{msg.speaker === 'user' ? 'You said: ' : 'Assistant said: '}</span>
+              <p
+                className="text-sm"
+                dir="auto"
+                lang={msg.speaker === 'user' ? undefined : conversationLanguage || undefined}
+              >
+                {msg.text}
+              </p>
+            </div>
+          </li>
+        ))}
+        {isSending && (
+          <li className="flex justify-start">
+            <div className="bg-slate-100 rounded-2xl px-4 py-2 flex items-center gap-2 text-slate-600">
+              <Loader2 size={16} className="animate-spin" aria-hidden="true" />
+              <span className="text-sm">Assistant is typing...</span>
+            </div>
+          </li>
+        )}
+        <li ref={logEndRef} aria-hidden="true" />
+      </ol>
+
+      {/* Outcome */}
+      {result && (
+        <div role="status" className="mx-4 mb-3 bg-green-50 border border-green-100 rounded-xl p-4 flex items-start gap-3 text-green-900">
+          <CheckCircle className="shrink-0 mt-0.5 text-green-600" size={20} aria-hidden="true" />
+          <div>
+            <h4 className="font-semibold">{result.title || 'Booking Confirmed!'}</h4>
+            <p className="text-sm mt-1">{result.message}</p>
+            <p className="text-sm mt-1">
+              {result.appointment.doctor} · {result.appointment.date} · {result.appointment.time}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {error && !isEmergency && (
+        <div role="alert" className="mx-4 mb-3 flex items-center gap-2 text-red-600 bg-red-50 p-3 rounded-lg text-sm">
+          <AlertCircle size={16} aria-hidden="true" />
+          <span dir="auto">{error}</span>
+        </div>
+      )}
+
+      {isEmergency && (
+        <div role="alert" className="mx-4 mb-3 bg-red-50 border border-red-200 rounded-xl p-4 flex items-start gap-3 text-red-800">
+          <AlertCircle className="shrink-0 mt-0.5 text-red-600" size={20} aria-hidden="true" />
+          <div>
+            <h4 className="font-semibold">This sounds like an emergency</h4>
+            <p className="text-sm mt-1" dir="auto">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {/* Quick replies */}
+      {options.length > 0 && !isSending && (
+        <div role="group" aria-label="Suggested replies" className="px-4 pb-3 flex flex-wrap gap-2">
+          {options.map((option) => (
+            <button
+              key={option.label}
+              type="button"
+              onClick={() => sendMessage(option.label, option.choice)}
+              dir="auto"
+              className="px-3 py-1.5 text-sm rounded-full border border-blue-200 text-blue-700 bg-blue-50 hover:bg-blue-100 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-300"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Composer */}
+      {isFinished ? (
+        <div className="p-4 border-t border-slate-100 flex justify-center">
+          <button
+            type="button"
+            onClick={startOver}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+          >
+            Start a new conversation
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="p-4 border-t border-slate-100 flex items-center gap-2">
+          <label htmlFor="chat-assistant-input" className="sr-only">Your message</label>
+          <input
+            id="chat-assistant-input"
+            ref={inputRef}
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Type your message..."
+            autoComplete="off"
+            dir="auto"
+            className="flex-1 px-4 py-2 rounded-lg border border-slate-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none bg-white text-slate-900"
+          />
+          <button
+            type="submit"
+            disabled={!input.trim() || isSending}
+            aria-label="Send message"
+            className="p-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+          >
+            <Send size={18} aria-hidden="true" />
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
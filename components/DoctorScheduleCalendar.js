@@ -1,11 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Clock, User, MoreVertical } from 'lucide-react';
+import { timeToMinutes, minutesToTime, addDays } from '../lib/scheduling';
+import { todayInZone, getZonedParts, formatCalendarDate } from '../lib/timezone';
 
-export default function DoctorScheduleCalendar({ appointments = [] }) {
-  const [selectedDate, setSelectedDate] = useState(new Date());
+// Days are 'YYYY-MM-DD' strings in the doctor's time zone, matching how
+// appointment dates are stored
+export default function DoctorScheduleCalendar({ appointments = [], timeZone }) {
+  const [selectedDate, setSelectedDate] = useState(() => todayInZone(timeZone));
   const [viewFilter, setViewFilter] = useState('all'); // 'all', 'confirmed', 'pending'
   const scrollContainerRef = useRef(null);
 
+  // The doctor's zone arrives with their profile, after the first render
+  useEffect(() => {
+    setSelectedDate(todayInZone(timeZone));
+  }, [timeZone]);
+
   // Scroll to 8 AM on mount
   useEffect(() => {
     if (scrollContainerRef.current) {
@@ -15,17 +24,15 @@ export default function DoctorScheduleCalendar({ appointments = [] }) {
   }, []);
 
   const navigateDate = (direction) => {
-    const newDate = new Date(selectedDate);
-    newDate.setDate(selectedDate.getDate() + direction);
-    setSelectedDate(newDate);
+    setSelectedDate(addDays(selectedDate, direction));
   };
 
   const goToToday = () => {
-    setSelectedDate(new Date());
+    setSelectedDate(todayInZone(timeZone));
   };
 
   const formatDate = (date) => {
-    return date.toLocaleDateString('en-US', {
+    return formatCalendarDate(date, {
       weekday: 'long',
       month: 'short',
       day: 'numeric',
@@ -33,21 +40,11 @@ export default function DoctorScheduleCalendar({ appointments = [] }) {
     });
   };
 
-  const isToday = (date) => {
-    const today = new Date();
-    return date.getDate() === today.getDate() &&
-           date.getMonth() === today.getMonth() &&
-           date.getFullYear() === today.getFullYear();
-  };
+  const isToday = (date) => date === todayInZone(timeZone);
 
   // Filter appointments for the selected date
   const dailyAppointments = appointments.filter(apt => {
-    const aptDate = new Date(apt.appointment_date);
-    const isSameDay = aptDate.getDate() === selectedDate.getDate() &&
-                      aptDate.getMonth() === selectedDate.getMonth() &&
-                      aptDate.getFullYear() === selectedDate.getFullYear();
-    
-    if (!isSameDay) return false;
+    if (apt.appointment_date !== selectedDate) return false;
     if (viewFilter === 'all') return true;
     return apt.status === viewFilter;
   });
@@ -72,9 +69,7 @@ export default function DoctorScheduleCalendar({ appointments = [] }) {
 
   // Calculate current time line position
   const getCurrentTimePosition = () => {
-    const now = new Date();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
+    const [hours, minutes] = getZonedParts(new Date(), timeZone).time.split(':').map(Number);
     
     if (hours < startHour || hours > endHour) return null;
     
@@ -166,7 +161,7 @@ export default function DoctorScheduleCalendar({ appointments = [] }) {
           {/* Appointment Cards */}
           <div className="absolute top-0 left-20 right-0 bottom-0 pointer-events-none">
             {dailyAppointments.map((apt) => {
-              const style = getAppointmentStyle(apt.appointment_time);
+              const style = getAppointmentStyle(apt.appointment_time, apt.duration_minutes || 30);
               const isConfirmed = apt.status === 'confirmed';
               const isCompleted = apt.status === 'completed';
               const isPending = apt.status === 'pending';
@@ -208,13 +203,7 @@ export default function DoctorScheduleCalendar({ appointments = [] }) {
                     <Clock size={12} />
                     <span>
                       {apt.appointment_time.slice(0, 5)} - {
-                        // Calculate end time (assuming 30 mins for now)
-                        (() => {
-                          const [h, m] = apt.appointment_time.split(':').map(Number);
-                          const date = new Date();
-                          date.setHours(h, m + 30);
-                          return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
-                        })()
+                        minutesToTime(timeToMinutes(apt.appointment_time) + (apt.duration_minutes || 30))
                       }
                     </span>
                   </div>
@@ -2,48 +2,56 @@ import { useState, useRef, useEffect } from 'react';
 import axios from 'axios';
 import { Mic, X, Loader2, CheckCircle, AlertCircle, Calendar, Clock, User, Volume2, MicOff } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-
+import { phrase } from '../lib/phrases';
+import { LANGUAGES, AUTO_LANGUAGE, DEFAULT_LANGUAGE, resolveLanguage, getLocale, pickVoice } from '../lib/languages';
+import { pickRecordingFormat, recordingExtension, watchVoiceActivity } from '../lib/recording';
+
+// How often the recorder hands over a chunk for streaming transcription
+const STREAM_CHUNK_MS = 1000;
+
+// Where the current conversation's id is kept, so closing the assistant or
+// reloading the page does not lose it
+const SESSION_STORAGE_KEY = 'voiceBookingSessionId';
+
+// The voice front end of the booking conversation. The dialogue itself runs
+// on the server (/api/conversation, lib/dialogue.js); this component records
+// and transcribes what the patient says, sends it as a turn, and speaks and
+// shows the replies. Conversations are saved on the server, and reopening the
+// assistant picks up an unfinished one.
 export default function VoiceBookingButton() {
-  const { user, userProfile } = useAuth();
+  const { session } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [error, setError] = useState(null);
-  const [patientId, setPatientId] = useState(null);
   
   // Conversation State
-  const [conversationStage, setConversationStageState] = useState('idle');
-  const conversationStageRef = useRef('idle'); // Ref to track stage without closure issues
-  
-  const setConversationStage = (stage) => {
-    setConversationStageState(stage);
-    conversationStageRef.current = stage;
+  const [conversationStage, setConversationStage] = useState('idle');
+  const sessionIdRef = useRef(null);
+
+  // The language picked in the header, or 'auto' to follow the patient. The
+  // server keeps the language of the first answer in auto mode
+  // (detectedLanguageRef) and reports the one it is speaking (spokenLanguageRef).
+  const [language, setLanguageState] = useState(AUTO_LANGUAGE);
+  const languageRef = useRef(AUTO_LANGUAGE);
+  const detectedLanguageRef = useRef(null);
+  const spokenLanguageRef = useRef(null);
+
+  const setLanguage = (value) => {
+    setLanguageState(value);
+    languageRef.current = value;
+    detectedLanguageRef.current = null;
   };
 
-  const [conversationData, setConversationDataState] = useState({
-    doctor: null,
-    date: null,
-    time: null,
-    availableSlots: [],
-    suggestedSlots: []
-  });
-  const conversationDataRef = useRef({
-    doctor: null,
-    date: null,
-    time: null,
-    availableSlots: [],
-    suggestedSlots: []
-  });
-
-  const setConversationData = (updater) => {
-    setConversationDataState(prev => {
-      const newState = typeof updater === 'function' ? updater(prev) : updater;
-      conversationDataRef.current = newState;
-      return newState;
-    });
+  // The language to speak and transcribe in right now
+  const conversationLanguage = () => {
+    if (languageRef.current !== AUTO_LANGUAGE) return languageRef.current;
+    return spokenLanguageRef.current || resolveLanguage(navigator.language) || DEFAULT_LANGUAGE;
   };
 
+  const say = (key, params) => phrase(key, conversationLanguage(), params);
+
   const [conversationHistory, setConversationHistory] = useState([]);
   const [bookingResult, setBookingResult] = useState(null);
 
@@ -51,20 +59,51 @@ export default function VoiceBookingButton() {
   const audioChunksRef = useRef([]);
   const speechSynthesisRef = useRef(null);
 
-  useEffect(() => {
-    // Only use patient_id from userProfile (fetched via API in AuthContext)
-    if (userProfile?.patient_id) {
-      setPatientId(userProfile.patient_id);
+  // Streaming transcription: chunks go to /api/transcribe-stream one at a
+  // time (streamQueueRef) while the patient speaks, and voice-activity
+  // detection stops the recording when they finish
+  const [liveTranscript, setLiveTranscript] = useState('');
+  const streamIdRef = useRef(null);
+  const streamQueueRef = useRef(Promise.resolve());
+  const streamErrorRef = useRef(null);
+  const stopVoiceActivityRef = useRef(null);
+
+  // Speech the server produces (/api/tts) sounds the same on every device;
+  // the browser's speechSynthesis is the fallback when it cannot speak. After
+  // a 503 (no server provider configured) we stop asking.
+  const audioRef = useRef(null);
+  const serverSpeechRef = useRef(true);
+
+  const speakWithServer = async (text, spokenLanguage) => {
+    const res = await axios.post('/api/tts', { text, language: spokenLanguage }, { responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    try {
+      await new Promise((resolve, reject) => {
+        const audio = new Audio(url);
+        audioRef.current = audio;
+        audio.onplay = () => setIsSpeaking(true);
+        // Closing the assistant pauses it, which ends the reply too
+        audio.onended = resolve;
+        audio.onpause = resolve;
+        audio.onerror = () => reject(new Error('Could not play the synthesized audio'));
+        audio.play().catch(reject);
+      });
+    } finally {
+      setIsSpeaking(false);
+      audioRef.current = null;
+      URL.revokeObjectURL(url);
     }
-  }, [userProfile]);
+  };
 
-  // Text-to-Speech function
-  const speak = (text) => {
+  const speakWithBrowser = (text, spokenLanguage) => {
     return new Promise((resolve) => {
       // Cancel any ongoing speech
       window.speechSynthesis.cancel();
       
       const utterance = new SpeechSynthesisUtterance(text);
+      utterance.lang = getLocale(spokenLanguage);
+      const voice = pickVoice(window.speechSynthesis.getVoices(), spokenLanguage);
+      if (voice) utterance.voice = voice;
       utterance.rate = 1.0;
       utterance.pitch = 1.0;
       utterance.volume = 1.0;
@@ -88,27 +127,92 @@ export default function VoiceBookingButton() {
     });
   };
 
+  // Text-to-Speech function
+  const speak = async (text) => {
+    const spokenLanguage = conversationLanguage();
+    if (serverSpeechRef.current) {
+      try {
+        return await speakWithServer(text, spokenLanguage);
+      } catch (err) {
+        if (err.response?.status === 503) {
+          serverSpeechRef.current = false;
+        } else {
+          console.warn('Server speech failed, using the browser voice:', err.message);
+        }
+      }
+    }
+    return speakWithBrowser(text, spokenLanguage);
+  };
+
   // Add message to conversation history
   const addToHistory = (speaker, text) => {
     setConversationHistory(prev => [...prev, { speaker, text, timestamp: Date.now() }]);
   };
 
-  // Start the conversation
-  const startConversation = async () => {
-    setConversationStage('asking_doctor');
-    // Reset data
-    setConversationData({
-      doctor: null,
-      date: null,
-      time: null,
-      availableSlots: [],
-      suggestedSlots: []
-    });
-    
-    const greeting = "Hi! I can help you book an appointment. Which doctor would you like to see?";
-    addToHistory('bot', greeting);
-    await speak(greeting);
-    startRecording();
+  // Show, speak and act on the server's reply to a turn. The server's
+  // transcript replaces ours, which also restores it after a resume.
+  const applyTurn = async (turn) => {
+    sessionIdRef.current = turn.sessionId;
+    localStorage.setItem(SESSION_STORAGE_KEY, turn.sessionId);
+    spokenLanguageRef.current = turn.language;
+    detectedLanguageRef.current = turn.detectedLanguage;
+    setConversationStage(turn.stage);
+    if (turn.error) setError(turn.error);
+    if (turn.result) setBookingResult(turn.result);
+
+    setConversationHistory(turn.history);
+    // One reply at a time, so fixed ones (the greeting, "which date?") come
+    // from the server's audio cache. Stop if the assistant was closed meanwhile.
+    for (const reply of turn.replies) {
+      await speak(reply);
+      if (sessionIdRef.current !== turn.sessionId) return;
+    }
+    if (turn.listen) startRecording();
+  };
+
+  // Ties the conversation to the signed-in patient, whose appointments
+  // cancelling and rescheduling act on
+  const authHeaders = () => (session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {});
+
+  // Start a conversation, or with resume, continue the unfinished one
+  const startConversation = async ({ resume = false } = {}) => {
+    setIsProcessing(true);
+    try {
+      const res = await axios.post('/api/conversation', {
+        language: languageRef.current,
+        fallbackLanguage: navigator.language,
+        resume,
+        sessionId: resume ? localStorage.getItem(SESSION_STORAGE_KEY) : undefined
+      }, { headers: authHeaders() });
+      setIsProcessing(false);
+      await applyTurn(res.data);
+    } catch (err) {
+      console.error('Could not start the conversation:', err);
+      setError('The voice assistant is not available right now. Please try again.');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Send what the patient said to the dialogue engine. An expired session
+  // starts a new conversation.
+  const sendTurn = async (text, spokenLanguage) => {
+    try {
+      const res = await axios.post('/api/conversation', {
+        sessionId: sessionIdRef.current,
+        text,
+        spokenLanguage,
+        language: languageRef.current
+      }, { headers: authHeaders() });
+      return res.data;
+    } catch (err) {
+      if (err.response?.data?.reason === 'unknown_session') {
+        forgetConversation();
+        await startConversation();
+        return null;
+      }
+      throw err;
+    }
   };
 
   const startRecording = async () => {
@@ -116,20 +220,30 @@ export default function VoiceBookingButton() {
       setError(null);
       
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      mediaRecorderRef.current = new MediaRecorder(stream, { mimeType: 'audio/webm' });
+      const { mimeType } = pickRecordingFormat();
+      mediaRecorderRef.current = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
       audioChunksRef.current = [];
+      streamIdRef.current = null;
+      streamQueueRef.current = Promise.resolve();
+      streamErrorRef.current = null;
+      setLiveTranscript('');
 
       mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) audioChunksRef.current.push(event.data);
+        if (event.data.size > 0) {
+          audioChunksRef.current.push(event.data);
+          sendChunk(event.data, false);
+        }
       };
 
       mediaRecorderRef.current.onstop = async () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
-        await processAudio(audioBlob);
+        stopVoiceActivityRef.current?.();
         stream.getTracks().forEach(track => track.stop());
+        const audioBlob = new Blob(audioChunksRef.current, { type: mediaRecorderRef.current.mimeType || mimeType });
+        await processAudio(audioBlob);
       };
 
-      mediaRecorderRef.current.start();
+      mediaRecorderRef.current.start(STREAM_CHUNK_MS);
+      stopVoiceActivityRef.current = watchVoiceActivity(stream, { onSpeechEnd: stopRecording });
       setIsRecording(true);
     } catch (err) {
       setError('Could not access microphone. Please ensure permissions are granted.');
@@ -137,481 +251,115 @@ export default function VoiceBookingButton() {
     }
   };
 
+  // Reads the recorder itself: voice-activity detection calls this from a
+  // closure made when recording started
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    if (mediaRecorderRef.current?.state === 'recording') {
       mediaRecorderRef.current.stop();
       setIsRecording(false);
     }
   };
 
-  const processAudio = async (audioBlob) => {
-    setIsProcessing(true);
-    try {
-      // console.log('Processing audio blob...');
-      
-      // 1. Transcribe
-      const formData = new FormData();
-      formData.append('audio', audioBlob, 'recording.webm');
-      const transcribeRes = await axios.post('/api/transcribe', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
-      const text = transcribeRes.data.text;
-      
-      // console.log('Transcription:', text);
-      
-      // Add user's message to history
-      addToHistory('user', text);
-
-      // 2. Interpret based on current stage
-      const currentStage = conversationStageRef.current;
-      // console.log('Current conversation stage:', currentStage);
-      await handleUserResponse(text);
-
-    } catch (err) {
-      console.error('Error in processAudio:', err);
-      setError('Failed to process request. Please try again.');
-      const response = "Sorry, I didn't catch that. Could you please repeat?";
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    } finally {
-      setIsProcessing(false);
-    }
+  // The language to transcribe in, or 'auto' until the first answer is heard
+  const transcriptionLanguage = () => {
+    const knownLanguage = languageRef.current !== AUTO_LANGUAGE ? languageRef.current : detectedLanguageRef.current;
+    return knownLanguage || AUTO_LANGUAGE;
   };
 
-  const handleUserResponse = async (text) => {
-    try {
-      const currentStage = conversationStageRef.current;
-      const lowerText = text.toLowerCase().replace(/[.,!?]/g, '').trim();
-
-      // Handle confirmations - more flexible regex
-      const isConfirmation = /(yes|yeah|yep|sure|okay|ok|correct|right|that works|sounds good|confirm)/i.test(lowerText);
-      const isNegation = /(no|nope|nah|different|another|change|wrong)/i.test(lowerText);
-
-      switch (currentStage) {
-        case 'asking_doctor':
-          await handleDoctorResponse(text);
-          break;
-        
-        case 'asking_date':
-          await handleDateResponse(text);
-          break;
-        
-        case 'asking_time':
-          await handleTimeResponse(text);
-          break;
-        
-        case 'offering_slots':
-          if (isConfirmation) {
-            // User accepted a suggested slot - default to the first one
-            const suggestedTime = conversationDataRef.current.suggestedSlots[0]?.time;
-            if (suggestedTime) {
-                setConversationData(prev => ({ ...prev, time: suggestedTime }));
-                await confirmBooking();
-            } else {
-                // Fallback if no suggestions found (shouldn't happen)
-                const response = "Which time would you like?";
-                addToHistory('bot', response);
-                await speak(response);
-                setConversationStage('asking_time');
-                startRecording();
-            }
-          } else if (isNegation) {
-            // User wants different time
-            const response = "What time would you prefer?";
-            addToHistory('bot', response);
-            await speak(response);
-            setConversationStage('asking_time');
-            startRecording();
-          } else {
-            // Try to extract a time from their response
-            await handleTimeResponse(text);
-          }
-          break;
-        
-        case 'confirming':
-          if (isConfirmation) {
-            await confirmBooking();
-          } else {
-            const response = "Okay, let's start over. Which doctor would you like to see?";
-            addToHistory('bot', response);
-            await speak(response);
-            resetConversation();
-            setConversationStage('asking_doctor');
-            startRecording();
-          }
-          break;
-        
-        default:
-          console.warn('Unknown conversation stage:', currentStage);
-      }
-    } catch (error) {
-      console.error('Error in handleUserResponse:', error);
-      const response = "Sorry, I had trouble processing that. Could you try again?";
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    }
-  };
+  // Queue a chunk (or, with final, the end of the recording) for the
+  // streaming route and show the partial transcript it returns. Resolves to
+  // the route's reply, or null once streaming has failed for this recording.
+  const sendChunk = (chunk, final) => {
+    streamQueueRef.current = streamQueueRef.current.then(async () => {
+      if (streamErrorRef.current) return null;
 
-  const handleDoctorResponse = async (text) => {
-    try {
-      // Use the interpret API to extract doctor name
-      const interpretRes = await axios.post('/api/interpret', { text });
-      const data = interpretRes.data;
-
-      if (data.doctor) {
-        // Validate doctor existence and get schedule immediately
-        try {
-          const checkRes = await axios.get('/api/patient/check-availability', {
-            params: { doctorName: data.doctor }
-          });
-
-          if (checkRes.data.available === false) {
-             const response = `I couldn't find a doctor named "${data.doctor}". Could you please say the name again?`;
-             addToHistory('bot', response);
-             await speak(response);
-             startRecording();
-             return;
-          }
-
-          // Doctor exists, proceed
-          const { doctorId, schedule } = checkRes.data;
-          setConversationData(prev => ({ ...prev, doctor: data.doctor, schedule })); // Store schedule
-
-          // Generate a receptionist-style response presenting the schedule
-          try {
-            const llmRes = await axios.post('/api/generate-response', {
-                context: {
-                    doctor: data.doctor,
-                    schedule: schedule,
-                    type: 'schedule_presentation'
-                }
-            });
-            const response = llmRes.data.text;
-            addToHistory('bot', response);
-            await speak(response);
-            setConversationStage('asking_date');
-            startRecording();
-          } catch (llmError) {
-            console.error('LLM generation failed:', llmError);
-            // Fallback
-            const response = `Great! I'll book with ${data.doctor}. What date works for you?`;
-            addToHistory('bot', response);
-            await speak(response);
-            setConversationStage('asking_date');
-            startRecording();
-          }
-
-        } catch (validationError) {
-          console.error('Doctor validation error:', validationError);
-          const response = "I'm having trouble verifying that doctor. Could you say the name again?";
-          addToHistory('bot', response);
-          await speak(response);
-          startRecording();
-        }
+      const formData = new FormData();
+      if (streamIdRef.current) {
+        formData.append('streamId', streamIdRef.current);
       } else {
-        const response = "I didn't catch the doctor's name. Could you please repeat it?";
-        addToHistory('bot', response);
-        await speak(response);
-        startRecording();
+        formData.append('language', transcriptionLanguage());
       }
-    } catch (error) {
-      console.error('Error in handleDoctorResponse:', error);
-      const response = "Sorry, I had trouble understanding. Could you repeat the doctor's name?";
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    }
-  };
-
-  const handleDateResponse = async (text) => {
-    // Use the interpret API to extract date
-    const interpretRes = await axios.post('/api/interpret', { text });
-    const data = interpretRes.data;
+      if (chunk) formData.append('chunk', chunk, `chunk.${recordingExtension(chunk.type)}`);
+      if (final) formData.append('final', 'true');
 
-    if (data.date) {
-      // Validate date availability immediately
       try {
-        const currentData = conversationDataRef.current;
-        const checkRes = await axios.get('/api/patient/check-availability', {
-          params: { doctorName: currentData.doctor, date: data.date }
+        const res = await axios.post('/api/transcribe-stream', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
         });
-
-        if (checkRes.data.available === false) {
-          // Doctor not available on this date
-          const response = checkRes.data.message || `Dr. ${currentData.doctor} is not available on ${data.date}. Would you like to try a different date?`;
-          
-          // If we have a reason like 'day_inactive', we can be more specific or offer alternatives
-          if (checkRes.data.reason === 'day_inactive') {
-             // We could use the LLM to generate a better response here using the full schedule
-             try {
-                const llmRes = await axios.post('/api/generate-response', {
-                    context: {
-                        doctor: currentData.doctor,
-                        requestedDate: data.date,
-                        reason: 'day_inactive',
-                        schedule: currentData.schedule // We stored this earlier
-                    }
-                });
-                const llmResponse = llmRes.data.text;
-                addToHistory('bot', llmResponse);
-                await speak(llmResponse);
-                startRecording(); // Stay in asking_date stage
-                return;
-             } catch (e) {
-                console.error('LLM generation failed', e);
-             }
-          }
-
-          addToHistory('bot', response);
-          await speak(response);
-          startRecording(); // Stay in asking_date stage
-          return;
-        }
-
-        // Date is valid, proceed to ask for time
-        setConversationData(prev => ({ ...prev, date: data.date }));
-        const response = "Perfect! What time would you prefer?";
-        addToHistory('bot', response);
-        await speak(response);
-        setConversationStage('asking_time');
-        startRecording();
-
-      } catch (error) {
-        console.error('Date validation error:', error);
-        // Fallback to proceeding if check fails, or ask again
-        const response = "I couldn't verify availability for that date. Could you say it again?";
-        addToHistory('bot', response);
-        await speak(response);
-        startRecording();
+        streamIdRef.current = res.data.streamId;
+        if (!final) setLiveTranscript(res.data.text || '');
+        return res.data;
+      } catch (err) {
+        streamErrorRef.current = err;
+        return null;
       }
-    } else {
-      const response = "I didn't understand the date. Could you say it again? For example, 'tomorrow' or 'December 5th'";
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    }
+    });
+    return streamQueueRef.current;
   };
 
-  const handleTimeResponse = async (text) => {
-    // Use the interpret API to extract time
-    const interpretRes = await axios.post('/api/interpret', { text });
-    const data = interpretRes.data;
-
-    if (data.time) {
-      setConversationData(prev => ({ ...prev, time: data.time }));
-      
-      // Check availability using ref data
-      const currentData = conversationDataRef.current;
-      await checkAvailability(currentData.doctor, currentData.date, data.time);
-    } else {
-      const response = "I didn't catch the time. Could you say it again? For example, '10 AM' or '2:30 PM'";
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    }
+  // The whole transcript, from the stream when it worked. If the streaming
+  // route was unreachable or lost the stream, the recording is uploaded to
+  // /api/transcribe instead; its other errors (silence, too long) stand.
+  const finishTranscription = async (audioBlob) => {
+    const streamed = await sendChunk(null, true);
+    if (streamed) return streamed;
+
+    const status = streamErrorRef.current?.response?.status;
+    if (status && status !== 404 && status < 500) throw streamErrorRef.current;
+
+    const formData = new FormData();
+    formData.append('audio', audioBlob, `recording.${recordingExtension(audioBlob.type)}`);
+    formData.append('language', transcriptionLanguage());
+    const transcribeRes = await axios.post('/api/transcribe', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return transcribeRes.data;
   };
 
-  const checkAvailability = async (doctorName, date, requestedTime) => {
+  const processAudio = async (audioBlob) => {
+    setIsProcessing(true);
     try {
-      const res = await axios.get('/api/patient/check-availability', {
-        params: { doctorName, date }
-      });
-
-      const { available, slots, message } = res.data;
-      
-      // If doctor was not found or unavailable
-      if (!available && slots.length === 0) {
-        // Check if it's a "day inactive" case (doctor doesn't work this day)
-        if (res.data.reason === 'day_inactive') {
-            try {
-                // Use stored schedule if available, otherwise use the one from response (which might be null if day_inactive)
-                // But wait, check-availability returns schedule even on day_inactive? 
-                // Actually, our updated check-availability returns full schedule on 'no date', 
-                // but on 'with date' it returns specific day schedule or null if inactive.
-                // We should use the schedule we fetched earlier in handleDoctorResponse.
-                const fullSchedule = conversationDataRef.current.schedule;
-
-                const llmRes = await axios.post('/api/generate-response', {
-                    context: {
-                        doctor: doctorName,
-                        requestedDate: date,
-                        reason: 'day_inactive',
-                        schedule: fullSchedule // Pass full schedule so LLM can suggest valid days
-                    }
-                });
-                const response = llmRes.data.text;
-                addToHistory('bot', response);
-                await speak(response);
-                setConversationStage('asking_date');
-                startRecording();
-                return;
-            } catch (e) {
-                console.error('LLM fail', e);
-            }
-        }
-
-        const response = message || `I couldn't find a doctor named "${doctorName}". Could you try a different name?`;
-        addToHistory('bot', response);
-        await speak(response);
-        setConversationStage('asking_doctor');
-        startRecording();
-        return;
-      }
-      
-      // Normalize the requested time
-      let normalizedRequestedTime = requestedTime;
-      if (requestedTime && requestedTime.length === 5) {
-        normalizedRequestedTime = requestedTime;
-      } else if (requestedTime) {
-        normalizedRequestedTime = requestedTime.slice(0, 5);
+      // 1. Transcribe
+      const knownLanguage = transcriptionLanguage() !== AUTO_LANGUAGE;
+      const transcript = await finishTranscription(audioBlob);
+      const text = transcript.text;
+      if (!knownLanguage && transcript.language) {
+        detectedLanguageRef.current = transcript.language;
       }
+      setLiveTranscript('');
       
-      const isTimeAvailable = normalizedRequestedTime && slots.some(s => s.time === normalizedRequestedTime && s.available);
-      
-      if (isTimeAvailable) {
-        // Time is available - confirm
-        const response = `Great! ${requestedTime} is available. Should I confirm your appointment with ${doctorName} on ${date} at ${requestedTime}?`;
-        addToHistory('bot', response);
-        await speak(response);
-        setConversationStage('confirming');
-        startRecording();
-      } else {
-        // Time not available - offer alternatives
-        const availableSlots = slots.filter(s => s.available).slice(0, 3);
-        
-        // Determine the reason for unavailability
-        let reason = 'time_unavailable';
-        if (!isTimeAvailable && slots.length > 0) {
-            // Check if time is outside schedule bounds
-            const [reqHour, reqMin] = normalizedRequestedTime.split(':').map(Number);
-            const [startHour, startMin] = res.data.schedule.start.split(':').map(Number);
-            const [endHour, endMin] = res.data.schedule.end.split(':').map(Number);
-            
-            const reqTimeVal = reqHour * 60 + reqMin;
-            const startTimeVal = startHour * 60 + startMin;
-            const endTimeVal = endHour * 60 + endMin;
-            
-            if (reqTimeVal < startTimeVal || reqTimeVal >= endTimeVal) {
-                reason = 'time_out_of_bounds';
-            } else {
-                reason = 'fully_booked';
-            }
-        }
+      // Add user's message to history
+      addToHistory('user', text);
 
-        // Call LLM to generate a helpful response
-        try {
-            const llmRes = await axios.post('/api/generate-response', {
-                context: {
-                    doctor: doctorName,
-                    requestedTime: requestedTime,
-                    date: date,
-                    reason: reason,
-                    schedule: res.data.schedule,
-                    availableSlots: availableSlots.map(s => s.time)
-                }
-            });
-            
-            const response = llmRes.data.text;
-            addToHistory('bot', response);
-            await speak(response);
-            
-            if (availableSlots.length > 0) {
-                setConversationData(prev => ({ 
-                    ...prev, 
-                    availableSlots: slots,
-                    suggestedSlots: availableSlots 
-                }));
-                setConversationStage('offering_slots');
-            } else {
-                setConversationStage('asking_time'); // Or asking_date if day is full
-            }
-            startRecording();
-            
-        } catch (llmError) {
-            console.error('LLM generation failed:', llmError);
-            // Fallback to basic logic
-            if (availableSlots.length > 0) {
-                const times = availableSlots.map(s => s.time.slice(0, 5)).join(', or ');
-                const response = `Sorry, ${requestedTime} is not available. How about ${times}?`;
-                addToHistory('bot', response);
-                await speak(response);
-                setConversationStage('offering_slots');
-                startRecording();
-            } else {
-                const response = `Sorry, there are no available slots for ${date}. Would you like to try a different date?`;
-                addToHistory('bot', response);
-                await speak(response);
-                setConversationStage('asking_date');
-                startRecording();
-            }
-        }
-      }
+      // 2. Take the turn on the server
+      const turn = await sendTurn(text, transcript.language);
+      setIsProcessing(false);
+      if (turn) await applyTurn(turn);
 
     } catch (err) {
-      console.error('Availability check failed:', err);
-      const response = 'I had trouble checking availability. Could you try again?';
-      addToHistory('bot', response);
-      await speak(response);
-      startRecording();
-    }
-  };
-
-  const confirmBooking = async () => {
-    const currentData = conversationDataRef.current;
-
-    if (!currentData.doctor || !currentData.date || !currentData.time || !patientId) {
-      console.error('Missing booking data:', { ...currentData, patientId });
-      const response = "I'm missing some information. Let's start over.";
+      console.error('Error in processAudio:', err);
+      setLiveTranscript('');
+      setError('Failed to process request. Please try again.');
+      const response = say('didnt_catch');
       addToHistory('bot', response);
       await speak(response);
-      resetConversation();
-      setConversationStage('asking_doctor');
       startRecording();
-      return;
-    }
-
-    setIsProcessing(true);
-    try {
-      const payload = { 
-        doctor: currentData.doctor, // API expects 'doctor', not 'doctorName'
-        date: currentData.date,
-        time: currentData.time,
-        patientId 
-      };
-      
-      const res = await axios.post('/api/book', payload);
-      
-      if (res.status === 200) {
-        setBookingResult({ success: true, message: 'Appointment Booked Successfully!', appointment: payload });
-        setConversationStage('completed');
-        
-        const response = `Perfect! Your appointment is confirmed with ${currentData.doctor} on ${currentData.date} at ${currentData.time}.`;
-        addToHistory('bot', response);
-        await speak(response);
-      }
-      
-    } catch (err) {
-      console.error('Booking error:', err);
-      const errorMsg = err.response?.data?.error || 'Booking failed. Please try again.';
-      setError(errorMsg);
-      addToHistory('bot', errorMsg);
-      await speak(errorMsg);
-      // Don't restart conversation on error, let user try again or close
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Start Over and expired sessions: the next conversation starts fresh
+  const forgetConversation = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    resetConversation();
+  };
+
+  // Clears the screen only; the saved conversation can still be resumed
   const resetConversation = () => {
-    setConversationData({
-      doctor: null,
-      date: null,
-      time: null,
-      availableSlots: [],
-      suggestedSlots: []
-    });
+    sessionIdRef.current = null;
+    spokenLanguageRef.current = null;
+    detectedLanguageRef.current = null;
     setConversationHistory([]);
     setBookingResult(null);
     setError(null);
@@ -619,6 +367,7 @@ export default function VoiceBookingButton() {
 
   const closeModal = () => {
     setIsOpen(false);
+    audioRef.current?.pause();
     window.speechSynthesis.cancel();
     stopRecording();
     resetConversation();
@@ -628,7 +377,7 @@ export default function VoiceBookingButton() {
   const handleOpenModal = () => {
     setIsOpen(true);
     resetConversation();
-    setTimeout(() => startConversation(), 500);
+    setTimeout(() => startConversation({ resume: true }), 500);
   };
 
   return (
@@ -656,6 +405,17 @@ export default function VoiceBookingButton() {
                 <Mic size={18} className="text-blue-600" />
                 Voice Assistant
               </h3>
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                aria-label="Conversation language"
+                className="ml-auto mr-3 text-sm border border-slate-200 rounded-lg px-2 py-1 bg-white text-slate-700"
+              >
+                <option value={AUTO_LANGUAGE}>Auto-detect</option>
+                {Object.entries(LANGUAGES).map(([code, { nativeName }]) => (
+                  <option key={code} value={code}>{nativeName}</option>
+                ))}
+              </select>
               <button onClick={closeModal} className="text-slate-400 hover:text-slate-600 transition-colors">
                 <X size={20} />
               </button>
@@ -675,7 +435,7 @@ export default function VoiceBookingButton() {
                         : 'bg-slate-100 text-slate-900'
                     }`}
                   >
-                    <p className="text-sm">{msg.text}</p>
+                    <p className="text-sm" dir="auto">{msg.text}</p>
                   </div>
                 </div>
               ))}
@@ -703,7 +463,7 @@ export default function VoiceBookingButton() {
                 <div className="flex justify-end">
                   <div className="bg-red-100 rounded-2xl px-4 py-2 flex items-center gap-2 text-red-600">
                     <Mic size={16} className="animate-pulse" />
-                    <span className="text-sm">Listening...</span>
+                    <span className="text-sm" dir="auto">{liveTranscript || 'Listening...'}</span>
                   </div>
                 </div>
               )}
@@ -715,7 +475,7 @@ export default function VoiceBookingButton() {
                     <CheckCircle size={32} />
                   </div>
                   <div>
-                    <h4 className="text-xl font-bold text-slate-900">Booking Confirmed!</h4>
+                    <h4 className="text-xl font-bold text-slate-900">{bookingResult.title || 'Booking Confirmed!'}</h4>
                     <p className="text-slate-500 mt-1">{bookingResult.message}</p>
                   </div>
                   <div className="bg-slate-50 rounded-xl p-4 text-left space-y-2 text-sm">
@@ -764,7 +524,7 @@ export default function VoiceBookingButton() {
                   )}
                   <button
                     onClick={() => {
-                      resetConversation();
+                      forgetConversation();
                       setConversationStage('idle');
                       setTimeout(() => startConversation(), 300);
                     }}
@@ -0,0 +1,116 @@
+// Appointment status state machine: the allowed statuses, which moves are
+// legal, and who may make them. Used by the API routes to validate changes
+// and by the dashboards to decide which actions to offer.
+
+import { getAppointmentStart } from './appointments';
+
+export const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed', 'no-show', 'rejected'];
+
+export const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  'no-show': 'No Show',
+  rejected: 'Rejected',
+};
+
+// from -> to -> rule. Statuses with no entry (cancelled, completed, no-show,
+// rejected) are final. `afterStart` moves only make sense once the visit time
+// has passed. confirmed -> pending happens when a patient reschedules.
+const TRANSITIONS = {
+  pending: {
+    confirmed: { roles: ['doctor', 'admin'] },
+    rejected: { roles: ['doctor', 'admin'] },
+    cancelled: { roles: ['patient', 'doctor', 'admin'] },
+  },
+  confirmed: {
+    pending: { roles: ['patient', 'admin'] },
+    cancelled: { roles: ['patient', 'doctor', 'admin'] },
+    completed: { roles: ['doctor', 'admin'], afterStart: true },
+    'no-show': { roles: ['doctor', 'admin'], afterStart: true },
+  },
+};
+
+export function isFinalStatus(status) {
+  return !TRANSITIONS[status];
+}
+
+// Why `role` may not move the appointment to `toStatus`, as { status, error }
+// with an HTTP status code, or null when the move is allowed
+export function getTransitionError(appointment, toStatus, role, now = new Date()) {
+  const fromStatus = appointment.status;
+
+  if (!APPOINTMENT_STATUSES.includes(toStatus)) {
+    return { status: 400, error: `Unknown status "${toStatus}"` };
+  }
+
+  const rule = TRANSITIONS[fromStatus]?.[toStatus];
+  if (!rule) {
+    return { status: 409, error: `Cannot change a ${fromStatus} appointment to ${toStatus}` };
+  }
+
+  if (!rule.roles.includes(role)) {
+    return { status: 403, error: `A ${role} cannot mark an appointment as ${toStatus}` };
+  }
+
+  if (rule.afterStart && getAppointmentStart(appointment) > now) {
+    return { status: 409, error: `Cannot mark an appointment as ${toStatus} before it has started` };
+  }
+
+  return null;
+}
+
+// Statuses `role` can move this appointment to right now
+export function getAllowedTransitions(appointment, role, now = new Date()) {
+  return Object.keys(TRANSITIONS[appointment.status] || {})
+    .filter(toStatus => !getTransitionError(appointment, toStatus, role, now));
+}
+
+// Append a row to appointment_status_history
+export async function recordStatusChange(dbClient, { appointmentId, fromStatus, toStatus, changedBy, role, note }) {
+  const { error } = await dbClient
+    .from('appointment_status_history')
+    .insert([
+      {
+        appointment_id: appointmentId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: changedBy,
+        changed_by_role: role,
+        note: note || null,
+      },
+    ]);
+
+  if (error) {
+    console.error('Failed to record status change:', error);
+  }
+}
+
+// Apply a validated status change (plus any other column `updates`) and log it.
+// The update only matches while the appointment still has the status it was
+// read with, so two concurrent changes cannot both win; `data` is null then.
+export async function changeAppointmentStatus(dbClient, appointment, toStatus, { changedBy, role, note, updates = {} }) {
+  const { data, error } = await dbClient
+    .from('appointments')
+    .update({ ...updates, status: toStatus })
+    .eq('id', appointment.id)
+    .eq('status', appointment.status)
+    .select()
+    .maybeSingle();
+
+  if (error || !data) {
+    return { data, error };
+  }
+
+  await recordStatusChange(dbClient, {
+    appointmentId: appointment.id,
+    fromStatus: appointment.status,
+    toStatus,
+    changedBy,
+    role,
+    note,
+  });
+
+  return { data, error: null };
+}
@@ -0,0 +1,92 @@
+// Shared appointment constants and helpers, used by the API routes and the UI
+
+import { getAppointmentTimeZone, zonedTimeToInstant } from './timezone';
+import { scoreName, specialtyMatches, CANDIDATE_SCORE } from './doctorMatcher';
+import { phrase } from './phrases';
+import { DEFAULT_LANGUAGE } from './languages';
+
+// Statuses that hold a doctor's time slot
+export const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// SQLSTATE raised by the appointments_no_double_booking exclusion constraint
+// (see supabase/add-appointment-slot-constraint.sql)
+export const SLOT_CONFLICT_CODE = '23P01';
+
+export function isSlotConflict(error) {
+  return error?.code === SLOT_CONFLICT_CODE;
+}
+
+// Visit types a patient can book. A null duration means the visit takes one
+// of the doctor's regular slots (doctor_availability.slot_duration).
+export const APPOINTMENT_TYPES = {
+  standard: { label: 'Standard visit', durationMinutes: null },
+  'follow-up': { label: 'Follow-up', durationMinutes: 15 },
+  'new-patient': { label: 'New patient visit', durationMinutes: 60 },
+};
+
+export const DEFAULT_APPOINTMENT_TYPE = 'standard';
+
+// How far ahead patients can book, in days from today in the doctor's zone
+export const BOOKING_HORIZON_DAYS = 90;
+
+// Upcoming active appointments that fit what the patient described, e.g.
+// "my Thursday appointment with Dr. Patel" -> { doctor: 'Dr. Patel', date: '2025-01-09' }.
+// Every criterion that is given must match; appointments are as returned by
+// GET /api/patient/appointments (with doctor.user.full_name and doctor.specialty).
+export function findMatchingAppointments(appointments, { doctor, speciality, date, time } = {}, now = new Date()) {
+  return (appointments || [])
+    .filter(apt => ACTIVE_STATUSES.includes(apt.status))
+    .filter(apt => getAppointmentStart(apt) >= now)
+    .filter(apt => {
+      if (doctor && scoreName(doctor, apt.doctor?.user?.full_name) < CANDIDATE_SCORE) return false;
+      if (speciality && !specialtyMatches(apt.doctor?.specialty, speciality)) return false;
+      if (date && apt.appointment_date !== date) return false;
+      if (time && apt.appointment_time.slice(0, 5) !== time.slice(0, 5)) return false;
+      return true;
+    })
+    .sort((a, b) =>
+      `${a.appointment_date}T${a.appointment_time}`.localeCompare(`${b.appointment_date}T${b.appointment_time}`)
+    );
+}
+
+// "Dr. Patel on 2025-01-09 at 14:00", for spoken and written confirmations
+export function describeAppointment(apt, language = DEFAULT_LANGUAGE) {
+  return phrase('appointment_summary', language, {
+    doctor: apt.doctor?.user?.full_name || phrase('your_doctor', language),
+    date: apt.appointment_date,
+    time: apt.appointment_time.slice(0, 5),
+  });
+}
+
+// Patient self-service rules. Inside the notice window patients have to
+// contact the clinic instead of changing the appointment themselves.
+export const CHANGE_POLICY = {
+  cancelNoticeHours: 24,
+  rescheduleNoticeHours: 24,
+  maxNotesLength: 1000,
+};
+
+// The instant an appointment starts. Its date and time are wall-clock values
+// in the doctor's zone, so pass the zone when `apt` has no doctor.time_zone.
+export function getAppointmentStart(apt, timeZone = getAppointmentTimeZone(apt)) {
+  return zonedTimeToInstant(apt.appointment_date, apt.appointment_time, timeZone);
+}
+
+// Why a patient may not cancel/reschedule this appointment, or null if they may
+export function getChangeBlocker(apt, action, now = new Date()) {
+  if (!ACTIVE_STATUSES.includes(apt.status)) {
+    return `This appointment is already ${apt.status}`;
+  }
+
+  const noticeHours = action === 'cancel'
+    ? CHANGE_POLICY.cancelNoticeHours
+    : CHANGE_POLICY.rescheduleNoticeHours;
+  const hoursUntil = (getAppointmentStart(apt) - now) / (60 * 60 * 1000);
+
+  if (hoursUntil < noticeHours) {
+    const verb = action === 'cancel' ? 'cancelled' : 'rescheduled';
+    return `Appointments can only be ${verb} at least ${noticeHours} hours in advance. Please contact the clinic.`;
+  }
+
+  return null;
+}
@@ -0,0 +1,210 @@
+// Server-side checks and conversion for uploaded recordings. Whatever the
+// browser recorded (webm, ogg, Safari's mp4, wav, ...) is recognised by its
+// magic bytes, not its declared type, and rejected when it is empty, too
+// large or not audio we accept (checkUpload). prepareAudio then decodes it
+// (16-bit PCM WAV is read as it is, anything else through ffmpeg) and rejects
+// it when it is too long or silent, so no provider is sent a recording
+// without speech in it. Providers that need it get the upload converted to
+// one canonical format, 16 kHz mono WAV; the others get the original file.
+//
+//   FFMPEG_BIN   ffmpeg executable (default ffmpeg)
+
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+export const AUDIO_LIMITS = {
+  maxBytes: 25 * 1024 * 1024,
+  maxSeconds: 120,
+  minSeconds: 0.3,
+  // Speech shorter than this in total counts as silence
+  minSpeechSeconds: 0.25,
+};
+
+// The canonical format every upload is converted to
+export const CANONICAL_AUDIO = { extension: 'wav', mimeType: 'audio/wav', sampleRate: 16000 };
+
+// 30 ms frames quieter than this (dBFS RMS) are not speech
+const SILENCE_DBFS = -45;
+const FRAME_SECONDS = 0.03;
+
+// Container signatures. `offset` is where `bytes` starts in the file.
+const AUDIO_FORMATS = [
+  { format: 'webm', mimeType: 'audio/webm', signatures: [{ offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3] }] },
+  { format: 'ogg', mimeType: 'audio/ogg', signatures: [{ offset: 0, bytes: 'OggS' }] },
+  { format: 'wav', mimeType: 'audio/wav', signatures: [{ offset: 0, bytes: 'RIFF' }, { offset: 8, bytes: 'WAVE' }] },
+  { format: 'mp4', mimeType: 'audio/mp4', signatures: [{ offset: 4, bytes: 'ftyp' }] },
+  { format: 'flac', mimeType: 'audio/flac', signatures: [{ offset: 0, bytes: 'fLaC' }] },
+  { format: 'mp3', mimeType: 'audio/mpeg', signatures: [{ offset: 0, bytes: 'ID3' }] },
+];
+
+function startsWith(header, { offset, bytes }) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return header.length >= offset + expected.length && header.subarray(offset, offset + expected.length).equals(expected);
+}
+
+// The format of a file from its first bytes: { format, mimeType }, or null
+// when it is not audio we accept. m4a and Safari's audio/mp4 are both 'mp4'.
+export function detectAudioFormat(header) {
+  const match = AUDIO_FORMATS.find(({ signatures }) => signatures.every(signature => startsWith(header, signature)));
+  if (match) return { format: match.format, mimeType: match.mimeType };
+
+  // MPEG audio without an ID3 tag starts with a frame sync
+  if (header.length >= 2 && header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+    return { format: 'mp3', mimeType: 'audio/mpeg' };
+  }
+  return null;
+}
+
+async function readHeader(filePath, length = 16) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// The samples of a WAV file as 16-bit integers (interleaved when there are
+// several channels), walking the RIFF chunks since ffmpeg may write a LIST
+// chunk before the data. `pcm16` is false for other encodings (float,
+// 8- or 24-bit), whose samples are not meaningful here.
+export function readWavSamples(buffer) {
+  let offset = 12;
+  let sampleRate = null;
+  let channels = 1;
+  let pcm16 = false;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= buffer.length) {
+      pcm16 = buffer.readUInt16LE(body) === 1 && buffer.readUInt16LE(body + 14) === 16;
+      channels = buffer.readUInt16LE(body + 2) || 1;
+      sampleRate = buffer.readUInt32LE(body + 4);
+    }
+    if (id === 'data') {
+      const end = Math.min(body + size, buffer.length);
+      const samples = new Int16Array(buffer.buffer.slice(buffer.byteOffset + body, buffer.byteOffset + end - ((end - body) % 2)));
+      return { samples, sampleRate, channels, pcm16 };
+    }
+    offset = body + size + (size % 2);
+  }
+  return { samples: new Int16Array(0), sampleRate, channels, pcm16 };
+}
+
+// Total duration and how much of it is louder than the silence threshold
+export function measureSpeech(samples, sampleRate) {
+  const frameLength = Math.max(1, Math.round(sampleRate * FRAME_SECONDS));
+  const threshold = 32768 * 10 ** (SILENCE_DBFS / 20);
+  let voicedFrames = 0;
+
+  for (let start = 0; start < samples.length; start += frameLength) {
+    const end = Math.min(start + frameLength, samples.length);
+    let sumSquares = 0;
+    for (let i = start; i < end; i++) sumSquares += samples[i] * samples[i];
+    if (Math.sqrt(sumSquares / (end - start)) >= threshold) voicedFrames++;
+  }
+
+  return {
+    durationSeconds: samples.length / sampleRate,
+    speechSeconds: (voicedFrames * frameLength) / sampleRate,
+  };
+}
+
+// Convert to the canonical WAV. A little more than the limit is decoded so
+// an overlong recording is noticed without decoding all of it. Returns null,
+// or { status, reason, error } when the upload cannot be decoded.
+async function convertToCanonical(inputPath, outputPath, format) {
+  try {
+    await execFileAsync(process.env.FFMPEG_BIN || 'ffmpeg', [
+      '-nostdin', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-t', String(AUDIO_LIMITS.maxSeconds + 1),
+      '-vn', '-ar', String(CANONICAL_AUDIO.sampleRate), '-ac', '1', '-c:a', 'pcm_s16le',
+      outputPath,
+    ], { timeout: 30000 });
+    return null;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('ffmpeg is required to decode recordings; install it or set FFMPEG_BIN', { cause: error });
+    }
+    console.error('Audio conversion failed:', error.stderr?.trim() || error.message);
+    return { status: 422, reason: 'unreadable', error: `The ${format} recording could not be decoded` };
+  }
+}
+
+// Why a recording of this length and speech cannot be transcribed, or null
+function getLengthError({ durationSeconds, speechSeconds }) {
+  if (durationSeconds > AUDIO_LIMITS.maxSeconds) {
+    return { status: 413, reason: 'too_long', error: `Recordings can be at most ${AUDIO_LIMITS.maxSeconds} seconds long` };
+  }
+  if (durationSeconds < AUDIO_LIMITS.minSeconds) {
+    return { status: 422, reason: 'empty', error: 'The recording is too short' };
+  }
+  if (speechSeconds < AUDIO_LIMITS.minSpeechSeconds) {
+    return { status: 422, reason: 'silent', error: 'No speech was heard in the recording' };
+  }
+  return null;
+}
+
+// The checks that need no decoding, for the upload at `inputPath` as it is.
+// Returns { audio: { path, format, mimeType, extension } } or { status,
+// reason, error } to send back as is.
+export async function checkUpload(inputPath) {
+  const { size } = await fs.promises.stat(inputPath);
+  if (size === 0) {
+    return { status: 422, reason: 'empty', error: 'The recording is empty' };
+  }
+  if (size > AUDIO_LIMITS.maxBytes) {
+    return { status: 413, reason: 'too_large', error: `Recordings can be at most ${AUDIO_LIMITS.maxBytes / (1024 * 1024)} MB` };
+  }
+
+  const detected = detectAudioFormat(await readHeader(inputPath));
+  if (!detected) {
+    return { status: 415, reason: 'unsupported_format', error: 'Unsupported audio format. Send webm, ogg, mp4/m4a, wav, flac or mp3' };
+  }
+
+  return { audio: { path: inputPath, ...detected, extension: detected.format } };
+}
+
+// Check and measure the upload at `inputPath`, and with `convert` convert
+// it to the canonical WAV in `workDir` (which the caller removes). Without
+// `convert` a 16-bit PCM WAV upload is measured as it is and anything else
+// is decoded into `workDir` only to be measured. Returns { audio: { path,
+// format, mimeType, extension, durationSeconds } } for the file to
+// transcribe, or { status, reason, error } to send back as is.
+export async function prepareAudio(inputPath, workDir, { convert = true } = {}) {
+  const checked = await checkUpload(inputPath);
+  if (checked.error) return checked;
+  const upload = checked.audio;
+
+  let wav = !convert && upload.format === 'wav' ? readWavSamples(await fs.promises.readFile(inputPath)) : null;
+  const outputPath = path.join(workDir, `audio.${CANONICAL_AUDIO.extension}`);
+  if (!wav?.pcm16) {
+    const conversionError = await convertToCanonical(inputPath, outputPath, upload.format);
+    if (conversionError) return conversionError;
+    wav = readWavSamples(await fs.promises.readFile(outputPath));
+  }
+
+  const measured = measureSpeech(wav.samples, (wav.sampleRate || CANONICAL_AUDIO.sampleRate) * wav.channels);
+  const lengthError = getLengthError(measured);
+  if (lengthError) return lengthError;
+
+  const { durationSeconds } = measured;
+  if (!convert) return { audio: { ...upload, durationSeconds } };
+  return {
+    audio: {
+      path: outputPath,
+      format: upload.format,
+      mimeType: CANONICAL_AUDIO.mimeType,
+      extension: CANONICAL_AUDIO.extension,
+      durationSeconds,
+    },
+  };
+}
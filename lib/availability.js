@@ -0,0 +1,257 @@
+// Server-side availability lookups shared by the availability, booking and
+// patient appointment routes
+
+import { ACTIVE_STATUSES, getAppointmentStart } from './appointments';
+import {
+  DAYS_OF_WEEK,
+  getDayOfWeek,
+  addDays,
+  matchesSlotFilters,
+  parseDurationMinutes,
+  getAppointmentDuration,
+  toBusyRanges,
+  getWeeklyWindows,
+  applyOverrides,
+  generateSlots,
+} from './scheduling';
+import { resolveTimeZone } from './timezone';
+
+// Dated exceptions (time off, partial blocks, extra sessions) covering `date`
+export async function getOverridesForDate(dbClient, doctorId, date) {
+  const { data, error } = await dbClient
+    .from('doctor_availability_overrides')
+    .select('*')
+    .eq('doctor_id', doctorId)
+    .lte('start_date', date)
+    .gte('end_date', date);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// doctor_availability rows grouped per weekday, in week order:
+// [{ day, slotMinutes, sessions: [{ start, end }], breaks: [{ start, end }] }]
+export function summarizeWeeklySchedule(rows = []) {
+  const toRange = row => ({ start: row.start_time.slice(0, 5), end: row.end_time.slice(0, 5) });
+  const byStart = (a, b) => a.start.localeCompare(b.start);
+
+  return DAYS_OF_WEEK
+    .map(day => {
+      const dayRows = rows.filter(row => row.day_of_week === day);
+      const sessions = dayRows.filter(row => row.kind !== 'break');
+      return {
+        day,
+        slotMinutes: parseDurationMinutes(sessions[0]?.slot_duration),
+        sessions: sessions.map(toRange).sort(byStart),
+        breaks: dayRows.filter(row => row.kind === 'break').map(toRange).sort(byStart),
+      };
+    })
+    .filter(day => day.sessions.length > 0);
+}
+
+// Patient-facing explanation for a day with no working windows
+export function describeClosedDay(day) {
+  if (day.reason === 'day_blocked') {
+    return day.blockReason
+      ? `Doctor is not available on this date (${day.blockReason})`
+      : 'Doctor is not available on this date';
+  }
+  return `Doctor is not available on ${day.dayOfWeek}s`;
+}
+
+// Working windows and slots for one doctor on one date, from already-fetched
+// rows: the weekly sessions for that weekday minus recurring breaks, with the
+// date's overrides applied and the appointments marked busy.
+// Slots that have already started in the doctor's `timeZone` are unavailable.
+// When nothing is open, windows is empty and reason is 'day_inactive' (no
+// schedule that weekday) or 'day_blocked' (taken off by an override).
+export function buildDayAvailability({
+  date,
+  weeklyRows = [],
+  overrides = [],
+  appointments = [],
+  appointmentType,
+  timeZone,
+  now = new Date(),
+}) {
+  const dayOfWeek = getDayOfWeek(date);
+  const dayRows = weeklyRows.filter(row => row.day_of_week === dayOfWeek);
+  const sessions = dayRows.filter(row => row.kind !== 'break');
+  const breaks = dayRows.filter(row => row.kind === 'break');
+  const windows = applyOverrides(getWeeklyWindows(dayRows), overrides);
+
+  // All sessions on a day share one slot length
+  const slotMinutes = parseDurationMinutes(sessions[0]?.slot_duration);
+  const durationMinutes = getAppointmentDuration(appointmentType, slotMinutes);
+
+  if (windows.length === 0) {
+    const block = overrides.find(o => o.kind === 'block');
+    return {
+      dayOfWeek,
+      sessions,
+      breaks,
+      overrides,
+      windows,
+      reason: block ? 'day_blocked' : 'day_inactive',
+      blockReason: block?.reason || null,
+      slotMinutes,
+      durationMinutes,
+      busy: [],
+      slots: [],
+    };
+  }
+
+  // Slots on the doctor's slot grid, available only if a visit of the
+  // requested type fits without overlapping an existing appointment
+  const busy = toBusyRanges(appointments, slotMinutes);
+  const slots = generateSlots({ windows, slotMinutes, durationMinutes, busy }).map(slot =>
+    slot.available && getAppointmentStart({ appointment_date: date, appointment_time: slot.time }, timeZone) <= now
+      ? { ...slot, available: false }
+      : slot
+  );
+
+  return { dayOfWeek, sessions, breaks, overrides, windows, reason: null, slotMinutes, durationMinutes, busy, slots };
+}
+
+// Working windows and slots for one doctor on one date (see buildDayAvailability).
+// Pass excludeAppointmentId when moving an appointment so it does not block itself.
+export async function getDayAvailability(dbClient, doctorId, date, { appointmentType, excludeAppointmentId } = {}) {
+  // 1. Fetch the doctor's time zone and their sessions and breaks for that weekday
+  const { data: doctor, error: doctorError } = await dbClient
+    .from('doctors')
+    .select('time_zone')
+    .eq('id', doctorId)
+    .maybeSingle();
+
+  if (doctorError) throw doctorError;
+
+  const { data: weeklyRows, error: scheduleError } = await dbClient
+    .from('doctor_availability')
+    .select('*')
+    .eq('doctor_id', doctorId)
+    .eq('day_of_week', getDayOfWeek(date))
+    .eq('is_active', true);
+
+  if (scheduleError) throw scheduleError;
+
+  // 2. Fetch any overrides for the date
+  const overrides = await getOverridesForDate(dbClient, doctorId, date);
+
+  // 3. Fetch existing appointments so busy time ranges can be excluded
+  let query = dbClient
+    .from('appointments')
+    .select('id, appointment_time, duration_minutes')
+    .eq('doctor_id', doctorId)
+    .eq('appointment_date', date)
+    .in('status', ACTIVE_STATUSES);
+
+  if (excludeAppointmentId) {
+    query = query.neq('id', excludeAppointmentId);
+  }
+
+  const { data: appointments, error: aptError } = await query;
+
+  if (aptError) throw aptError;
+
+  return buildDayAvailability({
+    date,
+    weeklyRows,
+    overrides,
+    appointments,
+    appointmentType,
+    timeZone: resolveTimeZone(doctor?.time_zone),
+  });
+}
+
+// Earliest open slots for any of `doctors` ({ id, name, specialty, timeZone }) over
+// `days` days starting at `fromDate`, in date/time order. Slots that have
+// already started or do not match `filters` (see matchesSlotFilters) are
+// skipped; `maxPerDay` caps how many slots one date contributes so results
+// can spread over several days.
+// Everything is fetched in three queries and computed in memory.
+export async function findNextAvailableSlots(dbClient, {
+  doctors,
+  fromDate,
+  days = 14,
+  limit = 5,
+  maxPerDay = null,
+  appointmentType,
+  filters = {},
+  excludeAppointmentId,
+  now = new Date(),
+}) {
+  if (doctors.length === 0) return [];
+
+  const doctorIds = doctors.map(d => d.id);
+  const toDate = addDays(fromDate, days - 1);
+
+  const [scheduleResult, overridesResult, appointmentsResult] = await Promise.all([
+    dbClient
+      .from('doctor_availability')
+      .select('*')
+      .in('doctor_id', doctorIds)
+      .eq('is_active', true),
+    dbClient
+      .from('doctor_availability_overrides')
+      .select('*')
+      .in('doctor_id', doctorIds)
+      .lte('start_date', toDate)
+      .gte('end_date', fromDate),
+    (() => {
+      let query = dbClient
+        .from('appointments')
+        .select('id, doctor_id, appointment_date, appointment_time, duration_minutes')
+        .in('doctor_id', doctorIds)
+        .gte('appointment_date', fromDate)
+        .lte('appointment_date', toDate)
+        .in('status', ACTIVE_STATUSES);
+      return excludeAppointmentId ? query.neq('id', excludeAppointmentId) : query;
+    })(),
+  ]);
+
+  for (const result of [scheduleResult, overridesResult, appointmentsResult]) {
+    if (result.error) throw result.error;
+  }
+
+  const found = [];
+
+  for (let date = fromDate; date <= toDate && found.length < limit; date = addDays(date, 1)) {
+    const daySlots = [];
+
+    for (const doctor of doctors) {
+      const day = buildDayAvailability({
+        date,
+        weeklyRows: scheduleResult.data.filter(row => row.doctor_id === doctor.id),
+        overrides: overridesResult.data.filter(o =>
+          o.doctor_id === doctor.id && o.start_date <= date && o.end_date >= date
+        ),
+        appointments: appointmentsResult.data.filter(a =>
+          a.doctor_id === doctor.id && a.appointment_date === date
+        ),
+        appointmentType,
+        timeZone: resolveTimeZone(doctor.timeZone),
+        now,
+      });
+
+      for (const slot of day.slots) {
+        if (!slot.available) continue;
+        if (!matchesSlotFilters({ dayOfWeek: day.dayOfWeek, time: slot.time }, filters)) continue;
+
+        daySlots.push({
+          doctorId: doctor.id,
+          doctorName: doctor.name,
+          specialty: doctor.specialty,
+          date,
+          day: day.dayOfWeek,
+          time: slot.time,
+          durationMinutes: day.durationMinutes,
+        });
+      }
+    }
+
+    daySlots.sort((a, b) => a.time.localeCompare(b.time) || a.doctorName.localeCompare(b.doctorName));
+    found.push(...(maxPerDay ? daySlots.slice(0, maxPerDay) : daySlots));
+  }
+
+  return found.slice(0, limit);
+}
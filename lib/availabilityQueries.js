@@ -0,0 +1,253 @@
+// The availability questions a patient can ask, shared by
+// /api/patient/check-availability, /api/patient/next-available and the
+// voice assistant (lib/dialogueServices.js). Each returns the response body,
+// or { status, error } with an HTTP status code for an invalid search.
+
+import { getDayAvailability, describeClosedDay, summarizeWeeklySchedule, findNextAvailableSlots } from './availability';
+import { DAYS_OF_WEEK, PARTS_OF_DAY, minutesToTime } from './scheduling';
+import { APPOINTMENT_TYPES } from './appointments';
+import { CLINIC_TIME_ZONE, todayInZone } from './timezone';
+import { fetchDoctorDirectory, rankDoctors, resolveDoctor, describeCandidates } from './doctorMatcher';
+import { phrase } from './phrases';
+import { DEFAULT_LANGUAGE, resolveLanguage } from './languages';
+
+const MAX_DAYS = 60;
+const MAX_LIMIT = 20;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bounded integer search parameter
+function toInt(value, fallback, max) {
+  const number = parseInt(value, 10);
+  if (!Number.isFinite(number) || number < 1) return fallback;
+  return Math.min(number, max);
+}
+
+// One doctor's weekly schedule (without `date`) or open slots on `date`. The
+// doctor is given by id, or by name or specialty; when several doctors fit,
+// the result is { available: false, reason: 'ambiguous_doctor', candidates }
+// so the caller can ask which one was meant and check again with doctorId.
+export async function checkDoctorAvailability(dbClient, {
+  doctorId,
+  doctorName,
+  specialty,
+  date,
+  appointmentType,
+  excludeAppointmentId,
+  language: requestedLanguage,
+} = {}) {
+  // Only the "did you mean" question is spoken as is; it is asked in this language
+  const language = resolveLanguage(requestedLanguage) || DEFAULT_LANGUAGE;
+
+  if (!doctorId && !doctorName && !specialty) {
+    return { status: 400, error: 'Missing doctorId, doctorName or specialty' };
+  }
+
+  let targetDoctorId = doctorId;
+  let resolvedName = null;
+
+  // If doctorId is not provided, try to find the doctor by name or specialty
+  if (!targetDoctorId) {
+    // Titles, typos and sound-alikes are handled by the shared matcher
+    let match = null;
+    try {
+      match = await resolveDoctor(dbClient, { name: doctorName, specialty });
+    } catch (searchError) {
+      console.error('Doctor search error:', searchError);
+    }
+
+    const candidates = match?.candidates || [];
+
+    if (!match?.doctor && candidates.length > 1) {
+      return {
+        available: false,
+        reason: 'ambiguous_doctor',
+        message: phrase('did_you_mean', language, { options: describeCandidates(candidates, language) }),
+        candidates,
+        slots: []
+      };
+    }
+
+    // A single weak candidate the LLM rejected is not the doctor either
+    const bestMatch = match?.doctor
+      ? candidates.find(c => c.id === match.doctor.id)
+      : match?.source === 'local' ? candidates[0] : null;
+    if (!bestMatch) {
+      return {
+        available: false,
+        message: doctorName
+          ? `Could not find a doctor named "${doctorName}"`
+          : `Could not find a doctor in "${specialty}"`,
+        slots: []
+      };
+    }
+    targetDoctorId = bestMatch.id;
+    resolvedName = bestMatch.name;
+  }
+
+  // If no date is provided, return the full weekly schedule, grouped by day
+  if (!date) {
+    const { data: fullSchedule, error: scheduleError } = await dbClient
+      .from('doctor_availability')
+      .select('*')
+      .eq('doctor_id', targetDoctorId)
+      .eq('is_active', true);
+
+    if (scheduleError) {
+      // Fallback to basic response if schedule fetch fails
+      console.error('Error fetching full schedule:', scheduleError);
+    }
+
+    return {
+      available: true,
+      doctorId: targetDoctorId,
+      doctorName: resolvedName,
+      message: 'Doctor found',
+      schedule: scheduleError ? [] : summarizeWeeklySchedule(fullSchedule)
+    };
+  }
+
+  const day = await getDayAvailability(
+    dbClient,
+    targetDoctorId,
+    date,
+    { appointmentType, excludeAppointmentId }
+  );
+
+  if (day.windows.length === 0) {
+    return {
+      available: false,
+      reason: day.reason,
+      schedule: null,
+      message: describeClosedDay(day),
+      slots: []
+    };
+  }
+
+  // schedule spans the first to the last working window; windows lists
+  // them individually when time off or an extra session splits the day
+  return {
+    available: true,
+    day: day.dayOfWeek,
+    schedule: {
+      start: minutesToTime(day.windows[0].start),
+      end: minutesToTime(day.windows[day.windows.length - 1].end),
+      slotMinutes: day.slotMinutes
+    },
+    windows: day.windows.map(w => ({ start: minutesToTime(w.start), end: minutesToTime(w.end) })),
+    overrides: day.overrides.map(o => ({
+      kind: o.kind,
+      startTime: o.start_time,
+      endTime: o.end_time,
+      reason: o.reason
+    })),
+    durationMinutes: day.durationMinutes,
+    slots: day.slots
+  };
+}
+
+// The earliest open slots with one doctor (by id or name), a specialty, or
+// anyone. Parameters may be query strings or plain values: daysOfWeek is a
+// list or a comma-separated string, weekdaysOnly true or 'true'.
+export async function searchNextAvailable(dbClient, {
+  doctorId,
+  doctorName,
+  specialty,
+  from,
+  appointmentType,
+  partOfDay,
+  after,
+  before,
+  weekdaysOnly,
+  daysOfWeek,
+  excludeAppointmentId,
+  ...limits
+} = {}) {
+  // 1. Validate the search
+  const fromDate = from || todayInZone(CLINIC_TIME_ZONE);
+  if (!DATE_PATTERN.test(fromDate)) {
+    return { status: 400, error: 'from must be a date (YYYY-MM-DD)' };
+  }
+  if (appointmentType && !APPOINTMENT_TYPES[appointmentType]) {
+    return { status: 400, error: 'Invalid appointment type' };
+  }
+  if (partOfDay && !PARTS_OF_DAY[partOfDay]) {
+    return { status: 400, error: `partOfDay must be one of: ${Object.keys(PARTS_OF_DAY).join(', ')}` };
+  }
+  if ((after && !TIME_PATTERN.test(after)) || (before && !TIME_PATTERN.test(before))) {
+    return { status: 400, error: 'after and before must be times (HH:MM)' };
+  }
+
+  const dayList = Array.isArray(daysOfWeek) ? daysOfWeek : daysOfWeek ? daysOfWeek.split(',').map(d => d.trim()) : [];
+  if (dayList.some(d => !DAYS_OF_WEEK.includes(d))) {
+    return { status: 400, error: `daysOfWeek must be a comma-separated list of: ${DAYS_OF_WEEK.join(', ')}` };
+  }
+
+  const days = toInt(limits.days, 14, MAX_DAYS);
+  const limit = toInt(limits.limit, 5, MAX_LIMIT);
+  const maxPerDay = limits.maxPerDay ? toInt(limits.maxPerDay, null, MAX_LIMIT) : null;
+
+  // 2. Which doctors to search: one by id or name, a specialty, or everyone
+  let doctorRows;
+  if (doctorId) {
+    const { data, error: doctorsError } = await dbClient
+      .from('doctors')
+      .select('id, specialty, time_zone, user:users!inner(full_name)')
+      .eq('id', doctorId);
+
+    if (doctorsError) throw doctorsError;
+    doctorRows = data || [];
+  } else {
+    const directory = await fetchDoctorDirectory(dbClient);
+    if (doctorName) {
+      // A clear name match searches that doctor only; an ambiguous name
+      // searches every candidate, and a leader the LLM rejected nobody
+      const match = await resolveDoctor(dbClient, { name: doctorName, specialty }, { doctors: directory });
+      const ids = match.doctor ? [match.doctor.id] : match.source === 'local' ? match.candidates.map(c => c.id) : [];
+      doctorRows = directory.filter(d => ids.includes(d.id));
+    } else if (specialty) {
+      doctorRows = rankDoctors(directory, { specialty }).map(({ doctor }) => doctor);
+    } else {
+      doctorRows = directory;
+    }
+  }
+
+  if (doctorRows.length === 0) {
+    return {
+      slots: [],
+      message: doctorName || specialty
+        ? `Could not find a doctor matching "${doctorName || specialty}"`
+        : 'No doctors found'
+    };
+  }
+
+  const doctors = doctorRows.map(d => ({
+    id: d.id,
+    name: d.user.full_name,
+    specialty: d.specialty,
+    timeZone: d.time_zone
+  }));
+
+  // 3. Search the date range
+  const slots = await findNextAvailableSlots(dbClient, {
+    doctors,
+    fromDate,
+    days,
+    limit,
+    maxPerDay,
+    appointmentType,
+    excludeAppointmentId,
+    filters: {
+      partOfDay,
+      after,
+      before,
+      weekdaysOnly: weekdaysOnly === true || weekdaysOnly === 'true',
+      daysOfWeek: dayList,
+    },
+  });
+
+  return {
+    slots,
+    searched: { from: fromDate, days, doctors: doctors.length }
+  };
+}
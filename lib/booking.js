@@ -0,0 +1,350 @@
+// Booking an appointment, shared by /api/book and the voice assistant
+// (lib/dialogueServices.js), so both apply the same confirmation, triage,
+// doctor matching and schedule rules.
+
+import {
+  isSlotConflict,
+  getAppointmentStart,
+  APPOINTMENT_TYPES,
+  DEFAULT_APPOINTMENT_TYPE,
+  BOOKING_HORIZON_DAYS,
+} from './appointments';
+import { getUnavailableReason, addDays, isCalendarDate, isClockTime } from './scheduling';
+import { getDayAvailability, describeClosedDay } from './availability';
+import { recordStatusChange } from './appointmentStatus';
+import { resolveTimeZone, todayInZone } from './timezone';
+import { fetchDoctorDirectory, resolveDoctor, describeCandidates } from './doctorMatcher';
+import { URGENCY_LEVELS, DEFAULT_URGENCY, assessUrgency } from './triage';
+import { phrase } from './phrases';
+import { DEFAULT_LANGUAGE, resolveLanguage } from './languages';
+import { needsConfirmation } from './interpretation';
+
+// Longer transcripts are cut; a booking request is a sentence or two
+const MAX_TRANSCRIPT_LENGTH = 2000;
+
+// How the patient asked for the appointment, stored as booking_method:
+// spoken to the voice assistant, or typed to the chat assistant
+export const BOOKING_METHODS = ['voice', 'chat'];
+export const DEFAULT_BOOKING_METHOD = 'voice';
+
+// Why an appointment cannot start at `date` `time` (wall-clock values in the
+// doctor's `timeZone`), as { status, error, details }, or null when the date
+// and time are well formed, still ahead and within the booking horizon.
+// Used for new bookings and for rescheduled ones.
+export function getRequestedTimeError(date, time, timeZone, now = new Date()) {
+  if (!isCalendarDate(date) || !isClockTime(time)) {
+    return {
+      status: 400,
+      error: 'Invalid date or time',
+      details: 'Expected date as YYYY-MM-DD and time as HH:MM'
+    };
+  }
+
+  const startsAt = getAppointmentStart({ appointment_date: date, appointment_time: time }, timeZone);
+  if (startsAt <= now) {
+    return {
+      status: 400,
+      error: 'Appointment time is in the past',
+      details: `${date} ${time} has already passed in ${timeZone}`
+    };
+  }
+  if (date > addDays(todayInZone(timeZone, now), BOOKING_HORIZON_DAYS)) {
+    return {
+      status: 400,
+      error: 'Appointment date is too far ahead',
+      details: `Appointments can be booked up to ${BOOKING_HORIZON_DAYS} days ahead`
+    };
+  }
+  return null;
+}
+
+// Find the doctor by id, or by name or specialty. Returns { doctor } (null
+// when nobody matches) and the name match, whose candidates are offered when
+// several doctors fit.
+async function findDoctor(dbClient, { doctorId, doctor, speciality }) {
+  const directory = await fetchDoctorDirectory(dbClient);
+
+  if (doctorId) {
+    // The patient already picked this doctor, e.g. after a "did you mean" question
+    return { doctor: directory.find(d => d.id === doctorId) || null, match: null };
+  }
+
+  // Names are matched locally (titles, typos, sound-alikes); the LLM only
+  // picks between candidates when that is ambiguous
+  let match = await resolveDoctor(dbClient, { name: doctor, specialty: speciality }, { doctors: directory });
+
+  // Fallback: If no doctor matches the name, try specialty alone
+  if (match.status === 'none' && speciality) {
+    console.log(`Searching by specialty: "${speciality}"`);
+    match = await resolveDoctor(dbClient, { specialty: speciality }, { doctors: directory });
+  }
+
+  console.log(`Doctor match for "${doctor || speciality}":`, match.status, match.source, match.candidates);
+
+  // A single weak candidate is still the only doctor it can be, unless the
+  // LLM was asked about it and said no: then the name is not recognised
+  if (match.doctor || (match.candidates.length === 1 && match.source === 'local')) {
+    return { doctor: match.doctor || directory.find(d => d.id === match.candidates[0].id), match };
+  }
+  return { doctor: null, match };
+}
+
+// Book `request` (the /api/book body) and return { success, message,
+// appointment }, or { status, error, reason?, ... } with an HTTP status code
+// when it cannot be booked. Database failures other than a taken slot throw.
+export async function bookAppointment(dbClient, request) {
+  if (!request || typeof request !== 'object') {
+    return { status: 400, error: 'Invalid appointment data' };
+  }
+
+  const { doctor, doctorId, speciality, date, time, patientId } = request;
+
+  if ((!doctor && !doctorId && !speciality) || !date || !time || !patientId) {
+    return {
+      status: 400,
+      error: 'Missing required fields: doctor (or doctorId or speciality), date, time, patientId'
+    };
+  }
+
+  if (!isCalendarDate(date) || !isClockTime(time)) {
+    return {
+      status: 400,
+      error: 'Invalid date or time',
+      details: 'Expected date as YYYY-MM-DD and time as HH:MM'
+    };
+  }
+
+  const reason = request.reason || null;
+  const symptoms = request.symptoms || [];
+  const urgency = request.urgency || DEFAULT_URGENCY;
+  // Messages meant to be read out to the patient are in their language
+  const language = resolveLanguage(request.language) || DEFAULT_LANGUAGE;
+  if (!URGENCY_LEVELS.includes(urgency) || !Array.isArray(symptoms)) {
+    return {
+      status: 400,
+      error: 'Invalid urgency or symptoms',
+      details: `Expected urgency as one of: ${URGENCY_LEVELS.join(', ')}, and symptoms as a list`
+    };
+  }
+
+  const { confidence = null, transcript = null } = request;
+  const confirmed = request.confirmed === true;
+  if ((confidence !== null && (typeof confidence !== 'number' || confidence < 0 || confidence > 1))
+    || (transcript !== null && typeof transcript !== 'string')) {
+    return {
+      status: 400,
+      error: 'Invalid confidence or transcript',
+      details: 'Expected confidence as a number from 0 to 1, and transcript as text'
+    };
+  }
+
+  if (!confirmed && needsConfirmation({ confidence })) {
+    return {
+      status: 409,
+      error: 'Booking needs the patient\'s confirmation',
+      reason: 'needs_confirmation',
+      message: 'Please check the doctor, date and time, then confirm the booking'
+    };
+  }
+
+  // Red-flag symptoms are not booked until the patient has heard the
+  // emergency advisory and still wants an appointment (acknowledgedEmergency)
+  const { emergency } = assessUrgency({ reason, symptoms, urgency, language });
+  const acknowledgedEmergency = Boolean(emergency) && request.acknowledgedEmergency === true;
+  if (emergency && !acknowledgedEmergency) {
+    return {
+      status: 409,
+      error: 'Symptoms may need emergency care',
+      reason: 'emergency',
+      message: emergency.message,
+      redFlags: emergency.redFlags
+    };
+  }
+
+  const bookingMethod = request.bookingMethod || DEFAULT_BOOKING_METHOD;
+  if (!BOOKING_METHODS.includes(bookingMethod)) {
+    return {
+      status: 400,
+      error: 'Invalid booking method',
+      details: `Expected one of: ${BOOKING_METHODS.join(', ')}`
+    };
+  }
+
+  const appointmentType = request.appointmentType || DEFAULT_APPOINTMENT_TYPE;
+  if (!APPOINTMENT_TYPES[appointmentType]) {
+    return {
+      status: 400,
+      error: 'Invalid appointment type',
+      details: `Expected one of: ${Object.keys(APPOINTMENT_TYPES).join(', ')}`
+    };
+  }
+
+  let found;
+  try {
+    found = await findDoctor(dbClient, { doctorId, doctor, speciality });
+  } catch (error) {
+    console.error('Doctor query error:', error);
+    return { status: 500, error: 'Failed to find doctor', details: error.message };
+  }
+  const { doctor: selectedDoctor, match } = found;
+
+  // Never guess between several doctors: the caller asks the patient which
+  // one they meant and books again with doctorId
+  if (!selectedDoctor && match?.candidates.length > 1) {
+    return {
+      status: 409,
+      error: 'More than one doctor matches',
+      reason: 'ambiguous_doctor',
+      message: phrase('did_you_mean', language, { options: describeCandidates(match.candidates, language) }),
+      candidates: match.candidates
+    };
+  }
+
+  if (!selectedDoctor) {
+    return {
+      status: 404,
+      error: 'No doctor found matching the criteria',
+      details: `No doctor found for: ${doctorId || doctor || speciality}`
+    };
+  }
+
+  // The date and time are wall-clock values in the doctor's time zone
+  const timeError = getRequestedTimeError(date, time, resolveTimeZone(selectedDoctor.time_zone));
+  if (timeError) return timeError;
+
+  // Visit length: fixed for some appointment types, otherwise one of the
+  // doctor's slots on that weekday. Time off and extra sessions for the
+  // date are applied before checking the requested time.
+  const day = await getDayAvailability(dbClient, selectedDoctor.id, date, { appointmentType });
+  const { durationMinutes } = day;
+
+  const unavailableReason = getUnavailableReason(day, time);
+  if (unavailableReason === 'day_inactive' || unavailableReason === 'day_blocked') {
+    return {
+      status: 409,
+      error: 'Time slot not available',
+      reason: unavailableReason,
+      message: describeClosedDay(day)
+    };
+  }
+  if (unavailableReason === 'time_out_of_bounds') {
+    return {
+      status: 409,
+      error: 'Time slot not available',
+      reason: unavailableReason,
+      message: 'The selected time is outside the doctor\'s working hours for that date'
+    };
+  }
+
+  // Create the appointment. The insert is the reservation: the
+  // appointments_no_double_booking constraint makes it fail atomically
+  // when the slot is already taken, even under concurrent requests.
+  const { data: appointment, error: insertError } = await dbClient
+    .from('appointments')
+    .insert([
+      {
+        patient_id: patientId,
+        doctor_id: selectedDoctor.id,
+        appointment_date: date,
+        appointment_time: time,
+        appointment_type: appointmentType,
+        duration_minutes: durationMinutes,
+        reason,
+        symptoms: symptoms.filter(symptom => typeof symptom === 'string' && symptom.trim()),
+        urgency,
+        status: 'pending',
+        booking_method: bookingMethod,
+        booking_transcript: transcript?.trim().slice(0, MAX_TRANSCRIPT_LENGTH) || null,
+        booking_confidence: confidence,
+        booking_confirmed: confirmed,
+      },
+    ])
+    .select(`
+      *,
+      doctor:doctors(
+        id,
+        specialty,
+        user:users(full_name, email)
+      ),
+      patient:patients(
+        id,
+        user_id,
+        user:users(full_name, email)
+      )
+    `)
+    .single();
+
+  if (insertError) {
+    if (isSlotConflict(insertError)) {
+      return {
+        status: 409,
+        error: 'Time slot not available',
+        reason: 'fully_booked',
+        message: 'This doctor already has an appointment overlapping the selected time'
+      };
+    }
+
+    console.error('Insert error:', insertError);
+    return { status: 500, error: 'Failed to create appointment', details: insertError.message };
+  }
+
+  await recordStatusChange(dbClient, {
+    appointmentId: appointment.id,
+    fromStatus: null,
+    toStatus: 'pending',
+    changedBy: appointment.patient?.user_id || null,
+    role: 'patient',
+    note: acknowledgedEmergency
+      ? `Booked by ${bookingMethod} after the emergency advisory (${emergency.redFlags.map(flag => flag.label).join(', ')})`
+      : `Booked by ${bookingMethod}`,
+  });
+
+  // Create notification for the doctor
+  await dbClient
+    .from('notifications')
+    .insert([
+      {
+        user_id: selectedDoctor.user_id,
+        type: 'new_appointment',
+        title: 'New Appointment Request',
+        message: `New ${urgency === DEFAULT_URGENCY ? '' : `${urgency} `}appointment request from ${appointment.patient?.user?.full_name} for ${date} at ${time}${reason ? `: ${reason}` : ''}`,
+        related_id: appointment.id,
+      },
+    ]);
+
+  // Log appointment details
+  console.log('\n========================================');
+  console.log('📅 NEW APPOINTMENT BOOKED');
+  console.log('========================================');
+  console.log('Booking ID:', appointment.id);
+  console.log('Doctor:', appointment.doctor?.user?.full_name);
+  console.log('Specialty:', appointment.doctor?.specialty);
+  console.log('Patient:', appointment.patient?.user?.full_name);
+  console.log('Date:', appointment.appointment_date);
+  console.log('Time:', appointment.appointment_time);
+  console.log('Reason:', appointment.reason || '-', `(${appointment.urgency})`);
+  console.log('Status:', appointment.status);
+  console.log('Method:', appointment.booking_method);
+  console.log('========================================\n');
+
+  return {
+    success: true,
+    message: '✅ Appointment booked successfully! The doctor will confirm shortly.',
+    appointment: {
+      bookingId: appointment.id,
+      doctor: appointment.doctor?.user?.full_name,
+      speciality: appointment.doctor?.specialty,
+      date: appointment.appointment_date,
+      time: appointment.appointment_time,
+      appointmentType: appointment.appointment_type,
+      durationMinutes: appointment.duration_minutes,
+      reason: appointment.reason,
+      symptoms: appointment.symptoms,
+      urgency: appointment.urgency,
+      status: appointment.status,
+      bookingMethod: appointment.booking_method,
+      confidence: appointment.booking_confidence,
+      confirmed: appointment.booking_confirmed,
+    },
+  };
+}
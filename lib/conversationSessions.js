@@ -0,0 +1,93 @@
+// Where /api/conversation keeps conversation state between turns: the
+// conversation_sessions table (supabase/add-conversation-sessions.sql). Each
+// row holds the transcript, the slots gathered so far and the stage, so the
+// patient can resume after closing the assistant or reloading the page, and
+// support staff can review conversations that failed. Rows are never deleted
+// here; an active one left alone for SESSION_IDLE_MS can no longer be resumed
+// and shows up as abandoned (lib/sessionActivity.js).
+
+import { FINAL_STAGES } from './dialogue';
+import { idleCutoff, isAbandoned } from './sessionActivity';
+
+// 'completed' or 'emergency' once the conversation has ended, 'failed' when a
+// change the patient asked for could not be made, otherwise 'active'
+export function sessionStatus(state) {
+  if (FINAL_STAGES.includes(state.stage)) return state.stage;
+  return state.error ? 'failed' : 'active';
+}
+
+// The Web Crypto global, available in every runtime Next.js uses
+export function newSessionId() {
+  return globalThis.crypto.randomUUID();
+}
+
+function toRow(state, userId) {
+  return {
+    id: state.id,
+    user_id: userId || null,
+    patient_id: state.patientId || null,
+    stage: state.stage,
+    status: sessionStatus(state),
+    language_setting: state.language,
+    detected_language: state.detectedLanguage,
+    fallback_language: state.fallbackLanguage,
+    transcript: state.history,
+    slots: state.data,
+    result: state.result,
+    error: state.error,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+function toState(row) {
+  return {
+    id: row.id,
+    patientId: row.patient_id,
+    language: row.language_setting,
+    detectedLanguage: row.detected_language,
+    fallbackLanguage: row.fallback_language,
+    stage: row.stage,
+    data: row.slots,
+    history: row.transcript,
+    result: row.result,
+    error: row.error,
+  };
+}
+
+// { state, userId, status } for a session that can still take turns, or null
+// when it does not exist or was abandoned
+export async function loadSession(dbClient, id) {
+  const { data: row, error } = await dbClient
+    .from('conversation_sessions')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row || isAbandoned(row)) return null;
+  return { state: toState(row), userId: row.user_id, status: row.status };
+}
+
+// The signed-in patient's most recent conversation that is still active
+export async function findResumableSession(dbClient, userId) {
+  const { data: row, error } = await dbClient
+    .from('conversation_sessions')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .gte('updated_at', idleCutoff())
+    .order('updated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return row ? { state: toState(row), userId: row.user_id, status: row.status } : null;
+}
+
+export async function saveSession(dbClient, state, { userId } = {}) {
+  const { error } = await dbClient
+    .from('conversation_sessions')
+    .upsert(toRow(state, userId));
+
+  if (error) throw error;
+}
@@ -0,0 +1,268 @@
+// Date and time words in the assistant's other languages, rewritten as the
+// English phrases lib/dateParser.js understands: "el próximo lunes a las 4
+// y media" -> "coming monday at 4:30", "अगले सोमवार शाम 5 बजे" -> "coming
+// monday 5 in the evening". Only the date and time words are rewritten;
+// everything else is left for the parser to ignore.
+//
+// Conventions follow how each language is spoken rather than English:
+// "el próximo lunes", "الاثنين القادم" and "अगले सोमवार" usually mean the
+// coming Monday, so they map to "coming" (today included), not to "next"
+// (the following week). Urdu and Hindi "kal" is read as tomorrow.
+
+const DIGITS = {
+  '٠': 0, '١': 1, '٢': 2, '٣': 3, '٤': 4, '٥': 5, '٦': 6, '٧': 7, '٨': 8, '٩': 9, // Arabic-Indic
+  '۰': 0, '۱': 1, '۲': 2, '۳': 3, '۴': 4, '۵': 5, '۶': 6, '۷': 7, '۸': 8, '۹': 9, // Urdu
+  '०': 0, '१': 1, '२': 2, '३': 3, '४': 4, '५': 5, '६': 6, '७': 7, '८': 8, '९': 9, // Devanagari
+};
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Whole words only; \b does not work outside ASCII
+function word(source) {
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${source.normalize('NFC')})(?![\\p{L}\\p{M}\\p{N}])`, 'gu');
+}
+
+// [[pattern, english]] for a list of words per English value
+function wordsFor(values, words) {
+  return words.flatMap((forms, index) => forms.map(form => [form, values[index]]));
+}
+
+function alternation(pairs) {
+  return pairs.map(([form]) => form).sort((a, b) => b.length - a.length).join('|');
+}
+
+function lookup(pairs, form) {
+  return pairs.find(([candidate]) => candidate.normalize('NFC') === form)?.[1];
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// 3 -> '3rd', as the parser expects for "the 3rd"
+function ordinal(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+// Rules shared by the languages, built from each one's vocabulary
+function buildRules({ numbers, weekdays, months, rules }) {
+  const numberPattern = alternation(numbers);
+  const weekdayPattern = alternation(weekdays);
+  const monthPattern = alternation(months);
+
+  return [
+    ...rules.before,
+    [word(numberPattern), form => String(lookup(numbers, form))],
+    ...rules.dates(weekdayPattern, form => lookup(weekdays, form)),
+    [word(weekdayPattern), form => lookup(weekdays, form)],
+    [word(monthPattern), form => lookup(months, form)],
+    ...rules.times,
+  ];
+}
+
+const SPANISH = {
+  normalize: text => text.toLowerCase().normalize('NFD').replace(/[̀-ͯ]/g, '').replace(/[¿¡]/g, ' '),
+  numbers: wordsFor([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 15, 20, 30], [
+    ['dos'], ['tres'], ['cuatro'], ['cinco'], ['seis'], ['siete'], ['ocho'], ['nueve'], ['diez'],
+    ['once'], ['doce'], ['quince'], ['veinte'], ['treinta'],
+  ]),
+  weekdays: wordsFor(WEEKDAYS, [['lunes'], ['martes'], ['miercoles'], ['jueves'], ['viernes'], ['sabado'], ['domingo']]),
+  months: wordsFor(MONTHS, [
+    ['enero'], ['febrero'], ['marzo'], ['abril'], ['mayo'], ['junio'], ['julio'], ['agosto'],
+    ['septiembre', 'setiembre'], ['octubre'], ['noviembre'], ['diciembre'],
+  ]),
+  rules: {
+    before: [
+      [word('pasado manana'), () => 'day after tomorrow'],
+      [word('esta noche'), () => 'tonight'],
+      [word('(?:de|por) la manana'), () => 'in the morning'],
+      [word('(?:de|por) la tarde'), () => 'in the afternoon'],
+      [word('(?:de|por) la noche'), () => 'in the evening'],
+      [word('mediodia'), () => 'noon'],
+      [word('medianoche'), () => 'midnight'],
+      [word('manana'), () => 'tomorrow'],
+      [word('hoy'), () => 'today'],
+      [word('a la una'), () => 'at 1'],
+    ],
+    dates: (weekday, english) => [
+      [word(`(?:el )?(${weekday}) de la (?:semana que viene|proxima semana|semana proxima)`), (m, day) => `${english(day)} next week`],
+      [word('(?:la )?(?:proxima|siguiente) semana|(?:la )?semana (?:que viene|proxima)'), () => 'next week'],
+      [word('(?:dentro de|en) (un|una|\\d+) (dias?|semanas?)'), (m, n, unit) => `in ${/^un/.test(n) ? 1 : n} ${unit.startsWith('dia') ? 'days' : 'weeks'}`],
+      [word(`(?:el )?(?:proximo|siguiente) (${weekday})|(?:el )?(${weekday}) (?:que viene|proximo)`), (m, a, b) => `coming ${english(a || b)}`],
+      [word(`este (${weekday})`), (m, day) => `this ${english(day)}`],
+      // "el 3" -> "the 3rd", but not "el 3 de mayo"
+      [/(?<![\p{L}])el (?:dia )?(\d{1,2})(?!\s*(?:de\b|:|\d))/gu, (m, day) => `the ${ordinal(Number(day))}`],
+      [word('de'), () => ''],
+    ],
+    times: [
+      [/(\d{1,2}) y media/g, (m, h) => `${h}:30`],
+      [/(\d{1,2}) y cuarto/g, (m, h) => `${h}:15`],
+      [/(\d{1,2}) menos cuarto/g, (m, h) => `quarter to ${h}`],
+      [/(\d{1,2}) y (\d{1,2})(?!\d)/g, (m, h, min) => `${h}:${pad(min)}`],
+      [word('en punto'), () => 'oclock'],
+      [word('a las'), () => 'at'],
+    ],
+  },
+};
+
+const ARABIC = {
+  // Diacritics and letter variants folded so one spelling matches them all
+  normalize: text => text
+    .replace(/[ً-ْـ]/g, '')
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه'),
+  numbers: wordsFor([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], [
+    ['واحد', 'الواحده'], ['اثنين', 'اثنان'], ['ثلاث', 'ثلاثه', 'الثالثه'], ['اربع', 'اربعه', 'الرابعه'],
+    ['خمس', 'خمسه', 'الخامسه'], ['ست', 'سته', 'السادسه'], ['سبع', 'سبعه', 'السابعه'], ['ثمان', 'ثماني', 'ثمانيه', 'الثامنه'],
+    ['تسع', 'تسعه', 'التاسعه'], ['عشر', 'عشره', 'العاشره'], ['احدي عشر', 'احد عشر', 'الحاديه عشر', 'الحاديه عشره'],
+    ['اثنا عشر', 'اثني عشر', 'الثانيه عشر', 'الثانيه عشره'],
+  ]),
+  weekdays: wordsFor(WEEKDAYS, [['الاثنين'], ['الثلاثاء'], ['الاربعاء'], ['الخميس'], ['الجمعه'], ['السبت'], ['الاحد']]),
+  months: wordsFor(MONTHS, [
+    ['يناير'], ['فبراير'], ['مارس'], ['ابريل'], ['مايو'], ['يونيو'], ['يوليو'], ['اغسطس'],
+    ['سبتمبر'], ['اكتوبر'], ['نوفمبر'], ['ديسمبر'],
+  ]),
+  rules: {
+    before: [
+      [word('بعد (?:غد|الغد|بكره)'), () => 'day after tomorrow'],
+      [word('غدا|بكره|الغد'), () => 'tomorrow'],
+      [word('الليله'), () => 'tonight'],
+      [word('اليوم'), () => 'today'],
+      [word('يومين'), () => '2 days'],
+      [word('اسبوعين'), () => '2 weeks'],
+      // "الساعة الثانية" is two o'clock, not "second"
+      [word('الساعه الثانيه'), () => 'at 2'],
+    ],
+    dates: (weekday, english) => [
+      [word(`(?:يوم )?(${weekday}) (?:من )?(?:الاسبوع) (?:القادم|المقبل|الجاي)`), (m, day) => `${english(day)} next week`],
+      [word('الاسبوع (?:القادم|المقبل|الجاي)'), () => 'next week'],
+      [word('(?:بعد|خلال) (?:(\\d+) )?(ايام|يوم|days|اسابيع|اسبوع|weeks)'), (m, n = 1, unit) => `in ${n} ${/days|يوم|ايام/.test(unit) ? 'days' : 'weeks'}`],
+      [word(`(?:يوم )?(${weekday}) (?:القادم|المقبل|الجاي)`), (m, day) => `coming ${english(day)}`],
+      [word(`(?:يوم )?هذا (${weekday})|(?:يوم )?(${weekday}) هذا`), (m, a, b) => `this ${english(a || b)}`],
+      [word(`يوم (${weekday})`), (m, day) => english(day)],
+    ],
+    times: [
+      [/(\d{1,2}) ?و ?(?:النصف|نص)/g, (m, h) => `${h}:30`],
+      [/(\d{1,2}) ?و ?(?:الربع|ربع)/g, (m, h) => `${h}:15`],
+      [/(\d{1,2}) ?(?:الا|غير) ?ربع/g, (m, h) => `quarter to ${h}`],
+      [/(\d{1,2}(?::\d{2})?) ?ظهرا/g, (m, t) => `${t} pm`],
+      [word('(?:في )?الساعه'), () => 'at'],
+      [word('(?:في )?الصباح|صباحا|الصبح'), () => 'in the morning'],
+      [word('بعد الظهر|العصر|عصرا'), () => 'in the afternoon'],
+      [word('(?:في )?المساء|مساء'), () => 'in the evening'],
+      [word('الظهر|ظهرا'), () => 'noon'],
+    ],
+  },
+};
+
+// Urdu and Hindi say times the same way: "shaam 5 baje", "saadhe 4"
+function southAsianTimes({ halfPast, quarterPast, quarterTo, oneAndHalf, twoAndHalf, oclock, parts }) {
+  const partNames = Object.fromEntries(Object.entries(parts).map(([form, english]) => [form.normalize('NFC'), english]));
+  const partPattern = Object.keys(partNames).join('|');
+  return [
+    [word(oneAndHalf), () => '1:30'],
+    [word(twoAndHalf), () => '2:30'],
+    [new RegExp(`${halfPast.normalize('NFC')} (\\d{1,2})`, 'gu'), (m, h) => `${h}:30`],
+    [new RegExp(`${quarterPast.normalize('NFC')} (\\d{1,2})`, 'gu'), (m, h) => `${h}:15`],
+    [new RegExp(`${quarterTo.normalize('NFC')} (\\d{1,2})`, 'gu'), (m, h) => `quarter to ${h}`],
+    [word(`(${partPattern}) (?:\\S{1,3} )?(\\d{1,2}(?::\\d{2})?) (?:${oclock})`), (m, part, time) => `${time} ${partNames[part]}`],
+    [word(`(\\d{1,2}(?::\\d{2})?) (?:${oclock})`), (m, time) => `at ${time}`],
+    ...Object.entries(partNames).map(([form, english]) => [word(form), () => english]),
+  ];
+}
+
+const URDU = {
+  normalize: text => text.replace(/ك/g, 'ک').replace(/ي/g, 'ی').replace(/ه(?=\s|$)/g, 'ہ'),
+  numbers: wordsFor([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], [
+    ['ایک'], ['دو'], ['تین'], ['چار'], ['پانچ'], ['چھ', 'چھے'], ['سات'], ['آٹھ'], ['نو'], ['دس'], ['گیارہ'], ['بارہ'],
+  ]),
+  weekdays: wordsFor(WEEKDAYS, [
+    ['پیر', 'سوموار'], ['منگل'], ['بدھ'], ['جمعرات'], ['جمعہ', 'جمعے'], ['سنیچر', 'ہفتے کو', 'ہفتہ کو', 'ہفتے کے دن'], ['اتوار'],
+  ]),
+  months: wordsFor(MONTHS, [
+    ['جنوری'], ['فروری'], ['مارچ'], ['اپریل'], ['مئی'], ['جون'], ['جولائی'], ['اگست'], ['ستمبر'], ['اکتوبر'], ['نومبر'], ['دسمبر'],
+  ]),
+  rules: {
+    before: [
+      [word('آج رات'), () => 'tonight'],
+      [word('پرسوں'), () => 'day after tomorrow'],
+      [word('کل'), () => 'tomorrow'],
+      [word('آج'), () => 'today'],
+    ],
+    dates: (weekday, english) => [
+      [word('اگلے (?:ہفتے|ہفتہ)'), () => 'next week'],
+      [word('(\\d+) (دن|ہفتے|ہفتوں) (?:بعد|میں)'), (m, n, unit) => `in ${n} ${unit === 'دن' ? 'days' : 'weeks'}`],
+      [word(`(?:اگلے|آنے والے) (${weekday})`), (m, day) => `coming ${english(day)}`],
+      [word(`اس (${weekday})`), (m, day) => `this ${english(day)}`],
+    ],
+    times: southAsianTimes({
+      halfPast: 'ساڑھے',
+      quarterPast: 'سوا',
+      quarterTo: 'پونے',
+      oneAndHalf: 'ڈیڑھ',
+      twoAndHalf: 'ڈھائی',
+      oclock: 'بجے',
+      parts: { 'صبح': 'in the morning', 'دوپہر': 'in the afternoon', 'سہ پہر': 'in the afternoon', 'شام': 'in the evening', 'رات': 'in the evening' },
+    }),
+  },
+};
+
+const HINDI = {
+  normalize: text => text.normalize('NFC'),
+  numbers: wordsFor([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], [
+    ['एक'], ['दो'], ['तीन'], ['चार'], ['पांच', 'पाँच'], ['छह', 'छः', 'छे'], ['सात'], ['आठ'], ['नौ'], ['दस'], ['ग्यारह'], ['बारह'],
+  ]),
+  weekdays: wordsFor(WEEKDAYS, [
+    ['सोमवार'], ['मंगलवार'], ['बुधवार'], ['गुरुवार', 'बृहस्पतिवार'], ['शुक्रवार'], ['शनिवार'], ['रविवार', 'इतवार'],
+  ]),
+  months: wordsFor(MONTHS, [
+    ['जनवरी'], ['फरवरी', 'फ़रवरी'], ['मार्च'], ['अप्रैल'], ['मई'], ['जून'], ['जुलाई'], ['अगस्त'],
+    ['सितंबर', 'सितम्बर'], ['अक्टूबर', 'अक्तूबर'], ['नवंबर', 'नवम्बर'], ['दिसंबर', 'दिसम्बर'],
+  ]),
+  rules: {
+    before: [
+      [word('आज रात'), () => 'tonight'],
+      [word('परसों'), () => 'day after tomorrow'],
+      [word('कल'), () => 'tomorrow'],
+      [word('आज'), () => 'today'],
+    ],
+    dates: (weekday, english) => [
+      [word('अगले (?:हफ्ते|हफ़्ते|सप्ताह)'), () => 'next week'],
+      [word('(\\d+) (दिन|हफ्ते|हफ़्ते|सप्ताह) (?:बाद|में)'), (m, n, unit) => `in ${n} ${unit === 'दिन' ? 'days' : 'weeks'}`],
+      [word(`(?:अगले|आने वाले) (${weekday})`), (m, day) => `coming ${english(day)}`],
+      [word(`इस (${weekday})`), (m, day) => `this ${english(day)}`],
+    ],
+    times: southAsianTimes({
+      halfPast: 'साढ़े',
+      quarterPast: 'सवा',
+      quarterTo: 'पौने',
+      oneAndHalf: 'डेढ़',
+      twoAndHalf: 'ढाई',
+      oclock: 'बजे',
+      parts: { 'सुबह': 'in the morning', 'दोपहर': 'in the afternoon', 'शाम': 'in the evening', 'रात': 'in the evening' },
+    }),
+  },
+};
+
+const LEXICONS = {
+  es: { ...SPANISH, rules: buildRules(SPANISH) },
+  ar: { ...ARABIC, rules: buildRules(ARABIC) },
+  ur: { ...URDU, rules: buildRules(URDU) },
+  hi: { ...HINDI, rules: buildRules(HINDI) },
+};
+
+// `text` with native digits as 0-9 and the date and time words of
+// `language` in English. English and unknown languages only get the digits.
+export function translateDateWords(text, language) {
+  let result = (text || '').replace(/[٠-٩۰-۹०-९]/g, digit => DIGITS[digit]);
+  const lexicon = LEXICONS[language];
+  if (!lexicon) return result;
+
+  result = lexicon.normalize(result);
+  for (const [pattern, replacement] of lexicon.rules) {
+    result = result.replace(pattern, (...match) => ` ${replacement(...match)} `).replace(/\s+/g, ' ');
+  }
+  return result.trim();
+}
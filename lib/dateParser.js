@@ -0,0 +1,422 @@
+// Deterministic date and time resolver for spoken requests. It runs before
+// the LLM in /api/interpret and overrides or validates the model's date and
+// time fields, so the same words always resolve to the same values.
+//
+// Dates resolve against `today` (a 'YYYY-MM-DD' in the clinic's time zone):
+// - "today", "tomorrow", "the day after tomorrow"
+// - "Friday" / "this Friday" / "coming Friday": the next Friday, today included
+// - "next Friday" / "Friday next week": Friday of the following Monday-start week
+// - "in 3 days", "in two weeks", "a week from tomorrow", "in a fortnight"
+// - "December 5th", "5th of December", "Dec 5 2026": the next such date
+// - "the 3rd": the next 3rd of a month; "2026-12-05"
+//
+// Times resolve to 'HH:MM':
+// - "2 PM", "2:30pm", "14:30", "10.15", "noon", "4 o'clock"
+// - "half past four", "quarter to five", "four fifteen", "eleven thirty", "at 4"
+// - "in the morning/afternoon/evening" picks AM or PM; alone they mean
+//   09:00, 14:00 and 18:00
+// Hours said without AM/PM follow clinic hours: 1-6 are afternoon, 7-11 morning.
+//
+// Arabic, Urdu, Hindi and Spanish requests are first rewritten into these
+// English phrases by lib/dateLexicon.js.
+
+import { addDays, getDayOfWeek, DAYS_OF_WEEK } from './scheduling';
+import { translateDateWords } from './dateLexicon';
+
+const UNITS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50 };
+const ORDINAL_UNITS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19,
+};
+const ORDINAL_TENS = { twentieth: 20, thirtieth: 30 };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_PATTERN = '(monday|tuesday|tues|wednesday|thursday|thurs|friday|saturday|sunday)';
+
+// Part of day said on its own, and the hour range it implies for "at 4 in the ..."
+const PART_OF_DAY_TIMES = { morning: '09:00', afternoon: '14:00', evening: '18:00' };
+
+// Words before a mention that mark it as the date/time being asked for
+// ("move it TO Friday") rather than an existing appointment's
+const TARGET_CUE = /\b(to|for|into|until|till|instead)\s+(?:the\s+|on\s+|at\s+)?$/;
+
+const pad = n => String(n).padStart(2, '0');
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function toDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Spelled-out numbers to digits: "twenty first" -> "21st", "four fifteen" -> "4 15"
+function numbersToDigits(words) {
+  const result = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const next = words[i + 1];
+
+    if (TENS[word] !== undefined && UNITS[next] !== undefined && UNITS[next] > 0 && UNITS[next] < 10) {
+      result.push(String(TENS[word] + UNITS[next]));
+      i++;
+    } else if (TENS[word] !== undefined && ORDINAL_UNITS[next] !== undefined && ORDINAL_UNITS[next] < 10) {
+      result.push(withSuffix(TENS[word] + ORDINAL_UNITS[next]));
+      i++;
+    } else if (TENS[word] !== undefined) {
+      result.push(String(TENS[word]));
+    } else if (ORDINAL_TENS[word] !== undefined) {
+      result.push(withSuffix(ORDINAL_TENS[word]));
+    } else if (ORDINAL_UNITS[word] !== undefined && word !== 'second') {
+      result.push(withSuffix(ORDINAL_UNITS[word]));
+    } else if (word === 'second' && /^(of|\d|$)/.test(next || '')) {
+      // "the second of May", not "just a second"
+      result.push('2nd');
+    } else if (UNITS[word] !== undefined && word !== 'oh') {
+      result.push(String(UNITS[word]));
+    } else if (word === 'oh' && /^\d$|^(one|two|three|four|five|six|seven|eight|nine)$/.test(next || '') && /^\d{1,2}$/.test(result[result.length - 1] || '')) {
+      // "four oh five" -> 4 05
+      result.push(`0${UNITS[next] ?? next}`);
+      i++;
+    } else {
+      result.push(word);
+    }
+  }
+  return result;
+}
+
+function withSuffix(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+// Lowercase, a.m./p.m. folded, punctuation dropped, numbers as digits
+export function normalizeText(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/\ba\.\s?m\.?/g, 'am')
+    .replace(/\bp\.\s?m\.?/g, 'pm')
+    .replace(/o['’]\s?clock/g, 'oclock')
+    .replace(/(\d)\.(\d{2})\b/g, '$1:$2')
+    .replace(/(\d)\s*(am|pm)\b/g, '$1 $2')
+    .replace(/[^a-z0-9:\-\s]/g, ' ')
+    .replace(/(\d{4})-(\d{1,2})-(\d{1,2})/g, '$1_$2_$3')
+    .replace(/-/g, ' ')
+    .replace(/_/g, '-')
+    .split(/\s+/)
+    .filter(Boolean);
+  return numbersToDigits(words).join(' ');
+}
+
+// Next date on or after `today` with this month and day (skipping years where
+// it does not exist, like 29 February)
+function nextMonthDay(today, month, day) {
+  const year = Number(today.slice(0, 4));
+  for (let offset = 0; offset <= 8; offset++) {
+    if (isValidDate(year + offset, month, day)) {
+      const date = toDate(year + offset, month, day);
+      if (date >= today) return date;
+    }
+  }
+  return null;
+}
+
+// Next date on or after `today` that falls on this day of the month
+function nextDayOfMonth(today, day) {
+  let year = Number(today.slice(0, 4));
+  let month = Number(today.slice(5, 7));
+  for (let i = 0; i < 13; i++) {
+    if (isValidDate(year, month, day)) {
+      const date = toDate(year, month, day);
+      if (date >= today) return date;
+    }
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return null;
+}
+
+function weekdayIndex(name) {
+  const full = { tues: 'tuesday', thurs: 'thursday' }[name] || name;
+  return DAYS_OF_WEEK.findIndex(day => day.toLowerCase() === full);
+}
+
+// The weekday on or after today, or in the following week for "next"
+function resolveWeekday(today, name, nextWeek) {
+  const todayIndex = DAYS_OF_WEEK.indexOf(getDayOfWeek(today));
+  const target = weekdayIndex(name);
+  if (nextWeek) {
+    return addDays(today, 7 - todayIndex + target);
+  }
+  return addDays(today, (target - todayIndex + 7) % 7);
+}
+
+function amountOf(word) {
+  return word === 'a' || word === 'an' ? 1 : Number(word);
+}
+
+const DATE_RULES = [
+  {
+    pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g,
+    resolve: (m) => isValidDate(+m[1], +m[2], +m[3]) ? toDate(+m[1], +m[2], +m[3]) : null,
+  },
+  {
+    // "5th of December", "the 5 december 2026"
+    pattern: new RegExp(`\\b(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`, 'g'),
+    resolve: (m, today) => monthDay(today, m[2], +m[1], m[3]),
+  },
+  {
+    // "December 5th", "dec the 5th 2026"
+    pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?\\b(?!\\s*(?:am|pm|oclock|:))`, 'g'),
+    resolve: (m, today) => monthDay(today, m[1], +m[2], m[3]),
+  },
+  {
+    pattern: /\b(?:the\s+)?day after tomorrow\b/g,
+    resolve: (m, today) => addDays(today, 2),
+  },
+  {
+    pattern: /\bin\s+(\d+|a|an)\s+(days?|weeks?|fortnights?)\b/g,
+    resolve: (m, today) => addDays(today, amountOf(m[1]) * unitDays(m[2])),
+  },
+  {
+    pattern: /\b(\d+|a|an)\s+(days?|weeks?)\s+from\s+(now|today|tomorrow)\b/g,
+    resolve: (m, today) => addDays(today, amountOf(m[1]) * unitDays(m[2]) + (m[3] === 'tomorrow' ? 1 : 0)),
+  },
+  {
+    pattern: /\b(today|tonight|tomorrow)\b/g,
+    resolve: (m, today) => addDays(today, m[1] === 'tomorrow' ? 1 : 0),
+  },
+  {
+    // "next week on Friday", "next week Friday"
+    pattern: new RegExp(`\\bnext week\\s+(?:on\\s+)?${WEEKDAY_PATTERN}\\b`, 'g'),
+    resolve: (m, today) => resolveWeekday(today, m[1], true),
+  },
+  {
+    // "Friday", "this Friday", "next Friday", "Friday next week", "Friday after next"
+    pattern: new RegExp(`\\b(?:(this|next|coming|following)\\s+)?${WEEKDAY_PATTERN}(?:\\s+(next week|this week|after next))?\\b`, 'g'),
+    resolve: (m, today) => {
+      if (m[3] === 'after next') return addDays(resolveWeekday(today, m[2], true), 7);
+      const nextWeek = m[1] === 'next' || m[1] === 'following' || m[3] === 'next week';
+      return resolveWeekday(today, m[2], nextWeek);
+    },
+  },
+  {
+    // "the 3rd" (but not "the first one" when choosing from a list)
+    pattern: /\b(?:on\s+)?the\s+(\d{1,2})(st|nd|rd|th)\b(?!\s+(?:1|one|option|choice|appointment)\b)/g,
+    resolve: (m, today) => nextDayOfMonth(today, +m[1]),
+  },
+];
+
+function unitDays(unit) {
+  if (unit.startsWith('fortnight')) return 14;
+  return unit.startsWith('week') ? 7 : 1;
+}
+
+function monthDay(today, monthName, day, year) {
+  const month = MONTHS.findIndex(name => name.startsWith(monthName.slice(0, 3))) + 1;
+  if (year) return isValidDate(+year, month, day) ? toDate(+year, month, day) : null;
+  return nextMonthDay(today, month, day);
+}
+
+// 24-hour 'HH:MM' from an hour, minutes and what is known about AM/PM
+function toTime(hour, minutes, meridiem) {
+  if (hour > 23 || minutes > 59) return null;
+  let h = hour;
+  if (meridiem === 'am' || meridiem === 'morning') {
+    if (h > 12) return null;
+    if (h === 12) h = 0;
+  } else if (meridiem === 'pm' || meridiem === 'afternoon' || meridiem === 'evening' || meridiem === 'tonight') {
+    if (h > 12) return null;
+    if (h < 12) h += 12;
+  } else if (h >= 1 && h <= 6) {
+    // No AM/PM: clinic hours
+    h += 12;
+  }
+  return `${pad(h)}:${pad(minutes)}`;
+}
+
+// "am", "pm", "in the afternoon", "tonight" just after a time
+const MERIDIEM = '(?:\\s+(am|pm|oclock|in the (?:morning|afternoon|evening)|tonight))?';
+
+function meridiemOf(word) {
+  if (!word || word === 'oclock') return null;
+  return word.replace('in the ', '');
+}
+
+const TIME_RULES = [
+  {
+    pattern: /\b(noon|midday)\b/g,
+    resolve: () => '12:00',
+  },
+  {
+    pattern: /\bmidnight\b/g,
+    resolve: () => '00:00',
+  },
+  {
+    // "half past 4", "quarter to 5", "10 past 3"
+    pattern: new RegExp(`\\b(half|quarter|a quarter|\\d{1,2})(?:\\s+minutes)?\\s+(past|after|to|before)\\s+(\\d{1,2})\\b${MERIDIEM}`, 'g'),
+    resolve: (m) => {
+      const minutes = m[1] === 'half' ? 30 : m[1].endsWith('quarter') ? 15 : Number(m[1]);
+      if (m[1] === 'half' && /to|before/.test(m[2])) return null;
+      const hour = Number(m[3]);
+      const meridiem = meridiemOf(m[4]);
+      if (/past|after/.test(m[2])) return toTime(hour, minutes, meridiem);
+      const previousHour = hour === 1 ? 12 : hour === 0 ? 23 : hour - 1;
+      return toTime(previousHour, 60 - minutes, meridiem || (hour >= 1 && hour <= 6 ? 'pm' : null));
+    },
+  },
+  {
+    // "14:30", "2:30 pm"
+    pattern: new RegExp(`\\b(\\d{1,2}):(\\d{2})\\b${MERIDIEM}`, 'g'),
+    resolve: (m) => {
+      const hour = Number(m[1]);
+      const minutes = Number(m[2]);
+      const meridiem = meridiemOf(m[3]);
+      if (meridiem) return toTime(hour, minutes, meridiem);
+      // Written 24-hour times ("09:30", "14:30") are taken as they are
+      if (m[1].length === 2 || hour === 0) return hour <= 23 && minutes <= 59 ? `${pad(hour)}:${pad(minutes)}` : null;
+      return toTime(hour, minutes, null);
+    },
+  },
+  {
+    // "4 15 pm", "at 4 30"
+    pattern: /\b(?:at\s+)?(\d{1,2})\s+(\d{2})\s+(am|pm)\b|\bat\s+(\d{1,2})\s+(\d{2})\b(?!\s*(?:st|nd|rd|th))/g,
+    resolve: (m) => m[1]
+      ? toTime(Number(m[1]), Number(m[2]), m[3])
+      : toTime(Number(m[4]), Number(m[5]), null),
+  },
+  {
+    // "four fifteen", "eleven thirty", "four oh five": an hour then two-digit
+    // minutes, with no "at" or am/pm (those are handled above)
+    pattern: /\b(1[0-2]|[1-9])\s+([0-5]\d)\b(?!\s*(?:st|nd|rd|th|minutes?|mins?|hours?|days?|weeks?|of)\b)/g,
+    resolve: (m) => toTime(Number(m[1]), Number(m[2]), null),
+  },
+  {
+    // "2 pm", "4 oclock", "9 in the morning"
+    pattern: /\b(\d{1,2})\s+(am|pm|oclock|in the (?:morning|afternoon|evening)|tonight)\b/g,
+    resolve: (m) => toTime(Number(m[1]), 0, meridiemOf(m[2])),
+  },
+  {
+    // "at 4"
+    pattern: /\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th|:|\d))/g,
+    resolve: (m) => toTime(Number(m[1]), 0, null),
+  },
+  {
+    // "in the morning" on its own
+    pattern: /(?<!good\s)\b(?:in the\s+)?(morning|afternoon|evening)\b/g,
+    resolve: (m) => PART_OF_DAY_TIMES[m[1]],
+  },
+];
+
+// Apply rules in order; earlier rules claim their text so later, looser rules
+// cannot match inside it
+function collect(text, rules, today) {
+  const claimed = [];
+  const mentions = [];
+
+  for (const rule of rules) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+      const value = rule.resolve(match, today);
+      if (!value) continue;
+
+      claimed.push([start, end]);
+      mentions.push({
+        value,
+        text: match[0].trim(),
+        index: start,
+        isTarget: TARGET_CUE.test(text.slice(Math.max(0, start - 20), start)),
+      });
+    }
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// Every date and time mentioned, in the order spoken:
+// { dates: [{ value, text, index, isTarget }], times: [...] }
+// `language` is the code the request was spoken in (lib/languages.js).
+export function parseDateTimeMentions(text, { today, language = 'en' }) {
+  const normalized = normalizeText(translateDateWords(text, language));
+  const dates = collect(normalized, DATE_RULES, today);
+
+  // Date phrases cannot double as times ("the 5th", "december 5")
+  let timeText = normalized;
+  for (const mention of dates) {
+    timeText = timeText.slice(0, mention.index) + ' '.repeat(mention.text.length) + timeText.slice(mention.index + mention.text.length);
+  }
+  const times = collect(timeText, TIME_RULES, today);
+
+  // A part of day that qualified a time ("4 in the afternoon") is not a second time
+  const explicitTimes = times.filter(t => !/^(in the\s+)?(morning|afternoon|evening)$/.test(t.text));
+  return { dates, times: explicitTimes.length > 0 ? explicitTimes : times };
+}
+
+// The requested value among several mentions: one cued by "to"/"for" wins,
+// then the LLM's choice if it was mentioned, then the last one said
+function pickNew(llmNew, mentions, targets) {
+  if (targets.length > 0) return targets[targets.length - 1].value;
+  return mentions.some(m => m.value === llmNew) ? llmNew : mentions[mentions.length - 1].value;
+}
+
+// The value for one field pair (date/existingDate or time/existingTime) given
+// what the LLM said and what was parsed. Parsed mentions win; the LLM's value
+// is kept only when it agrees with one of them, or nothing was parsed.
+function reconcileField(intent, llmNew, llmExisting, mentions) {
+  if (mentions.length === 0) return { value: llmNew, existing: llmExisting, source: 'llm' };
+
+  const values = mentions.map(m => m.value);
+  const targets = mentions.filter(m => m.isTarget);
+
+  if (intent === 'cancel') {
+    const existing = values.includes(llmExisting) ? llmExisting : values[0];
+    return { value: null, existing, source: 'parser' };
+  }
+
+  if (intent === 'reschedule') {
+    if (mentions.length === 1) {
+      const [only] = mentions;
+      if (only.isTarget || llmNew === only.value || (llmNew && llmExisting !== only.value)) {
+        return { value: only.value, existing: llmExisting === only.value ? null : llmExisting, source: 'parser' };
+      }
+      return { value: llmNew, existing: only.value, source: 'parser' };
+    }
+    const value = pickNew(llmNew, mentions, targets);
+    const existing = values.includes(llmExisting) && llmExisting !== value
+      ? llmExisting
+      : values.find(v => v !== value) || null;
+    return { value, existing, source: 'parser' };
+  }
+
+  return { value: pickNew(llmNew, mentions, targets), existing: llmExisting, source: 'parser' };
+}
+
+// Override or confirm the LLM's date/time fields with the parsed mentions.
+// Returns the corrected fields and where each came from ('parser' or 'llm').
+export function reconcileDateTime(extracted, mentions) {
+  const date = reconcileField(extracted.intent, extracted.date, extracted.existingDate, mentions.dates);
+  const time = reconcileField(extracted.intent, extracted.time, extracted.existingTime, mentions.times);
+
+  return {
+    date: date.value,
+    existingDate: date.existing,
+    time: time.value,
+    existingTime: time.existing,
+    sources: { date: date.source, time: time.source },
+  };
+}
@@ -0,0 +1,971 @@
+// The booking conversation as a server-side state machine, shared by every
+// channel (the voice assistant today; SMS or a phone line could send the same
+// turns). A conversation is a plain, JSON-serialisable state object; each turn
+// takes the patient's words and returns what to say next. Everything outside
+// the conversation (interpretation, availability, booking) goes through the
+// `services` passed in, so the engine can be driven by the lib functions
+// behind the API routes in production (lib/dialogueServices.js) or by stubs
+// in tests (tests/dialogue.test.js).
+//
+// Stages: asking_doctor -> [choosing_doctor] -> asking_date -> asking_time
+// -> [offering_slots] -> confirming -> completed, with choosing_appointment
+// for cancel and reschedule. When red-flag symptoms come up the patient is
+// given the emergency advisory and asked whether to book anyway
+// (confirming_emergency); declining ends the conversation in emergency.
+//
+// services: {
+//   interpret({ text, language })            -> /api/interpret result
+//   checkAvailability(params)                -> /api/patient/check-availability result
+//   nextAvailable(params)                    -> /api/patient/next-available result
+//   generateResponse({ context, language })  -> text
+//   listAppointments()                       -> the patient's appointments
+//   book(payload)                            -> /api/book result
+//   cancelAppointment({ appointmentId })
+//   rescheduleAppointment({ appointmentId, date, time })
+// }
+// Refused calls throw an error whose `refusal` is the refusal the route would
+// send: { status, error, reason?, message?, ... }.
+
+import { findMatchingAppointments, describeAppointment } from './appointments';
+import { pickCandidate } from './doctorMatcher';
+import { maxUrgency, DEFAULT_URGENCY } from './triage';
+import { phrase, joinList } from './phrases';
+import { AUTO_LANGUAGE, DEFAULT_LANGUAGE, resolveLanguage, detectLanguage, getLocale } from './languages';
+
+// mode is 'book', 'reschedule' or 'cancel'; appointment is the existing
+// appointment being changed and candidates the ones still to choose between.
+// doctorId is set once the doctor is known for sure; doctorCandidates are the
+// doctors offered in a "did you mean" question. reason, symptoms and urgency
+// collect what the patient says about why they want to be seen.
+// confidence is the lowest /api/interpret confidence among the answers the
+// booking was built from, recorded with the appointment.
+// acknowledgedEmergency is set once the patient has heard the emergency
+// advisory and still wants to book; emergencyResume is where to carry on
+// when they do: { stage, text, message }.
+export const INITIAL_CONVERSATION_DATA = {
+  mode: 'book',
+  doctor: null,
+  doctorId: null,
+  doctorCandidates: [],
+  schedule: null,
+  date: null,
+  time: null,
+  reason: null,
+  symptoms: [],
+  urgency: DEFAULT_URGENCY,
+  confidence: null,
+  acknowledgedEmergency: false,
+  emergencyResume: null,
+  appointment: null,
+  candidates: [],
+  requestedChange: null,
+  availableSlots: [],
+  suggestedSlots: []
+};
+
+// Stages after which the conversation takes no more turns
+export const FINAL_STAGES = ['completed', 'emergency'];
+
+// Ordinals in every supported language. \b only works around ASCII words,
+// so the other scripts are matched as plain substrings.
+const LAST = /\blast\b|[uú]ltim[oa]|الأخير|آخری|आखिरी|अंतिम/;
+const ORDINALS = [
+  /\b(first|one|1|primer[oa]?|uno)\b|الأول|پہلا|पहला|पहले/,
+  /\b(second|two|2|segund[oa]|dos)\b|الثاني|دوسرا|दूसरा|दूसरे/,
+  /\b(third|three|3|tercer[oa]?|tres)\b|الثالث|تیسرا|तीसरा|तीसरे/,
+];
+
+// Yes and no beyond English, as whole words ("no" is also Spanish)
+const YES_WORDS = /(^|\s)(s[ií]|claro|vale|de acuerdo|نعم|أجل|حسنا|ہاں|ٹھیک ہے|हाँ|हां|ठीक है)($|\s)/;
+const NO_WORDS = /(^|\s)(ninguno|ninguna|otro|otra|لا|كلا|نہیں|کوئی اور|नहीं|नही|कोई और)($|\s)/;
+
+// English yes and no, as whole words. A negated yes ("not right", "don't
+// confirm", "not sure") is a no.
+const YES = /\b(yes|yeah|yep|sure|okay|ok|correct|right|that works|sounds good|confirm|go ahead)\b/;
+const NO = /\b(no|not|nope|nah|never|wrong|different|another|change|dont|cant|wont|didnt|doesnt|isnt)\b|n['’]t\b/;
+const NEGATED = /(\b(not|never|dont|cant|wont|didnt|doesnt|isnt)\b|n['’]t\b)(\s+\S+){0,2}/g;
+
+// Lower case without punctuation, including Arabic and Devanagari marks
+function normalizeReply(text) {
+  return text.toLowerCase().replace(/[.,!?،؟।]/g, '').trim();
+}
+
+// 'yes', 'no', or null when a reply says neither or both ("yes, no, wait").
+// Negation is read first, so "No, that's not right" is a no although it
+// contains "right".
+function yesOrNo(text) {
+  const answer = normalizeReply(text);
+  const saysNo = NO.test(answer) || NO_WORDS.test(answer);
+  const saysYes = YES.test(answer.replace(NEGATED, ' ')) || YES_WORDS.test(answer);
+  if (saysNo === saysYes) return null;
+  return saysNo ? 'no' : 'yes';
+}
+
+// "the first one", "number two", "the last one" -> the matching item, or null
+function pickByOrdinal(text, items) {
+  const lowerText = text.toLowerCase();
+  if (LAST.test(lowerText)) return items[items.length - 1] || null;
+
+  // The last match wins: "the second one" also contains "one"
+  const idx = ORDINALS.findLastIndex(pattern => pattern.test(lowerText));
+  return idx !== -1 ? items[idx] || null : null;
+}
+
+// The option the patient picked from quickReplies(), if they used one
+function chosenOption(turn, items) {
+  return Number.isInteger(turn.choice) ? items[turn.choice] || null : null;
+}
+
+// '2025-12-05' -> 'Friday, December 5' (or 'viernes, 5 de diciembre' in Spanish)
+function formatSpokenDate(date, language = DEFAULT_LANGUAGE) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(getLocale(language), {
+    weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// The language to speak and interpret in: the patient's choice, else the
+// language of their first answer, else the language their device prefers
+export function conversationLanguage(state) {
+  if (state.language !== AUTO_LANGUAGE) return state.language;
+  return state.detectedLanguage || state.fallbackLanguage || DEFAULT_LANGUAGE;
+}
+
+// A new conversation, greeting the patient. `language` is a supported code or
+// 'auto'; `fallbackLanguage` (e.g. the browser's) is used until one is heard.
+export function startConversation({ id, patientId = null, language = AUTO_LANGUAGE, fallbackLanguage = null } = {}) {
+  const state = {
+    id,
+    patientId,
+    language: resolveLanguage(language) || AUTO_LANGUAGE,
+    detectedLanguage: null,
+    fallbackLanguage: resolveLanguage(fallbackLanguage),
+    stage: 'asking_doctor',
+    data: INITIAL_CONVERSATION_DATA,
+    history: [],
+    result: null,
+    error: null,
+  };
+
+  const turn = createTurn(state, null);
+  reply(turn, say(turn, 'greeting'));
+  return finishTurn(turn);
+}
+
+// Pick a saved conversation up again (after the patient closed the assistant
+// or reloaded the page): welcome them back and repeat the last question.
+export function resumeConversation(state) {
+  const turn = createTurn({ ...state, error: null }, null);
+  const lastPrompt = state.history.findLast(entry => entry.speaker === 'bot');
+
+  reply(turn, say(turn, 'welcome_back'));
+  reply(turn, lastPrompt?.text || say(turn, 'greeting'));
+  return finishTurn(turn);
+}
+
+// One patient turn. `language` is the language the words were heard in (from
+// transcription), if known; typed text is recognised from its words. The
+// first language heard in auto mode is kept.
+// `choice` is the index of a quick reply the patient picked, whose label is
+// passed as `text`.
+// Returns { state, replies, listen }: listen is false when the patient
+// should not be asked for anything more (the conversation ended, or a
+// booking failed and they need to start over or close).
+export async function takeTurn(previousState, { text, language = null, choice = null }, services) {
+  const state = { ...previousState, error: null };
+  const turn = { ...createTurn(state, services), choice };
+
+  if (FINAL_STAGES.includes(state.stage)) {
+    turn.listen = false;
+    return finishTurn(turn);
+  }
+
+  if (state.language === AUTO_LANGUAGE && !state.detectedLanguage) {
+    state.detectedLanguage = resolveLanguage(language) || detectLanguage(text);
+  }
+
+  state.history = [...state.history, { speaker: 'user', text, timestamp: Date.now() }];
+  await handleUserResponse(turn, text);
+  return finishTurn(turn);
+}
+
+// Answers the patient can pick instead of typing, for channels with buttons:
+// [{ label, choice? }]. Send the label as the turn's text, with its `choice`.
+export function quickReplies(state) {
+  const language = conversationLanguage(state);
+  const { data } = state;
+
+  switch (state.stage) {
+    case 'offering_slots':
+      return data.suggestedSlots.map((slot, idx) => {
+        const time = slot.time.slice(0, 5);
+        const label = slot.date
+          ? phrase('date_at_time', language, { date: formatSpokenDate(slot.date, language), time })
+          : time;
+        return { label, choice: idx };
+      });
+    case 'choosing_doctor':
+      return data.doctorCandidates.map((candidate, idx) => ({
+        label: candidate.specialty ? `${candidate.name} (${candidate.specialty})` : candidate.name,
+        choice: idx
+      }));
+    case 'choosing_appointment':
+      return data.candidates.map((appointment, idx) => ({
+        label: describeAppointment(appointment, language),
+        choice: idx
+      }));
+    case 'confirming':
+    case 'confirming_emergency':
+      return [{ label: phrase('yes', language) }, { label: phrase('no', language) }];
+    default:
+      return [];
+  }
+}
+
+// Switch the language mid-conversation ('auto' to follow the patient again)
+export function setConversationLanguage(state, language) {
+  const setting = resolveLanguage(language) || AUTO_LANGUAGE;
+  if (setting === state.language) return state;
+  return { ...state, language: setting, detectedLanguage: null };
+}
+
+function createTurn(state, services) {
+  return { state, services, replies: [], listen: true };
+}
+
+function finishTurn(turn) {
+  const listen = turn.listen && !FINAL_STAGES.includes(turn.state.stage);
+  return { state: turn.state, replies: turn.replies, listen };
+}
+
+function say(turn, key, params) {
+  return phrase(key, conversationLanguage(turn.state), params);
+}
+
+function spokenDate(turn, date) {
+  return formatSpokenDate(date, conversationLanguage(turn.state));
+}
+
+// The availability and booking routes write their messages in English;
+// other languages get our own phrase instead
+function routeMessage(turn, message, key, params) {
+  return (conversationLanguage(turn.state) === DEFAULT_LANGUAGE && message) || say(turn, key, params);
+}
+
+function reply(turn, text) {
+  turn.replies.push(text);
+  turn.state.history = [...turn.state.history, { speaker: 'bot', text, timestamp: Date.now() }];
+}
+
+function setStage(turn, stage) {
+  turn.state.stage = stage;
+}
+
+function updateData(turn, changes) {
+  turn.state.data = { ...turn.state.data, ...changes };
+}
+
+// How the availability routes should find the current doctor
+function doctorLookupParams(turn) {
+  const { doctorId, doctor } = turn.state.data;
+  return doctorId ? { doctorId } : { doctorName: doctor };
+}
+
+async function handleUserResponse(turn, text) {
+  try {
+    switch (turn.state.stage) {
+      case 'asking_doctor':
+        await handleDoctorResponse(turn, text);
+        break;
+
+      case 'asking_date':
+        await handleDateResponse(turn, text);
+        break;
+
+      case 'asking_time':
+        await handleTimeResponse(turn, text);
+        break;
+
+      case 'choosing_appointment':
+        await handleAppointmentChoice(turn, text);
+        break;
+
+      case 'choosing_doctor':
+        await handleDoctorChoice(turn, text);
+        break;
+
+      case 'offering_slots': {
+        // Suggestions from the next-available search carry their own date
+        const { suggestedSlots } = turn.state.data;
+        const pickedSlot = chosenOption(turn, suggestedSlots) || pickByOrdinal(text, suggestedSlots);
+        const answer = yesOrNo(text);
+        if (answer === 'yes' || pickedSlot) {
+          // User accepted a suggested slot - default to the first one. It is
+          // read back for a final yes like any other time.
+          const suggestion = pickedSlot || suggestedSlots[0];
+          if (suggestion?.time) {
+            const date = suggestion.date || turn.state.data.date;
+            updateData(turn, { time: suggestion.time, date });
+            askToConfirm(turn);
+          } else {
+            // Fallback if no suggestions found (shouldn't happen)
+            reply(turn, say(turn, 'which_time'));
+            setStage(turn, 'asking_time');
+          }
+        } else if (answer === 'no') {
+          // User wants a different time, or a different date if we offered other days
+          const offeredOtherDates = suggestedSlots.some(slot => slot.date);
+          reply(turn, say(turn, offeredOtherDates ? 'which_date_instead' : 'which_time_instead'));
+          setStage(turn, offeredOtherDates ? 'asking_date' : 'asking_time');
+        } else {
+          // Try to extract a time from their response
+          await handleTimeResponse(turn, text);
+        }
+        break;
+      }
+
+      case 'confirming_emergency': {
+        const answer = yesOrNo(text);
+        if (answer) {
+          await handleEmergencyAnswer(turn, answer === 'yes');
+        } else {
+          askYesOrNoAgain(turn, say(turn, 'emergency_book_anyway'));
+        }
+        break;
+      }
+
+      case 'confirming': {
+        const answer = yesOrNo(text);
+        if (answer === 'yes') {
+          await confirmBooking(turn);
+        } else if (answer === 'no') {
+          reply(turn, say(turn, 'start_over'));
+          updateData(turn, INITIAL_CONVERSATION_DATA);
+          setStage(turn, 'asking_doctor');
+        } else {
+          askYesOrNoAgain(turn, confirmationQuestion(turn));
+        }
+        break;
+      }
+
+      default:
+        console.warn('Unknown conversation stage:', turn.state.stage);
+    }
+  } catch (error) {
+    console.error('Error in handleUserResponse:', error);
+    reply(turn, say(turn, 'trouble_processing'));
+  }
+}
+
+// Keep what the patient says about why they want to be seen. When it
+// sounds like an emergency, give the advisory and ask whether to book anyway,
+// unless the patient already said yes to that. `text` is what they said, to
+// be handled again if they do. Returns true when the question was asked.
+function noteVisitDetails(turn, data, text = null) {
+  const previous = turn.state.data;
+  if (data.emergency && !previous.acknowledgedEmergency) {
+    const { message } = data.emergency;
+    updateData(turn, { emergencyResume: { stage: turn.state.stage, text, message } });
+    reply(turn, `${message} ${say(turn, 'emergency_book_anyway')}`);
+    setStage(turn, 'confirming_emergency');
+    return true;
+  }
+
+  updateData(turn, {
+    reason: previous.reason || data.reason || null,
+    symptoms: [...new Set([...previous.symptoms, ...(data.symptoms || [])])],
+    urgency: maxUrgency(previous.urgency, data.urgency),
+    confidence: typeof data.confidence === 'number'
+      ? Math.min(previous.confidence ?? 1, data.confidence)
+      : previous.confidence
+  });
+  return false;
+}
+
+// A reply to a yes/no question that was neither (or both): ask `question` again
+function askYesOrNoAgain(turn, question) {
+  reply(turn, `${say(turn, 'yes_or_no')} ${question}`);
+}
+
+// The answer to "Do you still want me to book?" after the emergency advisory.
+// Yes picks the conversation up where the red flag came up; no ends it.
+async function handleEmergencyAnswer(turn, bookAnyway) {
+  const { emergencyResume } = turn.state.data;
+  if (!bookAnyway) {
+    turn.state.error = emergencyResume.message;
+    reply(turn, say(turn, 'emergency_not_booked'));
+    setStage(turn, 'emergency');
+    return;
+  }
+
+  updateData(turn, { acknowledgedEmergency: true, emergencyResume: null });
+  setStage(turn, emergencyResume.stage);
+  // The yes/no quick reply is not an answer to the resumed question
+  turn.choice = null;
+  if (emergencyResume.text === null) {
+    // /api/book raised it, with every detail already agreed
+    await confirmBooking(turn);
+  } else {
+    await handleUserResponse(turn, emergencyResume.text);
+  }
+}
+
+// Explain a field /api/interpret could not use ("That date has already
+// passed.") and ask for it again. Returns false when there is no issue.
+function askAboutIssue(turn, issues, field, question) {
+  const issue = (issues || []).find(i => i.field === field);
+  if (!issue) return false;
+
+  reply(turn, `${issue.message} ${question}`);
+  return true;
+}
+
+function interpret(turn, text) {
+  return turn.services.interpret({ text, language: conversationLanguage(turn.state) });
+}
+
+async function handleDoctorResponse(turn, text) {
+  try {
+    const data = await interpret(turn, text);
+
+    if (noteVisitDetails(turn, data, text)) return;
+
+    if (data.intent === 'cancel' || data.intent === 'reschedule') {
+      await handleAppointmentChange(turn, data);
+      return;
+    }
+
+    if (!data.doctor && !data.speciality) {
+      reply(turn, say(turn, 'doctor_not_heard'));
+      return;
+    }
+
+    // Validate doctor existence and get schedule immediately
+    let check;
+    try {
+      check = await turn.services.checkAvailability({
+        doctorName: data.doctor || undefined,
+        specialty: data.speciality || undefined,
+        language: conversationLanguage(turn.state)
+      });
+    } catch (validationError) {
+      console.error('Doctor validation error:', validationError);
+      reply(turn, say(turn, 'doctor_check_failed'));
+      return;
+    }
+
+    // Several doctors fit the name or specialty: ask which one
+    if (check.reason === 'ambiguous_doctor') {
+      askWhichDoctor(turn, check.candidates, check.message);
+      return;
+    }
+
+    if (check.available === false) {
+      reply(turn, data.doctor
+        ? say(turn, 'doctor_not_found', { doctor: data.doctor })
+        : say(turn, 'specialty_not_found', { specialty: data.speciality }));
+      return;
+    }
+
+    await presentDoctor(turn, check.doctorId, check.doctorName || data.doctor, check.schedule);
+  } catch (error) {
+    console.error('Error in handleDoctorResponse:', error);
+    reply(turn, say(turn, 'doctor_not_heard'));
+  }
+}
+
+// The doctor is settled: remember them and present their weekly schedule
+async function presentDoctor(turn, doctorId, doctorName, schedule) {
+  updateData(turn, { doctor: doctorName, doctorId, doctorCandidates: [], schedule });
+
+  // Generate a receptionist-style response presenting the schedule
+  try {
+    const response = await turn.services.generateResponse({
+      context: { doctor: doctorName, schedule, type: 'schedule_presentation' },
+      language: conversationLanguage(turn.state)
+    });
+    reply(turn, response);
+  } catch (llmError) {
+    console.error('LLM generation failed:', llmError);
+    reply(turn, say(turn, 'doctor_chosen', { doctor: doctorName }));
+  }
+  setStage(turn, 'asking_date');
+}
+
+// "Did you mean Dr. Sarah Khan in cardiology or Dr. Samir Khan in dermatology?"
+function askWhichDoctor(turn, candidates, question) {
+  updateData(turn, { doctorId: null, doctorCandidates: candidates });
+  reply(turn, question);
+  setStage(turn, 'choosing_doctor');
+}
+
+async function handleDoctorChoice(turn, text) {
+  const { doctorCandidates, mode, date, time } = turn.state.data;
+  // Names first: "the cardiology one" is not "one"
+  const choice = chosenOption(turn, doctorCandidates)
+    || pickCandidate(text, doctorCandidates)
+    || pickByOrdinal(text, doctorCandidates);
+
+  if (!choice) {
+    if (/\b(neither|none|no|nope|someone else|different)\b/i.test(text) || NO_WORDS.test(normalizeReply(text))) {
+      updateData(turn, { doctor: null, doctorCandidates: [] });
+      reply(turn, say(turn, 'ask_doctor_again'));
+      setStage(turn, 'asking_doctor');
+      return;
+    }
+
+    reply(turn, say(turn, 'which_doctor'));
+    return;
+  }
+
+  // The booking was already complete when it turned out to be ambiguous
+  if (mode === 'book' && date && time) {
+    updateData(turn, { doctor: choice.name, doctorId: choice.id, doctorCandidates: [] });
+    await checkAvailability(turn, choice.name, date, time);
+    return;
+  }
+
+  let schedule = [];
+  try {
+    const check = await turn.services.checkAvailability({ doctorId: choice.id });
+    schedule = check.schedule;
+  } catch (err) {
+    console.error('Doctor schedule lookup failed:', err);
+  }
+  await presentDoctor(turn, choice.id, choice.name, schedule);
+}
+
+async function handleDateResponse(turn, text) {
+  const data = await interpret(turn, text);
+
+  if (noteVisitDetails(turn, data, text)) return;
+  if (askAboutIssue(turn, data.issues, 'date', say(turn, 'which_date'))) return;
+
+  if (!data.date) {
+    reply(turn, say(turn, 'date_not_understood'));
+    return;
+  }
+
+  // Validate date availability immediately
+  const currentData = turn.state.data;
+  let check;
+  try {
+    check = await turn.services.checkAvailability({ ...doctorLookupParams(turn), date: data.date });
+  } catch (error) {
+    console.error('Date validation error:', error);
+    reply(turn, say(turn, 'date_check_failed'));
+    return;
+  }
+
+  if (check.available === false) {
+    // The doctor does not work that day: let the schedule explain which days they do
+    if (check.reason === 'day_inactive') {
+      try {
+        const response = await turn.services.generateResponse({
+          context: {
+            doctor: currentData.doctor,
+            requestedDate: data.date,
+            reason: 'day_inactive',
+            schedule: currentData.schedule
+          },
+          language: conversationLanguage(turn.state)
+        });
+        reply(turn, response);
+        return; // Stay in asking_date stage
+      } catch (e) {
+        console.error('LLM generation failed', e);
+      }
+    }
+
+    reply(turn, routeMessage(turn, check.message, 'doctor_unavailable_on_date', {
+      doctor: currentData.doctor,
+      date: spokenDate(turn, data.date)
+    }));
+    return; // Stay in asking_date stage
+  }
+
+  // Date is valid, proceed to ask for time
+  updateData(turn, { date: data.date });
+  reply(turn, say(turn, 'date_ok_ask_time'));
+  setStage(turn, 'asking_time');
+}
+
+async function handleTimeResponse(turn, text) {
+  const data = await interpret(turn, text);
+
+  if (noteVisitDetails(turn, data, text)) return;
+  if (askAboutIssue(turn, data.issues, 'time', say(turn, 'which_time'))) return;
+
+  if (!data.time) {
+    reply(turn, say(turn, 'time_not_understood'));
+    return;
+  }
+
+  updateData(turn, { time: data.time });
+  const { doctor, date } = turn.state.data;
+  await checkAvailability(turn, doctor, date, data.time);
+}
+
+async function checkAvailability(turn, doctorName, date, requestedTime) {
+  try {
+    const { mode, appointment } = turn.state.data;
+    const check = await turn.services.checkAvailability({
+      ...doctorLookupParams(turn),
+      date,
+      // When moving an appointment, its current slot should not count as busy
+      excludeAppointmentId: mode === 'reschedule' ? appointment?.id : undefined
+    });
+
+    const { available, slots, message } = check;
+
+    // If doctor was not found or unavailable
+    if (!available && slots.length === 0) {
+      // The doctor does not work that day: use the weekly schedule fetched
+      // when the doctor was chosen so valid days can be suggested
+      if (check.reason === 'day_inactive') {
+        try {
+          const response = await turn.services.generateResponse({
+            context: {
+              doctor: doctorName,
+              requestedDate: date,
+              reason: 'day_inactive',
+              schedule: turn.state.data.schedule
+            },
+            language: conversationLanguage(turn.state)
+          });
+          reply(turn, response);
+          setStage(turn, 'asking_date');
+          return;
+        } catch (e) {
+          console.error('LLM fail', e);
+        }
+      }
+
+      // The doctor has time off on this date; offer the next openings
+      if (check.reason === 'day_blocked') {
+        await offerNextAvailable(turn, date, routeMessage(turn, message && `${message}.`, 'no_slots_on_date', { date: spokenDate(turn, date) }));
+        return;
+      }
+
+      reply(turn, routeMessage(turn, message, 'doctor_not_found_retry', { doctor: doctorName }));
+      setStage(turn, 'asking_doctor');
+      return;
+    }
+
+    const normalizedRequestedTime = requestedTime ? requestedTime.slice(0, 5) : requestedTime;
+    const isTimeAvailable = normalizedRequestedTime && slots.some(s => s.time === normalizedRequestedTime && s.available);
+
+    if (isTimeAvailable) {
+      askToConfirm(turn);
+      return;
+    }
+
+    // Time not available - offer alternatives
+    const availableSlots = slots.filter(s => s.available).slice(0, 3);
+
+    // Nothing left on this date: look ahead instead of asking for dates one at a time
+    if (availableSlots.length === 0) {
+      await offerNextAvailable(turn, date, say(turn, 'no_slots_on_date', { date: spokenDate(turn, date) }));
+      return;
+    }
+
+    // Outside every working window (time off can split the day), or taken
+    const [reqHour, reqMin] = normalizedRequestedTime.split(':').map(Number);
+    const reqTimeVal = reqHour * 60 + reqMin;
+    const windows = check.windows || [check.schedule];
+    const insideWindow = windows.some(w => {
+      const [startHour, startMin] = w.start.split(':').map(Number);
+      const [endHour, endMin] = w.end.split(':').map(Number);
+      return reqTimeVal >= startHour * 60 + startMin && reqTimeVal < endHour * 60 + endMin;
+    });
+    const reason = insideWindow ? 'fully_booked' : 'time_out_of_bounds';
+
+    updateData(turn, { availableSlots: slots, suggestedSlots: availableSlots });
+    setStage(turn, 'offering_slots');
+
+    // Explain why and offer the open slots (/api/generate-response)
+    try {
+      const response = await turn.services.generateResponse({
+        context: {
+          doctor: doctorName,
+          requestedTime,
+          date,
+          reason,
+          schedule: check.schedule,
+          availableSlots: availableSlots.map(s => s.time)
+        },
+        language: conversationLanguage(turn.state)
+      });
+      reply(turn, response);
+    } catch (llmError) {
+      console.error('LLM generation failed:', llmError);
+      const times = joinList(availableSlots.map(s => s.time.slice(0, 5)), conversationLanguage(turn.state));
+      reply(turn, say(turn, 'time_unavailable_offer', { time: requestedTime, times }));
+    }
+  } catch (err) {
+    console.error('Availability check failed:', err);
+    reply(turn, say(turn, 'availability_failed'));
+  }
+}
+
+// "Should I confirm your appointment with ...?": the booking, move or
+// cancellation the patient is asked to say yes to
+function confirmationQuestion(turn) {
+  const { mode, appointment, doctor, date, time } = turn.state.data;
+  if (mode === 'cancel') {
+    return say(turn, 'confirm_cancel', { appointment: describeAppointment(appointment, conversationLanguage(turn.state)) });
+  }
+  return say(turn, mode === 'reschedule' ? 'confirm_move' : 'confirm_booking', {
+    time,
+    doctor,
+    date: spokenDate(turn, date)
+  });
+}
+
+// Read the booking or move back and wait for the patient's yes; nothing is
+// booked or moved before it
+function askToConfirm(turn) {
+  reply(turn, confirmationQuestion(turn));
+  setStage(turn, 'confirming');
+}
+
+// Offer the earliest openings with the current doctor on or after `fromDate`,
+// one per day so the patient hears a spread of dates
+async function offerNextAvailable(turn, fromDate, intro) {
+  const { mode, appointment } = turn.state.data;
+  let suggestions = [];
+  try {
+    const result = await turn.services.nextAvailable({
+      ...doctorLookupParams(turn),
+      from: fromDate,
+      limit: 3,
+      maxPerDay: 1,
+      excludeAppointmentId: mode === 'reschedule' ? appointment?.id : undefined
+    });
+    suggestions = result.slots || [];
+  } catch (err) {
+    console.error('Next available search failed:', err);
+  }
+
+  if (suggestions.length === 0) {
+    reply(turn, `${intro} ${say(turn, 'try_different_date')}`);
+    setStage(turn, 'asking_date');
+    return;
+  }
+
+  updateData(turn, { suggestedSlots: suggestions });
+  const options = joinList(
+    suggestions.map(s => say(turn, 'date_at_time', { date: spokenDate(turn, s.date), time: s.time })),
+    conversationLanguage(turn.state)
+  );
+  reply(turn, `${intro} ${say(turn, 'next_openings', { options })}`);
+  setStage(turn, 'offering_slots');
+}
+
+// "Cancel my dentist appointment" / "Move my Thursday appointment with Dr. Patel to next Monday"
+async function handleAppointmentChange(turn, data) {
+  let appointments = [];
+  try {
+    appointments = (await turn.services.listAppointments()) || [];
+  } catch (err) {
+    console.error('Failed to load appointments:', err);
+    reply(turn, say(turn, 'appointments_load_failed'));
+    return;
+  }
+
+  const matches = findMatchingAppointments(appointments, {
+    doctor: data.doctor,
+    speciality: data.speciality,
+    date: data.existingDate,
+    time: data.existingTime
+  });
+  const requestedChange = { date: data.date, time: data.time };
+
+  if (matches.length === 0) {
+    reply(turn, say(turn, 'no_matching_appointment'));
+    updateData(turn, INITIAL_CONVERSATION_DATA);
+    setStage(turn, 'asking_doctor');
+    return;
+  }
+
+  if (matches.length > 1) {
+    const candidates = matches.slice(0, 3);
+    const options = candidates
+      .map((apt, idx) => `${idx + 1}: ${describeAppointment(apt, conversationLanguage(turn.state))}`)
+      .join('; ');
+    updateData(turn, { mode: data.intent, candidates, requestedChange });
+    reply(turn, say(turn, 'several_appointments', { options }));
+    setStage(turn, 'choosing_appointment');
+    return;
+  }
+
+  await selectAppointmentToChange(turn, matches[0], data.intent, requestedChange);
+}
+
+async function handleAppointmentChoice(turn, text) {
+  const { candidates, mode, requestedChange } = turn.state.data;
+
+  let choice = chosenOption(turn, candidates) || pickByOrdinal(text, candidates);
+
+  if (!choice) {
+    const data = await interpret(turn, text);
+    const matches = findMatchingAppointments(candidates, {
+      doctor: data.doctor,
+      speciality: data.speciality,
+      date: data.existingDate || data.date,
+      time: data.existingTime || data.time
+    });
+    if (matches.length === 1) choice = matches[0];
+  }
+
+  if (!choice) {
+    reply(turn, say(turn, 'which_appointment'));
+    return;
+  }
+
+  await selectAppointmentToChange(turn, choice, mode, requestedChange);
+}
+
+async function selectAppointmentToChange(turn, appointment, mode, requestedChange) {
+  const doctorName = appointment.doctor?.user?.full_name;
+  const summary = describeAppointment(appointment, conversationLanguage(turn.state));
+  turn.state.data = {
+    ...INITIAL_CONVERSATION_DATA,
+    mode,
+    appointment,
+    doctor: doctorName,
+    doctorId: appointment.doctor?.id || appointment.doctor_id || null,
+    date: requestedChange?.date || null
+  };
+
+  if (mode === 'cancel') {
+    askToConfirm(turn);
+    return;
+  }
+
+  if (requestedChange?.date && requestedChange?.time) {
+    updateData(turn, { time: requestedChange.time });
+    await checkAvailability(turn, doctorName, requestedChange.date, requestedChange.time);
+    return;
+  }
+
+  if (requestedChange?.date) {
+    reply(turn, say(turn, 'ask_new_time_on', { date: spokenDate(turn, requestedChange.date) }));
+    setStage(turn, 'asking_time');
+    return;
+  }
+
+  reply(turn, say(turn, 'ask_new_date', { appointment: summary }));
+  setStage(turn, 'asking_date');
+}
+
+// A change the patient asked for could not be made: say why and stop
+// listening, so they can start over or close
+function reportFailure(turn, err, key) {
+  console.error(`${key}:`, err);
+  const errorMsg = routeMessage(turn, err.refusal?.error, key);
+  turn.state.error = errorMsg;
+  reply(turn, errorMsg);
+  turn.listen = false;
+}
+
+async function cancelAppointment(turn) {
+  const { appointment } = turn.state.data;
+  try {
+    await turn.services.cancelAppointment({ appointmentId: appointment.id });
+
+    turn.state.result = {
+      success: true,
+      title: 'Appointment Cancelled',
+      message: 'Your appointment has been cancelled.',
+      appointment: {
+        doctor: appointment.doctor?.user?.full_name,
+        date: appointment.appointment_date,
+        time: appointment.appointment_time.slice(0, 5)
+      }
+    };
+    setStage(turn, 'completed');
+    reply(turn, say(turn, 'cancelled', { appointment: describeAppointment(appointment, conversationLanguage(turn.state)) }));
+  } catch (err) {
+    reportFailure(turn, err, 'cancel_failed');
+  }
+}
+
+async function rescheduleAppointment(turn) {
+  const { appointment, doctor, date, time } = turn.state.data;
+  try {
+    await turn.services.rescheduleAppointment({ appointmentId: appointment.id, date, time });
+
+    turn.state.result = {
+      success: true,
+      title: 'Appointment Rescheduled',
+      message: 'Your appointment has been moved. The doctor will confirm the new time shortly.',
+      appointment: { doctor, date, time }
+    };
+    setStage(turn, 'completed');
+    reply(turn, say(turn, 'rescheduled', { doctor, date: spokenDate(turn, date), time }));
+  } catch (err) {
+    reportFailure(turn, err, 'reschedule_failed');
+  }
+}
+
+async function confirmBooking(turn) {
+  const currentData = turn.state.data;
+
+  if (currentData.mode === 'cancel') {
+    await cancelAppointment(turn);
+    return;
+  }
+
+  if (currentData.mode === 'reschedule') {
+    await rescheduleAppointment(turn);
+    return;
+  }
+
+  const { patientId } = turn.state;
+  if (!currentData.doctor || !currentData.date || !currentData.time || !patientId) {
+    console.error('Missing booking data:', { ...currentData, patientId });
+    reply(turn, say(turn, 'missing_info'));
+    updateData(turn, INITIAL_CONVERSATION_DATA);
+    setStage(turn, 'asking_doctor');
+    return;
+  }
+
+  const payload = {
+    doctor: currentData.doctor,
+    doctorId: currentData.doctorId || undefined,
+    date: currentData.date,
+    time: currentData.time,
+    reason: currentData.reason,
+    symptoms: currentData.symptoms,
+    urgency: currentData.urgency,
+    acknowledgedEmergency: currentData.acknowledgedEmergency,
+    language: conversationLanguage(turn.state),
+    patientId,
+    // The patient said yes when the details were read back; that and the
+    // interpretation's confidence are recorded with the appointment
+    confirmed: true,
+    confidence: currentData.confidence,
+    transcript: turn.state.history
+      .filter(entry => entry.speaker === 'user')
+      .map(entry => entry.text)
+      .join('\n')
+  };
+
+  try {
+    await turn.services.book(payload);
+
+    turn.state.result = { success: true, message: 'Appointment Booked Successfully!', appointment: payload };
+    setStage(turn, 'completed');
+    reply(turn, say(turn, 'booked', { doctor: currentData.doctor, date: spokenDate(turn, currentData.date), time: currentData.time }));
+  } catch (err) {
+    if (err.refusal?.reason === 'ambiguous_doctor') {
+      askWhichDoctor(turn, err.refusal.candidates, err.refusal.message);
+      return;
+    }
+    if (err.refusal?.reason === 'emergency') {
+      noteVisitDetails(turn, { emergency: err.refusal });
+      return;
+    }
+    reportFailure(turn, err, 'booking_failed');
+  }
+}
@@ -0,0 +1,57 @@
+// The services lib/dialogue.js needs, backed by the same lib functions the
+// API routes call, so the conversation gets exactly the validation, doctor
+// matching and booking rules the HTTP routes apply.
+//
+// The lib functions return { status, error, ... } when a request is refused;
+// here that becomes a thrown error whose `refusal` is that object (with
+// `reason`, `message`, `candidates` and so on), for the dialogue to explain.
+
+import { supabase, supabaseAdmin } from './supabase';
+import { interpretTranscript } from './interpreter';
+import { generateResponse } from './responseTemplates';
+import { bookAppointment, DEFAULT_BOOKING_METHOD } from './booking';
+import { checkDoctorAvailability, searchNextAvailable } from './availabilityQueries';
+import { listPatientAppointments, cancelPatientAppointment, reschedulePatientAppointment } from './patientAppointments';
+import { DEFAULT_LANGUAGE, resolveLanguage } from './languages';
+
+const NOT_SIGNED_IN = { status: 401, error: 'Sign in to change your appointments' };
+
+function refused(refusal) {
+  return Object.assign(new Error(refusal.error), { refusal });
+}
+
+// The result of a lib call, or the thrown refusal
+async function unlessRefused(resultPromise) {
+  const result = await resultPromise;
+  if (result.status) throw refused(result);
+  return result;
+}
+
+// Services for one patient request. `userId` is the signed-in patient's
+// auth user id, needed to list, cancel and move their appointments.
+// `bookingMethod` is how the patient took this turn ('voice' or 'chat'),
+// recorded with an appointment it books.
+export function createDialogueServices({ userId = null, bookingMethod = DEFAULT_BOOKING_METHOD } = {}) {
+  // Use supabaseAdmin to bypass RLS if available, as the routes do
+  const dbClient = supabaseAdmin || supabase;
+  const asPatient = change => userId ? unlessRefused(change()) : Promise.reject(refused(NOT_SIGNED_IN));
+
+  return {
+    interpret: ({ text, language }) =>
+      interpretTranscript({ text, language }),
+    checkAvailability: params =>
+      unlessRefused(checkDoctorAvailability(dbClient, params)),
+    nextAvailable: params =>
+      unlessRefused(searchNextAvailable(dbClient, params)),
+    generateResponse: async ({ context, language }) =>
+      (await unlessRefused(generateResponse(context, resolveLanguage(language) || DEFAULT_LANGUAGE))).text,
+    listAppointments: async () =>
+      (await asPatient(() => listPatientAppointments(supabaseAdmin, userId))).appointments,
+    book: payload =>
+      unlessRefused(bookAppointment(dbClient, { ...payload, bookingMethod })),
+    cancelAppointment: ({ appointmentId }) =>
+      asPatient(() => cancelPatientAppointment(supabaseAdmin, userId, { appointmentId })),
+    rescheduleAppointment: ({ appointmentId, date, time }) =>
+      asPatient(() => reschedulePatientAppointment(supabaseAdmin, userId, { appointmentId, date, time })),
+  };
+}
@@ -0,0 +1,304 @@
+// Doctor name resolution shared by booking, availability lookups and the
+// voice assistant. Names are matched locally (titles, typos, sound-alikes,
+// partial names, specialty hints); the LLM is only asked to pick between
+// candidates when the local result is ambiguous.
+
+import { doubleMetaphone } from 'double-metaphone';
+import { completeJson, isLlmConfigured } from './llm';
+import { phrase, joinList } from './phrases';
+import { DEFAULT_LANGUAGE } from './languages';
+
+// Score needed for a doctor to be a candidate at all, and for the best
+// candidate to be accepted without asking the LLM. Either way the best must
+// lead the runner-up by CLEAR_LEAD: closer than that, the patient is asked.
+export const CANDIDATE_SCORE = 0.5;
+export const CONFIDENT_SCORE = 0.8;
+const CLEAR_LEAD = 0.1;
+const MAX_CANDIDATES = 5;
+
+const TITLES = new Set([
+  'dr', 'doctor', 'doc', 'prof', 'professor', 'mr', 'mrs', 'ms', 'miss',
+  'dra', 'doctora', 'د', 'دكتور', 'الدكتور', 'ڈاکٹر', 'डॉ', 'डॉक्टर',
+]);
+
+// Everyday words patients use for a specialty -> stem of the specialty name
+const SPECIALTY_HINTS = {
+  heart: 'cardio',
+  skin: 'dermat',
+  teeth: 'dent',
+  tooth: 'dent',
+  dental: 'dent',
+  child: 'pediatr',
+  children: 'pediatr',
+  kids: 'pediatr',
+  bone: 'ortho',
+  bones: 'ortho',
+  joint: 'ortho',
+  eye: 'ophthal',
+  eyes: 'ophthal',
+  women: 'gyn',
+  brain: 'neuro',
+  nerves: 'neuro',
+  mental: 'psych',
+  family: 'general',
+  gp: 'general',
+};
+
+// 'Dr. José Núñez' -> ['jose', 'nunez'], 'ڈاکٹر احمد رضا' -> ['احمد', 'رضا'].
+// Accents on Latin letters and Arabic short vowels are dropped; Devanagari
+// vowel signs are kept, since they are part of how the name is spelled.
+export function normalizeName(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !TITLES.has(token));
+}
+
+// 'dentist' / 'Dentistry', 'cardiologist' / 'Cardiology', 'heart' / 'Cardiology'
+export function specialtyMatches(specialty, query) {
+  const a = (specialty || '').toLowerCase();
+  const b = (query || '').toLowerCase().trim();
+  if (!a || !b) return false;
+
+  const hint = b.split(/\s+/).map(word => SPECIALTY_HINTS[word]).find(Boolean);
+  if (hint && a.includes(hint)) return true;
+
+  const stemLength = Math.min(5, a.length, b.length);
+  return a.includes(b) || b.includes(a) || a.slice(0, stemLength) === b.slice(0, stemLength);
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function soundsAlike(a, b) {
+  const [primaryA, secondaryA] = doubleMetaphone(a);
+  const [primaryB, secondaryB] = doubleMetaphone(b);
+  return [primaryA, secondaryA].some(code => code && (code === primaryB || code === secondaryB));
+}
+
+// How well one spoken name token fits one name token, 0..1
+function tokenScore(spoken, actual) {
+  if (spoken === actual) return 1;
+  // "Sam" for "Samantha"; too short a prefix is noise
+  if (spoken.length >= 3 && actual.startsWith(spoken)) return 0.85;
+  if (soundsAlike(spoken, actual)) return 0.8;
+
+  const similarity = 1 - editDistance(spoken, actual) / Math.max(spoken.length, actual.length);
+  return similarity >= 0.7 ? similarity * 0.9 : 0;
+}
+
+// How well a spoken name fits a doctor's full name, 0..1: every spoken token
+// is matched to a different name token, so "Khan" fits "Sarah Khan" fully but
+// "Sarah Khan" only half fits "Samir Khan"
+export function scoreName(spoken, fullName) {
+  const spokenTokens = normalizeName(spoken);
+  const nameTokens = normalizeName(fullName);
+  if (spokenTokens.length === 0 || nameTokens.length === 0) return 0;
+
+  const used = new Set();
+  let total = 0;
+  for (const token of spokenTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    nameTokens.forEach((nameToken, index) => {
+      if (used.has(index)) return;
+      const score = tokenScore(token, nameToken);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex !== -1) used.add(bestIndex);
+    total += best;
+  }
+
+  return total / spokenTokens.length;
+}
+
+// 'Sarah Khan' -> 'Dr. Sarah Khan'
+function withTitle(name) {
+  return /^dr\.?\s/i.test(name || '') ? name : `Dr. ${name}`;
+}
+
+// Candidates as a spoken question: "Dr. Sarah Khan in cardiology or Dr. Samir Khan in dermatology"
+export function describeCandidates(candidates, language = DEFAULT_LANGUAGE) {
+  const options = candidates.map(c =>
+    c.specialty
+      ? phrase('candidate_in_specialty', language, { name: withTitle(c.name), specialty: c.specialty.toLowerCase() })
+      : withTitle(c.name)
+  );
+  return joinList(options, language, 'or');
+}
+
+// Which of the offered candidates ({ id, name, specialty }) the patient
+// picked in a reply like "Sarah", "the cardiologist" or "Dr. Samir Khan".
+// Returns null unless exactly one candidate fits best.
+export function pickCandidate(text, candidates) {
+  const words = normalizeName(text);
+  if (words.length === 0) return null;
+
+  const scored = candidates.map(candidate => {
+    // Share of the candidate's name that was said, so a shared surname alone does not decide
+    const nameTokens = normalizeName(candidate.name);
+    const nameScore = nameTokens.length === 0 ? 0 : nameTokens
+      .map(nameToken => Math.max(...words.map(word => tokenScore(word, nameToken))))
+      .reduce((sum, score) => sum + score, 0) / nameTokens.length;
+    // Short words ("in", "the") would match any specialty by substring
+    const saidSpecialty = words.some(word => word.length >= 4 && specialtyMatches(candidate.specialty, word));
+    return { candidate, score: nameScore + (saidSpecialty ? 1 : 0) };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scored;
+  if (!best || best.score < CANDIDATE_SCORE) return null;
+  if (runnerUp && best.score - runnerUp.score < CLEAR_LEAD) return null;
+  return best.candidate;
+}
+
+// Doctors ({ id, specialty, user: { full_name } }) ranked against a spoken
+// name and/or specialty, best first: [{ doctor, score }]. A specialty alone
+// makes every doctor in it a candidate; with a name it only breaks ties.
+export function rankDoctors(doctors, { name, specialty } = {}) {
+  const ranked = (doctors || []).map(doctor => {
+    const fitsSpecialty = specialty ? specialtyMatches(doctor.specialty, specialty) : false;
+    let score;
+    if (name) {
+      score = scoreName(name, doctor.user?.full_name) + (fitsSpecialty ? 0.05 : 0);
+    } else {
+      score = fitsSpecialty ? CANDIDATE_SCORE : 0;
+    }
+    return { doctor, score: Math.min(1, Math.round(score * 100) / 100) };
+  });
+
+  return ranked
+    .filter(candidate => candidate.score >= CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score || (a.doctor.user?.full_name || '').localeCompare(b.doctor.user?.full_name || ''));
+}
+
+// Every doctor with the fields the matcher and the booking routes need
+export async function fetchDoctorDirectory(dbClient) {
+  const { data, error } = await dbClient
+    .from('doctors')
+    .select(`
+      id,
+      user_id,
+      specialty,
+      time_zone,
+      user:users!inner(full_name)
+    `);
+
+  if (error) throw error;
+  return data || [];
+}
+
+const LLM_PICK_SCHEMA = {
+  type: 'object',
+  required: ['match_id', 'confidence'],
+  properties: {
+    match_id: { type: ['string', 'null'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+// Ask the LLM which of a few candidates the patient meant.
+// Returns the chosen doctor or null; failures are logged and treated as no pick.
+async function pickWithLlm(name, candidates) {
+  if (!isLlmConfigured()) return null;
+
+  const doctorList = candidates.map(({ doctor }) => ({
+    id: doctor.id,
+    name: doctor.user.full_name,
+    specialty: doctor.specialty
+  }));
+
+  const systemPrompt = `You are an intelligent fuzzy matching assistant. Match the user's input name to one of these doctors, or to none.
+
+Candidate Doctors:
+${JSON.stringify(doctorList, null, 2)}
+
+Handle titles, typos, phonetic similarities and partial names.
+Return JSON ONLY:
+{
+  "match_id": "id of the matched doctor or null",
+  "confidence": 0.0-1.0
+}`;
+
+  try {
+    const matchResult = await completeJson({
+      task: 'match_doctor',
+      schema: LLM_PICK_SCHEMA,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `User Input: "${name}"` }
+      ],
+      temperature: 0.1, // Low temp for precision
+    });
+
+    if (matchResult.match_id && matchResult.confidence > 0.6) {
+      return candidates.find(({ doctor }) => doctor.id === matchResult.match_id)?.doctor || null;
+    }
+  } catch (error) {
+    console.error('LLM doctor matching failed:', error.message);
+  }
+  return null;
+}
+
+// Resolve what the patient said to a doctor.
+//   { status: 'matched', doctor, candidates, source: 'local' | 'llm' }
+//   { status: 'ambiguous', doctor: null, candidates, source: 'local' | 'llm' }
+//   { status: 'none', doctor: null, candidates: [], source: 'local' }
+// candidates are [{ id, name, specialty, score }], best first. When two or
+// more doctors score (nearly) the same, e.g. "Dr. Khan" with a Sarah Khan and
+// an Imran Khan, the result is ambiguous so the patient is asked. The LLM is
+// only consulted for a spoken name with one clear leader that is below
+// CONFIDENT_SCORE, and only to confirm or reject that leader; an ambiguous
+// result with source 'llm' is a leader the LLM did not confirm.
+export async function resolveDoctor(dbClient, { name, specialty } = {}, { useLlm = true, doctors } = {}) {
+  const directory = doctors || await fetchDoctorDirectory(dbClient);
+  const ranked = rankDoctors(directory, { name, specialty }).slice(0, MAX_CANDIDATES);
+
+  const candidates = ranked.map(({ doctor, score }) => ({
+    id: doctor.id,
+    name: doctor.user?.full_name,
+    specialty: doctor.specialty,
+    score
+  }));
+
+  if (ranked.length === 0) {
+    return { status: 'none', doctor: null, candidates, source: 'local' };
+  }
+
+  const [best, runnerUp] = ranked;
+  const leads = !runnerUp || best.score - runnerUp.score >= CLEAR_LEAD;
+  if ((leads && best.score >= CONFIDENT_SCORE) || (ranked.length === 1 && !name)) {
+    return { status: 'matched', doctor: best.doctor, candidates, source: 'local' };
+  }
+
+  if (leads && name && useLlm && isLlmConfigured()) {
+    const picked = await pickWithLlm(name, [best]);
+    return picked
+      ? { status: 'matched', doctor: picked, candidates, source: 'llm' }
+      : { status: 'ambiguous', doctor: null, candidates, source: 'llm' };
+  }
+
+  return { status: 'ambiguous', doctor: null, candidates, source: 'local' };
+}
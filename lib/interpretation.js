@@ -0,0 +1,132 @@
+// Checks on what /api/interpret extracted from speech. The LLM reply is first
+// held to INTERPRETATION_SHAPE (types only, retried by lib/llm.js); the
+// fields are then checked against INTERPRETATION_SCHEMA and the booking
+// rules. Fields that fail are cleared and reported as `issues`, so the voice
+// flow can ask about them instead of sending them to /api/book.
+
+import { validateSchema } from './jsonSchema';
+import { addDays, isCalendarDate } from './scheduling';
+import { BOOKING_HORIZON_DAYS } from './appointments';
+import { getZonedParts } from './timezone';
+import { URGENCY_LEVELS, DEFAULT_URGENCY } from './triage';
+import { phrase } from './phrases';
+import { DEFAULT_LANGUAGE } from './languages';
+
+export const INTENTS = ['book', 'reschedule', 'cancel', 'inquiry'];
+
+// Below this confidence, or with any issues, an interpretation is never
+// booked as it stands: the patient reviews the details and confirms them
+// (/api/book rejects it without `confirmed`)
+export const CONFIRMATION_CONFIDENCE = 0.8;
+
+export function needsConfirmation({ confidence, issues = [] } = {}) {
+  return typeof confidence !== 'number' || confidence < CONFIRMATION_CONFIDENCE || issues.length > 0;
+}
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+// What the model must return at all
+export const INTERPRETATION_SHAPE = {
+  type: 'object',
+  properties: {
+    doctor: NULLABLE_STRING,
+    speciality: NULLABLE_STRING,
+    date: NULLABLE_STRING,
+    time: NULLABLE_STRING,
+    existingDate: NULLABLE_STRING,
+    existingTime: NULLABLE_STRING,
+    reason: NULLABLE_STRING,
+    symptoms: { type: ['array', 'null'], items: { type: 'string' } },
+    urgency: NULLABLE_STRING,
+    intent: { type: ['string', 'null'], default: 'book' },
+    confidence: { type: ['number', 'null'], default: 0 },
+  },
+};
+
+const DATE = { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const TIME = { type: ['string', 'null'], pattern: '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$' };
+
+// What a usable interpretation looks like
+export const INTERPRETATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...INTERPRETATION_SHAPE.properties,
+    date: DATE,
+    time: TIME,
+    existingDate: DATE,
+    existingTime: TIME,
+    symptoms: { type: 'array', items: { type: 'string' } },
+    urgency: { type: 'string', enum: URGENCY_LEVELS },
+    intent: { type: 'string', enum: INTENTS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+// Issue code per field when it breaks the schema
+const SCHEMA_ISSUES = {
+  date: 'invalid_date',
+  existingDate: 'invalid_date',
+  time: 'invalid_time',
+  existingTime: 'invalid_time',
+  intent: 'invalid_intent',
+  doctor: 'invalid_doctor',
+  speciality: 'invalid_speciality',
+};
+
+// Longest reason kept; anything after it is dropped
+const MAX_REASON_LENGTH = 500;
+
+// Check extracted fields and clear the ones that cannot be used.
+// `timeZone` is the zone "today" and "now" are judged in (the clinic's);
+// issue messages are in `language`, phrased so the assistant can follow
+// them with a question.
+// Returns { data, issues: [{ field, code, value, message }] }.
+export function validateInterpretation(extracted, { timeZone, now = new Date(), language = DEFAULT_LANGUAGE }) {
+  const data = { ...extracted };
+  const issues = [];
+
+  const flag = (field, code) => {
+    issues.push({ field, code, value: data[field], message: phrase(code, language, { days: BOOKING_HORIZON_DAYS }) });
+    data[field] = field === 'intent' ? 'inquiry' : null;
+  };
+
+  // Shape and formats
+  for (const error of validateSchema(data, INTERPRETATION_SCHEMA)) {
+    const field = error.path;
+    if (field === 'confidence') {
+      data.confidence = typeof data.confidence === 'number' ? Math.min(1, Math.max(0, data.confidence)) : 0.5;
+    } else if (field === 'urgency') {
+      data.urgency = DEFAULT_URGENCY;
+    } else if (field === 'symptoms' || field.startsWith('symptoms[')) {
+      data.symptoms = Array.isArray(data.symptoms) ? data.symptoms.filter(symptom => typeof symptom === 'string') : [];
+    } else if (SCHEMA_ISSUES[field] && !issues.some(issue => issue.field === field)) {
+      flag(field, SCHEMA_ISSUES[field]);
+    }
+  }
+
+  // Reason and symptoms are free text for the doctor: trimmed, never empty
+  data.reason = typeof data.reason === 'string' && data.reason.trim()
+    ? data.reason.trim().slice(0, MAX_REASON_LENGTH)
+    : null;
+  data.symptoms = (data.symptoms || []).map(symptom => symptom.trim()).filter(Boolean);
+
+  // Real dates, and times as HH:MM
+  for (const field of ['date', 'existingDate']) {
+    if (data[field] && !isCalendarDate(data[field])) flag(field, 'invalid_date');
+  }
+  for (const field of ['time', 'existingTime']) {
+    if (data[field]) data[field] = data[field].slice(0, 5);
+  }
+
+  // The requested date and time must be bookable
+  const { date: today, time: nowTime } = getZonedParts(now, timeZone);
+  if (data.date && data.date < today) {
+    flag('date', 'date_in_past');
+  } else if (data.date && data.date > addDays(today, BOOKING_HORIZON_DAYS)) {
+    flag('date', 'beyond_horizon');
+  } else if (data.date === today && data.time && data.time <= nowTime) {
+    flag('time', 'time_in_past');
+  }
+
+  return { data, issues };
+}
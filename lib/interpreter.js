@@ -0,0 +1,157 @@
+// Turning what a patient said into structured appointment details, shared by
+// /api/interpret and the voice assistant (lib/dialogueServices.js). See
+// pages/api/interpret.js for the steps.
+
+import { completeJson } from './llm';
+import { addDays, getDayOfWeek } from './scheduling';
+import { CLINIC_TIME_ZONE, todayInZone } from './timezone';
+import { parseDateTimeMentions, reconcileDateTime } from './dateParser';
+import { INTERPRETATION_SHAPE, validateInterpretation } from './interpretation';
+import { assessUrgency } from './triage';
+import { LANGUAGES, chooseLanguage } from './languages';
+
+// The appointment details in `text`, in the shape of INTERPRETATION_SHAPE
+// plus { language, emergency, issues }. `language` is the language it was
+// spoken in, when known; otherwise it is detected from the text.
+export async function interpretTranscript({ text, language: requestedLanguage }) {
+  const language = chooseLanguage(requestedLanguage, text);
+  console.log(`Processing transcription (${language}):`, text);
+
+  // Get current date for relative date parsing. "Today" is the clinic's
+  // calendar day, not the server's or UTC's, so late-evening requests
+  // resolve "tomorrow" to the right date.
+  const formattedDate = todayInZone(CLINIC_TIME_ZONE); // YYYY-MM-DD format
+  const dayOfWeek = getDayOfWeek(formattedDate);
+  
+  // Calculate dates for reference
+  const tomorrowDate = addDays(formattedDate, 1);
+
+  // Generate next 7 days calendar for LLM context
+  const calendar = [];
+  for (let i = 0; i < 7; i++) {
+    const d = addDays(formattedDate, i);
+    calendar.push(`- ${d} is ${getDayOfWeek(d)}`);
+  }
+  const calendarContext = calendar.join('\n');
+
+  // Deterministic dates and times, so "next Tuesday" or "half past four"
+  // always mean the same thing whatever the model says
+  const mentions = parseDateTimeMentions(text, { today: formattedDate, language });
+
+  // Construct prompt for the LLM
+  const systemPrompt = `You are an expert appointment booking assistant. Extract structured appointment information from user speech with high accuracy.
+
+Current Date Context:
+- Today is ${formattedDate} (${dayOfWeek})
+- Tomorrow is ${tomorrowDate}
+
+Upcoming Days Reference:
+${calendarContext}
+
+The patient is speaking ${LANGUAGES[language].name}. Understand their words in that language,
+but write every JSON value in English, with doctor names in Latin letters as they would be
+spelled in English (e.g. "ڈاکٹر احمد" → "Dr. Ahmed", "डॉक्टर शर्मा" → "Dr. Sharma").
+
+Instructions:
+1. Ignore filler words (um, uh, like, you know, etc.)
+2. Convert relative dates to absolute YYYY-MM-DD format using the Reference list above:
+   - "tomorrow" → ${tomorrowDate}
+   - "this Friday" / "coming Friday" → Find the date for Friday in the list above
+   - "next Tuesday" → If Tuesday is in the list, use it. If "next" implies the week after, calculate accordingly.
+   - "in 3 days" → calculate 3 days from today
+3. Parse time in 24-hour format (HH:MM):
+   - "2 PM" → "14:00"
+   - "morning" → "09:00"
+   - "afternoon" → "14:00"
+   - "evening" → "18:00"
+4. Extract doctor name (e.g., "Dr. Smith", "Dr. Johnson")
+5. Extract medical specialty if mentioned (e.g., "cardiologist", "dentist")
+6. Determine intent: "book" (default for appointments), "reschedule", "cancel", or "inquiry"
+   - For "reschedule" and "cancel", the doctor/speciality describe the EXISTING appointment.
+   - "existingDate" / "existingTime" describe when the existing appointment is
+     (e.g. "my Thursday appointment" → the Thursday date from the list above).
+   - For "reschedule", "date" / "time" are the NEW requested date and time.
+   - For "cancel", leave "date" / "time" null.
+7. Extract why the patient wants to be seen:
+   - "reason": a short phrase for the doctor (e.g. "follow-up on blood pressure", "skin rash"), or null
+   - "symptoms": each symptom mentioned, in plain words (e.g. ["headache", "fever"]), or []
+   - "urgency": "routine" (check-ups, follow-ups, long-standing problems),
+     "soon" (new or worsening symptoms) or "urgent" (wants the earliest possible appointment)
+8. Provide confidence score based on information completeness:
+   - 0.9-1.0: All fields present and clear
+   - 0.7-0.9: Most fields present
+   - 0.5-0.7: Some ambiguity
+   - 0.0-0.5: Missing critical information
+
+CRITICAL: You MUST respond with ONLY valid JSON. No explanations, no markdown, just JSON.
+
+Required JSON structure:
+{
+  "doctor": "string or null",
+  "speciality": "string or null",
+  "date": "YYYY-MM-DD or null",
+  "time": "HH:MM or null",
+  "existingDate": "YYYY-MM-DD or null",
+  "existingTime": "HH:MM or null",
+  "reason": "string or null",
+  "symptoms": ["string"],
+  "urgency": "routine|soon|urgent",
+  "intent": "book|reschedule|cancel|inquiry",
+  "confidence": 0.0-1.0
+}`;
+
+  const userPrompt = `Extract appointment details from: "${text}"`;
+
+  const extractedData = await completeJson({
+    task: 'interpret',
+    schema: INTERPRETATION_SHAPE,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: 0.3, // Lower temperature for deterministic extraction
+    maxTokens: 500,
+  });
+
+  // Validate and normalize fields
+  const validatedData = {
+    doctor: extractedData.doctor || null,
+    speciality: extractedData.speciality || extractedData.specialty || null,
+    date: extractedData.date || null,
+    time: extractedData.time || null,
+    existingDate: extractedData.existingDate || null,
+    existingTime: extractedData.existingTime || null,
+    reason: extractedData.reason || null,
+    symptoms: extractedData.symptoms || [],
+    urgency: extractedData.urgency || null,
+    intent: extractedData.intent || 'book',
+    confidence: typeof extractedData.confidence === 'number' ? extractedData.confidence : 0.5,
+  };
+
+  const { sources, ...resolvedDateTime } = reconcileDateTime(validatedData, mentions);
+  if (sources.date === 'parser' || sources.time === 'parser') {
+    console.log('Date/time from parser:', resolvedDateTime, 'LLM said:', {
+      date: validatedData.date,
+      time: validatedData.time,
+      existingDate: validatedData.existingDate,
+      existingTime: validatedData.existingTime,
+    });
+  }
+  Object.assign(validatedData, resolvedDateTime);
+
+  // Clear fields that cannot be used (past dates, impossible times, ...)
+  // and report them as issues for the caller to ask about
+  const { data, issues } = validateInterpretation(validatedData, { timeZone: CLINIC_TIME_ZONE, language });
+
+  // Red flags are checked on the patient's own words as well as the
+  // model's summary, so a missed symptom still stops the booking
+  const { urgency, emergency } = assessUrgency({ text, reason: data.reason, symptoms: data.symptoms, urgency: data.urgency, language });
+  data.urgency = urgency;
+  if (emergency) {
+    console.warn('Red-flag symptoms reported:', emergency.redFlags.map(flag => flag.id));
+  }
+
+  console.log('Extracted appointment data:', data, issues.length > 0 ? issues : '');
+
+  return { ...data, language, emergency, issues };
+}
@@ -0,0 +1,98 @@
+// Minimal JSON Schema checks for model output: type (a name or a list of
+// names), enum, pattern, minimum/maximum, properties, required and items.
+// Enough to catch a model that drifts from the shape a route relies on,
+// without pulling in a full validator.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Every way `value` breaks `schema`, as [{ path, message }]; empty when valid
+export function validateSchema(value, schema, path = '') {
+  if (!schema) return [];
+  const where = path || 'value';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path, message: `${where} must be ${types.join(' or ')}` }];
+    }
+  }
+
+  if (value === null) return [];
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${where} must be one of: ${schema.enum.filter(v => v !== null).join(', ')}` });
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `${where} must match ${schema.pattern}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${where} must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${where} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: `${key} is required` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// The simplest value that satisfies a schema: its default, null where
+// allowed, otherwise the first enum value or an empty value of the type
+export function exampleForSchema(schema) {
+  if (!schema) return null;
+  if (schema.default !== undefined) return schema.default;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('null')) return null;
+  if (schema.enum) return schema.enum[0];
+
+  switch (types[0]) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, propertySchema]) => [key, exampleForSchema(propertySchema)])
+      );
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,76 @@
+// Languages the voice assistant speaks. A conversation has one language,
+// chosen by the patient or detected from their first answer, and it is
+// threaded through transcription (Whisper's `language`), interpretation
+// (prompt and date words), generated responses and the TTS voice.
+
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-US', direction: 'ltr' },
+  ar: { name: 'Arabic', nativeName: 'العربية', locale: 'ar-SA', direction: 'rtl' },
+  ur: { name: 'Urdu', nativeName: 'اردو', locale: 'ur-PK', direction: 'rtl' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', locale: 'hi-IN', direction: 'ltr' },
+  es: { name: 'Spanish', nativeName: 'Español', locale: 'es-ES', direction: 'ltr' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Passed instead of a language code to have it detected from speech
+export const AUTO_LANGUAGE = 'auto';
+
+// Letters Urdu uses and Arabic does not
+const URDU_LETTERS = /[ٹڈڑںےۓھۃ]/;
+const ARABIC_SCRIPT = /[؀-ۿ]/;
+const DEVANAGARI = /[ऀ-ॿ]/;
+const SPANISH_CUES = /[ñ¿¡áéíóú]|\b(quiero|cita|mañana|hoy|lunes|martes|miércoles|jueves|viernes|sábado|domingo|doctora|por favor|para|semanas?|dias|tarde|hora|a las|de la|gracias|enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|octubre|noviembre|diciembre)\b/;
+
+// 'es', 'es-MX', 'spanish' or 'Español' -> 'es'; null when not supported
+export function resolveLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const lower = value.trim().toLowerCase();
+  const code = lower.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+
+  const byName = Object.entries(LANGUAGES).find(([, language]) =>
+    language.name.toLowerCase() === lower || language.nativeName.toLowerCase() === lower
+  );
+  return byName ? byName[0] : null;
+}
+
+// Best guess from the text itself: the script settles Arabic, Urdu and
+// Hindi; Spanish is recognised by accents and common words. Romanised Hindi
+// or Urdu cannot be told apart from English and comes back as the default.
+export function detectLanguage(text) {
+  const value = text || '';
+  if (ARABIC_SCRIPT.test(value)) return URDU_LETTERS.test(value) ? 'ur' : 'ar';
+  if (DEVANAGARI.test(value)) return 'hi';
+  if (SPANISH_CUES.test(value.toLowerCase())) return 'es';
+  return DEFAULT_LANGUAGE;
+}
+
+// The language to use for a request: an explicit supported choice, else
+// detected from the text
+export function chooseLanguage(requested, text) {
+  if (requested && requested !== AUTO_LANGUAGE) {
+    const language = resolveLanguage(requested);
+    if (language) return language;
+  }
+  return detectLanguage(text);
+}
+
+export function getLocale(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
+
+// The closest speechSynthesis voice: the exact locale, then any voice for
+// the language, preferring local voices. Null leaves the browser to choose
+// from utterance.lang.
+export function pickVoice(voices, language) {
+  const locale = getLocale(language).toLowerCase();
+  const matching = (voices || []).filter(voice => {
+    const lang = (voice.lang || '').toLowerCase().replace('_', '-');
+    return lang === locale || lang.split('-')[0] === language;
+  });
+  if (matching.length === 0) return null;
+
+  const score = voice => ((voice.lang || '').toLowerCase().replace('_', '-') === locale ? 2 : 0) + (voice.localService ? 1 : 0);
+  return matching.sort((a, b) => score(b) - score(a))[0];
+}
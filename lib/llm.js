@@ -0,0 +1,259 @@
+// Shared LLM client for the server routes (interpretation, doctor matching,
+// spoken responses). The provider is chosen by configuration:
+//
+//   LLM_PROVIDER     groq (default), openai (any OpenAI-compatible endpoint),
+//                    ollama, llamacpp, or mock
+//   LLM_MODEL        model name; each provider has a default
+//   LLM_BASE_URL     endpoint; required for openai, defaults to the usual
+//                    local port for ollama and llamacpp
+//   LLM_API_KEY      API key; groq also reads GROQ_API_KEY
+//   LLM_TIMEOUT_MS   per-attempt timeout (default 20000)
+//   LLM_MAX_RETRIES  retries after timeouts, rate limits and 5xx (default 2)
+//
+// The mock provider never touches the network. It answers from responders
+// registered with setMockResponder, then from LLM_MOCK_RESPONSES (a JSON
+// object of task -> response), and otherwise with the simplest value that
+// fits the requested schema, so the whole pipeline can run offline.
+
+import axios from 'axios';
+import { validateSchema, exampleForSchema } from './jsonSchema';
+
+const PROVIDERS = {
+  groq: {
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    apiKey: () => process.env.LLM_API_KEY || process.env.GROQ_API_KEY,
+    requiresApiKey: true,
+    complete: completeOpenAiCompatible,
+  },
+  openai: {
+    baseUrl: null,
+    model: 'gpt-4o-mini',
+    apiKey: () => process.env.LLM_API_KEY,
+    requiresApiKey: false,
+    complete: completeOpenAiCompatible,
+  },
+  llamacpp: {
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local',
+    apiKey: () => process.env.LLM_API_KEY,
+    requiresApiKey: false,
+    complete: completeOpenAiCompatible,
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1',
+    apiKey: () => null,
+    requiresApiKey: false,
+    complete: completeOllama,
+  },
+  mock: {
+    baseUrl: null,
+    model: 'mock',
+    apiKey: () => null,
+    requiresApiKey: false,
+    complete: completeMock,
+  },
+};
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+const MAX_BACKOFF_MS = 5000;
+
+function toInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// The active provider settings, read from the environment on every call so
+// tests and scripts can switch provider without reloading the module
+export function getLlmConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || settings.model,
+    baseUrl: (process.env.LLM_BASE_URL || settings.baseUrl || '').replace(/\/$/, ''),
+    apiKey: settings.apiKey(),
+    timeoutMs: toInt(process.env.LLM_TIMEOUT_MS, 20000),
+    maxRetries: toInt(process.env.LLM_MAX_RETRIES, 2),
+  };
+}
+
+// Whether the configured provider can be called at all (e.g. the Groq key is
+// set), so callers with a non-LLM fallback can skip it quietly
+export function isLlmConfigured() {
+  try {
+    const config = getLlmConfig();
+    if (PROVIDERS[config.provider].requiresApiKey && !config.apiKey) return false;
+    return config.provider === 'openai' ? Boolean(config.baseUrl) : true;
+  } catch {
+    return false;
+  }
+}
+
+async function completeOpenAiCompatible(config, request) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const response = await axios.post(
+    `${config.baseUrl}/chat/completions`,
+    {
+      model: config.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+    },
+    { headers, timeout: config.timeoutMs }
+  );
+
+  return response.data.choices[0].message.content;
+}
+
+// Ollama's native chat API: format 'json' constrains the output to JSON
+async function completeOllama(config, request) {
+  const response = await axios.post(
+    `${config.baseUrl}/api/chat`,
+    {
+      model: config.model,
+      messages: request.messages,
+      stream: false,
+      ...(request.json ? { format: 'json' } : {}),
+      options: {
+        temperature: request.temperature,
+        ...(request.maxTokens ? { num_predict: request.maxTokens } : {}),
+      },
+    },
+    { timeout: config.timeoutMs }
+  );
+
+  return response.data.message.content;
+}
+
+const mockResponders = new Map();
+
+// Answer a task ('interpret', 'match_doctor', ...) from the mock provider with
+// a fixed response or a function of the request. Pass null to remove it.
+export function setMockResponder(task, responder) {
+  if (responder === null) {
+    mockResponders.delete(task);
+  } else {
+    mockResponders.set(task, responder);
+  }
+}
+
+function getMockFixture(task) {
+  if (!process.env.LLM_MOCK_RESPONSES) return undefined;
+  try {
+    return JSON.parse(process.env.LLM_MOCK_RESPONSES)[task];
+  } catch {
+    throw new Error('LLM_MOCK_RESPONSES must be a JSON object of task -> response');
+  }
+}
+
+async function completeMock(config, request) {
+  let response;
+  if (mockResponders.has(request.task)) {
+    const responder = mockResponders.get(request.task);
+    response = typeof responder === 'function' ? await responder(request) : responder;
+  } else {
+    response = getMockFixture(request.task);
+  }
+
+  if (response === undefined) {
+    response = request.json ? exampleForSchema(request.schema) || {} : `Mock response for ${request.task}.`;
+  }
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Exponential backoff, or the server's Retry-After for rate limits
+function getBackoffMs(error, attempt) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 500 * 2 ** attempt;
+  return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One chat completion from the configured provider, with retries. Returns the
+// reply text. `task` names the call for logs and the mock provider.
+export async function complete({ task = 'default', messages, temperature = 0.3, maxTokens, json = false, schema } = {}) {
+  const config = getLlmConfig();
+  const settings = PROVIDERS[config.provider];
+
+  if (settings.requiresApiKey && !config.apiKey) {
+    throw new Error(`No API key configured for LLM provider "${config.provider}"`);
+  }
+  if (!config.baseUrl && config.provider === 'openai') {
+    throw new Error('LLM_BASE_URL is required for the openai provider');
+  }
+
+  const request = { task, messages, temperature, maxTokens, json, schema };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await settings.complete(config, request);
+    } catch (error) {
+      if (attempt >= config.maxRetries || !isRetryable(error)) {
+        const details = error.response?.data?.error?.message || error.message;
+        throw new Error(`LLM request failed (${config.provider}, ${task}): ${details}`, { cause: error });
+      }
+      console.warn(`LLM ${task} attempt ${attempt + 1} failed (${error.response?.status || error.code}); retrying`);
+      await sleep(getBackoffMs(error, attempt));
+    }
+  }
+}
+
+// The JSON object in a model reply, allowing for markdown fences or text around it
+export function parseJsonReply(reply) {
+  const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidate = (fenced ? fenced[1] : reply).trim();
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const objectMatch = candidate.match(/\{[\s\S]*\}/);
+    if (!objectMatch) throw new Error('Reply contains no JSON object');
+    return JSON.parse(objectMatch[0]);
+  }
+}
+
+// A JSON completion checked against `schema` (see lib/jsonSchema.js). A reply
+// that does not parse or fit is sent back once with the problems listed;
+// after that the call fails rather than return data the caller cannot trust.
+export async function completeJson({ schema, messages, ...options }) {
+  let conversation = messages;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const reply = await complete({ ...options, messages: conversation, schema, json: true });
+
+    let value;
+    let problems;
+    try {
+      value = parseJsonReply(reply);
+      problems = validateSchema(value, schema).map(error => error.message);
+    } catch (parseError) {
+      problems = [parseError.message];
+    }
+
+    if (problems.length === 0) return value;
+
+    console.warn(`LLM ${options.task || 'default'} returned invalid JSON:`, problems);
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: reply },
+      { role: 'user', content: `That reply was not valid: ${problems.join('; ')}. Respond again with ONLY the corrected JSON.` },
+    ];
+  }
+
+  throw new Error(`LLM ${options.task || 'default'} did not return valid JSON`);
+}
@@ -0,0 +1,203 @@
+// A signed-in patient's own appointments: listing, cancelling and moving
+// them. Shared by the /api/patient routes and the voice assistant
+// (lib/dialogueServices.js). `userId` is the patient's auth user id; changes
+// return { success, appointment }, or { status, error, reason? } with an
+// HTTP status code when they cannot be made. Database failures throw.
+
+import { getChangeBlocker, isSlotConflict } from './appointments';
+import { getAppointmentTimeZone } from './timezone';
+import { getDayAvailability, describeClosedDay } from './availability';
+import { getTransitionError, changeAppointmentStatus } from './appointmentStatus';
+import { getRequestedTimeError } from './booking';
+
+const PATIENT_NOT_FOUND = { status: 404, error: 'Patient profile not found' };
+const CHANGED_CONCURRENTLY = { status: 409, error: 'Appointment was changed by someone else. Please refresh.' };
+
+async function findPatient(dbClient, userId, columns) {
+  const { data: patient, error } = await dbClient
+    .from('patients')
+    .select(columns)
+    .eq('user_id', userId)
+    .single();
+
+  return error ? null : patient;
+}
+
+// The patient id of auth user `userId`, or null when they are not signed in
+// or have no patient profile. Bookings are made for this patient, never for
+// an id the client sends.
+export async function findPatientId(dbClient, userId) {
+  if (!userId) return null;
+  const patient = await findPatient(dbClient, userId, 'id');
+  return patient?.id || null;
+}
+
+// The patient and their appointment `appointmentId`, as { patient,
+// appointment }, or a 404 when either does not exist or is not theirs
+async function findOwnAppointment(dbClient, userId, appointmentId) {
+  const patient = await findPatient(dbClient, userId, 'id, user:users(full_name)');
+  if (!patient) return PATIENT_NOT_FOUND;
+
+  const { data: appointment, error } = await dbClient
+    .from('appointments')
+    .select('*, doctor:doctors(id, user_id, time_zone)')
+    .eq('id', appointmentId)
+    .eq('patient_id', patient.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!appointment) return { status: 404, error: 'Appointment not found' };
+  return { patient, appointment };
+}
+
+// { appointments } with their doctors, earliest first
+export async function listPatientAppointments(dbClient, userId) {
+  const patient = await findPatient(dbClient, userId, 'id');
+  if (!patient) return PATIENT_NOT_FOUND;
+
+  const { data: appointments, error } = await dbClient
+    .from('appointments')
+    .select(`
+      *,
+      doctor:doctors(
+        id,
+        specialty,
+        time_zone,
+        user:users(full_name, email)
+      )
+    `)
+    .eq('patient_id', patient.id)
+    .order('appointment_date', { ascending: true });
+
+  if (error) throw error;
+  return { appointments };
+}
+
+export async function cancelPatientAppointment(dbClient, userId, { appointmentId }) {
+  const found = await findOwnAppointment(dbClient, userId, appointmentId);
+  if (found.status) return found;
+  const { patient, appointment } = found;
+
+  // Only active appointments, and only outside the notice window
+  const blocker = getChangeBlocker(appointment, 'cancel');
+  if (blocker) return { status: 409, error: blocker };
+
+  const transitionError = getTransitionError(appointment, 'cancelled', 'patient');
+  if (transitionError) return transitionError;
+
+  // Cancel it and record the change in its history
+  const { data: updated, error: updateError } = await changeAppointmentStatus(
+    dbClient,
+    appointment,
+    'cancelled',
+    { changedBy: userId, role: 'patient' }
+  );
+
+  if (updateError) throw updateError;
+  if (!updated) return CHANGED_CONCURRENTLY;
+
+  // Let the doctor know
+  await dbClient
+    .from('notifications')
+    .insert([
+      {
+        user_id: appointment.doctor.user_id,
+        type: 'appointment_cancelled',
+        title: 'Appointment Cancelled',
+        message: `${patient.user?.full_name || 'A patient'} cancelled their appointment on ${appointment.appointment_date} at ${appointment.appointment_time.slice(0, 5)}`,
+        related_id: appointment.id,
+      },
+    ]);
+
+  return { success: true, appointment: updated };
+}
+
+export async function reschedulePatientAppointment(dbClient, userId, { appointmentId, date, time }) {
+  const found = await findOwnAppointment(dbClient, userId, appointmentId);
+  if (found.status) return found;
+  const { patient, appointment } = found;
+
+  // Only active appointments, and only outside the notice window
+  const blocker = getChangeBlocker(appointment, 'reschedule');
+  if (blocker) return { status: 409, error: blocker };
+
+  // The new time is checked as a new booking's would be: a real date and
+  // time, still ahead, and within the booking horizon
+  const timeError = getRequestedTimeError(date, time, getAppointmentTimeZone(appointment));
+  if (timeError) return timeError;
+
+  // It must be an open slot in the doctor's schedule (ignoring the
+  // appointment being moved)
+  const day = await getDayAvailability(
+    dbClient,
+    appointment.doctor_id,
+    date,
+    { appointmentType: appointment.appointment_type, excludeAppointmentId: appointment.id }
+  );
+
+  if (day.windows.length === 0) {
+    return {
+      status: 409,
+      error: 'Time slot not available',
+      reason: day.reason,
+      message: describeClosedDay(day),
+      availableSlots: []
+    };
+  }
+
+  const requestedTime = time.slice(0, 5);
+  const availableSlots = day.slots.filter(s => s.available).map(s => s.time);
+
+  if (!availableSlots.includes(requestedTime)) {
+    return {
+      status: 409,
+      error: 'Time slot not available',
+      reason: 'time_unavailable',
+      availableSlots
+    };
+  }
+
+  // Move the appointment. A confirmed appointment goes back to pending so
+  // the doctor can confirm the new time; the exclusion constraint still
+  // guards races.
+  if (appointment.status !== 'pending') {
+    const transitionError = getTransitionError(appointment, 'pending', 'patient');
+    if (transitionError) return transitionError;
+  }
+
+  const { data: updated, error: updateError } = await changeAppointmentStatus(
+    dbClient,
+    appointment,
+    'pending',
+    {
+      changedBy: userId,
+      role: 'patient',
+      note: `Rescheduled from ${appointment.appointment_date} ${appointment.appointment_time.slice(0, 5)} to ${date} ${requestedTime}`,
+      updates: { appointment_date: date, appointment_time: requestedTime }
+    }
+  );
+
+  if (updateError) {
+    if (isSlotConflict(updateError)) {
+      return { status: 409, error: 'Time slot not available', reason: 'time_unavailable' };
+    }
+    throw updateError;
+  }
+
+  if (!updated) return CHANGED_CONCURRENTLY;
+
+  // Let the doctor know
+  await dbClient
+    .from('notifications')
+    .insert([
+      {
+        user_id: appointment.doctor.user_id,
+        type: 'appointment_rescheduled',
+        title: 'Appointment Rescheduled',
+        message: `${patient.user?.full_name || 'A patient'} moved their appointment from ${appointment.appointment_date} at ${appointment.appointment_time.slice(0, 5)} to ${date} at ${requestedTime}`,
+        related_id: appointment.id,
+      },
+    ]);
+
+  return { success: true, appointment: updated };
+}
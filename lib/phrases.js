@@ -0,0 +1,526 @@
+// What the voice assistant says, in each language of lib/languages.js.
+// Placeholders like {doctor} are filled in by phrase(); a key missing in a
+// language falls back to English.
+
+import { DEFAULT_LANGUAGE } from './languages';
+
+const PHRASES = {
+  greeting: {
+    en: 'Hi! I can book, reschedule or cancel an appointment for you. Which doctor would you like to see?',
+    ar: 'مرحباً! يمكنني حجز موعد لك أو تغييره أو إلغاؤه. أي طبيب تود أن تراه؟',
+    ur: 'السلام علیکم! میں آپ کی اپائنٹمنٹ بُک، تبدیل یا منسوخ کر سکتا ہوں۔ آپ کس ڈاکٹر سے ملنا چاہیں گے؟',
+    hi: 'नमस्ते! मैं आपकी अपॉइंटमेंट बुक, बदल या रद्द कर सकता हूँ। आप किस डॉक्टर से मिलना चाहेंगे?',
+    es: '¡Hola! Puedo reservar, cambiar o cancelar una cita. ¿Con qué doctor le gustaría consultar?',
+  },
+  didnt_catch: {
+    en: "Sorry, I didn't catch that. Could you please repeat?",
+    ar: 'عذراً، لم أفهم ذلك. هل يمكنك التكرار؟',
+    ur: 'معاف کیجیے، میں سمجھ نہیں سکا۔ کیا آپ دوبارہ کہہ سکتے ہیں؟',
+    hi: 'माफ़ कीजिए, मैं समझ नहीं पाया। क्या आप दोबारा कह सकते हैं?',
+    es: 'Perdón, no le entendí. ¿Podría repetirlo?',
+  },
+  trouble_processing: {
+    en: 'Sorry, I had trouble processing that. Could you try again?',
+    ar: 'عذراً، واجهت مشكلة في معالجة ذلك. هل يمكنك المحاولة مرة أخرى؟',
+    ur: 'معاف کیجیے، اس میں مسئلہ ہوا۔ کیا آپ دوبارہ کوشش کر سکتے ہیں؟',
+    hi: 'माफ़ कीजिए, इसमें दिक्कत हुई। क्या आप फिर से कोशिश कर सकते हैं?',
+    es: 'Perdón, tuve un problema al procesarlo. ¿Puede intentarlo de nuevo?',
+  },
+  welcome_back: {
+    en: "Welcome back, let's carry on where we left off.",
+    ar: 'أهلاً بعودتك، لنكمل من حيث توقفنا.',
+    ur: 'خوش آمدید، جہاں ہم رکے تھے وہیں سے جاری رکھتے ہیں۔',
+    hi: 'फिर से स्वागत है, जहाँ हम रुके थे वहीं से आगे बढ़ते हैं।',
+    es: 'Bienvenido de nuevo, sigamos donde lo dejamos.',
+  },
+  which_date: {
+    en: 'Which date would you like?',
+    ar: 'أي تاريخ تفضل؟',
+    ur: 'آپ کون سی تاریخ چاہیں گے؟',
+    hi: 'आप कौन सी तारीख चाहेंगे?',
+    es: '¿Qué fecha le gustaría?',
+  },
+  which_time: {
+    en: 'What time would you like?',
+    ar: 'في أي وقت تفضل؟',
+    ur: 'آپ کس وقت آنا چاہیں گے؟',
+    hi: 'आप किस समय आना चाहेंगे?',
+    es: '¿A qué hora le gustaría?',
+  },
+  which_date_instead: {
+    en: 'Which date would you prefer?',
+    ar: 'أي تاريخ تفضل بدلاً من ذلك؟',
+    ur: 'آپ کون سی تاریخ پسند کریں گے؟',
+    hi: 'आप कौन सी तारीख पसंद करेंगे?',
+    es: '¿Qué fecha prefiere?',
+  },
+  which_time_instead: {
+    en: 'What time would you prefer?',
+    ar: 'أي وقت تفضل؟',
+    ur: 'آپ کون سا وقت پسند کریں گے؟',
+    hi: 'आप कौन सा समय पसंद करेंगे?',
+    es: '¿Qué hora prefiere?',
+  },
+  start_over: {
+    en: "Okay, let's start over. Which doctor would you like to see?",
+    ar: 'حسناً، لنبدأ من جديد. أي طبيب تود أن تراه؟',
+    ur: 'ٹھیک ہے، دوبارہ شروع کرتے ہیں۔ آپ کس ڈاکٹر سے ملنا چاہیں گے؟',
+    hi: 'ठीक है, फिर से शुरू करते हैं। आप किस डॉक्टर से मिलना चाहेंगे?',
+    es: 'De acuerdo, empecemos de nuevo. ¿Con qué doctor le gustaría consultar?',
+  },
+  ask_doctor_again: {
+    en: 'Okay. Which doctor would you like to see?',
+    ar: 'حسناً. أي طبيب تود أن تراه؟',
+    ur: 'ٹھیک ہے۔ آپ کس ڈاکٹر سے ملنا چاہیں گے؟',
+    hi: 'ठीक है। आप किस डॉक्टर से मिलना चाहेंगे?',
+    es: 'De acuerdo. ¿Con qué doctor le gustaría consultar?',
+  },
+  doctor_not_found: {
+    en: 'I couldn\'t find a doctor named "{doctor}". Could you please say the name again?',
+    ar: 'لم أجد طبيباً باسم "{doctor}". هل يمكنك قول الاسم مرة أخرى؟',
+    ur: '"{doctor}" نام کا کوئی ڈاکٹر نہیں ملا۔ کیا آپ نام دوبارہ بتا سکتے ہیں؟',
+    hi: '"{doctor}" नाम का कोई डॉक्टर नहीं मिला। क्या आप नाम दोबारा बता सकते हैं?',
+    es: 'No encontré ningún doctor llamado "{doctor}". ¿Podría decir el nombre de nuevo?',
+  },
+  specialty_not_found: {
+    en: "I couldn't find a {specialty} doctor. Which doctor would you like to see?",
+    ar: 'لم أجد طبيباً في تخصص {specialty}. أي طبيب تود أن تراه؟',
+    ur: '{specialty} کا کوئی ڈاکٹر نہیں ملا۔ آپ کس ڈاکٹر سے ملنا چاہیں گے؟',
+    hi: '{specialty} का कोई डॉक्टर नहीं मिला। आप किस डॉक्टर से मिलना चाहेंगे?',
+    es: 'No encontré ningún doctor de {specialty}. ¿Con qué doctor le gustaría consultar?',
+  },
+  doctor_check_failed: {
+    en: "I'm having trouble verifying that doctor. Could you say the name again?",
+    ar: 'أواجه مشكلة في التحقق من هذا الطبيب. هل يمكنك قول الاسم مرة أخرى؟',
+    ur: 'اس ڈاکٹر کی تصدیق میں مسئلہ ہو رہا ہے۔ کیا آپ نام دوبارہ بتا سکتے ہیں؟',
+    hi: 'इस डॉक्टर की पुष्टि करने में दिक्कत हो रही है। क्या आप नाम दोबारा बता सकते हैं?',
+    es: 'Tengo problemas para verificar ese doctor. ¿Podría decir el nombre de nuevo?',
+  },
+  doctor_not_heard: {
+    en: "I didn't catch the doctor's name. Could you please repeat it?",
+    ar: 'لم أفهم اسم الطبيب. هل يمكنك تكراره؟',
+    ur: 'میں ڈاکٹر کا نام نہیں سمجھ سکا۔ کیا آپ دوبارہ بتا سکتے ہیں؟',
+    hi: 'मैं डॉक्टर का नाम नहीं समझ पाया। क्या आप दोबारा बता सकते हैं?',
+    es: 'No entendí el nombre del doctor. ¿Podría repetirlo?',
+  },
+  doctor_chosen: {
+    en: "Great! I'll book with {doctor}. What date works for you?",
+    ar: 'ممتاز! سأحجز لك مع {doctor}. أي تاريخ يناسبك؟',
+    ur: 'بہت خوب! میں {doctor} کے ساتھ بُک کروں گا۔ آپ کے لیے کون سی تاریخ ٹھیک ہے؟',
+    hi: 'बहुत बढ़िया! मैं {doctor} के साथ बुक करूँगा। आपके लिए कौन सी तारीख ठीक है?',
+    es: '¡Perfecto! Reservaré con {doctor}. ¿Qué fecha le viene bien?',
+  },
+  did_you_mean: {
+    en: 'Did you mean {options}?',
+    ar: 'هل تقصد {options}؟',
+    ur: 'کیا آپ کا مطلب {options} ہے؟',
+    hi: 'क्या आपका मतलब {options} है?',
+    es: '¿Se refiere a {options}?',
+  },
+  candidate_in_specialty: {
+    en: '{name} in {specialty}',
+    ar: '{name} في {specialty}',
+    ur: '{name} ({specialty})',
+    hi: '{name} ({specialty})',
+    es: '{name} de {specialty}',
+  },
+  or: {
+    en: 'or',
+    ar: 'أو',
+    ur: 'یا',
+    hi: 'या',
+    es: 'o',
+  },
+  and: {
+    en: 'and',
+    ar: 'و',
+    ur: 'اور',
+    hi: 'और',
+    es: 'y',
+  },
+  which_doctor: {
+    en: "Sorry, which doctor? You can say 'the first one' or the doctor's name.",
+    ar: 'عذراً، أي طبيب؟ يمكنك قول "الأول" أو اسم الطبيب.',
+    ur: 'معاف کیجیے، کون سا ڈاکٹر؟ آپ "پہلا" یا ڈاکٹر کا نام کہہ سکتے ہیں۔',
+    hi: 'माफ़ कीजिए, कौन सा डॉक्टर? आप "पहला" या डॉक्टर का नाम कह सकते हैं।',
+    es: 'Perdón, ¿qué doctor? Puede decir "el primero" o el nombre del doctor.',
+  },
+  doctor_unavailable_on_date: {
+    en: '{doctor} is not available on {date}. Would you like to try a different date?',
+    ar: '{doctor} غير متاح في {date}. هل تود تجربة تاريخ آخر؟',
+    ur: '{doctor} {date} کو دستیاب نہیں ہیں۔ کیا آپ کوئی اور تاریخ آزمانا چاہیں گے؟',
+    hi: '{doctor} {date} को उपलब्ध नहीं हैं। क्या आप कोई और तारीख आज़माना चाहेंगे?',
+    es: '{doctor} no está disponible el {date}. ¿Quiere probar otra fecha?',
+  },
+  date_ok_ask_time: {
+    en: 'Perfect! What time would you prefer?',
+    ar: 'ممتاز! في أي وقت تفضل؟',
+    ur: 'بہت اچھا! آپ کون سا وقت پسند کریں گے؟',
+    hi: 'बहुत अच्छा! आप कौन सा समय पसंद करेंगे?',
+    es: '¡Perfecto! ¿A qué hora prefiere?',
+  },
+  date_check_failed: {
+    en: "I couldn't verify availability for that date. Could you say it again?",
+    ar: 'لم أتمكن من التحقق من التوفر في ذلك التاريخ. هل يمكنك قوله مرة أخرى؟',
+    ur: 'میں اس تاریخ کی دستیابی چیک نہیں کر سکا۔ کیا آپ دوبارہ بتا سکتے ہیں؟',
+    hi: 'मैं उस तारीख की उपलब्धता जाँच नहीं पाया। क्या आप दोबारा बता सकते हैं?',
+    es: 'No pude comprobar la disponibilidad para esa fecha. ¿Podría repetirla?',
+  },
+  date_not_understood: {
+    en: "I didn't understand the date. Could you say it again? For example, 'tomorrow' or 'December 5th'",
+    ar: 'لم أفهم التاريخ. هل يمكنك قوله مرة أخرى؟ مثلاً "غداً" أو "٥ ديسمبر"',
+    ur: 'میں تاریخ نہیں سمجھ سکا۔ کیا آپ دوبارہ بتا سکتے ہیں؟ مثلاً "کل" یا "5 دسمبر"',
+    hi: 'मैं तारीख नहीं समझ पाया। क्या आप दोबारा बता सकते हैं? जैसे "कल" या "5 दिसंबर"',
+    es: 'No entendí la fecha. ¿Podría repetirla? Por ejemplo, "mañana" o "el 5 de diciembre"',
+  },
+  time_not_understood: {
+    en: "I didn't catch the time. Could you say it again? For example, '10 AM' or '2:30 PM'",
+    ar: 'لم أفهم الوقت. هل يمكنك قوله مرة أخرى؟ مثلاً "الساعة ١٠ صباحاً"',
+    ur: 'میں وقت نہیں سمجھ سکا۔ کیا آپ دوبارہ بتا سکتے ہیں؟ مثلاً "صبح 10 بجے"',
+    hi: 'मैं समय नहीं समझ पाया। क्या आप दोबारा बता सकते हैं? जैसे "सुबह 10 बजे"',
+    es: 'No entendí la hora. ¿Podría repetirla? Por ejemplo, "a las 10 de la mañana"',
+  },
+  doctor_not_found_retry: {
+    en: 'I couldn\'t find a doctor named "{doctor}". Could you try a different name?',
+    ar: 'لم أجد طبيباً باسم "{doctor}". هل يمكنك تجربة اسم آخر؟',
+    ur: '"{doctor}" نام کا کوئی ڈاکٹر نہیں ملا۔ کیا آپ کوئی اور نام بتا سکتے ہیں؟',
+    hi: '"{doctor}" नाम का कोई डॉक्टर नहीं मिला। क्या आप कोई और नाम बता सकते हैं?',
+    es: 'No encontré ningún doctor llamado "{doctor}". ¿Puede probar con otro nombre?',
+  },
+  confirm_booking: {
+    en: 'Great! {time} is available. Should I confirm your appointment with {doctor} on {date} at {time}?',
+    ar: 'ممتاز! الساعة {time} متاحة. هل أؤكد موعدك مع {doctor} يوم {date} الساعة {time}؟',
+    ur: 'بہت خوب! {time} دستیاب ہے۔ کیا میں {doctor} کے ساتھ {date} کو {time} بجے آپ کی اپائنٹمنٹ کنفرم کر دوں؟',
+    hi: 'बहुत बढ़िया! {time} उपलब्ध है। क्या मैं {doctor} के साथ {date} को {time} बजे आपकी अपॉइंटमेंट पक्की कर दूँ?',
+    es: '¡Perfecto! Las {time} están disponibles. ¿Confirmo su cita con {doctor} el {date} a las {time}?',
+  },
+  confirm_move: {
+    en: 'Great! {time} is available. Should I move your appointment with {doctor} to {date} at {time}?',
+    ar: 'ممتاز! الساعة {time} متاحة. هل أنقل موعدك مع {doctor} إلى {date} الساعة {time}؟',
+    ur: 'بہت خوب! {time} دستیاب ہے۔ کیا میں {doctor} کے ساتھ آپ کی اپائنٹمنٹ {date} کو {time} بجے کر دوں؟',
+    hi: 'बहुत बढ़िया! {time} उपलब्ध है। क्या मैं {doctor} के साथ आपकी अपॉइंटमेंट {date} को {time} बजे कर दूँ?',
+    es: '¡Perfecto! Las {time} están disponibles. ¿Cambio su cita con {doctor} al {date} a las {time}?',
+  },
+  time_unavailable_offer: {
+    en: 'Sorry, {time} is not available. How about {times}?',
+    ar: 'عذراً، الساعة {time} غير متاحة. ما رأيك في {times}؟',
+    ur: 'معاف کیجیے، {time} دستیاب نہیں ہے۔ کیا {times} ٹھیک رہے گا؟',
+    hi: 'माफ़ कीजिए, {time} उपलब्ध नहीं है। क्या {times} ठीक रहेगा?',
+    es: 'Lo siento, las {time} no están disponibles. ¿Qué tal {times}?',
+  },
+  availability_failed: {
+    en: 'I had trouble checking availability. Could you try again?',
+    ar: 'واجهت مشكلة في التحقق من التوفر. هل يمكنك المحاولة مرة أخرى؟',
+    ur: 'دستیابی چیک کرنے میں مسئلہ ہوا۔ کیا آپ دوبارہ کوشش کر سکتے ہیں؟',
+    hi: 'उपलब्धता जाँचने में दिक्कत हुई। क्या आप फिर से कोशिश कर सकते हैं?',
+    es: 'Tuve problemas para comprobar la disponibilidad. ¿Puede intentarlo de nuevo?',
+  },
+  no_slots_on_date: {
+    en: 'Sorry, there are no available slots on {date}.',
+    ar: 'عذراً، لا توجد مواعيد متاحة في {date}.',
+    ur: 'معاف کیجیے، {date} کو کوئی وقت دستیاب نہیں ہے۔',
+    hi: 'माफ़ कीजिए, {date} को कोई समय उपलब्ध नहीं है।',
+    es: 'Lo siento, no hay horarios disponibles el {date}.',
+  },
+  try_different_date: {
+    en: 'Would you like to try a different date?',
+    ar: 'هل تود تجربة تاريخ آخر؟',
+    ur: 'کیا آپ کوئی اور تاریخ آزمانا چاہیں گے؟',
+    hi: 'क्या आप कोई और तारीख आज़माना चाहेंगे?',
+    es: '¿Quiere probar otra fecha?',
+  },
+  next_openings: {
+    en: 'The next openings are {options}. Would you like the first one, or another?',
+    ar: 'أقرب المواعيد المتاحة هي {options}. هل تريد الأول أم غيره؟',
+    ur: 'اگلے دستیاب اوقات {options} ہیں۔ کیا آپ پہلا چاہیں گے یا کوئی اور؟',
+    hi: 'अगले उपलब्ध समय {options} हैं। क्या आप पहला चाहेंगे या कोई और?',
+    es: 'Los próximos horarios libres son {options}. ¿Quiere el primero u otro?',
+  },
+  yes_or_no: {
+    en: 'Sorry, was that a yes or a no?',
+    ar: 'عذراً، هل هذا نعم أم لا؟',
+    ur: 'معاف کیجیے، کیا یہ ہاں ہے یا نہیں؟',
+    hi: 'माफ़ कीजिए, क्या यह हाँ है या नहीं?',
+    es: 'Perdón, ¿es un sí o un no?',
+  },
+  yes: { en: 'Yes', ar: 'نعم', ur: 'ہاں', hi: 'हाँ', es: 'Sí' },
+  no: { en: 'No', ar: 'لا', ur: 'نہیں', hi: 'नहीं', es: 'No' },
+  date_at_time: {
+    en: '{date} at {time}',
+    ar: '{date} الساعة {time}',
+    ur: '{date} کو {time} بجے',
+    hi: '{date} को {time} बजे',
+    es: '{date} a las {time}',
+  },
+  appointments_load_failed: {
+    en: "I couldn't load your appointments right now. Which doctor would you like to book with instead?",
+    ar: 'لم أتمكن من تحميل مواعيدك الآن. مع أي طبيب تود الحجز بدلاً من ذلك؟',
+    ur: 'میں ابھی آپ کی اپائنٹمنٹس نہیں دیکھ سکا۔ آپ اس کے بجائے کس ڈاکٹر کے ساتھ بُک کرنا چاہیں گے؟',
+    hi: 'मैं अभी आपकी अपॉइंटमेंट नहीं देख पाया। आप इसके बजाय किस डॉक्टर के साथ बुक करना चाहेंगे?',
+    es: 'No pude cargar sus citas ahora. ¿Con qué doctor quiere reservar en su lugar?',
+  },
+  no_matching_appointment: {
+    en: "I couldn't find an upcoming appointment matching that. Which doctor would you like to see?",
+    ar: 'لم أجد موعداً قادماً يطابق ذلك. أي طبيب تود أن تراه؟',
+    ur: 'اس سے ملتی کوئی آنے والی اپائنٹمنٹ نہیں ملی۔ آپ کس ڈاکٹر سے ملنا چاہیں گے؟',
+    hi: 'इससे मेल खाती कोई आने वाली अपॉइंटमेंट नहीं मिली। आप किस डॉक्टर से मिलना चाहेंगे?',
+    es: 'No encontré ninguna cita próxima que coincida. ¿Con qué doctor le gustaría consultar?',
+  },
+  several_appointments: {
+    en: 'You have more than one matching appointment. {options}. Which one do you mean?',
+    ar: 'لديك أكثر من موعد مطابق. {options}. أيها تقصد؟',
+    ur: 'آپ کی ایک سے زیادہ اپائنٹمنٹس ملتی ہیں۔ {options}۔ آپ کس کی بات کر رہے ہیں؟',
+    hi: 'आपकी एक से ज़्यादा अपॉइंटमेंट मेल खाती हैं। {options}। आप किसकी बात कर रहे हैं?',
+    es: 'Tiene más de una cita que coincide. {options}. ¿A cuál se refiere?',
+  },
+  which_appointment: {
+    en: "Sorry, which one? You can say 'the first one' or the doctor's name.",
+    ar: 'عذراً، أي واحد؟ يمكنك قول "الأول" أو اسم الطبيب.',
+    ur: 'معاف کیجیے، کون سی؟ آپ "پہلی" یا ڈاکٹر کا نام کہہ سکتے ہیں۔',
+    hi: 'माफ़ कीजिए, कौन सी? आप "पहली" या डॉक्टर का नाम कह सकते हैं।',
+    es: 'Perdón, ¿cuál? Puede decir "la primera" o el nombre del doctor.',
+  },
+  confirm_cancel: {
+    en: 'Should I cancel your appointment with {appointment}?',
+    ar: 'هل أُلغي موعدك مع {appointment}؟',
+    ur: 'کیا میں {appointment} والی آپ کی اپائنٹمنٹ منسوخ کر دوں؟',
+    hi: 'क्या मैं {appointment} वाली आपकी अपॉइंटमेंट रद्द कर दूँ?',
+    es: '¿Cancelo su cita con {appointment}?',
+  },
+  ask_new_time_on: {
+    en: 'What time on {date} would you like instead?',
+    ar: 'في أي وقت يوم {date} تفضل بدلاً من ذلك؟',
+    ur: '{date} کو آپ کس وقت آنا چاہیں گے؟',
+    hi: '{date} को आप किस समय आना चाहेंगे?',
+    es: '¿A qué hora del {date} la prefiere?',
+  },
+  ask_new_date: {
+    en: 'When would you like to move your appointment with {appointment} to?',
+    ar: 'إلى متى تود نقل موعدك مع {appointment}؟',
+    ur: '{appointment} والی اپائنٹمنٹ آپ کب پر منتقل کرنا چاہیں گے؟',
+    hi: '{appointment} वाली अपॉइंटमेंट आप कब पर ले जाना चाहेंगे?',
+    es: '¿Para cuándo quiere cambiar su cita con {appointment}?',
+  },
+  cancelled: {
+    en: 'Done. Your appointment with {appointment} is cancelled.',
+    ar: 'تم. أُلغي موعدك مع {appointment}.',
+    ur: 'ہو گیا۔ {appointment} والی آپ کی اپائنٹمنٹ منسوخ ہو گئی ہے۔',
+    hi: 'हो गया। {appointment} वाली आपकी अपॉइंटमेंट रद्द हो गई है।',
+    es: 'Listo. Su cita con {appointment} está cancelada.',
+  },
+  cancel_failed: {
+    en: 'Cancelling failed. Please try again.',
+    ar: 'فشل الإلغاء. يرجى المحاولة مرة أخرى.',
+    ur: 'منسوخی نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+    hi: 'रद्द नहीं हो पाया। कृपया फिर से कोशिश करें।',
+    es: 'No se pudo cancelar. Inténtelo de nuevo.',
+  },
+  rescheduled: {
+    en: 'Done. Your appointment with {doctor} is now on {date} at {time}.',
+    ar: 'تم. موعدك مع {doctor} أصبح يوم {date} الساعة {time}.',
+    ur: 'ہو گیا۔ {doctor} کے ساتھ آپ کی اپائنٹمنٹ اب {date} کو {time} بجے ہے۔',
+    hi: 'हो गया। {doctor} के साथ आपकी अपॉइंटमेंट अब {date} को {time} बजे है।',
+    es: 'Listo. Su cita con {doctor} ahora es el {date} a las {time}.',
+  },
+  reschedule_failed: {
+    en: 'Rescheduling failed. Please try again.',
+    ar: 'فشل تغيير الموعد. يرجى المحاولة مرة أخرى.',
+    ur: 'اپائنٹمنٹ تبدیل نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+    hi: 'अपॉइंटमेंट बदली नहीं जा सकी। कृपया फिर से कोशिश करें।',
+    es: 'No se pudo cambiar la cita. Inténtelo de nuevo.',
+  },
+  missing_info: {
+    en: "I'm missing some information. Let's start over.",
+    ar: 'تنقصني بعض المعلومات. لنبدأ من جديد.',
+    ur: 'کچھ معلومات کم ہیں۔ دوبارہ شروع کرتے ہیں۔',
+    hi: 'कुछ जानकारी छूट गई है। फिर से शुरू करते हैं।',
+    es: 'Me falta información. Empecemos de nuevo.',
+  },
+  booked: {
+    en: 'Perfect! Your appointment is confirmed with {doctor} on {date} at {time}.',
+    ar: 'ممتاز! تم تأكيد موعدك مع {doctor} يوم {date} الساعة {time}.',
+    ur: 'بہت خوب! {doctor} کے ساتھ {date} کو {time} بجے آپ کی اپائنٹمنٹ کنفرم ہو گئی ہے۔',
+    hi: 'बहुत बढ़िया! {doctor} के साथ {date} को {time} बजे आपकी अपॉइंटमेंट पक्की हो गई है।',
+    es: '¡Perfecto! Su cita con {doctor} el {date} a las {time} está confirmada.',
+  },
+  booking_failed: {
+    en: 'Booking failed. Please try again.',
+    ar: 'فشل الحجز. يرجى المحاولة مرة أخرى.',
+    ur: 'بُکنگ نہیں ہو سکی۔ براہ کرم دوبارہ کوشش کریں۔',
+    hi: 'बुकिंग नहीं हो पाई। कृपया फिर से कोशिश करें।',
+    es: 'No se pudo reservar. Inténtelo de nuevo.',
+  },
+  appointment_summary: {
+    en: '{doctor} on {date} at {time}',
+    ar: '{doctor} يوم {date} الساعة {time}',
+    ur: '{doctor}، {date} کو {time} بجے',
+    hi: '{doctor}, {date} को {time} बजे',
+    es: '{doctor} el {date} a las {time}',
+  },
+  your_doctor: {
+    en: 'your doctor',
+    ar: 'طبيبك',
+    ur: 'آپ کے ڈاکٹر',
+    hi: 'आपके डॉक्टर',
+    es: 'su doctor',
+  },
+
+  // Fields /api/interpret could not use (see lib/interpretation.js)
+  invalid_date: {
+    en: "I couldn't work out that date.",
+    ar: 'لم أتمكن من فهم ذلك التاريخ.',
+    ur: 'میں وہ تاریخ نہیں سمجھ سکا۔',
+    hi: 'मैं वह तारीख नहीं समझ पाया।',
+    es: 'No pude entender esa fecha.',
+  },
+  date_in_past: {
+    en: 'That date has already passed.',
+    ar: 'ذلك التاريخ قد مضى.',
+    ur: 'وہ تاریخ گزر چکی ہے۔',
+    hi: 'वह तारीख निकल चुकी है।',
+    es: 'Esa fecha ya pasó.',
+  },
+  beyond_horizon: {
+    en: 'Appointments can only be booked up to {days} days ahead.',
+    ar: 'يمكن حجز المواعيد قبل {days} يوماً كحد أقصى.',
+    ur: 'اپائنٹمنٹ زیادہ سے زیادہ {days} دن پہلے بُک ہو سکتی ہے۔',
+    hi: 'अपॉइंटमेंट ज़्यादा से ज़्यादा {days} दिन पहले बुक हो सकती है।',
+    es: 'Las citas solo se pueden reservar con hasta {days} días de antelación.',
+  },
+  invalid_time: {
+    en: "I couldn't work out that time.",
+    ar: 'لم أتمكن من فهم ذلك الوقت.',
+    ur: 'میں وہ وقت نہیں سمجھ سکا۔',
+    hi: 'मैं वह समय नहीं समझ पाया।',
+    es: 'No pude entender esa hora.',
+  },
+  time_in_past: {
+    en: 'That time has already passed today.',
+    ar: 'ذلك الوقت قد مضى اليوم.',
+    ur: 'آج وہ وقت گزر چکا ہے۔',
+    hi: 'आज वह समय निकल चुका है।',
+    es: 'Esa hora ya pasó hoy.',
+  },
+  invalid_intent: {
+    en: "I wasn't sure what you'd like to do.",
+    ar: 'لم أكن متأكداً مما تريد فعله.',
+    ur: 'مجھے یقین نہیں کہ آپ کیا کرنا چاہتے ہیں۔',
+    hi: 'मुझे पक्का नहीं पता कि आप क्या करना चाहते हैं।',
+    es: 'No estoy seguro de lo que quiere hacer.',
+  },
+  invalid_doctor: {
+    en: "I couldn't work out the doctor's name.",
+    ar: 'لم أتمكن من فهم اسم الطبيب.',
+    ur: 'میں ڈاکٹر کا نام نہیں سمجھ سکا۔',
+    hi: 'मैं डॉक्टर का नाम नहीं समझ पाया।',
+    es: 'No pude entender el nombre del doctor.',
+  },
+  invalid_speciality: {
+    en: "I couldn't work out the specialty.",
+    ar: 'لم أتمكن من فهم التخصص.',
+    ur: 'میں شعبہ نہیں سمجھ سکا۔',
+    hi: 'मैं विशेषज्ञता नहीं समझ पाया।',
+    es: 'No pude entender la especialidad.',
+  },
+
+  // Schedules and unavailable times, from /api/generate-response (see
+  // lib/responseTemplates.js)
+  schedule_summary: {
+    en: '{doctor} sees patients on {schedule}. What date works for you?',
+    ar: '{doctor} يستقبل المرضى أيام {schedule}. أي تاريخ يناسبك؟',
+    ur: '{doctor} {schedule} کو مریض دیکھتے ہیں۔ آپ کے لیے کون سی تاریخ ٹھیک ہے؟',
+    hi: '{doctor} {schedule} को मरीज़ देखते हैं। आपके लिए कौन सी तारीख ठीक है?',
+    es: '{doctor} pasa consulta: {schedule}. ¿Qué fecha le viene bien?',
+  },
+  time_range: {
+    en: '{start} to {end}',
+    ar: 'من {start} إلى {end}',
+    ur: '{start} سے {end} تک',
+    hi: '{start} से {end} तक',
+    es: 'de {start} a {end}',
+  },
+  doctor_off_on_day: {
+    en: '{doctor} does not see patients on {day}, only on {days}. Which date would you like instead?',
+    ar: '{doctor} لا يستقبل المرضى يوم {day}، بل أيام {days} فقط. أي تاريخ تفضل بدلاً من ذلك؟',
+    ur: '{doctor} {day} کو مریض نہیں دیکھتے، صرف {days} کو۔ آپ اس کے بجائے کون سی تاریخ چاہیں گے؟',
+    hi: '{doctor} {day} को मरीज़ नहीं देखते, सिर्फ़ {days} को। आप इसकी जगह कौन सी तारीख चाहेंगे?',
+    es: '{doctor} no pasa consulta en {day}, solo en {days}. ¿Qué otra fecha prefiere?',
+  },
+  time_outside_hours_offer: {
+    en: '{doctor} does not see patients at {time}. How about {times} that day?',
+    ar: '{doctor} لا يستقبل المرضى الساعة {time}. ما رأيك في {times} في ذلك اليوم؟',
+    ur: '{doctor} {time} بجے مریض نہیں دیکھتے۔ کیا اس دن {times} ٹھیک رہے گا؟',
+    hi: '{doctor} {time} बजे मरीज़ नहीं देखते। क्या उस दिन {times} ठीक रहेगा?',
+    es: '{doctor} no atiende a las {time}. ¿Qué tal {times} ese día?',
+  },
+  time_booked_offer: {
+    en: '{doctor} is fully booked at {time}. How about {times} that day?',
+    ar: '{doctor} محجوز بالكامل الساعة {time}. ما رأيك في {times} في ذلك اليوم؟',
+    ur: '{time} بجے {doctor} کی تمام اپائنٹمنٹس بُک ہیں۔ کیا اس دن {times} ٹھیک رہے گا؟',
+    hi: '{time} बजे {doctor} की सारी अपॉइंटमेंट बुक हैं। क्या उस दिन {times} ठीक रहेगा?',
+    es: '{doctor} ya no tiene huecos a las {time}. ¿Qué tal {times} ese día?',
+  },
+
+  // Emergency advisory (see lib/triage.js)
+  emergency: {
+    en: 'You mentioned {what}. That may need urgent medical attention. Please call your local emergency number or go to the nearest emergency department now.',
+    ar: 'ذكرت {what}. قد يحتاج هذا إلى رعاية طبية عاجلة. يرجى الاتصال برقم الطوارئ المحلي أو التوجه إلى أقرب قسم طوارئ الآن.',
+    ur: 'آپ نے {what} کا ذکر کیا۔ اس کے لیے فوری طبی مدد درکار ہو سکتی ہے۔ براہ کرم ابھی ایمرجنسی نمبر پر کال کریں یا قریبی ایمرجنسی وارڈ جائیں۔',
+    hi: 'आपने {what} के बारे में बताया। इसके लिए तुरंत चिकित्सा सहायता की ज़रूरत हो सकती है। कृपया अभी आपातकालीन नंबर पर कॉल करें या नज़दीकी इमरजेंसी विभाग जाएँ।',
+    es: 'Ha mencionado {what}. Eso puede necesitar atención médica urgente. Llame ahora a su número local de emergencias o acuda al servicio de urgencias más cercano.',
+  },
+  emergency_book_anyway: {
+    en: 'Do you still want me to book a regular appointment?',
+    ar: 'هل ما زلت تريد أن أحجز لك موعداً عادياً؟',
+    ur: 'کیا آپ پھر بھی چاہتے ہیں کہ میں عام اپائنٹمنٹ بُک کروں؟',
+    hi: 'क्या आप फिर भी चाहते हैं कि मैं सामान्य अपॉइंटमेंट बुक करूँ?',
+    es: '¿Aun así quiere que le reserve una cita normal?',
+  },
+  emergency_not_booked: {
+    en: "All right, I won't book an appointment. Please get emergency care now.",
+    ar: 'حسناً، لن أحجز موعداً. يرجى طلب الرعاية الطارئة الآن.',
+    ur: 'ٹھیک ہے، میں اپائنٹمنٹ بُک نہیں کروں گا۔ براہ کرم ابھی ایمرجنسی مدد حاصل کریں۔',
+    hi: 'ठीक है, मैं अपॉइंटमेंट बुक नहीं करूँगा। कृपया अभी आपातकालीन सहायता लें।',
+    es: 'De acuerdo, no reservaré ninguna cita. Busque atención de urgencias ahora.',
+  },
+  those_symptoms: {
+    en: 'those symptoms',
+    ar: 'هذه الأعراض',
+    ur: 'ان علامات',
+    hi: 'इन लक्षणों',
+    es: 'esos síntomas',
+  },
+  red_flag_chest_pain: { en: 'chest pain', ar: 'ألم في الصدر', ur: 'سینے میں درد', hi: 'सीने में दर्द', es: 'dolor en el pecho' },
+  red_flag_breathing: { en: 'difficulty breathing', ar: 'صعوبة في التنفس', ur: 'سانس لینے میں دشواری', hi: 'साँस लेने में तकलीफ़', es: 'dificultad para respirar' },
+  red_flag_stroke: { en: 'signs of a stroke', ar: 'علامات جلطة دماغية', ur: 'فالج کی علامات', hi: 'लकवे के लक्षण', es: 'signos de un derrame cerebral' },
+  red_flag_bleeding: { en: 'heavy bleeding', ar: 'نزيفاً شديداً', ur: 'شدید خون بہنا', hi: 'बहुत ज़्यादा खून बहना', es: 'un sangrado abundante' },
+  red_flag_unconscious: { en: 'loss of consciousness', ar: 'فقدان الوعي', ur: 'بے ہوشی', hi: 'बेहोशी', es: 'una pérdida de conocimiento' },
+  red_flag_seizure: { en: 'a seizure', ar: 'نوبة تشنج', ur: 'دورہ پڑنے', hi: 'दौरा पड़ने', es: 'una convulsión' },
+  red_flag_anaphylaxis: { en: 'a severe allergic reaction', ar: 'رد فعل تحسسي شديد', ur: 'شدید الرجی', hi: 'गंभीर एलर्जी', es: 'una reacción alérgica grave' },
+  red_flag_self_harm: { en: 'thoughts of self-harm', ar: 'أفكاراً لإيذاء النفس', ur: 'خود کو نقصان پہنچانے کے خیالات', hi: 'खुद को नुकसान पहुँचाने के विचार', es: 'pensamientos de hacerse daño' },
+  red_flag_overdose: { en: 'an overdose or poisoning', ar: 'جرعة زائدة أو تسمماً', ur: 'زیادہ دوا یا زہر', hi: 'दवा की ज़्यादा खुराक या ज़हर', es: 'una sobredosis o intoxicación' },
+};
+
+// The phrase for `key` in `language` with {placeholders} filled from `params`
+export function phrase(key, language = DEFAULT_LANGUAGE, params = {}) {
+  const entry = PHRASES[key];
+  if (!entry) throw new Error(`Unknown phrase "${key}"`);
+  const template = entry[language] || entry[DEFAULT_LANGUAGE];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+// "A, B or C" in the given language; `conjunction` is 'or' or 'and'
+export function joinList(items, language = DEFAULT_LANGUAGE, conjunction = 'or') {
+  if (items.length <= 1) return items[0] || '';
+  const separator = language === 'ar' ? '، ' : ', ';
+  return `${items.slice(0, -1).join(separator)} ${phrase(conjunction, language)} ${items[items.length - 1]}`;
+}
+
+// Whether `text` is one of the sentences above that has no placeholders, such
+// as the greeting: the same words every time, so its audio can be cached
+export function isFixedPhrase(text, language = DEFAULT_LANGUAGE) {
+  return Object.values(PHRASES).some(entry => {
+    const template = entry[language] || entry[DEFAULT_LANGUAGE];
+    return template === text && !/\{\w+\}/.test(template);
+  });
+}
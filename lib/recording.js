@@ -0,0 +1,79 @@
+// Browser-side recording settings shared by the booking page and the voice
+// assistant. Chrome and Firefox record webm or ogg, Safari only mp4; the
+// server detects and converts whichever arrives (lib/audio.js).
+
+const RECORDING_FORMATS = [
+  { mimeType: 'audio/webm', extension: 'webm' },
+  { mimeType: 'audio/ogg', extension: 'ogg' },
+  { mimeType: 'audio/mp4', extension: 'mp4' },
+];
+
+// The first format this browser's MediaRecorder supports. An empty mimeType
+// leaves the choice to the browser.
+export function pickRecordingFormat() {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return RECORDING_FORMATS[0];
+  return RECORDING_FORMATS.find(format => MediaRecorder.isTypeSupported(format.mimeType))
+    || { mimeType: '', extension: 'webm' };
+}
+
+// 'audio/webm;codecs=opus' -> 'webm', for naming the upload
+export function recordingExtension(mimeType) {
+  return (mimeType || '').split(/[/;]/)[1] || 'webm';
+}
+
+// Voice-activity detection on a microphone stream: calls onSpeechEnd once the
+// patient has spoken for at least `minSpeechMs` and then been quiet for
+// `silenceMs`, or when nothing was said within `noSpeechMs`. Levels come from
+// an AnalyserNode in dBFS. Returns a function that stops watching.
+export function watchVoiceActivity(stream, {
+  onSpeechEnd,
+  thresholdDb = -50,
+  minSpeechMs = 200,
+  silenceMs = 1200,
+  noSpeechMs = 8000,
+} = {}) {
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) return () => {};
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const intervalMs = 50;
+  const startedAt = Date.now();
+  let speechMs = 0;
+  let lastSpeechAt = startedAt;
+  let stopped = false;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    clearInterval(timer);
+    source.disconnect();
+    context.close();
+  };
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    let sumSquares = 0;
+    for (const sample of samples) sumSquares += sample * sample;
+    const level = 20 * Math.log10(Math.sqrt(sumSquares / samples.length) || 1e-8);
+
+    const now = Date.now();
+    if (level >= thresholdDb) {
+      speechMs += intervalMs;
+      lastSpeechAt = now;
+    }
+
+    const heardSpeech = speechMs >= minSpeechMs;
+    if (heardSpeech ? now - lastSpeechAt >= silenceMs : now - startedAt >= noSpeechMs) {
+      stop();
+      onSpeechEnd();
+    }
+  }, intervalMs);
+
+  return stop;
+}
@@ -0,0 +1,234 @@
+// The sentences /api/generate-response and the voice assistant speak when a
+// doctor's schedule is presented or a requested day or time cannot be booked.
+// They are built from lib/phrases.js, so the same context always gets the
+// same words in each language, and only the times in the context are ever
+// mentioned. When an LLM rephrases one, findUnlistedTimes() and
+// findUnlistedNumbers() are the checks that it did not add any, in digits
+// or in words.
+
+import { complete } from './llm';
+import { phrase, joinList } from './phrases';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLocale } from './languages';
+import { DAYS_OF_WEEK, addDays, getDayOfWeek, timeToMinutes } from './scheduling';
+import { normalizeText, parseDateTimeMentions } from './dateParser';
+import { translateDateWords } from './dateLexicon';
+
+export const RESPONSE_CONTEXTS = ['schedule_presentation', 'day_inactive', 'time_out_of_bounds', 'fully_booked'];
+
+// A Monday, so day names can be looked up by their DAYS_OF_WEEK index
+const REFERENCE_MONDAY = '2024-01-01';
+
+const HALF_DAY_MINUTES = 12 * 60;
+
+// The context's kind, one of RESPONSE_CONTEXTS, or null when it is none of them
+export function contextKind(context) {
+  const kind = context?.type === 'schedule_presentation' ? context.type : context?.reason;
+  return RESPONSE_CONTEXTS.includes(kind) ? kind : null;
+}
+
+// 'Monday' -> 'lunes' in Spanish
+function dayName(day, language) {
+  const index = DAYS_OF_WEEK.indexOf(day);
+  if (index === -1) return day;
+  return new Date(`${addDays(REFERENCE_MONDAY, index)}T00:00:00Z`)
+    .toLocaleDateString(getLocale(language), { weekday: 'long', timeZone: 'UTC' });
+}
+
+function spokenDate(date, language) {
+  if (!date) return '';
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(getLocale(language), {
+    weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+const toTime = value => String(typeof value === 'object' && value ? value.time : value || '').slice(0, 5);
+
+function slotTimes(context) {
+  return (context.availableSlots || []).map(toTime).filter(Boolean);
+}
+
+// "Monday and Wednesday (09:00 to 17:00) and Friday (09:00 to 12:00 and
+// 14:00 to 18:00)": days with the same sessions are grouped together
+function describeWeek(schedule, language) {
+  const groups = [];
+  for (const day of schedule) {
+    const hours = joinList(
+      day.sessions.map(session => phrase('time_range', language, { start: toTime(session.start), end: toTime(session.end) })),
+      language,
+      'and'
+    );
+    const group = groups.find(g => g.hours === hours);
+    if (group) group.days.push(dayName(day.day, language));
+    else groups.push({ hours, days: [dayName(day.day, language)] });
+  }
+  return joinList(groups.map(g => `${joinList(g.days, language, 'and')} (${g.hours})`), language, 'and');
+}
+
+function weeklySchedule(context) {
+  return Array.isArray(context.schedule) ? context.schedule.filter(day => day.sessions?.length > 0) : [];
+}
+
+// The response for `context` in `language`. Expects the context shapes the
+// dialogue sends (lib/dialogue.js):
+//   schedule_presentation  { doctor, schedule: [{ day, sessions }] }
+//   day_inactive           { doctor, requestedDate, schedule: [{ day, sessions }] }
+//   time_out_of_bounds,    { doctor, requestedTime, date, availableSlots }
+//   fully_booked
+export function renderResponse(context, language = DEFAULT_LANGUAGE) {
+  const doctor = context.doctor || '';
+
+  switch (contextKind(context)) {
+    case 'schedule_presentation': {
+      const schedule = weeklySchedule(context);
+      if (schedule.length === 0) return phrase('doctor_chosen', language, { doctor });
+      return phrase('schedule_summary', language, { doctor, schedule: describeWeek(schedule, language) });
+    }
+    case 'day_inactive': {
+      const days = weeklySchedule(context).map(day => dayName(day.day, language));
+      const date = context.requestedDate || context.date;
+      if (days.length === 0 || !date) {
+        return phrase('doctor_unavailable_on_date', language, { doctor, date: spokenDate(date, language) });
+      }
+      return phrase('doctor_off_on_day', language, {
+        doctor,
+        day: dayName(getDayOfWeek(date), language),
+        days: joinList(days, language, 'and')
+      });
+    }
+    case 'time_out_of_bounds':
+    case 'fully_booked': {
+      const times = slotTimes(context);
+      if (times.length === 0) return phrase('no_slots_on_date', language, { date: spokenDate(context.date, language) });
+      return phrase(context.reason === 'fully_booked' ? 'time_booked_offer' : 'time_outside_hours_offer', language, {
+        doctor,
+        time: toTime(context.requestedTime),
+        times: joinList(times, language)
+      });
+    }
+    default:
+      throw new Error(`Unsupported response context: ${context?.type || context?.reason}`);
+  }
+}
+
+// The times a response to `context` may mention: the available slots and the
+// requested time when slots are offered, otherwise the weekly working hours
+export function allowedTimes(context) {
+  const times = slotTimes(context);
+  if (times.length > 0) return [...times, toTime(context.requestedTime)].filter(Boolean);
+  return weeklySchedule(context).flatMap(day => day.sessions.flatMap(s => [toTime(s.start), toTime(s.end)]));
+}
+
+// Times said without AM or PM may mean either half of the day
+const EXPLICIT_HALF_OF_DAY = /\b(am|pm|morning|afternoon|evening|tonight|noon|midday|midnight)\b/;
+const PART_OF_DAY_ONLY = /^(in the\s+)?(morning|afternoon|evening)$/;
+
+// The times in `text` as lib/dateParser.js reads them, in digits or in words
+// ("9:30", "3pm", "three o'clock", "half past four", "noon", Spanish "a las
+// tres"), plus the numbers said outside them. Returns { times: [{ text,
+// minutes, explicit }], numbers: ['5', ...] }.
+function readNumbers(text, language) {
+  const normalized = normalizeText(translateDateWords(text, language));
+  const { times } = parseDateTimeMentions(text, { today: REFERENCE_MONDAY, language });
+  const spoken = times.filter(time => !PART_OF_DAY_ONLY.test(time.text));
+
+  let rest = normalized;
+  for (const time of spoken) {
+    rest = rest.slice(0, time.index) + ' '.repeat(time.text.length) + rest.slice(time.index + time.text.length);
+  }
+
+  return {
+    times: spoken.map(time => ({
+      text: time.text,
+      minutes: timeToMinutes(time.value),
+      explicit: EXPLICIT_HALF_OF_DAY.test(time.text),
+    })),
+    numbers: (rest.match(/\d+/g) || []).map(number => String(Number(number))),
+  };
+}
+
+// The times mentioned in `text` (in `language`) that are not among `allowed`
+// ('HH:MM'), as the parser read them ("half past 5", "at 5" for "a las cinco")
+export function findUnlistedTimes(text, allowed, language = DEFAULT_LANGUAGE) {
+  const allowedMinutes = new Set(allowed.filter(Boolean).map(timeToMinutes));
+  return readNumbers(text, language).times
+    .filter(time => !(
+      allowedMinutes.has(time.minutes) ||
+      (!time.explicit && allowedMinutes.has((time.minutes + HALF_DAY_MINUTES) % (2 * HALF_DAY_MINUTES)))
+    ))
+    .map(time => time.text);
+}
+
+// The numbers in a rephrasing of `template` that are not times and do not
+// appear in the template: a number the time parser did not recognise as a
+// time may still be one ("3 slots", "a las tres y pico"), so any new number
+// rejects the rephrasing
+export function findUnlistedNumbers(text, template, language = DEFAULT_LANGUAGE) {
+  const { times, numbers: templateNumbers } = readNumbers(template, language);
+  const known = new Set([
+    ...templateNumbers,
+    ...times.flatMap(time => [Math.floor(time.minutes / 60), time.minutes % 60].map(String)),
+  ]);
+  return readNumbers(text, language).numbers.filter(number => !known.has(number));
+}
+
+// 'template' (default) or 'llm', read on every request
+function rephraseWithLlm() {
+  return (process.env.RESPONSE_GENERATOR || 'template').toLowerCase() === 'llm';
+}
+
+async function rephrase(text, context, language) {
+  const systemPrompt = `You are a helpful medical appointment assistant.
+    Rephrase the assistant's sentence below so it sounds natural and friendly when spoken.
+
+    Instructions:
+    1. Keep the meaning, every doctor name, day and date, and every time exactly as written.
+    2. Do NOT add times, days or options that are not in the sentence.
+    3. Keep it short (under 2 sentences if possible) as it will be spoken via TTS.
+    4. Reply with the rephrased sentence only, in ${LANGUAGES[language].name}.`;
+
+  const userPrompt = `Situation: ${JSON.stringify(context)}\nSentence: ${text}`;
+
+  return complete({
+    task: 'generate_response',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.3,
+    maxTokens: 150,
+  });
+}
+
+// The response for `context` as { text, source }, with `source` 'template'
+// or 'llm' (see pages/api/generate-response.js), or { status, error, reason }
+// when the context is not one of RESPONSE_CONTEXTS
+export async function generateResponse(context, language = DEFAULT_LANGUAGE) {
+  if (!contextKind(context)) {
+    return {
+      status: 400,
+      error: `Unsupported context. Expected type 'schedule_presentation' or reason ${RESPONSE_CONTEXTS.slice(1).join(', ')}`,
+      reason: 'unsupported_context'
+    };
+  }
+
+  const templateText = renderResponse(context, language);
+  if (!rephraseWithLlm()) {
+    return { text: templateText, source: 'template' };
+  }
+
+  try {
+    const rephrased = (await rephrase(templateText, context, language) || '').trim();
+    const unlisted = [
+      ...findUnlistedTimes(rephrased, allowedTimes(context), language),
+      ...findUnlistedNumbers(rephrased, templateText, language),
+    ];
+    if (rephrased && unlisted.length === 0) {
+      return { text: rephrased, source: 'llm' };
+    }
+    console.warn('Discarding rephrased response', rephrased ? `with unlisted times or numbers: ${unlisted.join(', ')}` : '(empty)');
+  } catch (llmError) {
+    console.error('Rephrasing failed, using the template:', llmError.message);
+  }
+
+  return { text: templateText, source: 'template' };
+}
@@ -0,0 +1,224 @@
+// Time-slot helpers shared by the availability and booking routes.
+// Times are handled as minutes since midnight so ranges can be compared directly.
+
+import { APPOINTMENT_TYPES } from './appointments';
+
+export const DEFAULT_SLOT_MINUTES = 30;
+
+export const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Named parts of the day as [start, end) minute ranges, for slot searches
+export const PARTS_OF_DAY = {
+  morning: [0, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 24 * 60],
+};
+
+// 'YYYY-MM-DD' -> 'Monday'. Calendar dates are read as UTC so the weekday
+// does not depend on the server's time zone.
+export function getDayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+}
+
+// Whether 'YYYY-MM-DD' names a real day (not '2026-02-30')
+export function isCalendarDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+// Whether `time` is a time of day as 'HH:MM' or 'HH:MM:SS' (not '24:00' or '9:30')
+export function isClockTime(time) {
+  return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time);
+}
+
+// 'YYYY-MM-DD' plus `days` calendar days
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes since midnight
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// minutes since midnight -> 'HH:MM'
+export function minutesToTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+// Postgres intervals come back from PostgREST as '00:30:00';
+// also accept '30 minutes', '1 hour' and plain numbers
+export function parseDurationMinutes(value, fallback = DEFAULT_SLOT_MINUTES) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value === 'number') return value > 0 ? value : fallback;
+
+  const clock = String(value).match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const minutes = Number(clock[1]) * 60 + Number(clock[2]);
+    return minutes > 0 ? minutes : fallback;
+  }
+
+  const words = String(value).match(/^(\d+)\s*(hours?|mins?|minutes?)$/i);
+  if (words) {
+    const amount = Number(words[1]);
+    const minutes = words[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+    return minutes > 0 ? minutes : fallback;
+  }
+
+  return fallback;
+}
+
+// Length of a visit of the given type; 'standard' visits use the doctor's slot length
+export function getAppointmentDuration(appointmentType, slotMinutes = DEFAULT_SLOT_MINUTES) {
+  return APPOINTMENT_TYPES[appointmentType]?.durationMinutes || slotMinutes;
+}
+
+// Half-open ranges [start, end) overlap when each starts before the other ends
+export function rangesOverlap(startA, endA, startB, endB) {
+  return startA < endB && startB < endA;
+}
+
+// Existing appointments as minute ranges, for overlap checks
+export function toBusyRanges(appointments, fallbackMinutes = DEFAULT_SLOT_MINUTES) {
+  return (appointments || []).map(a => {
+    const start = timeToMinutes(a.appointment_time);
+    return { start, end: start + (a.duration_minutes || fallbackMinutes) };
+  });
+}
+
+// Sort working windows ({ start, end } in minutes) and join any that touch or overlap
+export function mergeWindows(windows) {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  return merged;
+}
+
+// Remove [start, end) from a list of working windows, splitting any window it falls inside
+export function subtractRange(windows, start, end) {
+  return windows.flatMap(window => {
+    if (!rangesOverlap(window.start, window.end, start, end)) return [window];
+    const pieces = [];
+    if (window.start < start) pieces.push({ start: window.start, end: start });
+    if (end < window.end) pieces.push({ start: end, end: window.end });
+    return pieces;
+  });
+}
+
+// First pair of ranges ({ start, end } in minutes) that overlap, or null
+export function findOverlap(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i++) {
+    if (rangesOverlap(sorted[i - 1].start, sorted[i - 1].end, sorted[i].start, sorted[i].end)) {
+      return [sorted[i - 1], sorted[i]];
+    }
+  }
+  return null;
+}
+
+// A weekday's doctor_availability rows as working windows: the sessions,
+// with the recurring breaks cut out of them
+export function getWeeklyWindows(rows = []) {
+  const toRange = row => ({ start: timeToMinutes(row.start_time), end: timeToMinutes(row.end_time) });
+  let windows = mergeWindows(rows.filter(row => row.kind !== 'break').map(toRange));
+
+  for (const breakRange of rows.filter(row => row.kind === 'break').map(toRange)) {
+    windows = subtractRange(windows, breakRange.start, breakRange.end);
+  }
+
+  return windows;
+}
+
+// Apply dated overrides (doctor_availability_overrides rows) to a day's windows.
+// Extra sessions are added first so a block on the same day always wins;
+// a block without times takes the whole day off.
+export function applyOverrides(windows, overrides = []) {
+  const extras = overrides
+    .filter(o => o.kind === 'extra')
+    .map(o => ({ start: timeToMinutes(o.start_time), end: timeToMinutes(o.end_time) }));
+
+  let result = mergeWindows([...windows, ...extras]);
+
+  for (const block of overrides.filter(o => o.kind === 'block')) {
+    if (!block.start_time || !block.end_time) return [];
+    result = subtractRange(result, timeToMinutes(block.start_time), timeToMinutes(block.end_time));
+  }
+
+  return result;
+}
+
+// Candidate start times every `slotMinutes` within each working window.
+// A slot is available when a visit of `durationMinutes` fits before its
+// window closes and does not overlap any busy range.
+export function generateSlots({ windows, slotMinutes, durationMinutes, busy = [] }) {
+  const visitLength = durationMinutes || slotMinutes;
+  const slots = [];
+
+  for (const window of windows) {
+    for (let current = window.start; current + slotMinutes <= window.end; current += slotMinutes) {
+      const visitEnd = current + visitLength;
+      const fits = visitEnd <= window.end;
+      const free = !busy.some(range => rangesOverlap(current, visitEnd, range.start, range.end));
+
+      slots.push({
+        time: minutesToTime(current),
+        available: fits && free,
+      });
+    }
+  }
+
+  return slots;
+}
+
+// Why a visit starting at `time` cannot be booked on a day returned by
+// getDayAvailability, or null if it can
+export function getUnavailableReason(day, time) {
+  if (day.windows.length === 0) return day.reason;
+
+  const start = timeToMinutes(time);
+  const end = start + day.durationMinutes;
+
+  if (!day.windows.some(window => start >= window.start && end <= window.end)) {
+    return 'time_out_of_bounds';
+  }
+  if (day.busy.some(range => rangesOverlap(start, end, range.start, range.end))) {
+    return 'fully_booked';
+  }
+  return null;
+}
+
+// Whether a slot ({ dayOfWeek, time }) passes search filters:
+//   partOfDay     'morning' | 'afternoon' | 'evening'
+//   after/before  'HH:MM'; the visit starts at or after / before it
+//   weekdaysOnly  Monday to Friday only
+//   daysOfWeek    e.g. ['Tuesday', 'Thursday']
+// "Weekdays after 5pm" is { weekdaysOnly: true, after: '17:00' }.
+export function matchesSlotFilters({ dayOfWeek, time }, filters = {}) {
+  const start = timeToMinutes(time);
+
+  if (filters.partOfDay) {
+    const [from, to] = PARTS_OF_DAY[filters.partOfDay];
+    if (start < from || start >= to) return false;
+  }
+  if (filters.after && start < timeToMinutes(filters.after)) return false;
+  if (filters.before && start >= timeToMinutes(filters.before)) return false;
+  if (filters.weekdaysOnly && ['Saturday', 'Sunday'].includes(dayOfWeek)) return false;
+  if (filters.daysOfWeek?.length && !filters.daysOfWeek.includes(dayOfWeek)) return false;
+
+  return true;
+}
@@ -0,0 +1,14 @@
+// When a saved conversation counts as abandoned. Kept apart from
+// lib/conversationSessions.js, which pulls in the dialogue engine and the LLM
+// client, so browser code such as the admin dashboard can import it.
+
+export const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+
+// Sessions last updated before this ISO timestamp can no longer be resumed
+export function idleCutoff(now = Date.now()) {
+  return new Date(now - SESSION_IDLE_MS).toISOString();
+}
+
+export function isAbandoned(row, now = Date.now()) {
+  return row.status === 'active' && now - new Date(row.updated_at).getTime() > SESSION_IDLE_MS;
+}
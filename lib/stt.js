@@ -0,0 +1,258 @@
+// Speech-to-text for /api/transcribe. The provider is chosen by configuration:
+//
+//   STT_PROVIDER      groq (default), openai (any OpenAI-compatible
+//                     /audio/transcriptions endpoint), whispercpp, or mock
+//   STT_MODEL         model name; for whispercpp the path to a ggml model file
+//   STT_BASE_URL      endpoint; required for openai
+//   STT_API_KEY       API key; groq also reads GROQ_API_KEY
+//   STT_TIMEOUT_MS    per-attempt timeout (default 60000)
+//   STT_MAX_RETRIES   retries after timeouts, rate limits and 5xx (default 2)
+//   WHISPER_CPP_BIN   whisper.cpp executable (default whisper-cli)
+//
+// Every recording is checked before it is sent (lib/audio.js): groq and
+// openai get it in the container the browser made, once it has been measured
+// and found short enough and not silent; whispercpp gets it converted to
+// 16 kHz mono WAV after the same checks. whispercpp runs on this server, so
+// audio never leaves it. The mock provider only checks the format and size,
+// so it needs neither a network nor ffmpeg: it answers from transcripts
+// registered with setMockTranscript, then from the STT_MOCK_FIXTURES file (a
+// JSON object keyed by the upload's file name or the SHA-256 of its bytes),
+// and otherwise with an empty transcript.
+
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { checkUpload, prepareAudio } from './audio';
+import { resolveLanguage, detectLanguage } from './languages';
+
+const execFileAsync = promisify(execFile);
+
+// `audio` is what a provider is sent: 'original' (the upload, checked and
+// measured), 'canonical' (converted to WAV) or 'upload' (the upload, with
+// only its format and size checked)
+const PROVIDERS = {
+  groq: {
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'whisper-large-v3',
+    apiKey: () => process.env.STT_API_KEY || process.env.GROQ_API_KEY,
+    requiresApiKey: true,
+    remote: true,
+    audio: 'original',
+    transcribe: transcribeOpenAiCompatible,
+  },
+  openai: {
+    baseUrl: null,
+    model: 'whisper-1',
+    apiKey: () => process.env.STT_API_KEY,
+    requiresApiKey: false,
+    remote: true,
+    audio: 'original',
+    transcribe: transcribeOpenAiCompatible,
+  },
+  whispercpp: {
+    baseUrl: null,
+    model: 'models/ggml-base.bin',
+    apiKey: () => null,
+    requiresApiKey: false,
+    remote: false,
+    audio: 'canonical',
+    transcribe: transcribeWhisperCpp,
+  },
+  mock: {
+    baseUrl: null,
+    model: 'mock',
+    apiKey: () => null,
+    requiresApiKey: false,
+    remote: false,
+    audio: 'upload',
+    transcribe: transcribeMock,
+  },
+};
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+const MAX_BACKOFF_MS = 5000;
+
+function toInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// The active provider settings, read from the environment on every call
+export function getSttConfig() {
+  const provider = (process.env.STT_PROVIDER || 'groq').toLowerCase();
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown STT_PROVIDER "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: process.env.STT_MODEL || settings.model,
+    baseUrl: (process.env.STT_BASE_URL || settings.baseUrl || '').replace(/\/$/, ''),
+    apiKey: settings.apiKey(),
+    timeoutMs: toInt(process.env.STT_TIMEOUT_MS, 60000),
+    maxRetries: settings.remote ? toInt(process.env.STT_MAX_RETRIES, 2) : 0,
+  };
+}
+
+// Whisper's HTTP API. verbose_json adds the detected language when none was given.
+async function transcribeOpenAiCompatible(config, request) {
+  const formData = new FormData();
+  formData.append('file', fs.createReadStream(request.filePath), {
+    filename: request.filename || 'audio.webm',
+    contentType: request.mimeType || 'audio/webm',
+  });
+  formData.append('model', config.model);
+  if (request.language) {
+    formData.append('language', request.language); // A known language transcribes more accurately
+  }
+  formData.append('response_format', request.language ? 'json' : 'verbose_json');
+
+  const headers = formData.getHeaders();
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const response = await axios.post(`${config.baseUrl}/audio/transcriptions`, formData, {
+    headers,
+    timeout: config.timeoutMs,
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+  });
+
+  return { text: response.data.text, language: response.data.language || null };
+}
+
+// whisper.cpp reads 16 kHz mono WAV, which is what transcribeRecording hands
+// it. Its JSON output goes to a scratch directory removed afterwards.
+async function transcribeWhisperCpp(config, request) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+  try {
+    const outputBase = path.join(workDir, 'transcript');
+
+    await execFileAsync(process.env.WHISPER_CPP_BIN || 'whisper-cli', [
+      '-m', config.model,
+      '-f', request.filePath,
+      '-l', request.language || 'auto',
+      '-oj', '-of', outputBase,
+      '-np', '-nt',
+    ], { timeout: config.timeoutMs, maxBuffer: 10 * 1024 * 1024 });
+
+    const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+    const text = (output.transcription || []).map(segment => segment.text).join('').trim();
+    return { text, language: output.result?.language || request.language || null };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+const mockTranscripts = new Map();
+
+// Answer uploads with this file name or SHA-256 from the mock provider, with a
+// transcript string, { text, language }, or a function of the request. Pass
+// null to remove it.
+export function setMockTranscript(key, transcript) {
+  if (transcript === null) {
+    mockTranscripts.delete(key);
+  } else {
+    mockTranscripts.set(key, transcript);
+  }
+}
+
+function getMockFixtures() {
+  if (!process.env.STT_MOCK_FIXTURES) return {};
+  try {
+    return JSON.parse(fs.readFileSync(process.env.STT_MOCK_FIXTURES, 'utf8'));
+  } catch (error) {
+    throw new Error(`STT_MOCK_FIXTURES must be a JSON file of file name or SHA-256 -> transcript (${error.message})`);
+  }
+}
+
+async function transcribeMock(config, request) {
+  const hash = crypto.createHash('sha256').update(await fs.promises.readFile(request.filePath)).digest('hex');
+  const keys = [request.filename, hash].filter(Boolean);
+  const fixtures = getMockFixtures();
+
+  const key = keys.find(k => mockTranscripts.has(k)) ?? keys.find(k => k in fixtures);
+  let transcript = key === undefined ? '' : (mockTranscripts.has(key) ? mockTranscripts.get(key) : fixtures[key]);
+  if (typeof transcript === 'function') transcript = await transcript(request);
+
+  return typeof transcript === 'string'
+    ? { text: transcript, language: request.language || null }
+    : { text: transcript.text || '', language: transcript.language || request.language || null };
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Exponential backoff, or the server's Retry-After for rate limits
+function getBackoffMs(error, attempt) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 500 * 2 ** attempt;
+  return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Transcribe the audio file at `filePath` with the configured provider. For
+// whispercpp it must already be 16 kHz mono WAV (see prepareAudio).
+// `language` is a Whisper language code, or null to have it detected.
+// Returns { text, language }, where language is as the provider reports it
+// (a code or an English name) and may be null.
+export async function transcribe({ filePath, filename, mimeType, language = null } = {}) {
+  const config = getSttConfig();
+  const settings = PROVIDERS[config.provider];
+
+  if (settings.requiresApiKey && !config.apiKey) {
+    throw new Error(`No API key configured for STT provider "${config.provider}"`);
+  }
+  if (!config.baseUrl && config.provider === 'openai') {
+    throw new Error('STT_BASE_URL is required for the openai provider');
+  }
+
+  const request = { filePath, filename, mimeType, language };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await settings.transcribe(config, request);
+    } catch (error) {
+      if (attempt >= config.maxRetries || !isRetryable(error)) {
+        const details = error.response?.data?.error?.message || error.stderr?.trim() || error.message;
+        throw new Error(`Transcription failed (${config.provider}): ${details}`, { cause: error });
+      }
+      console.warn(`Transcription attempt ${attempt + 1} failed (${error.response?.status || error.code}); retrying`);
+      await sleep(getBackoffMs(error, attempt));
+    }
+  }
+}
+
+// Check and transcribe an uploaded recording (see lib/audio.js). Providers
+// that take the browser's container get it as is, the others converted to
+// WAV in `workDir`; only the mock skips the length and silence checks.
+// `language` is a supported code or null to detect it. Returns { text,
+// language } with the language resolved to one we support, or { status,
+// reason, error } when the audio is rejected.
+export async function transcribeRecording(inputPath, workDir, { language = null, filename = 'recording' } = {}) {
+  const { audio: sent } = PROVIDERS[getSttConfig().provider];
+  const prepared = sent === 'upload'
+    ? await checkUpload(inputPath)
+    : await prepareAudio(inputPath, workDir, { convert: sent === 'canonical' });
+  if (prepared.error) return prepared;
+
+  const { audio } = prepared;
+  const transcription = await transcribe({
+    filePath: audio.path,
+    filename: `${path.parse(filename).name}.${audio.extension}`,
+    mimeType: audio.mimeType,
+    language,
+  });
+
+  const text = transcription.text;
+  return { text, language: language || resolveLanguage(transcription.language) || detectLanguage(text) };
+}
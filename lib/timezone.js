@@ -0,0 +1,99 @@
+// Time zone helpers shared by the API routes and the dashboards.
+// Appointment dates and times are stored as wall-clock values in the doctor's
+// time zone (doctors.time_zone, falling back to the clinic's). These helpers
+// convert between those values and real instants with Intl, so results do
+// not depend on the zone the server or browser happens to run in.
+
+export const CLINIC_TIME_ZONE = process.env.NEXT_PUBLIC_CLINIC_TIME_ZONE || 'UTC';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'long',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The given zone if it is a valid IANA name, otherwise the clinic's
+export function resolveTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : CLINIC_TIME_ZONE;
+}
+
+// Zone an appointment's date and time are expressed in (its doctor's)
+export function getAppointmentTimeZone(apt) {
+  return resolveTimeZone(apt?.doctor?.time_zone);
+}
+
+// Wall-clock view of an instant in a zone: { date: 'YYYY-MM-DD', time: 'HH:MM', seconds, dayOfWeek }
+export function getZonedParts(instant, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(resolveTimeZone(timeZone)).formatToParts(instant).map(p => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second),
+    dayOfWeek: parts.weekday,
+  };
+}
+
+// Calendar date ('YYYY-MM-DD') it currently is in a zone
+export function todayInZone(timeZone, now = new Date()) {
+  return getZonedParts(now, timeZone).date;
+}
+
+// Milliseconds the zone is ahead of UTC at an instant
+function getOffsetMs(instant, timeZone) {
+  const { date, time, seconds } = getZonedParts(instant, timeZone);
+  const asUtc = Date.parse(`${date}T${time}:${String(seconds).padStart(2, '0')}Z`);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant at which it is `date` `time` on the wall clock in a zone.
+// Near a DST change the two offsets either side are both tried: a time that
+// occurs twice resolves to the first occurrence, and a time skipped by a
+// spring-forward lands an hour later.
+export function zonedTimeToInstant(date, time, timeZone) {
+  const zone = resolveTimeZone(timeZone);
+  const wallTime = time.slice(0, 5);
+  const naive = new Date(`${date}T${wallTime}:00Z`);
+  const offsetBefore = getOffsetMs(naive, zone);
+  const offsetAfter = getOffsetMs(new Date(naive.getTime() - offsetBefore), zone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => new Date(naive.getTime() - offset))
+    .sort((a, b) => a - b);
+
+  const exact = candidates.find(candidate => {
+    const parts = getZonedParts(candidate, zone);
+    return parts.date === date && parts.time === wallTime;
+  });
+
+  return exact || candidates[candidates.length - 1];
+}
+
+// 'YYYY-MM-DD' for display, without shifting the day in zones west of UTC
+export function formatCalendarDate(date, options, locale = 'en-US') {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+}
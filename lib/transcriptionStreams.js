@@ -0,0 +1,88 @@
+// Recordings that arrive in chunks while the patient is still speaking
+// (/api/transcribe-stream). Each stream appends its chunks to one file in its
+// own temp directory; MediaRecorder chunks only decode together with the first
+// one, so partial transcripts are always made from the whole recording so far.
+// Streams live in this server process and are dropped after STREAM_IDLE_MS
+// without a chunk, so a single server (or sticky sessions) is assumed.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+export const STREAM_IDLE_MS = 60 * 1000;
+const MAX_STREAMS = 50;
+
+// A partial transcript is redone at most this often; chunks in between only
+// add audio and return the previous partial
+export const PARTIAL_INTERVAL_MS = 1500;
+
+const streams = new Map();
+
+async function removeStreamFiles(stream) {
+  await fs.promises.rm(stream.dir, { recursive: true, force: true });
+}
+
+// Drop streams the client abandoned (tab closed, network lost)
+export async function sweepIdleStreams(now = Date.now()) {
+  for (const [id, stream] of streams) {
+    if (now - stream.updatedAt > STREAM_IDLE_MS) {
+      streams.delete(id);
+      await removeStreamFiles(stream);
+    }
+  }
+}
+
+// A new stream, or null when too many are open
+export async function createStream({ language = null } = {}) {
+  await sweepIdleStreams();
+  if (streams.size >= MAX_STREAMS) return null;
+
+  const id = crypto.randomUUID();
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stream-'));
+  const stream = {
+    id,
+    dir,
+    audioPath: path.join(dir, 'recording'),
+    language,
+    updatedAt: Date.now(),
+    partialAt: 0,
+    text: '',
+    detectedLanguage: null,
+  };
+  await fs.promises.writeFile(stream.audioPath, Buffer.alloc(0));
+  streams.set(id, stream);
+  return stream;
+}
+
+export function getStream(id) {
+  return (id && streams.get(id)) || null;
+}
+
+export async function appendChunk(stream, chunkPath) {
+  await fs.promises.appendFile(stream.audioPath, await fs.promises.readFile(chunkPath));
+  stream.updatedAt = Date.now();
+}
+
+// Whether enough time has passed since the last partial attempt to
+// transcribe the recording so far again
+export function isPartialDue(stream, now = Date.now()) {
+  return now - stream.partialAt >= PARTIAL_INTERVAL_MS;
+}
+
+// Call when a partial transcription starts. The interval counts from every
+// attempt, so one that fails or finds only silence is not retried on the
+// very next chunk.
+export function startPartial(stream, now = Date.now()) {
+  stream.partialAt = now;
+}
+
+export function recordPartial(stream, { text, language }) {
+  stream.text = text;
+  stream.detectedLanguage = language || stream.detectedLanguage;
+}
+
+export async function closeStream(stream) {
+  streams.delete(stream.id);
+  await removeStreamFiles(stream);
+}
@@ -0,0 +1,117 @@
+// Visit reason, symptoms and urgency for voice bookings. The LLM extracts
+// them in /api/interpret; the checks here are deterministic so a patient who
+// describes an emergency is never booked into a routine slot because the
+// model missed it.
+//
+// Urgency levels, lowest first:
+//   routine  check-ups, follow-ups, long-standing problems
+//   soon     new or worsening symptoms that should be seen within days
+//   urgent   the patient asks for the earliest possible appointment
+// Red flags are not a level: they come with an advisory (describeEmergency)
+// telling the patient to seek emergency care, and a booking only goes ahead
+// once the patient has heard it and still wants one.
+
+import { phrase, joinList } from './phrases';
+import { DEFAULT_LANGUAGE } from './languages';
+
+export const URGENCY_LEVELS = ['routine', 'soon', 'urgent'];
+
+export const DEFAULT_URGENCY = 'routine';
+
+// Phrases that need emergency care rather than an appointment
+const RED_FLAGS = [
+  { id: 'chest_pain', label: 'chest pain', pattern: /\bchest\s+(pain|pains|tightness|pressure|hurts?|hurting)\b|\b(pain|tightness|pressure)\s+in\s+(my|the)\s+chest\b/ },
+  { id: 'breathing', label: 'difficulty breathing', pattern: /\b(difficulty|trouble|struggling|hard|problems?)\s+(breathing|to breathe)\b|\bshort(ness)?\s+of\s+breath\b|\b(can ?not|cant|can't|unable to)\s+breathe\b|\bchoking\b/ },
+  { id: 'stroke', label: 'signs of a stroke', pattern: /\bhaving a stroke\b|\bsigns of (a )?stroke\b|\b(face|mouth)\s+(is\s+)?droop(ing|s|ed|y)?\b|\bslurr(ed|ing)\s+(speech|words)\b|\b(numb|numbness|weakness|weak)\b.{0,30}\bone side\b/ },
+  { id: 'bleeding', label: 'heavy bleeding', pattern: /\b(heavy|severe|a lot of|lots of)\s+bleeding\b|\bbleeding\s+(heavily|badly|a lot)\b|\b(bleeding|blood)\b.{0,20}\b(won'?t|will not|doesn'?t|does not)\s+stop\b|\bcoughing\s+(up\s+)?blood\b|\bvomiting\s+blood\b/ },
+  { id: 'unconscious', label: 'loss of consciousness', pattern: /\b(unconscious|passed out|passing out|blacked out|fainted|unresponsive)\b/ },
+  { id: 'seizure', label: 'a seizure', pattern: /\b(seizure|seizures|seizing|convulsing|convulsions)\b/ },
+  { id: 'anaphylaxis', label: 'a severe allergic reaction', pattern: /\banaphyla\w*|\b(throat|tongue|lips?)\s+(is\s+|are\s+)?(swelling|swollen|closing)\b|\bsevere allergic reaction\b/ },
+  { id: 'self_harm', label: 'thoughts of self-harm', pattern: /\b(suicid\w*|kill myself|end my life|hurt myself|self[-\s]?harm)\b/ },
+  { id: 'overdose', label: 'an overdose or poisoning', pattern: /\b(overdos\w*|poison(ed|ing))\b/ },
+];
+
+// "no chest pain", "not short of breath", "without any bleeding"
+const NEGATION = /\b(no|not|never|without|denies|don'?t have|doesn'?t have|isn'?t|wasn'?t|no more)\s+(\w+\s+){0,2}$/;
+
+// "my chest pain resolved last year", "follow-up after my overdose in 2019",
+// "a history of suicidal thoughts": something that happened, not now
+const PAST_BEFORE = /\b(history of|follow[-\s]?up (after|for|on)|after (my|an?|the)|in the past|used to (have|get|be)|recovered from|previous|prior)\s+(\w+\s+){0,3}$/;
+const PAST_AFTER = /^\s*(\w+\s+){0,4}(resolved|went away|has gone|cleared up|got better|years? ago|months ago|last year|in (19|20)\d\d|as a (child|kid|teenager))\b/;
+
+// "my brother was unconscious": a red flag of someone else's, unless the
+// patient is talking about themselves too ("my wife says I passed out")
+const THIRD_PARTY = /\b(my|our)\s+(brother|sister|mother|mom|mum|father|dad|son|daughter|wife|husband|partner|friend|uncle|aunt|cousin|grand\w+|neighbou?r|colleague)((?:\s+\S+){0,4})\s+$/;
+const FIRST_PERSON = /\b(i|i'm|i've|me|my)\b/;
+
+// Words that raise a booking above routine when the model does not
+const URGENCY_CUES = [
+  { level: 'urgent', pattern: /\b(urgent(ly)?|emergency appointment|as soon as possible|asap|right away|straight away|earliest (possible|available)|first available)\b/ },
+  { level: 'soon', pattern: /\b(severe|getting worse|worsening|really bad|a lot of pain|in (a lot of )?pain|can'?t sleep|high fever|since (yesterday|last night|this morning))\b/ },
+];
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[’`]/g, "'").replace(/[.,!?;:]/g, ' ').replace(/\s+/g, ' ');
+}
+
+// Whether a red flag found in `clause` between `start` and `end` is negated,
+// in the patient's past or about someone else
+function isDiscounted(clause, start, end) {
+  const before = clause.slice(Math.max(0, start - 40), start);
+  const after = clause.slice(end);
+  if (NEGATION.test(before.slice(-30))) return true;
+  if (PAST_BEFORE.test(before) || PAST_AFTER.test(after)) return true;
+
+  const other = before.match(THIRD_PARTY);
+  return Boolean(other) && !FIRST_PERSON.test(other[3]);
+}
+
+// The red flags described in `text`, ignoring mentions that are negated, in
+// the past or about someone else. Each sentence is judged on its own, so
+// "No chest pain. I passed out." still finds the fainting.
+// Returns [{ id, label }] in RED_FLAGS order.
+export function detectRedFlags(text) {
+  const clauses = (text || '').split(/[.!?;\n]+|,?\s+but\s+/i).map(normalize).filter(clause => clause.trim());
+  if (clauses.length === 0) return [];
+
+  return RED_FLAGS.filter(({ pattern }) => {
+    const regex = new RegExp(pattern.source, 'g');
+    return clauses.some(clause => [...clause.matchAll(regex)]
+      .some(match => !isDiscounted(clause, match.index, match.index + match[0].length)));
+  }).map(({ id, label }) => ({ id, label }));
+}
+
+// The spoken advisory given instead of booking when a red flag is found
+export function describeEmergency(redFlags, language = DEFAULT_LANGUAGE) {
+  const labels = redFlags.map(flag => phrase(`red_flag_${flag.id}`, language));
+  const what = labels.length > 0 ? joinList(labels, language, 'and') : phrase('those_symptoms', language);
+  return phrase('emergency', language, { what });
+}
+
+// The higher of two urgency levels; unknown values count as routine
+export function maxUrgency(a, b) {
+  return URGENCY_LEVELS[Math.max(URGENCY_LEVELS.indexOf(a), URGENCY_LEVELS.indexOf(b), 0)];
+}
+
+// Combine the model's reading with the deterministic checks.
+// `text` is what the patient said; `symptoms` and `urgency` come from the LLM.
+// The phrases are English: for other languages the red flags are found in
+// the reason and symptoms, which the LLM writes in English.
+// Returns { urgency, redFlags, emergency } where emergency is null or
+// { redFlags, message }: do not book until the patient has heard `message`.
+export function assessUrgency({ text, reason, symptoms = [], urgency, language = DEFAULT_LANGUAGE }) {
+  const described = [text, reason, ...(symptoms || [])].filter(Boolean).join('. ');
+
+  let level = URGENCY_LEVELS.includes(urgency) ? urgency : DEFAULT_URGENCY;
+  const lowerText = normalize(described);
+  for (const cue of URGENCY_CUES) {
+    if (cue.pattern.test(lowerText)) level = maxUrgency(level, cue.level);
+  }
+
+  const redFlags = detectRedFlags(described);
+  return {
+    urgency: level,
+    redFlags,
+    emergency: redFlags.length > 0 ? { redFlags, message: describeEmergency(redFlags, language) } : null,
+  };
+}
@@ -0,0 +1,300 @@
+// Text-to-speech for /api/tts, so the voice assistant sounds the same on every
+// device instead of depending on the browser's voices. The provider is chosen
+// by configuration:
+//
+//   TTS_PROVIDER      none (default: the browser speaks), piper, espeak
+//                     (espeak-ng), openai (any OpenAI-compatible
+//                     /audio/speech endpoint), or mock
+//   TTS_MODEL         model name for openai (default tts-1)
+//   TTS_BASE_URL      endpoint; required for openai
+//   TTS_API_KEY       API key for openai
+//   TTS_VOICES        JSON object of language code -> voice: a .onnx model
+//                     path for piper (required), an espeak-ng voice, or an
+//                     openai voice name
+//   TTS_TIMEOUT_MS    per-attempt timeout (default 30000)
+//   TTS_MAX_RETRIES   retries after timeouts, rate limits and 5xx (default 2)
+//   TTS_CACHE_DIR     where audio for fixed prompts is kept (default
+//                     <tmpdir>/tts-cache)
+//   PIPER_BIN         piper executable (default piper)
+//   ESPEAK_BIN        espeak-ng executable (default espeak-ng)
+//
+// piper and espeak run on this server, so no text leaves it. Prompts that
+// never change (the greeting, "which date?", yes/no confirmations: see
+// isFixedPhrase in lib/phrases.js) are cached on disk per provider, voice and
+// text; anything with names, dates or times in it is synthesized each time.
+// The mock provider returns a short silent WAV.
+
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { isFixedPhrase } from './phrases';
+
+const WAV = { mimeType: 'audio/wav', extension: 'wav' };
+const MP3 = { mimeType: 'audio/mpeg', extension: 'mp3' };
+
+const PROVIDERS = {
+  none: {
+    model: null,
+    voices: {},
+    remote: false,
+    synthesize: null,
+  },
+  piper: {
+    model: null,
+    voices: {},
+    remote: false,
+    synthesize: synthesizePiper,
+  },
+  espeak: {
+    model: null,
+    voices: { en: 'en-us', ar: 'ar', ur: 'ur', hi: 'hi', es: 'es' },
+    remote: false,
+    synthesize: synthesizeEspeak,
+  },
+  openai: {
+    model: 'tts-1',
+    voices: { en: 'alloy', ar: 'alloy', ur: 'alloy', hi: 'alloy', es: 'alloy' },
+    remote: true,
+    synthesize: synthesizeOpenAiCompatible,
+  },
+  mock: {
+    model: 'mock',
+    voices: { en: 'mock', ar: 'mock', ur: 'mock', hi: 'mock', es: 'mock' },
+    remote: false,
+    synthesize: synthesizeMock,
+  },
+};
+
+// Longer text is refused; the assistant speaks a few sentences at a time
+export const MAX_TTS_TEXT_LENGTH = 1000;
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+const MAX_BACKOFF_MS = 5000;
+
+function toInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function getVoiceOverrides() {
+  if (!process.env.TTS_VOICES) return {};
+  try {
+    return JSON.parse(process.env.TTS_VOICES);
+  } catch (error) {
+    throw new Error(`TTS_VOICES must be a JSON object of language code -> voice (${error.message})`);
+  }
+}
+
+// The active provider settings, read from the environment on every call
+export function getTtsConfig() {
+  const provider = (process.env.TTS_PROVIDER || 'none').toLowerCase();
+  const settings = PROVIDERS[provider];
+  if (!settings) {
+    throw new Error(`Unknown TTS_PROVIDER "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return {
+    provider,
+    enabled: Boolean(settings.synthesize),
+    model: process.env.TTS_MODEL || settings.model,
+    baseUrl: (process.env.TTS_BASE_URL || '').replace(/\/$/, ''),
+    apiKey: process.env.TTS_API_KEY || null,
+    voices: { ...settings.voices, ...getVoiceOverrides() },
+    timeoutMs: toInt(process.env.TTS_TIMEOUT_MS, 30000),
+    maxRetries: settings.remote ? toInt(process.env.TTS_MAX_RETRIES, 2) : 0,
+    cacheDir: process.env.TTS_CACHE_DIR || path.join(os.tmpdir(), 'tts-cache'),
+  };
+}
+
+// Run a command with `input` on stdin. Rejects with its stderr when it fails
+// or runs past timeoutMs.
+function runWithInput(command, args, input, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const error = new Error(`${command} exited with ${signal || `code ${code}`}`);
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+// Piper reads the text on stdin and writes a WAV with the voice model given
+async function synthesizePiper(config, request, workDir) {
+  const outputPath = path.join(workDir, 'speech.wav');
+  await runWithInput(process.env.PIPER_BIN || 'piper', [
+    '--model', request.voice,
+    '--output_file', outputPath,
+  ], request.text, config.timeoutMs);
+  return { audio: await fs.promises.readFile(outputPath), ...WAV };
+}
+
+async function synthesizeEspeak(config, request, workDir) {
+  const outputPath = path.join(workDir, 'speech.wav');
+  await runWithInput(process.env.ESPEAK_BIN || 'espeak-ng', [
+    '-v', request.voice,
+    '-w', outputPath,
+    '--stdin',
+  ], request.text, config.timeoutMs);
+  return { audio: await fs.promises.readFile(outputPath), ...WAV };
+}
+
+async function synthesizeOpenAiCompatible(config, request) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const response = await axios.post(`${config.baseUrl}/audio/speech`, {
+    model: config.model,
+    input: request.text,
+    voice: request.voice,
+    response_format: MP3.extension,
+  }, {
+    headers,
+    timeout: config.timeoutMs,
+    responseType: 'arraybuffer',
+  });
+
+  return { audio: Buffer.from(response.data), ...MP3 };
+}
+
+// A quarter of a second of 16 kHz mono silence
+async function synthesizeMock() {
+  const sampleRate = 16000;
+  const dataBytes = (sampleRate / 4) * 2;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return { audio: Buffer.concat([header, Buffer.alloc(dataBytes)]), ...WAV };
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// Exponential backoff, or the server's Retry-After for rate limits
+function getBackoffMs(error, attempt) {
+  const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 500 * 2 ** attempt;
+  return Math.min(delay, MAX_BACKOFF_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function synthesizeWithRetries(config, request) {
+  const settings = PROVIDERS[config.provider];
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tts-'));
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await settings.synthesize(config, request, workDir);
+      } catch (error) {
+        if (attempt >= config.maxRetries || !isRetryable(error)) {
+          const details = error.response?.status ? `HTTP ${error.response.status}` : error.stderr?.trim() || error.message;
+          throw new Error(`Speech synthesis failed (${config.provider}): ${details}`, { cause: error });
+        }
+        console.warn(`Speech synthesis attempt ${attempt + 1} failed (${error.response?.status || error.code}); retrying`);
+        await sleep(getBackoffMs(error, attempt));
+      }
+    }
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Cached audio is stored as <hash>.<extension>; the hash covers everything
+// that changes the sound
+function cacheKey(config, request) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([config.provider, config.model, request.voice, request.language, request.text]))
+    .digest('hex');
+}
+
+async function readCache(config, key) {
+  for (const format of [WAV, MP3]) {
+    try {
+      const audio = await fs.promises.readFile(path.join(config.cacheDir, `${key}.${format.extension}`));
+      return { audio, ...format };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+}
+
+// Written under a temporary name and renamed, so a concurrent request never
+// reads half a file
+async function writeCache(config, key, speech) {
+  await fs.promises.mkdir(config.cacheDir, { recursive: true });
+  const finalPath = path.join(config.cacheDir, `${key}.${speech.extension}`);
+  const tempPath = `${finalPath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, speech.audio);
+  await fs.promises.rename(tempPath, finalPath);
+}
+
+// Speak `text` in `language` (a supported code) with the configured provider.
+// Returns { audio, mimeType, extension, cached }, or { status, reason, error }
+// when the server cannot speak it: no provider configured (503
+// tts_unavailable) or no voice for the language (422 no_voice). Clients then
+// fall back to the browser's speechSynthesis.
+export async function synthesize({ text, language }) {
+  const config = getTtsConfig();
+
+  if (!config.enabled) {
+    return { status: 503, reason: 'tts_unavailable', error: 'Server speech is not configured' };
+  }
+  if (!config.baseUrl && config.provider === 'openai') {
+    throw new Error('TTS_BASE_URL is required for the openai provider');
+  }
+
+  const voice = config.voices[language];
+  if (!voice) {
+    return { status: 422, reason: 'no_voice', error: `No ${config.provider} voice configured for "${language}"` };
+  }
+
+  const request = { text, language, voice };
+  const cacheable = isFixedPhrase(text, language);
+  const key = cacheable ? cacheKey(config, request) : null;
+
+  if (cacheable) {
+    const cached = await readCache(config, key);
+    if (cached) return { ...cached, cached: true };
+  }
+
+  const speech = await synthesizeWithRetries(config, request);
+
+  if (cacheable) {
+    await writeCache(config, key, speech).catch(error => {
+      console.warn('Could not cache synthesized speech:', error.message);
+    });
+  }
+  return { ...speech, cached: false };
+}
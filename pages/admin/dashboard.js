@@ -1,5 +1,8 @@
 import { useAuth } from '../../contexts/AuthContext';
 import { withAdmin } from '../../lib/withAuth';
+import { STATUS_LABELS } from '../../lib/appointmentStatus';
+import { formatCalendarDate } from '../../lib/timezone';
+import { idleCutoff } from '../../lib/sessionActivity';
 import { useState, useEffect } from 'react';
 import { supabase } from '../../lib/supabase';
 import Head from 'next/head';
@@ -15,9 +18,95 @@ import {
   Filter,
   Mail,
   Phone,
-  User
+  User,
+  MessageSquare
 } from 'lucide-react';
 
+// One conversation in the review list; selecting it shows the transcript and
+// the details gathered before it stopped
+function ConversationRow({ conversation, isSelected, onSelect }) {
+  const { slots = {}, transcript = [] } = conversation;
+  const gathered = [
+    ['Doctor', slots.doctor],
+    ['Date', slots.date],
+    ['Time', slots.time],
+    ['Reason', slots.reason],
+    ['Mode', slots.mode],
+  ].filter(([, value]) => value);
+
+  return (
+    <>
+      <tr onClick={onSelect} className="hover:bg-slate-50 transition-colors cursor-pointer">
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div className="font-medium text-slate-900">{conversation.patient?.user?.full_name || 'Unknown patient'}</div>
+          <div className="text-xs text-slate-500">{conversation.patient?.user?.email}</div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
+          {new Date(conversation.updated_at).toLocaleString()}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500">
+          {conversation.stage.replace(/_/g, ' ')}
+        </td>
+        <td className="px-6 py-4">
+          {conversation.status === 'failed' ? (
+            <>
+              <span className="px-2.5 py-0.5 rounded-full text-xs font-medium border bg-red-100 text-red-800 border-red-200">Failed</span>
+              {conversation.error && <div className="text-xs text-slate-500 mt-1">{conversation.error}</div>}
+            </>
+          ) : (
+            <span className="px-2.5 py-0.5 rounded-full text-xs font-medium border bg-gray-100 text-gray-800 border-gray-200">Abandoned</span>
+          )}
+        </td>
+      </tr>
+      {isSelected && (
+        <tr className="bg-slate-50">
+          <td colSpan={4} className="px-6 py-4">
+            {gathered.length > 0 && (
+              <div className="flex flex-wrap gap-4 text-sm mb-4">
+                {gathered.map(([label, value]) => (
+                  <div key={label}>
+                    <span className="text-slate-500">{label}: </span>
+                    <span className="font-medium text-slate-900">{value}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="space-y-2">
+              {transcript.map((entry, idx) => (
+                <div key={idx} dir="auto" className="text-sm">
+                  <span className={`font-semibold ${entry.speaker === 'user' ? 'text-blue-700' : 'text-slate-700'}`}>
+                    {entry.speaker === 'user' ? 'Patient' : 'Assistant'}:
+                  </span>{' '}
+                  <span className="text-slate-700">{entry.text}</span>
+                </div>
+              ))}
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// Voice booking conversations that need a look: failed, or abandoned before
+// the patient finished. Returns { conversations, error }.
+async function fetchConversationsToReview() {
+  const { data, error } = await supabase
+    .from('conversation_sessions')
+    .select(`
+      *,
+      patient:patients(
+        id,
+        user:users(full_name, email)
+      )
+    `)
+    .or(`status.eq.failed,and(status.eq.active,updated_at.lt.${idleCutoff()})`)
+    .order('updated_at', { ascending: false })
+    .limit(200);
+
+  return { conversations: data || [], error };
+}
+
 function AdminDashboard() {
   const { user, userProfile, signOut } = useAuth();
   const [stats, setStats] = useState({
@@ -29,6 +118,9 @@ function AdminDashboard() {
   const [appointments, setAppointments] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [patients, setPatients] = useState([]);
+  const [conversations, setConversations] = useState([]);
+  const [conversationsError, setConversationsError] = useState(null);
+  const [selectedConversationId, setSelectedConversationId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
 
@@ -92,6 +184,15 @@ function AdminDashboard() {
         totalPatients: patientsData?.length || 0,
         pendingAppointments: appointmentsData?.filter((apt) => apt.status === 'pending').length || 0,
       });
+      // A failure here only affects the Conversations tab
+      const { conversations: conversationsData, error: convError } = await fetchConversationsToReview();
+      if (convError) {
+        console.error('Error fetching conversations:', convError);
+        setConversationsError('Conversations could not be loaded. Please try again later.');
+      } else {
+        setConversationsError(null);
+      }
+      setConversations(conversationsData);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -106,25 +207,18 @@ function AdminDashboard() {
       cancelled: 'bg-red-100 text-red-800 border-red-200',
       completed: 'bg-blue-100 text-blue-800 border-blue-200',
       'no-show': 'bg-gray-100 text-gray-800 border-gray-200',
-    };
-
-    const labels = {
-      pending: 'Pending',
-      confirmed: 'Confirmed',
-      cancelled: 'Cancelled',
-      completed: 'Completed',
-      'no-show': 'No Show',
+      rejected: 'bg-rose-100 text-rose-800 border-rose-200',
     };
 
     return (
       <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium border ${styles[status] || styles.pending}`}>
-        {labels[status] || 'Pending'}
+        {STATUS_LABELS[status] || 'Pending'}
       </span>
     );
   };
 
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return formatCalendarDate(dateString, {
       year: 'numeric',
       month: 'short',
       day: 'numeric',
@@ -175,6 +269,7 @@ function AdminDashboard() {
             <NavItem id="appointments" icon={Calendar} label="Appointments" />
             <NavItem id="doctors" icon={Stethoscope} label="Doctors" />
             <NavItem id="patients" icon={Users} label="Patients" />
+            <NavItem id="conversations" icon={MessageSquare} label="Conversations" />
           </nav>
 
           <div className="p-4 border-t border-slate-100">
@@ -211,7 +306,8 @@ function AdminDashboard() {
               <h1 className="text-2xl font-bold text-slate-900">
                 {activeTab === 'overview' ? 'System Overview' :
                  activeTab === 'appointments' ? 'All Appointments' :
-                 activeTab === 'doctors' ? 'Doctor Management' : 'Patient Management'}
+                 activeTab === 'doctors' ? 'Doctor Management' :
+                 activeTab === 'conversations' ? 'Conversation Review' : 'Patient Management'}
               </h1>
             </div>
           </header>
@@ -436,6 +532,49 @@ function AdminDashboard() {
                   </div>
                 </div>
               )}
+
+              {activeTab === 'conversations' && (
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+                  <div className="p-6 border-b border-slate-100">
+                    <h3 className="text-lg font-bold text-slate-900">Failed &amp; Abandoned Conversations</h3>
+                    <p className="text-sm text-slate-500 mt-1">Select a conversation to read its transcript.</p>
+                    {conversationsError && (
+                      <p role="alert" className="text-sm text-red-600 mt-2">{conversationsError}</p>
+                    )}
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-slate-50 border-b border-slate-100">
+                        <tr>
+                          <th className="px-6 py-4 text-left text-xs font-semibold text-slate-500 uppercase tracking-wider">Patient</th>
+                          <th className="px-6 py-4 text-left text-xs font-semibold text-slate-500 uppercase tracking-wider">Last Activity</th>
+                          <th className="px-6 py-4 text-left text-xs font-semibold text-slate-500 uppercase tracking-wider">Stage</th>
+                          <th className="px-6 py-4 text-left text-xs font-semibold text-slate-500 uppercase tracking-wider">Outcome</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-100">
+                        {conversations.length === 0 && !conversationsError && (
+                          <tr>
+                            <td colSpan={4} className="px-6 py-8 text-center text-sm text-slate-500">
+                              No conversations need review.
+                            </td>
+                          </tr>
+                        )}
+                        {conversations.map((conversation) => (
+                          <ConversationRow
+                            key={conversation.id}
+                            conversation={conversation}
+                            isSelected={selectedConversationId === conversation.id}
+                            onSelect={() => setSelectedConversationId(
+                              selectedConversationId === conversation.id ? null : conversation.id
+                            )}
+                          />
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </>
           )}
         </main>
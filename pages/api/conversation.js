@@ -0,0 +1,183 @@
+/**
+ * Booking Conversation Route
+ *
+ * Accepts: POST JSON
+ *   - start:  { language?, fallbackLanguage?, resume?, sessionId? }.
+ *             `language` is a code from lib/languages.js or 'auto';
+ *             `fallbackLanguage` (e.g. the browser's) is spoken until the
+ *             patient's is known. With `resume: true` the conversation named
+ *             by `sessionId`, or else the signed-in patient's latest active
+ *             one, is picked up again; without one a new one starts
+ *   - turn:   { sessionId, text, spokenLanguage?, language?, choice?, channel? }.
+ *             `text` is what the patient said or typed, `spokenLanguage` the
+ *             language it was heard in, and `language` changes the
+ *             conversation's language. A picked quick reply sends its label
+ *             as `text` and its `choice`. `channel` is 'voice' (the default)
+ *             or 'chat' for typed turns, recorded as the booking method
+ *   Send the patient's Authorization header: it ties the conversation to
+ *   them, and booking, cancelling and rescheduling need it. Bookings are
+ *   made for the signed-in patient; a `patientId` in the body is ignored
+ * Returns: { sessionId, stage, prompt, replies, history, options, listen,
+ *            language, data, result, error, resumed }. `options` are the
+ *            quick replies for the current question
+ *
+ * Flow:
+ * 1. Identify the signed-in user, if any, and their patient profile
+ * 2. Start a conversation (lib/dialogue.js) and return the greeting, or
+ *    resume one and repeat its last question, or load the session for a turn
+ *    (404 when it does not exist, was abandoned or belongs to someone else)
+ * 3. Run the patient's turn through the dialogue engine, which applies the
+ *    same interpretation, availability and booking logic as those routes
+ *    (lib/dialogueServices.js)
+ * 4. Save the new state to conversation_sessions
+ *    (lib/conversationSessions.js) and return what to say next. `listen` is
+ *    false once the conversation has ended or needs the patient to start
+ *    over. A turn that crashes is saved as failed for support to review
+ */
+
+import { supabase, supabaseAdmin } from '../../lib/supabase';
+import {
+  startConversation,
+  resumeConversation,
+  takeTurn,
+  quickReplies,
+  setConversationLanguage,
+  conversationLanguage,
+} from '../../lib/dialogue';
+import { createDialogueServices } from '../../lib/dialogueServices';
+import { findPatientId } from '../../lib/patientAppointments';
+import { BOOKING_METHODS, DEFAULT_BOOKING_METHOD } from '../../lib/booking';
+import {
+  newSessionId,
+  loadSession,
+  findResumableSession,
+  saveSession,
+} from '../../lib/conversationSessions';
+import { AUTO_LANGUAGE, resolveLanguage } from '../../lib/languages';
+
+function toResponse({ state, replies, listen }, { resumed = false } = {}) {
+  return {
+    sessionId: state.id,
+    stage: state.stage,
+    prompt: replies.join(' '),
+    replies,
+    history: state.history,
+    options: listen ? quickReplies(state) : [],
+    listen,
+    language: conversationLanguage(state),
+    languageSetting: state.language,
+    detectedLanguage: state.detectedLanguage,
+    data: state.data,
+    result: state.result,
+    error: state.error,
+    resumed,
+  };
+}
+
+function isValidLanguage(language) {
+  return !language || language === AUTO_LANGUAGE || Boolean(resolveLanguage(language));
+}
+
+// The signed-in user's id, or null for a missing or invalid token
+async function getUserId(authorization) {
+  const token = authorization?.split(' ')[1];
+  if (!token) return null;
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  return error || !user ? null : user.id;
+}
+
+// A conversation started by a signed-in patient is theirs alone
+function isOwnedBy(session, userId) {
+  return !session.userId || session.userId === userId;
+}
+
+const UNKNOWN_SESSION = { error: 'Conversation not found or expired', reason: 'unknown_session' };
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let session = null;
+
+  try {
+    const { sessionId, text, spokenLanguage, language, resume, choice, channel = DEFAULT_BOOKING_METHOD } = req.body || {};
+
+    if (!isValidLanguage(language)) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+
+    const userId = await getUserId(req.headers.authorization);
+
+    if (resume) {
+      const found = sessionId
+        ? await loadSession(supabaseAdmin, sessionId)
+        : userId && await findResumableSession(supabaseAdmin, userId);
+
+      if (found?.status === 'active' && isOwnedBy(found, userId)) {
+        const turn = resumeConversation(found.state);
+        await saveSession(supabaseAdmin, turn.state, { userId: found.userId });
+        return res.status(200).json(toResponse(turn, { resumed: true }));
+      }
+    }
+
+    if (!sessionId || resume) {
+      const turn = startConversation({
+        id: newSessionId(),
+        patientId: await findPatientId(supabaseAdmin, userId),
+        language: language || AUTO_LANGUAGE,
+        fallbackLanguage: req.body?.fallbackLanguage,
+      });
+      await saveSession(supabaseAdmin, turn.state, { userId });
+      return res.status(200).json(toResponse(turn));
+    }
+
+    session = await loadSession(supabaseAdmin, sessionId);
+    if (!session || !isOwnedBy(session, userId)) {
+      return res.status(404).json(UNKNOWN_SESSION);
+    }
+
+    if (!text || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'No text provided' });
+    }
+
+    if (choice !== undefined && choice !== null && !Number.isInteger(choice)) {
+      return res.status(400).json({ error: 'choice must be the index of a quick reply' });
+    }
+
+    if (!BOOKING_METHODS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${BOOKING_METHODS.join(', ')}` });
+    }
+
+    // Whoever is signed in now is the patient the booking is for
+    let state = { ...session.state, patientId: await findPatientId(supabaseAdmin, userId) };
+    if (language) state = setConversationLanguage(state, language);
+
+    const services = createDialogueServices({ userId, bookingMethod: channel });
+    const turn = await takeTurn(state, { text: text.trim(), language: spokenLanguage, choice }, services);
+    await saveSession(supabaseAdmin, turn.state, { userId: session.userId });
+
+    return res.status(200).json(toResponse(turn));
+
+  } catch (error) {
+    console.error('Conversation error:', error);
+
+    // Keep what the patient said, and why it failed, for support to review
+    if (session) {
+      const heard = req.body?.text ? [{ speaker: 'user', text: req.body.text, timestamp: Date.now() }] : [];
+      const failedState = {
+        ...session.state,
+        history: [...session.state.history, ...heard],
+        error: `Conversation failed: ${error.message}`,
+      };
+      await saveSession(supabaseAdmin, failedState, { userId: session.userId })
+        .catch(saveError => console.error('Could not record the failed conversation:', saveError));
+    }
+
+    return res.status(500).json({
+      error: 'Conversation failed',
+      details: error.message,
+    });
+  }
+}
@@ -1,4 +1,6 @@
 import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { getTransitionError, changeAppointmentStatus } from '../../../lib/appointmentStatus';
+import { todayInZone } from '../../../lib/timezone';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET' && req.method !== 'PATCH') {
@@ -28,7 +30,7 @@ export default async function handler(req, res) {
     // 1. Get the doctor's ID
     const { data: doctor, error: doctorError } = await supabaseAdmin
       .from('doctors')
-      .select('id')
+      .select('id, time_zone')
       .eq('user_id', user.id)
       .single();
 
@@ -42,6 +44,7 @@ export default async function handler(req, res) {
       .from('appointments')
       .select(`
         *,
+        doctor:doctors(time_zone),
         patient:patients(
           id,
           date_of_birth,
@@ -50,8 +53,8 @@ export default async function handler(req, res) {
       `)
       .eq('doctor_id', doctor.id);
 
-    // Apply filters matching the dashboard logic
-    const today = new Date().toISOString().split('T')[0];
+    // Apply filters matching the dashboard logic, with "today" in the doctor's zone
+    const today = todayInZone(doctor.time_zone);
 
     if (filter === 'today') {
       query = query.eq('appointment_date', today);
@@ -97,19 +100,43 @@ async function handlePatch(req, res, user) {
     return res.status(404).json({ error: 'Doctor profile not found' });
   }
 
-  // 2. Update the appointment
-  const { data, error } = await supabaseAdmin
+  // 2. Load the appointment, making sure the doctor owns it
+  const { data: appointment, error: appointmentError } = await supabaseAdmin
     .from('appointments')
-    .update({ status })
+    .select('*, doctor:doctors(time_zone)')
     .eq('id', id)
-    .eq('doctor_id', doctor.id) // Ensure doctor owns the appointment
-    .select()
-    .single();
+    .eq('doctor_id', doctor.id)
+    .maybeSingle();
+
+  if (appointmentError) {
+    console.error('Error loading appointment:', appointmentError);
+    return res.status(500).json({ error: 'Failed to update appointment', details: appointmentError.message });
+  }
+
+  if (!appointment) {
+    return res.status(404).json({ error: 'Appointment not found' });
+  }
+
+  // 3. Only legal moves, e.g. no completed -> pending or completing a future visit
+  const transitionError = getTransitionError(appointment, status, 'doctor');
+  if (transitionError) {
+    return res.status(transitionError.status).json({ error: transitionError.error });
+  }
+
+  // 4. Update the appointment and record the change in its history
+  const { data, error } = await changeAppointmentStatus(supabaseAdmin, appointment, status, {
+    changedBy: user.id,
+    role: 'doctor',
+  });
 
   if (error) {
     console.error('Error updating appointment:', error);
     return res.status(500).json({ error: 'Failed to update appointment', details: error.message });
   }
 
+  if (!data) {
+    return res.status(409).json({ error: 'Appointment was changed by someone else. Please refresh.' });
+  }
+
   return res.status(200).json(data);
 }
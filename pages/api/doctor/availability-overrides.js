@@ -0,0 +1,155 @@
+import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { ACTIVE_STATUSES } from '../../../lib/appointments';
+import { timeToMinutes, rangesOverlap, isCalendarDate, isClockTime } from '../../../lib/scheduling';
+import { todayInZone } from '../../../lib/timezone';
+
+const OVERRIDE_KINDS = ['block', 'extra'];
+
+// Why an override from the request body is invalid, or null
+function getOverrideError({ start_date, end_date, kind, start_time, end_time }) {
+  if (!start_date || !end_date) return 'start_date and end_date are required';
+  if (!isCalendarDate(start_date) || !isCalendarDate(end_date)) {
+    return 'start_date and end_date must be dates (YYYY-MM-DD)';
+  }
+  if (end_date < start_date) return 'end_date must be on or after start_date';
+  if (!OVERRIDE_KINDS.includes(kind)) return `kind must be one of: ${OVERRIDE_KINDS.join(', ')}`;
+  if (!start_time !== !end_time) return 'start_time and end_time must be given together';
+  if (kind === 'extra' && !start_time) return 'An extra session needs start_time and end_time';
+  if (start_time && (!isClockTime(start_time) || !isClockTime(end_time))) {
+    return 'start_time and end_time must be times (HH:MM)';
+  }
+  if (start_time && timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+    return 'end_time must be after start_time';
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  // Check authentication
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'Missing authorization token' });
+  }
+
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  // Get doctor ID using admin client to ensure we can find it regardless of RLS
+  const { data: doctor, error: doctorError } = await supabaseAdmin
+    .from('doctors')
+    .select('id, time_zone')
+    .eq('user_id', user.id)
+    .single();
+
+  if (doctorError || !doctor) {
+    return res.status(404).json({ error: 'Doctor profile not found' });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      // Current and future overrides only
+      const today = todayInZone(doctor.time_zone);
+      const { data: overrides, error } = await supabaseAdmin
+        .from('doctor_availability_overrides')
+        .select('*')
+        .eq('doctor_id', doctor.id)
+        .gte('end_date', today)
+        .order('start_date', { ascending: true });
+
+      if (error) throw error;
+
+      return res.status(200).json(overrides);
+    } catch (error) {
+      console.error('Error fetching availability overrides:', error);
+      return res.status(500).json({ error: 'Failed to fetch availability overrides' });
+    }
+  } else if (req.method === 'POST') {
+    try {
+      const override = req.body || {}; // { start_date, end_date, kind, start_time?, end_time?, reason? }
+
+      const validationError = getOverrideError(override);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('doctor_availability_overrides')
+        .insert([
+          {
+            doctor_id: doctor.id,
+            start_date: override.start_date,
+            end_date: override.end_date,
+            kind: override.kind,
+            start_time: override.start_time || null,
+            end_time: override.end_time || null,
+            reason: override.reason?.trim() || null,
+          },
+        ])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Existing bookings are left alone; report the ones a block now covers
+      // so the doctor can cancel or move them
+      let conflictingAppointments = [];
+      if (data.kind === 'block') {
+        const { data: appointments, error: aptError } = await supabaseAdmin
+          .from('appointments')
+          .select('id, appointment_date, appointment_time, duration_minutes, status')
+          .eq('doctor_id', doctor.id)
+          .gte('appointment_date', data.start_date)
+          .lte('appointment_date', data.end_date)
+          .in('status', ACTIVE_STATUSES);
+
+        if (aptError) throw aptError;
+
+        conflictingAppointments = (appointments || []).filter(apt => {
+          if (!data.start_time) return true;
+          const start = timeToMinutes(apt.appointment_time);
+          return rangesOverlap(
+            start,
+            start + (apt.duration_minutes || 0),
+            timeToMinutes(data.start_time),
+            timeToMinutes(data.end_time)
+          );
+        });
+      }
+
+      return res.status(200).json({ success: true, data, conflictingAppointments });
+    } catch (error) {
+      console.error('Error creating availability override:', error);
+      return res.status(500).json({ error: 'Failed to create availability override' });
+    }
+  } else if (req.method === 'DELETE') {
+    try {
+      const { id } = req.query;
+
+      if (!id) {
+        return res.status(400).json({ error: 'Missing override id' });
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('doctor_availability_overrides')
+        .delete()
+        .eq('id', id)
+        .eq('doctor_id', doctor.id)
+        .select();
+
+      if (error) throw error;
+
+      if (!data || data.length === 0) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+
+      return res.status(200).json({ success: true });
+    } catch (error) {
+      console.error('Error deleting availability override:', error);
+      return res.status(500).json({ error: 'Failed to delete availability override' });
+    }
+  } else {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+}
@@ -1,4 +1,49 @@
 import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { DAYS_OF_WEEK, parseDurationMinutes, timeToMinutes, findOverlap } from '../../../lib/scheduling';
+import { isValidTimeZone } from '../../../lib/timezone';
+
+// One weekday from the POST body as doctor_availability rows. Accepts
+// { day_of_week, is_active, slot_duration, sessions: [{ start_time, end_time }], breaks: [...] }
+// and, for older clients, a single { start_time, end_time } window.
+// Returns { rows } or { error }.
+function toDayRows(doctorId, day) {
+  if (!DAYS_OF_WEEK.includes(day.day_of_week)) {
+    return { error: `Invalid day_of_week "${day.day_of_week}"` };
+  }
+
+  const sessions = day.sessions || (day.start_time ? [{ start_time: day.start_time, end_time: day.end_time }] : []);
+  const breaks = day.breaks || [];
+  if ([...sessions, ...breaks].some(r => !r.start_time || !r.end_time)) {
+    return { error: `${day.day_of_week}: each session and break needs start_time and end_time` };
+  }
+
+  const ranges = list => list.map(r => ({ start: timeToMinutes(r.start_time), end: timeToMinutes(r.end_time) }));
+
+  for (const range of [...ranges(sessions), ...ranges(breaks)]) {
+    if (!(range.end > range.start)) {
+      return { error: `${day.day_of_week}: each session and break must end after it starts` };
+    }
+  }
+  if (findOverlap(ranges(sessions))) {
+    return { error: `${day.day_of_week}: sessions overlap` };
+  }
+  if (findOverlap(ranges(breaks))) {
+    return { error: `${day.day_of_week}: breaks overlap` };
+  }
+
+  const slotDuration = `${parseDurationMinutes(day.slot_duration)} minutes`;
+  const toRow = kind => r => ({
+    doctor_id: doctorId,
+    day_of_week: day.day_of_week,
+    kind,
+    start_time: r.start_time,
+    end_time: r.end_time,
+    slot_duration: slotDuration,
+    is_active: day.is_active
+  });
+
+  return { rows: [...sessions.map(toRow('session')), ...breaks.map(toRow('break'))] };
+}
 
 export default async function handler(req, res) {
   // Check authentication
@@ -25,11 +70,12 @@ export default async function handler(req, res) {
 
   if (req.method === 'GET') {
     try {
+      // Inactive days too: the editor shows their hours, and saving the
+      // week sends them back instead of dropping them
       const { data: availability, error } = await supabaseAdmin
         .from('doctor_availability')
         .select('*')
-        .eq('doctor_id', doctor.id)
-        .eq('is_active', true);
+        .eq('doctor_id', doctor.id);
 
       if (error) throw error;
 
@@ -40,27 +86,38 @@ export default async function handler(req, res) {
     }
   } else if (req.method === 'POST') {
     try {
-      const { schedule } = req.body; // Array of { day_of_week, start_time, end_time, is_active }
+      const { schedule, timeZone } = req.body; // Array of days, see toDayRows; optional IANA zone
 
       if (!Array.isArray(schedule)) {
         return res.status(400).json({ error: 'Invalid schedule format' });
       }
 
-      // We'll use a transaction-like approach: delete existing for this doctor and insert new
-      // Or upsert if we want to be cleaner. Let's try upserting day by day.
-      
-      const updates = schedule.map(slot => ({
-        doctor_id: doctor.id,
-        day_of_week: slot.day_of_week,
-        start_time: slot.start_time,
-        end_time: slot.end_time,
-        is_active: slot.is_active
-      }));
-
-      const { data, error } = await supabaseAdmin
-        .from('doctor_availability')
-        .upsert(updates, { onConflict: 'doctor_id, day_of_week' })
-        .select();
+      if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: `Unknown time zone "${timeZone}"` });
+      }
+
+      const rows = [];
+      for (const day of schedule) {
+        const result = toDayRows(doctor.id, day);
+        if (result.error) {
+          return res.status(400).json({ error: result.error });
+        }
+        rows.push(...result.rows);
+      }
+
+      // A day can now have several rows, so replace the submitted days
+      // wholesale instead of upserting one row per day. The delete, insert
+      // and time zone change run as one transaction in the database
+      // (supabase/add-replace-availability-function.sql), so a failure
+      // leaves the old schedule in place. Schedule times are wall-clock
+      // times in the doctor's zone.
+      const { data, error } = await supabaseAdmin.rpc('replace_doctor_availability', {
+        p_doctor_id: doctor.id,
+        p_days: schedule.map(day => day.day_of_week),
+        p_rows: rows,
+        p_time_zone: timeZone ?? null,
+        p_set_time_zone: timeZone !== undefined,
+      });
 
       if (error) throw error;
 
@@ -1,4 +1,29 @@
-import axios from 'axios';
+/**
+ * Response Generation Route
+ *
+ * Accepts: POST JSON { context, language? }. `context.type` is
+ *          'schedule_presentation', or `context.reason` is 'day_inactive',
+ *          'time_out_of_bounds' or 'fully_booked' (the shapes are listed in
+ *          lib/responseTemplates.js). `language` is a code from
+ *          lib/languages.js (default English)
+ * Returns: { text, source }, with `source` 'template' or 'llm'
+ *
+ * Flow:
+ * 1. Reject contexts of any other kind (400)
+ * 2. Build the response from the templates in lib/responseTemplates.js: the
+ *    same context always gets the same words, in the requested language
+ * 3. When RESPONSE_GENERATOR=llm, ask the LLM to rephrase it more naturally.
+ *    The rephrasing is discarded, and the template used, if it mentions a
+ *    time that is not an available slot (or, for schedules, a working hour),
+ *    in digits or in words, adds a number the template did not have, comes
+ *    back empty, or the LLM fails
+ *
+ * Steps 2 and 3 are generateResponse() in lib/responseTemplates.js, which the
+ * voice assistant calls too.
+ */
+
+import { DEFAULT_LANGUAGE, resolveLanguage } from '../../lib/languages';
+import { generateResponse } from '../../lib/responseTemplates';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -7,62 +32,19 @@ export default async function handler(req, res) {
 
   try {
     const { context } = req.body;
+    const language = resolveLanguage(req.body.language) || DEFAULT_LANGUAGE;
 
     if (!context) {
       return res.status(400).json({ error: 'No context provided' });
     }
 
-    const groqApiKey = process.env.GROQ_API_KEY;
-    if (!groqApiKey) {
-      throw new Error('GROQ_API_KEY not configured');
-    }
-
-    const systemPrompt = `You are a helpful medical appointment assistant.
-    Your goal is to help the patient book an appointment by guiding them through the process.
-
-    Context provided:
-    - Doctor Name
-    - Requested Date/Time (optional)
-    - Reason for unavailability (e.g., "day_inactive", "time_out_of_bounds", "fully_booked")
-    - Doctor's Schedule (Start/End times or full weekly schedule)
-    - Available slots (if any)
-    - Context Type: "schedule_presentation" (if present, your goal is to summarize availability)
-
-    Instructions:
-    1. Be polite, concise, and natural.
-    2. If Context Type is "schedule_presentation":
-       - Summarize the doctor's weekly availability naturally (e.g., "Dr. Smith is available on Mondays and Wednesdays from 9 to 5").
-       - Ask the user when they would like to come in.
-    3. If explaining unavailability:
-       - Explain the specific reason clearly (e.g., "Dr. Smith doesn't work on Saturdays").
-       - Suggest alternatives ONLY from the provided "Available slots" list.
-    4. Keep the response short (under 2 sentences if possible) as it will be spoken via TTS.
-    5. Do NOT mention "JSON" or technical error codes.`;
+    const result = await generateResponse(context, language);
 
-    const userPrompt = `Generate a response for this situation: ${JSON.stringify(context)}`;
-
-    const groqResponse = await axios.post(
-      'https://api.groq.com/openai/v1/chat/completions',
-      {
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 150,
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${groqApiKey}`,
-        },
-      }
-    );
-
-    const generatedText = groqResponse.data.choices[0].message.content;
+    if (result.status) {
+      return res.status(result.status).json({ error: result.error, reason: result.reason });
+    }
 
-    return res.status(200).json({ text: generatedText });
+    return res.status(200).json(result);
 
   } catch (error) {
     console.error('Response generation error:', error);
@@ -1,17 +1,26 @@
 /**
- * Groq Llama Interpretation Route
+ * LLM Interpretation Route
  * 
  * Accepts: Transcribed text from Whisper
  * Returns: Structured JSON with appointment details
  * 
  * Flow:
- * 1. Receive transcription text
- * 2. Inject current date for relative date parsing
- * 3. Call Groq Llama API (FREE & FAST!)
- * 4. Extract structured appointment data (doctor, specialty, date, time, intent, confidence)
- * 5. Return JSON
+ * 1. Receive transcription text, and the language it was spoken in if known
+ *    (otherwise it is detected from the text; see lib/languages.js)
+ * 2. Resolve dates and times with the rule-based parser (lib/dateParser.js)
+ *    and inject the current date (in the clinic's time zone) for the LLM
+ * 3. Call the configured LLM (Groq Llama by default; see lib/llm.js)
+ * 4. Extract structured appointment data (doctor, specialty, date, time, intent, confidence,
+ *    visit reason, symptoms and urgency, and for reschedule/cancel the existing
+ *    appointment's existingDate/existingTime), in the shape of INTERPRETATION_SHAPE
+ * 5. Let the parsed dates and times override or confirm the LLM's
+ * 6. Validate against INTERPRETATION_SCHEMA and the booking horizon; fields
+ *    that fail are cleared and listed in `issues` (lib/interpretation.js)
+ * 7. Check for red-flag symptoms (lib/triage.js). When there are any,
+ *    `emergency` carries an advisory to give before booking
+ * 8. Return JSON
  * 
- * Groq Llama handles:
+ * The LLM handles:
  * - Filler word filtering ("um", "uh", etc.)
  * - Relative date parsing ("tomorrow", "next Tuesday", "next week")
  * - Natural language understanding
@@ -23,7 +32,7 @@
  * - High accuracy with llama-3.3-70b-versatile
  */
 
-import axios from 'axios';
+import { interpretTranscript } from '../../lib/interpreter';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -31,157 +40,20 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { text } = req.body;
+    const { text, language } = req.body;
 
     if (!text) {
       return res.status(400).json({ error: 'No text provided' });
     }
 
-    console.log('Processing transcription:', text);
-
-    // Get current date for relative date parsing
-    const today = new Date();
-    const formattedDate = today.toISOString().split('T')[0]; // YYYY-MM-DD format
-    const dayOfWeek = today.toLocaleDateString('en-US', { weekday: 'long' });
-    
-    // Calculate dates for reference
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowDate = tomorrow.toISOString().split('T')[0];
-
-    // Generate next 7 days calendar for LLM context
-    const calendar = [];
-    for (let i = 0; i < 7; i++) {
-      const d = new Date(today);
-      d.setDate(d.getDate() + i);
-      calendar.push(`- ${d.toISOString().split('T')[0]} is ${d.toLocaleDateString('en-US', { weekday: 'long' })}`);
-    }
-    const calendarContext = calendar.join('\n');
-
-    // Groq API configuration
-    const groqApiKey = process.env.GROQ_API_KEY;
-
-    if (!groqApiKey) {
-      throw new Error('GROQ_API_KEY not configured in .env.local');
-    }
-
-    // Construct prompt for Groq Llama
-    const systemPrompt = `You are an expert appointment booking assistant. Extract structured appointment information from user speech with high accuracy.
-
-Current Date Context:
-- Today is ${formattedDate} (${dayOfWeek})
-- Tomorrow is ${tomorrowDate}
-
-Upcoming Days Reference:
-${calendarContext}
-
-Instructions:
-1. Ignore filler words (um, uh, like, you know, etc.)
-2. Convert relative dates to absolute YYYY-MM-DD format using the Reference list above:
-   - "tomorrow" → ${tomorrowDate}
-   - "this Friday" / "coming Friday" → Find the date for Friday in the list above
-   - "next Tuesday" → If Tuesday is in the list, use it. If "next" implies the week after, calculate accordingly.
-   - "in 3 days" → calculate 3 days from today
-3. Parse time in 24-hour format (HH:MM):
-   - "2 PM" → "14:00"
-   - "morning" → "09:00"
-   - "afternoon" → "14:00"
-   - "evening" → "18:00"
-4. Extract doctor name (e.g., "Dr. Smith", "Dr. Johnson")
-5. Extract medical specialty if mentioned (e.g., "cardiologist", "dentist")
-6. Determine intent: "book" (default for appointments), "reschedule", "cancel", or "inquiry"
-7. Provide confidence score based on information completeness:
-   - 0.9-1.0: All fields present and clear
-   - 0.7-0.9: Most fields present
-   - 0.5-0.7: Some ambiguity
-   - 0.0-0.5: Missing critical information
-
-CRITICAL: You MUST respond with ONLY valid JSON. No explanations, no markdown, just JSON.
-
-Required JSON structure:
-{
-  "doctor": "string or null",
-  "speciality": "string or null",
-  "date": "YYYY-MM-DD or null",
-  "time": "HH:MM or null",
-  "intent": "book|reschedule|cancel|inquiry",
-  "confidence": 0.0-1.0
-}`;
-
-    const userPrompt = `Extract appointment details from: "${text}"`;
-
-    console.log('Calling Groq Llama API...');
-
-    // Call Groq API (OpenAI-compatible endpoint)
-    const groqResponse = await axios.post(
-      'https://api.groq.com/openai/v1/chat/completions',
-      {
-        model: 'llama-3.3-70b-versatile', // Fast and accurate
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt,
-          },
-          {
-            role: 'user',
-            content: userPrompt,
-          },
-        ],
-        temperature: 0.3, // Lower temperature for deterministic extraction
-        max_tokens: 500,
-        response_format: { type: 'json_object' }, // Force JSON output
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${groqApiKey}`,
-        },
-      }
-    );
-
-    const aiResponse = groqResponse.data.choices[0].message.content;
-    console.log('Groq Llama response:', aiResponse);
-
-    // Parse JSON from response
-    let extractedData;
-    try {
-      // Remove markdown code blocks if present
-      const jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) || 
-                       aiResponse.match(/```\s*([\s\S]*?)\s*```/);
-      const jsonString = jsonMatch ? jsonMatch[1] : aiResponse;
-      
-      extractedData = JSON.parse(jsonString.trim());
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      // Fallback: try to extract JSON object from response
-      const jsonObjectMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonObjectMatch) {
-        extractedData = JSON.parse(jsonObjectMatch[0]);
-      } else {
-        throw new Error('Failed to parse JSON from Groq response');
-      }
-    }
-
-    // Validate and normalize fields
-    const validatedData = {
-      doctor: extractedData.doctor || null,
-      speciality: extractedData.speciality || extractedData.specialty || null,
-      date: extractedData.date || null,
-      time: extractedData.time || null,
-      intent: extractedData.intent || 'book',
-      confidence: typeof extractedData.confidence === 'number' ? extractedData.confidence : 0.5,
-    };
-
-    console.log('Extracted appointment data:', validatedData);
-
-    return res.status(200).json(validatedData);
+    return res.status(200).json(await interpretTranscript({ text, language }));
 
   } catch (error) {
-    console.error('Interpretation error:', error.response?.data || error.message);
+    console.error('Interpretation error:', error.message);
     
     return res.status(500).json({
       error: 'Interpretation failed',
-      details: error.response?.data?.error?.message || error.message,
+      details: error.message,
     });
   }
 }
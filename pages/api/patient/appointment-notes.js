@@ -0,0 +1,69 @@
+import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { CHANGE_POLICY } from '../../../lib/appointments';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Get the user's access token from the request headers
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Missing authorization token' });
+  }
+
+  const { appointmentId, notes } = req.body || {};
+
+  if (!appointmentId || typeof notes !== 'string') {
+    return res.status(400).json({ error: 'Missing required fields: appointmentId, notes' });
+  }
+
+  if (notes.length > CHANGE_POLICY.maxNotesLength) {
+    return res.status(400).json({
+      error: `Notes must be at most ${CHANGE_POLICY.maxNotesLength} characters`
+    });
+  }
+
+  try {
+    // Verify the user's session
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // Use supabaseAdmin to bypass RLS
+    // 1. Get the patient's ID
+    const { data: patient, error: patientError } = await supabaseAdmin
+      .from('patients')
+      .select('id')
+      .eq('user_id', user.id)
+      .single();
+
+    if (patientError || !patient) {
+      return res.status(404).json({ error: 'Patient profile not found' });
+    }
+
+    // 2. Update the note, scoped to the patient's own appointment
+    const { data: updated, error: updateError } = await supabaseAdmin
+      .from('appointments')
+      .update({ patient_notes: notes.trim() || null })
+      .eq('id', appointmentId)
+      .eq('patient_id', patient.id)
+      .select()
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    return res.status(200).json({ success: true, appointment: updated });
+
+  } catch (error) {
+    console.error('Error updating appointment notes:', error);
+    return res.status(500).json({ error: 'Failed to update notes', details: error.message });
+  }
+}
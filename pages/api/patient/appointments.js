@@ -1,4 +1,5 @@
 import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { listPatientAppointments } from '../../../lib/patientAppointments';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -21,36 +22,13 @@ export default async function handler(req, res) {
     }
 
     // Use supabaseAdmin to bypass RLS
-    // 1. Get the patient's ID
-    const { data: patient, error: patientError } = await supabaseAdmin
-      .from('patients')
-      .select('id')
-      .eq('user_id', user.id)
-      .single();
-
-    if (patientError || !patient) {
-      return res.status(404).json({ error: 'Patient profile not found' });
-    }
+    const result = await listPatientAppointments(supabaseAdmin, user.id);
 
-    // 2. Fetch appointments with doctor details
-    const { data: appointments, error: appointmentsError } = await supabaseAdmin
-      .from('appointments')
-      .select(`
-        *,
-        doctor:doctors(
-          id,
-          specialty,
-          user:users(full_name, email)
-        )
-      `)
-      .eq('patient_id', patient.id)
-      .order('appointment_date', { ascending: true });
-
-    if (appointmentsError) {
-      throw appointmentsError;
+    if (result.status) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    return res.status(200).json(appointments);
+    return res.status(200).json(result.appointments);
 
   } catch (error) {
     console.error('Error fetching appointments:', error);
@@ -1,4 +1,6 @@
 import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { summarizeWeeklySchedule } from '../../../lib/availability';
+import { CLINIC_TIME_ZONE, resolveTimeZone, todayInZone } from '../../../lib/timezone';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -15,6 +17,7 @@ export default async function handler(req, res) {
       .select(`
         id,
         specialty,
+        time_zone,
         user:users!inner(full_name, email)
       `);
 
@@ -28,24 +31,38 @@ export default async function handler(req, res) {
 
     if (availabilityError) throw availabilityError;
 
-    // 3. Combine data
+    // 3. Fetch upcoming dated exceptions (time off and extra sessions)
+    const today = todayInZone(CLINIC_TIME_ZONE);
+    const { data: overrides, error: overridesError } = await dbClient
+      .from('doctor_availability_overrides')
+      .select('*')
+      .gte('end_date', today)
+      .order('start_date', { ascending: true });
+
+    if (overridesError) throw overridesError;
+
+    // 4. Combine data
     const doctorsWithSchedule = doctors.map(doc => {
       const docSchedule = availability.filter(a => a.doctor_id === doc.id);
-      
-      // Sort schedule by day of week
-      const daysOrder = { 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3, 'Thursday': 4, 'Friday': 5, 'Saturday': 6, 'Sunday': 7 };
-      docSchedule.sort((a, b) => daysOrder[a.day_of_week] - daysOrder[b.day_of_week]);
 
       return {
         id: doc.id,
         name: doc.user.full_name,
         specialty: doc.specialty,
         email: doc.user.email,
-        schedule: docSchedule.map(s => ({
-          day: s.day_of_week,
-          start: s.start_time.slice(0, 5), // HH:MM
-          end: s.end_time.slice(0, 5)     // HH:MM
-        }))
+        timeZone: resolveTimeZone(doc.time_zone),
+        // One entry per working day: { day, slotMinutes, sessions, breaks }
+        schedule: summarizeWeeklySchedule(docSchedule),
+        exceptions: overrides
+          .filter(o => o.doctor_id === doc.id)
+          .map(o => ({
+            kind: o.kind,
+            startDate: o.start_date,
+            endDate: o.end_date,
+            start: o.start_time?.slice(0, 5) || null, // null for a full-day block
+            end: o.end_time?.slice(0, 5) || null,
+            reason: o.reason
+          }))
       };
     });
 
@@ -0,0 +1,23 @@
+import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { searchNextAvailable } from '../../../lib/availabilityQueries';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Use admin client for all DB operations to avoid RLS recursion/permission issues
+    const result = await searchNextAvailable(supabaseAdmin || supabase, req.query);
+
+    if (result.status) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Next available search error:', error);
+    return res.status(500).json({ error: 'Failed to search availability' });
+  }
+}
@@ -0,0 +1,45 @@
+import { supabase, supabaseAdmin } from '../../../lib/supabase';
+import { reschedulePatientAppointment } from '../../../lib/patientAppointments';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Get the user's access token from the request headers
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Missing authorization token' });
+  }
+
+  const { appointmentId, date, time } = req.body || {};
+
+  if (!appointmentId || !date || !time) {
+    return res.status(400).json({ error: 'Missing required fields: appointmentId, date, time' });
+  }
+
+  try {
+    // Verify the user's session
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    // Use supabaseAdmin to bypass RLS; the patient must own the appointment
+    // and the new time must be an open slot
+    const result = await reschedulePatientAppointment(supabaseAdmin, user.id, { appointmentId, date, time });
+
+    if (result.status) {
+      const { status, ...refusal } = result;
+      return res.status(status).json(refusal);
+    }
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    return res.status(500).json({ error: 'Failed to reschedule appointment', details: error.message });
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Streaming Transcription Route
+ *
+ * Accepts: multipart/form-data with
+ *   - streamId  the stream to add to; left out on the first request, which
+ *               starts a new stream (optionally with `language`, as for
+ *               /api/transcribe)
+ *   - chunk     the next piece of the recording (MediaRecorder timeslice
+ *               data), sent in order, one request at a time
+ *   - final     'true' once the patient has stopped speaking
+ * Returns: { streamId, text, language, final }. Before `final`, `text` is a
+ *          partial transcript of everything heard so far
+ *
+ * Flow:
+ * 1. Receive the chunk using formidable into a per-request scratch directory
+ * 2. Start a stream, or find the one named by streamId (404 unknown_stream
+ *    once it has expired), and append the chunk to its recording
+ * 3. Not final: at most every PARTIAL_INTERVAL_MS (counted from the last
+ *    attempt, whatever its outcome), transcribe the recording so far for a
+ *    new partial transcript. Audio that cannot be used yet
+ *    (silent, cut mid-frame) keeps the previous partial
+ * 4. Final: transcribe the whole recording as /api/transcribe does, with the
+ *    same limits and errors, and remove the stream
+ * 5. Remove the scratch directory on every path
+ */
+
+import formidable from 'formidable';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AUDIO_LIMITS } from '../../lib/audio';
+import { transcribeRecording } from '../../lib/stt';
+import { AUTO_LANGUAGE, resolveLanguage } from '../../lib/languages';
+import {
+  createStream,
+  getStream,
+  appendChunk,
+  isPartialDue,
+  startPartial,
+  recordPartial,
+  closeStream,
+} from '../../lib/transcriptionStreams';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Rejections that more audio cannot fix: the stream is ended
+const FATAL_REASONS = ['too_large', 'too_long', 'unsupported_format'];
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+
+  try {
+    const form = formidable({
+      uploadDir: workDir,
+      maxFiles: 1,
+      maxFileSize: AUDIO_LIMITS.maxBytes,
+      allowEmptyFiles: true,
+      minFileSize: 0,
+    });
+
+    let fields, files;
+    try {
+      [fields, files] = await form.parse(req);
+    } catch (parseError) {
+      if (parseError.httpCode === 413) {
+        return res.status(413).json({ error: 'Recording is too large', reason: 'too_large' });
+      }
+      throw parseError;
+    }
+
+    const streamId = fields.streamId?.[0];
+    const isFinal = fields.final?.[0] === 'true';
+    const chunk = files.chunk?.[0];
+
+    let stream;
+    if (streamId) {
+      stream = getStream(streamId);
+      if (!stream) {
+        return res.status(404).json({ error: 'Unknown or expired stream', reason: 'unknown_stream' });
+      }
+    } else {
+      const requestedLanguage = fields.language?.[0] || AUTO_LANGUAGE;
+      const language = resolveLanguage(requestedLanguage);
+      if (!language && requestedLanguage !== AUTO_LANGUAGE) {
+        return res.status(400).json({ error: `Unsupported language: ${requestedLanguage}` });
+      }
+
+      stream = await createStream({ language });
+      if (!stream) {
+        return res.status(503).json({ error: 'Too many recordings in progress. Please try again shortly.' });
+      }
+    }
+
+    if (chunk) {
+      await appendChunk(stream, chunk.filepath);
+      const { size } = await fs.promises.stat(stream.audioPath);
+      if (size > AUDIO_LIMITS.maxBytes) {
+        await closeStream(stream);
+        return res.status(413).json({ error: 'Recording is too large', reason: 'too_large' });
+      }
+    }
+
+    if (isFinal) {
+      try {
+        const result = await transcribeRecording(stream.audioPath, workDir, { language: stream.language });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error, reason: result.reason });
+        }
+
+        console.log(`Streamed transcription successful (${result.language}):`, result.text);
+        return res.status(200).json({
+          streamId: stream.id,
+          text: result.text,
+          language: result.language,
+          final: true,
+          success: true,
+        });
+      } finally {
+        await closeStream(stream);
+      }
+    }
+
+    if (chunk && isPartialDue(stream)) {
+      startPartial(stream);
+      let result = null;
+      try {
+        result = await transcribeRecording(stream.audioPath, workDir, { language: stream.language });
+      } catch (partialError) {
+        // A partial is only a preview; the final request reports real failures
+        console.warn('Partial transcription failed:', partialError.message);
+      }
+
+      if (result?.error && FATAL_REASONS.includes(result.reason)) {
+        await closeStream(stream);
+        return res.status(result.status).json({ error: result.error, reason: result.reason });
+      }
+      if (result && !result.error) recordPartial(stream, result);
+    }
+
+    return res.status(200).json({
+      streamId: stream.id,
+      text: stream.text,
+      language: stream.language || stream.detectedLanguage,
+      final: false,
+    });
+
+  } catch (error) {
+    console.error('Streaming transcription error:', error.message);
+
+    return res.status(500).json({
+      error: 'Transcription failed',
+      details: error.message,
+    });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -1,24 +1,37 @@
 /**
- * Groq Whisper API Transcription Route
+ * Speech-to-Text Transcription Route
  * 
- * Accepts: webm audio file via multipart/form-data
- * Returns: Transcribed text from Groq Whisper API (FREE & FAST!)
+ * Accepts: an audio file (webm, ogg, mp4/m4a, wav, flac or mp3) via
+ *          multipart/form-data, and optionally `language` (a code from
+ *          lib/languages.js, or 'auto')
+ * Returns: Transcribed text and its language
  * 
  * Flow:
- * 1. Receive audio file using formidable
- * 2. Forward to Groq Whisper API (whisper-large-v3 model)
- * 3. Return transcription text
+ * 1. Receive audio file using formidable into a per-request scratch directory
+ * 2. Detect the format from its magic bytes (lib/audio.js) and reject
+ *    unsupported formats (415), and empty or too large recordings (413, 422).
+ *    Decode it (16-bit PCM WAV as it is, anything else with ffmpeg) and
+ *    reject recordings that are too long (413) or silent (422). whispercpp
+ *    gets it converted to 16 kHz mono WAV; Groq and OpenAI take the original
+ *    file. The mock provider skips decoding and takes the original file
+ * 3. Transcribe it with the configured STT provider (lib/stt.js): Groq
+ *    Whisper by default, a local whisper.cpp process, or fixtures for tests.
+ *    A chosen language is passed on; otherwise Whisper detects it
+ * 4. Return transcription text and language (Whisper's detection, or the
+ *    script of the text when Whisper reports a language we do not support).
+ *    The scratch directory is removed on every path
  * 
- * Benefits:
- * - FREE API access (no billing required)
- * - 10-20x faster than OpenAI
- * - Same Whisper model quality
+ * Groq's free tier is fast and needs no billing; whispercpp keeps the audio
+ * on this server for clinics that cannot send it elsewhere.
  */
 
 import formidable from 'formidable';
-import FormData from 'form-data';
-import axios from 'axios';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AUDIO_LIMITS } from '../../lib/audio';
+import { transcribeRecording, getSttConfig } from '../../lib/stt';
+import { AUTO_LANGUAGE, resolveLanguage } from '../../lib/languages';
 
 // Disable Next.js body parser to allow formidable to handle the request
 export const config = {
@@ -32,72 +45,75 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Uploads and converted audio live in one scratch directory, removed
+  // however the request ends
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+
   try {
     // Parse multipart form data using formidable
     const form = formidable({
-      maxFileSize: 25 * 1024 * 1024, // 25MB limit
+      uploadDir: workDir,
+      maxFiles: 1,
+      maxFileSize: AUDIO_LIMITS.maxBytes,
     });
     
-    const [fields, files] = await form.parse(req);
+    let fields, files;
+    try {
+      [fields, files] = await form.parse(req);
+    } catch (parseError) {
+      if (parseError.httpCode === 413) {
+        return res.status(413).json({ error: 'Recording is too large', reason: 'too_large' });
+      }
+      throw parseError;
+    }
     
     const audioFile = files.audio?.[0];
     if (!audioFile) {
       return res.status(400).json({ error: 'No audio file provided' });
     }
 
+    const requestedLanguage = fields.language?.[0] || AUTO_LANGUAGE;
+    const language = resolveLanguage(requestedLanguage);
+    if (!language && requestedLanguage !== AUTO_LANGUAGE) {
+      return res.status(400).json({ error: `Unsupported language: ${requestedLanguage}` });
+    }
+
     console.log('Received audio file:', {
       originalName: audioFile.originalFilename,
       mimeType: audioFile.mimetype,
       size: audioFile.size,
     });
 
-    // Prepare form data for Groq Whisper API
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(audioFile.filepath), {
-      filename: audioFile.originalFilename || 'audio.webm',
-      contentType: audioFile.mimetype || 'audio/webm',
+    // Detect the real format, reject what cannot be transcribed (converting
+    // to WAV where the provider needs it), then transcribe
+    const { provider } = getSttConfig();
+    console.log(`Transcribing with ${provider}...`);
+    const result = await transcribeRecording(audioFile.filepath, workDir, {
+      language,
+      filename: audioFile.originalFilename || 'recording',
     });
-    formData.append('model', 'whisper-large-v3'); // Groq's Whisper model
-    formData.append('language', 'en'); // Optional: specify language for better accuracy
-    formData.append('response_format', 'json'); // Get JSON response
-
-    // Call Groq Whisper API
-    const groqApiKey = process.env.GROQ_API_KEY;
-    if (!groqApiKey) {
-      throw new Error('GROQ_API_KEY not configured in .env.local');
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, reason: result.reason });
     }
 
-    console.log('Sending to Groq Whisper API...');
-    const whisperResponse = await axios.post(
-      'https://api.groq.com/openai/v1/audio/transcriptions',
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders(),
-          'Authorization': `Bearer ${groqApiKey}`,
-        },
-        maxBodyLength: Infinity,
-        maxContentLength: Infinity,
-      }
-    );
-
-    // Clean up temporary file
-    fs.unlinkSync(audioFile.filepath);
-
-    const transcribedText = whisperResponse.data.text;
-    console.log('Transcription successful:', transcribedText);
+    const transcribedText = result.text;
+    const spokenLanguage = result.language;
+    console.log(`Transcription successful (${spokenLanguage}):`, transcribedText);
 
     return res.status(200).json({
       text: transcribedText,
+      language: spokenLanguage,
       success: true,
     });
 
   } catch (error) {
-    console.error('Transcription error:', error.response?.data || error.message);
+    console.error('Transcription error:', error.message);
     
     return res.status(500).json({
       error: 'Transcription failed',
-      details: error.response?.data?.error?.message || error.message,
+      details: error.message,
     });
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
   }
 }
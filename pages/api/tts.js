@@ -0,0 +1,59 @@
+/**
+ * Text-to-Speech Route
+ *
+ * Accepts: POST JSON { text, language }. `language` is a code from
+ *          lib/languages.js
+ * Returns: the spoken audio (audio/wav or audio/mpeg, per provider), with
+ *          X-TTS-Cache: hit or miss
+ *
+ * Flow:
+ * 1. Validate the text (400 when missing or longer than MAX_TTS_TEXT_LENGTH)
+ *    and the language (400 when unsupported)
+ * 2. Synthesize it with the configured TTS provider (lib/tts.js): Piper or
+ *    espeak-ng on this server, an OpenAI-compatible API, or a mock. Fixed
+ *    prompts such as the greeting come from the disk cache after the first time
+ * 3. Return the audio. 503 (tts_unavailable) when no provider is configured
+ *    and 422 (no_voice) when it has no voice for the language; the voice
+ *    assistant then falls back to the browser's speechSynthesis
+ */
+
+import { synthesize, MAX_TTS_TEXT_LENGTH } from '../../lib/tts';
+import { resolveLanguage } from '../../lib/languages';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'No text provided' });
+  }
+  if (text.length > MAX_TTS_TEXT_LENGTH) {
+    return res.status(400).json({ error: `Text is longer than ${MAX_TTS_TEXT_LENGTH} characters`, reason: 'too_long' });
+  }
+
+  const language = resolveLanguage(req.body.language);
+  if (!language) {
+    return res.status(400).json({ error: `Unsupported language: ${req.body.language}` });
+  }
+
+  try {
+    const speech = await synthesize({ text, language });
+    if (speech.status) {
+      return res.status(speech.status).json({ error: speech.error, reason: speech.reason });
+    }
+
+    res.setHeader('Content-Type', speech.mimeType);
+    res.setHeader('Content-Length', speech.audio.length);
+    res.setHeader('X-TTS-Cache', speech.cached ? 'hit' : 'miss');
+    return res.status(200).send(speech.audio);
+
+  } catch (error) {
+    console.error('Speech synthesis error:', error);
+    return res.status(500).json({
+      error: 'Speech synthesis failed',
+      details: error.message,
+    });
+  }
+}
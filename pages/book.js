@@ -5,11 +5,16 @@ import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabase';
 import Calendar from './components/Calendar';
+import ChatBookingAssistant from '../components/ChatBookingAssistant';
+import { findMatchingAppointments, describeAppointment } from '../lib/appointments';
+import { pickCandidate } from '../lib/doctorMatcher';
+import { needsConfirmation } from '../lib/interpretation';
 import { Mic, User, Copy, LogOut, LayoutDashboard, Keyboard, Activity, CheckCircle, AlertCircle } from 'lucide-react';
+import { pickRecordingFormat, recordingExtension } from '../lib/recording';
 
 export default function BookAppointment() {
   const router = useRouter();
-  const { user, userProfile, loading: authLoading, signOut } = useAuth();
+  const { user, session, userProfile, loading: authLoading, signOut } = useAuth();
   const [isRecording, setIsRecording] = useState(false);
   const [transcription, setTranscription] = useState('');
   const [extractedData, setExtractedData] = useState(null);
@@ -19,7 +24,20 @@ export default function BookAppointment() {
   const [patientId, setPatientId] = useState(null);
   const [showCopied, setShowCopied] = useState(false);
   const [inputMode, setInputMode] = useState('voice'); // 'voice' or 'text'
-  const [textInput, setTextInput] = useState('');
+  // Reschedule/cancel request awaiting the patient's confirmation:
+  // { intent, candidates, date, time }
+  const [pendingChange, setPendingChange] = useState(null);
+  const [changeResult, setChangeResult] = useState(null);
+  // Booking waiting for the patient to say which doctor they meant:
+  // { message, candidates, payload }
+  const [doctorChoice, setDoctorChoice] = useState(null);
+  // Advisory shown when the patient describes an emergency. They can still
+  // book, after ticking that they have read it.
+  const [emergency, setEmergency] = useState(null);
+  // Interpreted booking waiting for the patient to check, correct and
+  // confirm: the /api/interpret result plus { patientId, transcript,
+  // acknowledgedEmergency }
+  const [review, setReview] = useState(null);
 
   
   const mediaRecorderRef = useRef(null);
@@ -117,10 +135,14 @@ export default function BookAppointment() {
       setTranscription('');
       setExtractedData(null);
       setBookingResult(null);
+      setPendingChange(null);
+      setChangeResult(null);
+      setEmergency(null);
+      setReview(null);
       
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const options = { mimeType: 'audio/webm' };
-      mediaRecorderRef.current = new MediaRecorder(stream, options);
+      const { mimeType } = pickRecordingFormat();
+      mediaRecorderRef.current = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
       audioChunksRef.current = [];
 
       mediaRecorderRef.current.ondataavailable = (event) => {
@@ -130,7 +152,7 @@ export default function BookAppointment() {
       };
 
       mediaRecorderRef.current.onstop = async () => {
-        const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
+        const audioBlob = new Blob(audioChunksRef.current, { type: mediaRecorderRef.current.mimeType || mimeType });
         await processAudio(audioBlob);
         stream.getTracks().forEach(track => track.stop());
       };
@@ -155,7 +177,7 @@ export default function BookAppointment() {
 
     try {
       const formData = new FormData();
-      formData.append('audio', audioBlob, 'recording.webm');
+      formData.append('audio', audioBlob, `recording.${recordingExtension(audioBlob.type)}`);
 
       const transcribeResponse = await axios.post('/api/transcribe', formData, {
         headers: { 'Content-Type': 'multipart/form-data' },
@@ -164,13 +186,26 @@ export default function BookAppointment() {
       const transcribedText = transcribeResponse.data.text;
       setTranscription(transcribedText);
 
+      if (await answerDoctorChoice(transcribedText)) return;
+
       const interpretResponse = await axios.post('/api/interpret', {
         text: transcribedText,
+        language: transcribeResponse.data.language,
       });
 
       const extractedJson = interpretResponse.data;
       setExtractedData(extractedJson);
 
+      // Chest pain, difficulty breathing, ...: advise emergency care first
+      if (extractedJson.emergency) {
+        setEmergency(extractedJson.emergency.message);
+      }
+
+      if (extractedJson.intent === 'cancel' || extractedJson.intent === 'reschedule') {
+        await prepareAppointmentChange(extractedJson);
+        return;
+      }
+
       let currentPatientId = patientId;
       if (!currentPatientId) {
         const { data } = await supabase
@@ -193,23 +228,72 @@ export default function BookAppointment() {
         }
       }
 
-      // Validate required fields
-      if (!extractedJson.doctor || !extractedJson.date || !extractedJson.time) {
-        let missing = [];
-        if (!extractedJson.doctor) missing.push('doctor');
-        if (!extractedJson.date) missing.push('date');
-        if (!extractedJson.time) missing.push('time');
-        throw new Error(`Please specify the ${missing.join(', ')}.`);
-      }
-
-      const bookingPayload = {
+      // Nothing is booked until the patient has checked what we understood.
+      // Missing fields and ones /api/interpret could not use (e.g. a date in
+      // the past) are left empty for them to fill in.
+      setReview({
         ...extractedJson,
+        issues: extractedJson.issues || [],
         patientId: currentPatientId,
-      };
+        transcript: transcribedText,
+      });
+
+    } catch (err) {
+      setError('Processing error: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
+  // Book, or ask which doctor was meant when several match; nothing is
+  // booked until the patient picks one. Red flags /api/book finds in the
+  // reason or symptoms send the booking back to the review card, to be
+  // confirmed with the advisory acknowledged.
+  const submitBooking = async (bookingPayload) => {
+    try {
       const bookResponse = await axios.post('/api/book', bookingPayload);
+      setDoctorChoice(null);
+      setReview(null);
       setBookingResult(bookResponse.data);
+    } catch (err) {
+      if (err.response?.data?.reason === 'emergency') {
+        const { message, redFlags } = err.response.data;
+        setDoctorChoice(null);
+        setEmergency(message);
+        setReview({
+          ...bookingPayload,
+          issues: bookingPayload.issues || [],
+          emergency: { message, redFlags },
+          acknowledgedEmergency: false,
+        });
+        return;
+      }
+      if (err.response?.data?.reason !== 'ambiguous_doctor') throw err;
+      const { message, candidates } = err.response.data;
+      setReview(null);
+      setDoctorChoice({ message, candidates, payload: bookingPayload });
+    }
+  };
+
+  // A correction from the review form. A new doctor name replaces the
+  // interpreted doctor, so any doctor already picked by id is dropped.
+  const updateReview = (field, value) => {
+    setReview(prev => ({
+      ...prev,
+      [field]: value || null,
+      ...(field === 'doctor' ? { doctorId: undefined } : {}),
+      issues: prev.issues.filter(issue => issue.field !== field),
+    }));
+  };
 
+  // Why a reviewed field was cleared, e.g. "That date is in the past"
+  const reviewIssue = (field) => review.issues.find(issue => issue.field === field)?.message;
+
+  const confirmReview = async () => {
+    setIsProcessing(true);
+    setError(null);
+    try {
+      await submitBooking({ ...review, confirmed: true });
     } catch (err) {
       setError('Processing error: ' + (err.response?.data?.error || err.message));
     } finally {
@@ -217,58 +301,77 @@ export default function BookAppointment() {
     }
   };
 
-  const processText = async (text) => {
+  const chooseDoctor = async (candidate) => {
     setIsProcessing(true);
     setError(null);
-    setTranscription(text);
-
     try {
-      const interpretResponse = await axios.post('/api/interpret', {
-        text: text,
-      });
+      await submitBooking({ ...doctorChoice.payload, doctorId: candidate.id });
+    } catch (err) {
+      setError('Processing error: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-      const extractedJson = interpretResponse.data;
-      setExtractedData(extractedJson);
+  // A spoken or typed reply to the "did you mean" question ("Sarah", "the
+  // cardiologist"). Returns false when it is not an answer, so the text is
+  // treated as a new request.
+  const answerDoctorChoice = async (text) => {
+    if (!doctorChoice) return false;
+    const candidate = pickCandidate(text, doctorChoice.candidates);
+    if (!candidate) {
+      setDoctorChoice(null);
+      return false;
+    }
+    await submitBooking({ ...doctorChoice.payload, doctorId: candidate.id });
+    return true;
+  };
 
-      let currentPatientId = patientId;
-      if (!currentPatientId) {
-        const { data } = await supabase
-          .from('patients')
-          .select('id')
-          .eq('user_id', user.id)
-          .single();
-        
-        if (!data) {
-          const { data: newPatient } = await supabase
-            .from('patients')
-            .insert([{ user_id: user.id }])
-            .select()
-            .single();
-          currentPatientId = newPatient.id;
-          setPatientId(currentPatientId);
-        } else {
-          currentPatientId = data.id;
-          setPatientId(currentPatientId);
-        }
-      }
+  const authHeaders = () => ({ Authorization: `Bearer ${session?.access_token}` });
 
-      // Validate required fields
-      if (!extractedJson.doctor || !extractedJson.date || !extractedJson.time) {
-        let missing = [];
-        if (!extractedJson.doctor) missing.push('doctor');
-        if (!extractedJson.date) missing.push('date');
-        if (!extractedJson.time) missing.push('time');
-        throw new Error(`Please specify the ${missing.join(', ')}.`);
-      }
+  // Find the appointment(s) a cancel/reschedule request refers to; nothing is
+  // changed until the patient confirms one of them
+  const prepareAppointmentChange = async (extractedJson) => {
+    const { intent, doctor, speciality, existingDate, existingTime, date, time } = extractedJson;
 
-      const bookingPayload = {
-        ...extractedJson,
-        patientId: currentPatientId,
-      };
+    if (intent === 'reschedule' && (!date || !time)) {
+      throw new Error('Please say the new date and time for the appointment.');
+    }
 
-      const bookResponse = await axios.post('/api/book', bookingPayload);
-      setBookingResult(bookResponse.data);
+    const appointmentsResponse = await axios.get('/api/patient/appointments', { headers: authHeaders() });
+    const candidates = findMatchingAppointments(appointmentsResponse.data, {
+      doctor,
+      speciality,
+      date: existingDate,
+      time: existingTime,
+    });
+
+    if (candidates.length === 0) {
+      throw new Error("We couldn't find an upcoming appointment matching your request.");
+    }
 
+    setPendingChange({ intent, candidates, date, time });
+  };
+
+  const confirmAppointmentChange = async (appointment) => {
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      if (pendingChange.intent === 'cancel') {
+        await axios.post('/api/patient/cancel-appointment',
+          { appointmentId: appointment.id },
+          { headers: authHeaders() }
+        );
+        setChangeResult(`Your appointment with ${describeAppointment(appointment)} has been cancelled.`);
+      } else {
+        await axios.post('/api/patient/reschedule-appointment',
+          { appointmentId: appointment.id, date: pendingChange.date, time: pendingChange.time },
+          { headers: authHeaders() }
+        );
+        setChangeResult(`Your appointment with ${describeAppointment(appointment)} has been moved to ${pendingChange.date} at ${pendingChange.time}. The doctor will confirm the new time shortly.`);
+      }
+      setPendingChange(null);
     } catch (err) {
       setError('Processing error: ' + (err.response?.data?.error || err.message));
     } finally {
@@ -376,7 +479,7 @@ export default function BookAppointment() {
               <p className="text-slate-500 text-lg max-w-lg mx-auto">
                 {inputMode === 'voice' 
                   ? "Tap the microphone to schedule appointments, ask for lab results, or contact a doctor."
-                  : "Type your request below to schedule appointments or ask questions."}
+                  : "Chat with our booking assistant to book, move or cancel an appointment."}
               </p>
             </div>
 
@@ -427,38 +530,14 @@ export default function BookAppointment() {
               </>
             ) : (
               <div className="w-full max-w-lg flex flex-col gap-4 animate-in fade-in zoom-in duration-300">
-                <div className="relative">
-                  <textarea
-                    value={textInput}
-                    onChange={(e) => setTextInput(e.target.value)}
-                    placeholder="E.g., I need to book an appointment with Dr. Smith for next Tuesday at 2 PM..."
-                    className="w-full p-4 rounded-xl border border-slate-200 shadow-sm focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none resize-none min-h-[120px] bg-white text-slate-900"
-                    disabled={isProcessing}
-                  />
-                  {isProcessing && (
-                    <div className="absolute inset-0 bg-white/50 flex items-center justify-center rounded-xl">
-                      <div className="w-6 h-6 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
-                    </div>
-                  )}
-                </div>
-                
-                <div className="flex items-center justify-between">
-                  <button 
-                    onClick={() => setInputMode('voice')}
-                    className="flex items-center gap-2 text-slate-500 hover:text-blue-600 transition-colors text-sm font-medium"
-                  >
-                    <Mic size={18} />
-                    Switch to Voice Input
-                  </button>
-                  
-                  <button
-                    onClick={() => processText(textInput)}
-                    disabled={!textInput.trim() || isProcessing}
-                    className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-sm"
-                  >
-                    Send Request
-                  </button>
-                </div>
+                <ChatBookingAssistant patientId={patientId} />
+                <button 
+                  onClick={() => setInputMode('voice')}
+                  className="self-start flex items-center gap-2 text-slate-500 hover:text-blue-600 transition-colors text-sm font-medium"
+                >
+                  <Mic size={18} />
+                  Switch to Voice Input
+                </button>
               </div>
             )}
           </div>
@@ -483,6 +562,16 @@ export default function BookAppointment() {
               </div>
             )}
 
+            {emergency && (
+              <div role="alert" className="bg-red-50 border border-red-200 rounded-xl p-6 flex items-start gap-3 text-red-800">
+                <AlertCircle className="shrink-0 mt-0.5 text-red-600" size={24} />
+                <div className="flex-1">
+                  <h3 className="font-semibold">This sounds like an emergency</h3>
+                  <p className="mt-1">{emergency}</p>
+                </div>
+              </div>
+            )}
+
             {transcription && (
               <div className="bg-white rounded-xl shadow-sm border border-slate-100 p-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
                 <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-3">You said</h3>
@@ -490,6 +579,162 @@ export default function BookAppointment() {
               </div>
             )}
 
+            {review && (
+              <section
+                aria-labelledby="review-title"
+                className="bg-white rounded-xl shadow-sm border border-slate-100 p-6 animate-in fade-in slide-in-from-bottom-4 duration-500"
+              >
+                <h3 id="review-title" className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-3">
+                  Please check your appointment
+                </h3>
+                {needsConfirmation(review) && (
+                  <p role="status" className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                    We may not have heard everything correctly
+                    {typeof review.confidence === 'number' && ` (${Math.round(review.confidence * 100)}% sure)`}.
+                    Please correct anything that is wrong before confirming.
+                  </p>
+                )}
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="review-doctor" className="block text-sm font-medium text-slate-700 mb-1">Doctor</label>
+                    <input
+                      id="review-doctor"
+                      type="text"
+                      value={review.doctor || ''}
+                      onChange={(e) => updateReview('doctor', e.target.value)}
+                      placeholder={review.speciality ? `Any ${review.speciality}` : 'Doctor name'}
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none bg-white text-slate-900"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="review-date" className="block text-sm font-medium text-slate-700 mb-1">Date</label>
+                    <input
+                      id="review-date"
+                      type="date"
+                      value={review.date || ''}
+                      onChange={(e) => updateReview('date', e.target.value)}
+                      aria-describedby={reviewIssue('date') ? 'review-date-issue' : undefined}
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none bg-white text-slate-900"
+                    />
+                    {reviewIssue('date') && (
+                      <p id="review-date-issue" className="mt-1 text-xs text-red-600">{reviewIssue('date')}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label htmlFor="review-time" className="block text-sm font-medium text-slate-700 mb-1">Time</label>
+                    <input
+                      id="review-time"
+                      type="time"
+                      value={review.time?.slice(0, 5) || ''}
+                      onChange={(e) => updateReview('time', e.target.value)}
+                      aria-describedby={reviewIssue('time') ? 'review-time-issue' : undefined}
+                      className="w-full px-3 py-2 rounded-lg border border-slate-200 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none bg-white text-slate-900"
+                    />
+                    {reviewIssue('time') && (
+                      <p id="review-time-issue" className="mt-1 text-xs text-red-600">{reviewIssue('time')}</p>
+                    )}
+                  </div>
+                </div>
+                {review.reason && (
+                  <p className="mt-4 text-sm text-slate-600">
+                    <span className="font-medium text-slate-700">Reason:</span> {review.reason}
+                  </p>
+                )}
+                {review.emergency && (
+                  <label className="mt-4 flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                    <input
+                      type="checkbox"
+                      checked={review.acknowledgedEmergency === true}
+                      onChange={(e) => setReview(prev => ({ ...prev, acknowledgedEmergency: e.target.checked }))}
+                      className="mt-0.5"
+                    />
+                    I have read the emergency advice above and still want a regular appointment.
+                  </label>
+                )}
+                <div className="mt-6 flex items-center gap-4">
+                  <button
+                    onClick={confirmReview}
+                    disabled={isProcessing || !(review.doctor || review.speciality) || !review.date || !review.time
+                      || (review.emergency && !review.acknowledgedEmergency)}
+                    className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-sm"
+                  >
+                    Confirm Booking
+                  </button>
+                  <button
+                    onClick={() => setReview(null)}
+                    className="text-sm text-slate-500 hover:text-slate-900 transition-colors"
+                  >
+                    Don&apos;t book
+                  </button>
+                </div>
+              </section>
+            )}
+
+            {pendingChange && (
+              <div className="bg-white rounded-xl shadow-sm border border-slate-100 p-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+                <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-3">
+                  {pendingChange.intent === 'cancel'
+                    ? 'Cancel which appointment?'
+                    : `Move which appointment to ${pendingChange.date} at ${pendingChange.time}?`}
+                </h3>
+                <div className="space-y-3">
+                  {pendingChange.candidates.map((appointment) => (
+                    <div key={appointment.id} className="flex items-center justify-between gap-4 p-3 bg-slate-50 rounded-lg border border-slate-200">
+                      <span className="text-slate-800">{describeAppointment(appointment)}</span>
+                      <button
+                        onClick={() => confirmAppointmentChange(appointment)}
+                        disabled={isProcessing}
+                        className={`px-4 py-2 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+                          pendingChange.intent === 'cancel' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                        }`}
+                      >
+                        {pendingChange.intent === 'cancel' ? 'Cancel Appointment' : 'Move Appointment'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setPendingChange(null)}
+                  className="mt-4 text-sm text-slate-500 hover:text-slate-900 transition-colors"
+                >
+                  Keep my appointments as they are
+                </button>
+              </div>
+            )}
+
+            {doctorChoice && (
+              <div className="bg-white rounded-xl shadow-sm border border-slate-100 p-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+                <h3 className="text-sm font-semibold text-slate-500 uppercase tracking-wider mb-3">
+                  {doctorChoice.message}
+                </h3>
+                <div className="space-y-3">
+                  {doctorChoice.candidates.map((candidate) => (
+                    <div key={candidate.id} className="flex items-center justify-between gap-4 p-3 bg-slate-50 rounded-lg border border-slate-200">
+                      <span className="text-slate-800">
+                        {candidate.name}
+                        {candidate.specialty && <span className="text-slate-500"> · {candidate.specialty}</span>}
+                      </span>
+                      <button
+                        onClick={() => chooseDoctor(candidate)}
+                        disabled={isProcessing}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        Book with this doctor
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <p className="mt-4 text-sm text-slate-500">You can also say or type the doctor&apos;s name.</p>
+              </div>
+            )}
+
+            {changeResult && (
+              <div className="bg-green-50 border border-green-100 rounded-xl p-6 flex items-center gap-3 text-green-900">
+                <CheckCircle className="shrink-0 text-green-600" size={24} />
+                <p>{changeResult}</p>
+              </div>
+            )}
+
             {bookingResult && (
               <div className="bg-green-50 border border-green-100 rounded-xl p-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
                 <div className="flex items-center gap-3 mb-4">
@@ -508,7 +753,7 @@ export default function BookAppointment() {
             )}
             
             {/* Debug Data (Optional - can be hidden or put in a collapsible) */}
-            {extractedData && !bookingResult && (
+            {extractedData && !bookingResult && !review && !pendingChange && !doctorChoice && !changeResult && !emergency && (
               <div className="bg-slate-50 rounded-xl border border-slate-200 p-4">
                 <h3 className="text-xs font-semibold text-slate-500 uppercase mb-2">Extracted Data</h3>
                 <pre className="text-xs text-slate-600 overflow-x-auto">
@@ -5,7 +5,9 @@ export default function Calendar({ bookingData }) {
   const calendarData = useMemo(() => {
     if (!bookingData?.appointment) return null;
 
-    const appointmentDate = new Date(bookingData.appointment.date);
+    // Parse 'YYYY-MM-DD' as a local date; new Date('YYYY-MM-DD') is UTC midnight,
+    // which is the previous day in zones west of UTC
+    const appointmentDate = new Date(`${bookingData.appointment.date}T00:00:00`);
     const appointmentTime = bookingData.appointment.time;
 
     // Get calendar month data
@@ -18,10 +18,31 @@ import {
   Phone,
   Mail,
   User,
-  Save
+  Save,
+  Plus,
+  Stethoscope
 } from 'lucide-react';
 import { useRouter } from 'next/router';
 import DoctorScheduleCalendar from '../../components/DoctorScheduleCalendar';
+import AvailabilityOverrides from '../../components/AvailabilityOverrides';
+import { DAYS_OF_WEEK, parseDurationMinutes } from '../../lib/scheduling';
+import { CLINIC_TIME_ZONE, resolveTimeZone, todayInZone, formatCalendarDate } from '../../lib/timezone';
+import { STATUS_LABELS, getAllowedTransitions } from '../../lib/appointmentStatus';
+import { DEFAULT_URGENCY } from '../../lib/triage';
+
+const SLOT_DURATION_OPTIONS = [10, 15, 20, 30, 45, 60];
+
+// IANA zones offered for the doctor's schedule
+const TIME_ZONE_OPTIONS = Array.from(new Set([
+  CLINIC_TIME_ZONE,
+  ...(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [])
+]));
+
+// Defaults for a newly added session or break in the weekly editor
+const NEW_RANGE = {
+  sessions: { start_time: '09:00:00', end_time: '17:00:00' },
+  breaks: { start_time: '12:00:00', end_time: '13:00:00' }
+};
 
 function DoctorDashboard() {
   const router = useRouter();
@@ -33,6 +54,7 @@ function DoctorDashboard() {
   const [activeTab, setActiveTab] = useState('dashboard');
   const [availability, setAvailability] = useState([]);
   const [saving, setSaving] = useState(false);
+  const [timeZone, setTimeZone] = useState(CLINIC_TIME_ZONE);
 
   const [processingId, setProcessingId] = useState(null);
   const isInitialMount = useRef(true);
@@ -125,6 +147,7 @@ function DoctorDashboard() {
 
       if (error) throw error;
       setDoctorData(data);
+      setTimeZone(resolveTimeZone(data.time_zone));
     } catch (error) {
       console.error('Error fetching doctor data:', error);
     }
@@ -183,15 +206,28 @@ function DoctorDashboard() {
       });
       if (response.ok) {
         const data = await response.json();
-        // Initialize with default days if empty
-        const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-        const fullSchedule = days.map(day => {
-          const existing = data.find(d => d.day_of_week === day);
-          return existing || {
+        // Group the rows into one entry per day with its sessions and breaks,
+        // initializing days with no rows to an inactive 9-5 day
+        const toRange = row => ({ start_time: row.start_time, end_time: row.end_time });
+        const byStart = (a, b) => a.start_time.localeCompare(b.start_time);
+        const fullSchedule = DAYS_OF_WEEK.map(day => {
+          const rows = data.filter(d => d.day_of_week === day);
+          const sessions = rows.filter(d => d.kind !== 'break');
+          if (sessions.length === 0) {
+            return {
+              day_of_week: day,
+              slot_duration: '00:30:00',
+              is_active: false,
+              sessions: [NEW_RANGE.sessions],
+              breaks: []
+            };
+          }
+          return {
             day_of_week: day,
-            start_time: '09:00:00',
-            end_time: '17:00:00',
-            is_active: false
+            slot_duration: sessions[0].slot_duration,
+            is_active: sessions[0].is_active,
+            sessions: sessions.map(toRange).sort(byStart),
+            breaks: rows.filter(d => d.kind === 'break').map(toRange).sort(byStart)
           };
         });
         setAvailability(fullSchedule);
@@ -213,17 +249,19 @@ function DoctorDashboard() {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`
         },
-        body: JSON.stringify({ schedule: availability })
+        body: JSON.stringify({ schedule: availability, timeZone })
       });
 
       if (response.ok) {
+        setDoctorData(prev => prev && { ...prev, time_zone: timeZone });
         alert('Schedule updated successfully!');
       } else {
-        throw new Error('Failed to save');
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save');
       }
     } catch (error) {
       console.error('Error saving availability:', error);
-      alert('Failed to save schedule');
+      alert(`Failed to save schedule: ${error.message}`);
     } finally {
       setSaving(false);
     }
@@ -235,6 +273,27 @@ function DoctorDashboard() {
     ));
   };
 
+  // list is 'sessions' or 'breaks'
+  const updateDayRange = (day, list, index, field, value) => {
+    setAvailability(prev => prev.map(item =>
+      item.day_of_week === day
+        ? { ...item, [list]: item[list].map((range, i) => i === index ? { ...range, [field]: value } : range) }
+        : item
+    ));
+  };
+
+  const addDayRange = (day, list) => {
+    setAvailability(prev => prev.map(item =>
+      item.day_of_week === day ? { ...item, [list]: [...item[list], NEW_RANGE[list]] } : item
+    ));
+  };
+
+  const removeDayRange = (day, list, index) => {
+    setAvailability(prev => prev.map(item =>
+      item.day_of_week === day ? { ...item, [list]: item[list].filter((_, i) => i !== index) } : item
+    ));
+  };
+
   const updateAppointmentStatus = async (appointmentId, newStatus) => {
     if (processingId) return; // Prevent multiple clicks
     setProcessingId(appointmentId);
@@ -276,7 +335,7 @@ function DoctorDashboard() {
       }
     } catch (error) {
       console.error('Error updating appointment:', error);
-      alert('Failed to update appointment status');
+      alert(error.message || 'Failed to update appointment status');
     } finally {
       setProcessingId(null);
     }
@@ -289,25 +348,33 @@ function DoctorDashboard() {
       cancelled: 'bg-red-100 text-red-800 border-red-200',
       completed: 'bg-blue-100 text-blue-800 border-blue-200',
       'no-show': 'bg-gray-100 text-gray-800 border-gray-200',
+      rejected: 'bg-rose-100 text-rose-800 border-rose-200',
     };
 
-    const labels = {
-      pending: 'Pending',
-      confirmed: 'Confirmed',
-      cancelled: 'Cancelled',
-      completed: 'Completed',
-      'no-show': 'No Show',
+    return (
+      <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium border ${styles[status] || styles.pending}`}>
+        {STATUS_LABELS[status] || 'Pending'}
+      </span>
+    );
+  };
+
+  // Routine visits get no badge, so the ones that need attention stand out
+  const getUrgencyBadge = (urgency) => {
+    const styles = {
+      soon: 'bg-amber-50 text-amber-700 border-amber-200',
+      urgent: 'bg-red-50 text-red-700 border-red-200',
     };
+    if (!urgency || urgency === DEFAULT_URGENCY || !styles[urgency]) return null;
 
     return (
-      <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium border ${styles[status] || styles.pending}`}>
-        {labels[status] || 'Pending'}
+      <span className={`px-2 py-0.5 rounded-full text-xs font-medium border capitalize ${styles[urgency]}`}>
+        {urgency}
       </span>
     );
   };
 
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return formatCalendarDate(dateString, {
       weekday: 'short',
       year: 'numeric',
       month: 'short',
@@ -323,7 +390,7 @@ function DoctorDashboard() {
   };
 
   const todayCount = appointments.filter(
-    (apt) => apt.appointment_date === new Date().toISOString().split('T')[0]
+    (apt) => apt.appointment_date === todayInZone(doctorData?.time_zone)
   ).length;
 
   const pendingCount = appointments.filter(
@@ -486,7 +553,10 @@ function DoctorDashboard() {
                               <User size={24} />
                             </div>
                             <div>
-                              <h4 className="font-semibold text-slate-900">{appointment.patient?.user?.full_name || 'Patient'}</h4>
+                              <div className="flex items-center gap-2">
+                                <h4 className="font-semibold text-slate-900">{appointment.patient?.user?.full_name || 'Patient'}</h4>
+                                {getUrgencyBadge(appointment.urgency)}
+                              </div>
                               <div className="flex flex-col gap-1 mt-1">
                                 <div className="flex items-center gap-2 text-sm text-slate-500">
                                   <Mail size={14} />
@@ -498,6 +568,17 @@ function DoctorDashboard() {
                                     <span>{appointment.patient.phone_number}</span>
                                   </div>
                                 )}
+                                {(appointment.reason || appointment.symptoms?.length > 0) && (
+                                  <div className="flex items-start gap-2 text-sm text-slate-700">
+                                    <Stethoscope size={14} className="mt-0.5 shrink-0 text-slate-400" />
+                                    <span>
+                                      {appointment.reason || 'Symptoms'}
+                                      {appointment.symptoms?.length > 0 && (
+                                        <span className="text-slate-500">{appointment.reason ? ' · ' : ': '}{appointment.symptoms.join(', ')}</span>
+                                      )}
+                                    </span>
+                                  </div>
+                                )}
                               </div>
                             </div>
                           </div>
@@ -528,7 +609,7 @@ function DoctorDashboard() {
                                     <Check size={18} />
                                   </button>
                                   <button
-                                    onClick={() => updateAppointmentStatus(appointment.id, 'cancelled')}
+                                    onClick={() => updateAppointmentStatus(appointment.id, 'rejected')}
                                     disabled={processingId === appointment.id}
                                     className="p-2 bg-red-100 text-red-600 rounded-lg hover:bg-red-200 transition-colors disabled:opacity-50"
                                     title="Reject"
@@ -542,17 +623,17 @@ function DoctorDashboard() {
                                 <div className="flex items-center gap-2">
                                   <button
                                     onClick={() => updateAppointmentStatus(appointment.id, 'completed')}
-                                    disabled={processingId === appointment.id}
-                                    className="p-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors disabled:opacity-50"
-                                    title="Complete"
+                                    disabled={processingId === appointment.id || !getAllowedTransitions(appointment, 'doctor').includes('completed')}
+                                    className="p-2 bg-blue-100 text-blue-600 rounded-lg hover:bg-blue-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                    title={getAllowedTransitions(appointment, 'doctor').includes('completed') ? 'Complete' : 'Can be completed once the appointment has started'}
                                   >
                                     <Check size={18} />
                                   </button>
                                   <button
                                     onClick={() => updateAppointmentStatus(appointment.id, 'no-show')}
-                                    disabled={processingId === appointment.id}
-                                    className="p-2 bg-orange-100 text-orange-600 rounded-lg hover:bg-orange-200 transition-colors disabled:opacity-50"
-                                    title="No Show"
+                                    disabled={processingId === appointment.id || !getAllowedTransitions(appointment, 'doctor').includes('no-show')}
+                                    className="p-2 bg-orange-100 text-orange-600 rounded-lg hover:bg-orange-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                    title={getAllowedTransitions(appointment, 'doctor').includes('no-show') ? 'No Show' : 'Can be marked once the appointment has started'}
                                   >
                                     <X size={18} />
                                   </button>
@@ -570,56 +651,121 @@ function DoctorDashboard() {
           )}
 
           {activeTab === 'schedule' && (
-            <DoctorScheduleCalendar appointments={appointments} />
+            <>
+              <DoctorScheduleCalendar appointments={appointments} timeZone={resolveTimeZone(doctorData?.time_zone)} />
+              <AvailabilityOverrides token={session?.access_token} />
+            </>
           )}
 
           {activeTab === 'availability' && (
             <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
               <div className="p-6 border-b border-slate-100 flex justify-between items-center">
                 <h3 className="text-lg font-bold text-slate-900">Weekly Schedule</h3>
-                <button
-                  onClick={saveAvailability}
-                  disabled={saving}
-                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
-                >
-                  <Save size={18} />
-                  {saving ? 'Saving...' : 'Save Changes'}
-                </button>
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-slate-500">
+                    Time zone
+                    <select
+                      value={timeZone}
+                      onChange={(e) => setTimeZone(e.target.value)}
+                      className="px-3 py-2 border border-slate-200 rounded-lg text-sm bg-white text-slate-700"
+                    >
+                      {(TIME_ZONE_OPTIONS.includes(timeZone) ? TIME_ZONE_OPTIONS : [timeZone, ...TIME_ZONE_OPTIONS]).map(zone => (
+                        <option key={zone} value={zone}>{zone}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    onClick={saveAvailability}
+                    disabled={saving}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    <Save size={18} />
+                    {saving ? 'Saving...' : 'Save Changes'}
+                  </button>
+                </div>
               </div>
               <div className="p-6">
                 <div className="space-y-4">
                   {availability.map((slot) => (
-                    <div key={slot.day_of_week} className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-slate-50 rounded-xl border border-slate-200">
-                      <div className="flex items-center gap-4 min-w-[150px]">
-                        <input
-                          type="checkbox"
-                          checked={slot.is_active}
-                          onChange={(e) => updateDaySchedule(slot.day_of_week, 'is_active', e.target.checked)}
-                          className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500 border-gray-300"
-                        />
-                        <span className={`font-medium ${slot.is_active ? 'text-slate-900' : 'text-slate-400'}`}>
-                          {slot.day_of_week}
-                        </span>
-                      </div>
-                      
-                      <div className={`flex items-center gap-4 ${!slot.is_active && 'opacity-50 pointer-events-none'}`}>
-                        <div className="flex items-center gap-2">
-                          <span className="text-sm text-slate-500">From</span>
+                    <div key={slot.day_of_week} className="p-4 bg-slate-50 rounded-xl border border-slate-200">
+                      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                        <div className="flex items-center gap-4 min-w-[150px]">
                           <input
-                            type="time"
-                            value={slot.start_time.slice(0, 5)}
-                            onChange={(e) => updateDaySchedule(slot.day_of_week, 'start_time', e.target.value + ':00')}
-                            className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+                            type="checkbox"
+                            checked={slot.is_active}
+                            onChange={(e) => updateDaySchedule(slot.day_of_week, 'is_active', e.target.checked)}
+                            className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500 border-gray-300"
                           />
+                          <span className={`font-medium ${slot.is_active ? 'text-slate-900' : 'text-slate-400'}`}>
+                            {slot.day_of_week}
+                          </span>
                         </div>
-                        <div className="flex items-center gap-2">
-                          <span className="text-sm text-slate-500">To</span>
-                          <input
-                            type="time"
-                            value={slot.end_time.slice(0, 5)}
-                            onChange={(e) => updateDaySchedule(slot.day_of_week, 'end_time', e.target.value + ':00')}
-                            className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
-                          />
+                        <div className={`flex items-center gap-2 ${!slot.is_active && 'opacity-50 pointer-events-none'}`}>
+                          <span className="text-sm text-slate-500">Slots</span>
+                          <select
+                            value={parseDurationMinutes(slot.slot_duration)}
+                            onChange={(e) => updateDaySchedule(slot.day_of_week, 'slot_duration', Number(e.target.value))}
+                            className="px-3 py-2 border border-slate-200 rounded-lg text-sm bg-white"
+                          >
+                            {SLOT_DURATION_OPTIONS.map(minutes => (
+                              <option key={minutes} value={minutes}>{minutes} min</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+
+                      <div className={`mt-4 space-y-2 ${!slot.is_active && 'opacity-50 pointer-events-none'}`}>
+                        {['sessions', 'breaks'].map(list => (
+                          <div key={list} className="space-y-2">
+                            {slot[list].map((range, index) => (
+                              <div key={index} className="flex items-center gap-4">
+                                <span className={`w-16 text-xs font-semibold uppercase tracking-wider ${list === 'breaks' ? 'text-amber-600' : 'text-slate-400'}`}>
+                                  {list === 'breaks' ? 'Break' : 'Session'}
+                                </span>
+                                <div className="flex items-center gap-2">
+                                  <span className="text-sm text-slate-500">From</span>
+                                  <input
+                                    type="time"
+                                    value={range.start_time.slice(0, 5)}
+                                    onChange={(e) => updateDayRange(slot.day_of_week, list, index, 'start_time', e.target.value + ':00')}
+                                    className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+                                  />
+                                </div>
+                                <div className="flex items-center gap-2">
+                                  <span className="text-sm text-slate-500">To</span>
+                                  <input
+                                    type="time"
+                                    value={range.end_time.slice(0, 5)}
+                                    onChange={(e) => updateDayRange(slot.day_of_week, list, index, 'end_time', e.target.value + ':00')}
+                                    className="px-3 py-2 border border-slate-200 rounded-lg text-sm"
+                                  />
+                                </div>
+                                {(list === 'breaks' || slot.sessions.length > 1) && (
+                                  <button
+                                    onClick={() => removeDayRange(slot.day_of_week, list, index)}
+                                    className="p-1.5 text-slate-400 hover:text-red-600 transition-colors"
+                                    title={list === 'breaks' ? 'Remove break' : 'Remove session'}
+                                  >
+                                    <X size={16} />
+                                  </button>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        ))}
+                        <div className="flex gap-4 pt-1">
+                          <button
+                            onClick={() => addDayRange(slot.day_of_week, 'sessions')}
+                            className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                          >
+                            <Plus size={14} /> Add session
+                          </button>
+                          <button
+                            onClick={() => addDayRange(slot.day_of_week, 'breaks')}
+                            className="flex items-center gap-1 text-sm text-amber-600 hover:text-amber-700"
+                          >
+                            <Plus size={14} /> Add break
+                          </button>
                         </div>
                       </div>
                     </div>
@@ -24,6 +24,9 @@ import {
   Users
 } from 'lucide-react';
 import VoiceBookingButton from '../../components/VoiceBookingButton';
+import { getChangeBlocker, getAppointmentStart } from '../../lib/appointments';
+import { getAppointmentTimeZone, todayInZone, formatCalendarDate } from '../../lib/timezone';
+import { STATUS_LABELS } from '../../lib/appointmentStatus';
 
 function PatientDashboard() {
   const router = useRouter();
@@ -33,6 +36,9 @@ function PatientDashboard() {
   const [patientData, setPatientData] = useState(null);
   const [doctors, setDoctors] = useState([]);
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [processingId, setProcessingId] = useState(null);
+  // Inline reschedule form: { appointment, date, slots, time, loadingSlots }
+  const [rescheduling, setRescheduling] = useState(null);
   const isInitialMount = useRef(true);
 
   // Sync activeTab with URL hash on mount
@@ -202,6 +208,84 @@ function PatientDashboard() {
     }
   };
 
+  const cancelAppointment = async (appointment) => {
+    if (processingId) return; // Prevent multiple clicks
+    if (!window.confirm('Cancel this appointment?')) return;
+
+    setProcessingId(appointment.id);
+    try {
+      const response = await fetch('/api/patient/cancel-appointment', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ appointmentId: appointment.id }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to cancel appointment');
+      }
+
+      await fetchAppointments(session.access_token);
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      alert(error.message);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const loadRescheduleSlots = async (appointment, date) => {
+    setRescheduling({ appointment, date, slots: [], time: '', loadingSlots: true });
+    try {
+      const params = new URLSearchParams({
+        doctorId: appointment.doctor_id,
+        date,
+        appointmentType: appointment.appointment_type || 'standard',
+        excludeAppointmentId: appointment.id,
+      });
+      const response = await fetch(`/api/patient/check-availability?${params}`);
+      const data = await response.json();
+      const slots = (data.slots || []).filter(slot => slot.available).map(slot => slot.time);
+      setRescheduling({ appointment, date, slots, time: slots[0] || '', loadingSlots: false });
+    } catch (error) {
+      console.error('Error loading slots:', error);
+      setRescheduling({ appointment, date, slots: [], time: '', loadingSlots: false });
+    }
+  };
+
+  const submitReschedule = async () => {
+    const { appointment, date, time } = rescheduling;
+    if (processingId || !date || !time) return;
+
+    setProcessingId(appointment.id);
+    try {
+      const response = await fetch('/api/patient/reschedule-appointment', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`,
+        },
+        body: JSON.stringify({ appointmentId: appointment.id, date, time }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to reschedule appointment');
+      }
+
+      setRescheduling(null);
+      await fetchAppointments(session.access_token);
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      alert(error.message);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const styles = {
       pending: 'bg-amber-100 text-amber-800 border-amber-200',
@@ -209,25 +293,18 @@ function PatientDashboard() {
       cancelled: 'bg-red-100 text-red-800 border-red-200',
       completed: 'bg-blue-100 text-blue-800 border-blue-200',
       'no-show': 'bg-gray-100 text-gray-800 border-gray-200',
-    };
-
-    const labels = {
-      pending: 'Pending',
-      confirmed: 'Confirmed',
-      cancelled: 'Cancelled',
-      completed: 'Completed',
-      'no-show': 'No Show',
+      rejected: 'bg-rose-100 text-rose-800 border-rose-200',
     };
 
     return (
       <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium border ${styles[status] || styles.pending}`}>
-        {labels[status] || 'Pending'}
+        {STATUS_LABELS[status] || 'Pending'}
       </span>
     );
   };
 
   const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return formatCalendarDate(dateString, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -251,14 +328,13 @@ function PatientDashboard() {
   const confirmedAppointments = appointments.filter(
     (apt) => {
       if (apt.status !== 'confirmed') return false;
-      const aptDate = new Date(`${apt.appointment_date}T${apt.appointment_time}`);
-      return aptDate >= now;
+      return getAppointmentStart(apt) >= now;
     }
   );
 
   const pastAppointments = appointments.filter(
     (apt) => {
-      const isPastConfirmed = apt.status === 'confirmed' && new Date(`${apt.appointment_date}T${apt.appointment_time}`) < now;
+      const isPastConfirmed = apt.status === 'confirmed' && getAppointmentStart(apt) < now;
       return apt.status === 'cancelled' || apt.status === 'completed' || apt.status === 'no-show' || apt.status === 'rejected' || isPastConfirmed;
     }
   );
@@ -446,32 +522,95 @@ function PatientDashboard() {
                   </div>
                 ) : (
                   <div className="divide-y divide-slate-100">
-                    {confirmedAppointments.map((appointment) => (
-                      <div key={appointment.id} className="p-6 hover:bg-slate-50 transition-colors">
-                        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
-                          <div className="flex items-start gap-4">
-                            <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center text-green-600">
-                              <Stethoscope size={24} />
-                            </div>
-                            <div>
-                              <h4 className="font-semibold text-slate-900">{appointment.doctor?.user?.full_name || 'Doctor'}</h4>
-                              <p className="text-sm text-slate-500">{appointment.doctor?.specialty || 'General'}</p>
-                              <div className="flex items-center gap-4 mt-2 text-sm text-slate-500">
-                                <div className="flex items-center gap-1">
-                                  <Calendar size={14} />
-                                  <span>{formatDate(appointment.appointment_date)}</span>
-                                </div>
-                                <div className="flex items-center gap-1">
-                                  <Clock size={14} />
-                                  <span>{formatTime(appointment.appointment_time)}</span>
+                    {confirmedAppointments.map((appointment) => {
+                      const cancelBlocker = getChangeBlocker(appointment, 'cancel');
+                      const rescheduleBlocker = getChangeBlocker(appointment, 'reschedule');
+                      const isRescheduling = rescheduling?.appointment.id === appointment.id;
+
+                      return (
+                        <div key={appointment.id} className="p-6 hover:bg-slate-50 transition-colors">
+                          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                            <div className="flex items-start gap-4">
+                              <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center text-green-600">
+                                <Stethoscope size={24} />
+                              </div>
+                              <div>
+                                <h4 className="font-semibold text-slate-900">{appointment.doctor?.user?.full_name || 'Doctor'}</h4>
+                                <p className="text-sm text-slate-500">{appointment.doctor?.specialty || 'General'}</p>
+                                <div className="flex items-center gap-4 mt-2 text-sm text-slate-500">
+                                  <div className="flex items-center gap-1">
+                                    <Calendar size={14} />
+                                    <span>{formatDate(appointment.appointment_date)}</span>
+                                  </div>
+                                  <div className="flex items-center gap-1">
+                                    <Clock size={14} />
+                                    <span>{formatTime(appointment.appointment_time)}</span>
+                                  </div>
                                 </div>
                               </div>
                             </div>
+                            <div className="flex items-center gap-3">
+                              {getStatusBadge(appointment.status)}
+                              <button
+                                onClick={() => setRescheduling(isRescheduling ? null : { appointment, date: '', slots: [], time: '', loadingSlots: false })}
+                                disabled={!!rescheduleBlocker || processingId === appointment.id}
+                                title={rescheduleBlocker || 'Reschedule'}
+                                className="px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Reschedule
+                              </button>
+                              <button
+                                onClick={() => cancelAppointment(appointment)}
+                                disabled={!!cancelBlocker || processingId === appointment.id}
+                                title={cancelBlocker || 'Cancel'}
+                                className="px-3 py-1.5 text-sm font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                              >
+                                Cancel
+                              </button>
+                            </div>
                           </div>
-                          {getStatusBadge(appointment.status)}
+
+                          {isRescheduling && (
+                            <div className="mt-4 p-4 bg-slate-50 rounded-xl border border-slate-200 flex flex-col sm:flex-row sm:items-end gap-4">
+                              <div className="space-y-1">
+                                <label className="text-xs font-medium text-slate-500">New date</label>
+                                <input
+                                  type="date"
+                                  value={rescheduling.date}
+                                  min={todayInZone(getAppointmentTimeZone(appointment))}
+                                  onChange={(e) => loadRescheduleSlots(appointment, e.target.value)}
+                                  className="block px-3 py-2 border border-slate-200 rounded-lg text-sm bg-white"
+                                />
+                              </div>
+                              <div className="space-y-1">
+                                <label className="text-xs font-medium text-slate-500">New time</label>
+                                <select
+                                  value={rescheduling.time}
+                                  onChange={(e) => setRescheduling(prev => ({ ...prev, time: e.target.value }))}
+                                  disabled={!rescheduling.date || rescheduling.loadingSlots || rescheduling.slots.length === 0}
+                                  className="block px-3 py-2 border border-slate-200 rounded-lg text-sm bg-white min-w-[120px]"
+                                >
+                                  {rescheduling.loadingSlots && <option>Loading...</option>}
+                                  {!rescheduling.loadingSlots && rescheduling.date && rescheduling.slots.length === 0 && (
+                                    <option>No open slots</option>
+                                  )}
+                                  {rescheduling.slots.map(time => (
+                                    <option key={time} value={time}>{time}</option>
+                                  ))}
+                                </select>
+                              </div>
+                              <button
+                                onClick={submitReschedule}
+                                disabled={!rescheduling.time || processingId === appointment.id}
+                                className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                              >
+                                {processingId === appointment.id ? 'Saving...' : 'Confirm New Time'}
+                              </button>
+                            </div>
+                          )}
                         </div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
                 )}
               </div>
@@ -543,16 +682,41 @@ function PatientDashboard() {
                       <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Clinic Timings</h4>
                       {doctor.schedule.length > 0 ? (
                         <div className="space-y-1">
-                          {doctor.schedule.map((slot, idx) => (
-                            <div key={idx} className="flex justify-between text-sm">
+                          {doctor.schedule.map((slot) => (
+                            <div key={slot.day} className="flex justify-between text-sm">
                               <span className="text-slate-600 font-medium">{slot.day}</span>
-                              <span className="text-slate-500">{slot.start} - {slot.end}</span>
+                              <span className="text-slate-500 text-right">
+                                {slot.sessions.map(session => `${session.start} - ${session.end}`).join(', ')}
+                                {slot.breaks.length > 0 && (
+                                  <span className="block text-xs text-slate-400">
+                                    Break {slot.breaks.map(b => `${b.start} - ${b.end}`).join(', ')}
+                                  </span>
+                                )}
+                              </span>
                             </div>
                           ))}
                         </div>
                       ) : (
                         <p className="text-sm text-slate-400 italic">No schedule available</p>
                       )}
+                      {doctor.exceptions?.length > 0 && (
+                        <div className="pt-2 space-y-1">
+                          <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Upcoming Changes</h4>
+                          {doctor.exceptions.map((exception, idx) => (
+                            <div key={idx} className="flex justify-between text-sm">
+                              <span className={`font-medium ${exception.kind === 'block' ? 'text-red-600' : 'text-green-600'}`}>
+                                {exception.startDate === exception.endDate
+                                  ? exception.startDate
+                                  : `${exception.startDate} - ${exception.endDate}`}
+                              </span>
+                              <span className="text-slate-500">
+                                {exception.kind === 'block' ? 'Off' : 'Extra'}
+                                {exception.start ? ` ${exception.start} - ${exception.end}` : ' all day'}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
 
                     <Link 
@@ -0,0 +1,115 @@
+-- Variable Appointment Lengths
+-- Run this in Supabase SQL Editor (after add-appointment-slot-constraint.sql)
+
+-- Appointments now record their visit type and length, so a 15-minute
+-- follow-up and a 60-minute new-patient visit block the right amount of the
+-- doctor's day. Double booking is then prevented on overlapping time ranges
+-- instead of on equal start times.
+--
+-- Existing appointments get the slot length of the doctor's current schedule,
+-- cut short where that would run into the doctor's next appointment (slots
+-- may have been lengthened since they were booked). If any active
+-- appointments still overlap, the migration stops and lists them instead of
+-- adding the constraint.
+
+-- 1. Visit type and length on each appointment
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS appointment_type text NOT NULL DEFAULT 'standard';
+
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS duration_minutes integer NOT NULL DEFAULT 30;
+
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_duration_positive;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_duration_positive CHECK (duration_minutes > 0);
+
+-- 2. Existing appointments take the slot length of the doctor's schedule for
+--    that weekday, but end no later than the doctor's next active appointment
+WITH slot_lengths AS (
+  SELECT a.id, MIN(GREATEST(EXTRACT(EPOCH FROM da.slot_duration)::integer / 60, 1)) AS minutes
+  FROM public.appointments a
+  JOIN public.doctor_availability da
+    ON da.doctor_id = a.doctor_id
+   AND da.day_of_week = trim(to_char(a.appointment_date, 'Day'))
+   AND da.slot_duration IS NOT NULL
+  GROUP BY a.id
+),
+gaps AS (
+  SELECT id,
+         EXTRACT(EPOCH FROM (
+           LEAD(appointment_date + appointment_time)
+             OVER (PARTITION BY doctor_id ORDER BY appointment_date + appointment_time)
+           - (appointment_date + appointment_time)
+         ))::integer / 60 AS minutes
+  FROM public.appointments
+  WHERE status IN ('pending', 'confirmed')
+),
+durations AS (
+  SELECT a.id,
+         GREATEST(LEAST(COALESCE(s.minutes, a.duration_minutes), COALESCE(g.minutes, a.duration_minutes)), 1) AS minutes
+  FROM public.appointments a
+  LEFT JOIN slot_lengths s ON s.id = a.id
+  LEFT JOIN gaps g ON g.id = a.id
+)
+UPDATE public.appointments a
+SET duration_minutes = d.minutes
+FROM durations d
+WHERE d.id = a.id
+  AND d.minutes <> a.duration_minutes;
+
+-- 3. Stop if active appointments would still overlap
+DO $$
+DECLARE
+  conflicts text;
+BEGIN
+  SELECT string_agg(
+    format('doctor %s on %s: appointment %s at %s (%s min) overlaps %s at %s (%s min)',
+      a.doctor_id, a.appointment_date, a.id, a.appointment_time, a.duration_minutes,
+      b.id, b.appointment_time, b.duration_minutes),
+    E'\n'
+  )
+  INTO conflicts
+  FROM public.appointments a
+  JOIN public.appointments b
+    ON b.doctor_id = a.doctor_id
+   AND b.id > a.id
+   AND tsrange(a.appointment_date + a.appointment_time,
+               a.appointment_date + a.appointment_time + a.duration_minutes * interval '1 minute')
+    && tsrange(b.appointment_date + b.appointment_time,
+               b.appointment_date + b.appointment_time + b.duration_minutes * interval '1 minute')
+  WHERE a.status IN ('pending', 'confirmed')
+    AND b.status IN ('pending', 'confirmed');
+
+  IF conflicts IS NOT NULL THEN
+    RAISE EXCEPTION 'These appointments overlap:%', E'\n' || conflicts
+      USING HINT = 'Shorten, cancel or reschedule one appointment of each pair, then run this migration again';
+  END IF;
+END $$;
+
+-- 4. Replace the equal-start-time constraint with a range overlap constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_no_double_booking;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_no_double_booking
+  EXCLUDE USING gist (
+    doctor_id WITH =,
+    tsrange(
+      appointment_date + appointment_time,
+      appointment_date + appointment_time + duration_minutes * interval '1 minute'
+    ) WITH &&
+  )
+  WHERE (status IN ('pending', 'confirmed'));
+
+-- 5. Verify the columns and constraint
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'appointments' AND column_name IN ('appointment_type', 'duration_minutes');
+
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conname = 'appointments_no_double_booking';
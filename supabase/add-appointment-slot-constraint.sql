@@ -0,0 +1,58 @@
+-- Prevent Double Booking of Appointment Slots
+-- Run this in Supabase SQL Editor
+
+-- Booking used to check for an existing appointment and then insert in a
+-- separate request, so two patients booking the same slot at the same moment
+-- could both succeed. This exclusion constraint makes the database reject the
+-- second active appointment for a doctor/date/time, so the insert itself is
+-- the reservation. /api/book maps the violation (SQLSTATE 23P01) to a 409.
+--
+-- Slots that are already double-booked are not touched: the migration stops
+-- and lists them (doctor, date, time and appointment ids). Cancel or move all
+-- but one appointment in each, letting the patients know, then run it again.
+
+-- 1. btree_gist lets plain columns (uuid, date, time) take part in a GiST exclusion constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- 2. Stop if any slot already holds more than one active appointment
+DO $$
+DECLARE
+  conflicts text;
+BEGIN
+  SELECT string_agg(
+    format('doctor %s on %s at %s: appointments %s', doctor_id, appointment_date, appointment_time, ids),
+    E'\n'
+  )
+  INTO conflicts
+  FROM (
+    SELECT doctor_id, appointment_date, appointment_time,
+           string_agg(id::text, ', ' ORDER BY created_at, id) AS ids
+    FROM public.appointments
+    WHERE status IN ('pending', 'confirmed')
+    GROUP BY doctor_id, appointment_date, appointment_time
+    HAVING count(*) > 1
+  ) duplicates;
+
+  IF conflicts IS NOT NULL THEN
+    RAISE EXCEPTION 'These slots are double-booked:%', E'\n' || conflicts
+      USING HINT = 'Cancel or reschedule all but one appointment in each slot, then run this migration again';
+  END IF;
+END $$;
+
+-- 3. Only pending and confirmed appointments hold a slot
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_no_double_booking;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_no_double_booking
+  EXCLUDE USING gist (
+    doctor_id WITH =,
+    appointment_date WITH =,
+    appointment_time WITH =
+  )
+  WHERE (status IN ('pending', 'confirmed'));
+
+-- 4. Verify the constraint exists
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conname = 'appointments_no_double_booking';
@@ -0,0 +1,57 @@
+-- Appointment Status Rules and History
+-- Run this in Supabase SQL Editor
+
+-- Legal transitions and who may make them live in lib/appointmentStatus.js.
+-- The database restricts the status values and keeps an audit trail of every
+-- change: who made it, in which role, and when.
+
+-- 1. Only known statuses
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_status_check;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_status_check
+  CHECK (status IN ('pending', 'confirmed', 'cancelled', 'completed', 'no-show', 'rejected'));
+
+-- 2. History table
+CREATE TABLE IF NOT EXISTS public.appointment_status_history (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  appointment_id uuid REFERENCES public.appointments(id) ON DELETE CASCADE NOT NULL,
+  from_status text, -- null for the initial booking
+  to_status text NOT NULL,
+  changed_by uuid REFERENCES public.users(id) ON DELETE SET NULL,
+  changed_by_role text NOT NULL, -- 'patient', 'doctor', 'admin' or 'system'
+  note text,
+  changed_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS appointment_status_history_appointment_idx
+  ON public.appointment_status_history (appointment_id, changed_at);
+
+-- 3. RLS: written by the API with the service role; participants can read
+ALTER TABLE public.appointment_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view appointment history" ON public.appointment_status_history;
+CREATE POLICY "Participants can view appointment history"
+  ON public.appointment_status_history FOR SELECT
+  USING (
+    auth.uid() IN (
+      SELECT p.user_id FROM public.appointments a
+      JOIN public.patients p ON p.id = a.patient_id
+      WHERE a.id = appointment_status_history.appointment_id
+      UNION
+      SELECT d.user_id FROM public.appointments a
+      JOIN public.doctors d ON d.id = a.doctor_id
+      WHERE a.id = appointment_status_history.appointment_id
+    )
+    OR EXISTS (SELECT 1 FROM public.users u WHERE u.id = auth.uid() AND u.role = 'admin')
+  );
+
+-- 4. Verify
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conname = 'appointments_status_check';
+
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'appointment_status_history';
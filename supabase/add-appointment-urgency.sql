@@ -0,0 +1,26 @@
+-- Add Visit Reason, Symptoms and Urgency to Appointments
+-- Run this in Supabase SQL Editor
+
+-- /api/interpret extracts why the patient wants to be seen, and /api/book
+-- stores it so the doctor sees it on the appointment card. Urgency is
+-- routine, soon or urgent; emergencies (chest pain, difficulty breathing,
+-- ...) are never booked, so there is no level for them.
+
+-- 1. Columns (reason may already exist from the original schema)
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS reason text,
+  ADD COLUMN IF NOT EXISTS symptoms text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS urgency text NOT NULL DEFAULT 'routine';
+
+-- 2. Only the known urgency levels (lib/triage.js URGENCY_LEVELS)
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_urgency_check;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_urgency_check
+  CHECK (urgency IN ('routine', 'soon', 'urgent'));
+
+-- Verify the columns exist
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'appointments' AND column_name IN ('reason', 'symptoms', 'urgency');
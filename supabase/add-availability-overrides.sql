@@ -0,0 +1,59 @@
+-- Date-Specific Availability Overrides
+-- Run this in Supabase SQL Editor
+
+-- doctor_availability holds one recurring row per weekday. This table holds
+-- dated exceptions on top of it:
+--   kind 'block' without times  -> whole days off (vacation, holiday, conference)
+--   kind 'block' with times     -> part of the day off
+--   kind 'extra' with times     -> a one-off session (e.g. a Saturday clinic)
+-- start_date and end_date are inclusive. Blocks win over extra sessions on the
+-- same day; see applyOverrides in lib/scheduling.js.
+
+-- 1. Overrides table
+CREATE TABLE IF NOT EXISTS public.doctor_availability_overrides (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  doctor_id uuid REFERENCES public.doctors(id) ON DELETE CASCADE NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  kind text NOT NULL,
+  start_time time,
+  end_time time,
+  reason text,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+
+  CONSTRAINT doctor_availability_overrides_kind_check
+    CHECK (kind IN ('block', 'extra')),
+  CONSTRAINT doctor_availability_overrides_dates_check
+    CHECK (end_date >= start_date),
+  -- Times come as a pair; extra sessions always need them
+  CONSTRAINT doctor_availability_overrides_times_check
+    CHECK (
+      (start_time IS NULL AND end_time IS NULL AND kind = 'block')
+      OR (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS doctor_availability_overrides_doctor_dates_idx
+  ON public.doctor_availability_overrides (doctor_id, start_date, end_date);
+
+-- 2. RLS: same rules as doctor_availability
+ALTER TABLE public.doctor_availability_overrides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public can view availability overrides" ON public.doctor_availability_overrides;
+CREATE POLICY "Public can view availability overrides"
+  ON public.doctor_availability_overrides FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Doctors can manage their own availability overrides" ON public.doctor_availability_overrides;
+CREATE POLICY "Doctors can manage their own availability overrides"
+  ON public.doctor_availability_overrides FOR ALL
+  USING (auth.uid() IN (SELECT user_id FROM public.doctors WHERE id = doctor_availability_overrides.doctor_id));
+
+-- 3. Verify
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'doctor_availability_overrides';
+
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conrelid = 'public.doctor_availability_overrides'::regclass;
@@ -0,0 +1,64 @@
+-- Multiple Working Sessions and Breaks per Day
+-- Run this in Supabase SQL Editor
+
+-- doctor_availability used to allow one start/end window per weekday
+-- (unique_doctor_day). A day is now any number of rows:
+--   kind 'session' -> working hours (e.g. 09:00-12:00 and 14:00-18:00)
+--   kind 'break'   -> recurring time off inside the sessions (e.g. lunch)
+-- Existing rows become sessions. Slots are generated from the sessions
+-- with the breaks removed; see getWeeklyWindows in lib/scheduling.js.
+
+-- 1. Allow several rows per day
+ALTER TABLE public.doctor_availability
+  DROP CONSTRAINT IF EXISTS unique_doctor_day;
+
+ALTER TABLE public.doctor_availability
+  ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'session';
+
+ALTER TABLE public.doctor_availability
+  DROP CONSTRAINT IF EXISTS doctor_availability_kind_check;
+
+ALTER TABLE public.doctor_availability
+  ADD CONSTRAINT doctor_availability_kind_check
+  CHECK (kind IN ('session', 'break'));
+
+ALTER TABLE public.doctor_availability
+  DROP CONSTRAINT IF EXISTS doctor_availability_times_check;
+
+ALTER TABLE public.doctor_availability
+  ADD CONSTRAINT doctor_availability_times_check
+  CHECK (end_time > start_time);
+
+-- 2. Sessions (and breaks) on the same day must not overlap each other
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'timerange') THEN
+    CREATE TYPE public.timerange AS RANGE (subtype = time);
+  END IF;
+END $$;
+
+ALTER TABLE public.doctor_availability
+  DROP CONSTRAINT IF EXISTS doctor_availability_no_overlap;
+
+ALTER TABLE public.doctor_availability
+  ADD CONSTRAINT doctor_availability_no_overlap
+  EXCLUDE USING gist (
+    doctor_id WITH =,
+    day_of_week WITH =,
+    kind WITH =,
+    public.timerange(start_time, end_time) WITH &&
+  );
+
+CREATE INDEX IF NOT EXISTS doctor_availability_doctor_day_idx
+  ON public.doctor_availability (doctor_id, day_of_week);
+
+-- 3. Verify
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conrelid = 'public.doctor_availability'::regclass;
+
+SELECT doctor_id, day_of_week, kind, start_time, end_time
+FROM public.doctor_availability
+ORDER BY doctor_id, day_of_week, kind, start_time;
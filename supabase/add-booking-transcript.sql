@@ -0,0 +1,27 @@
+-- Add Booking Transcript and Confidence to Appointments
+-- Run this in Supabase SQL Editor
+
+-- /api/book records what the patient said and how confident the
+-- interpretation was, so a misheard booking can be traced back. Below
+-- CONFIRMATION_CONFIDENCE (lib/interpretation.js) nothing is booked until the
+-- patient has confirmed the details; booking_confirmed records that they did.
+
+-- 1. Columns
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS booking_transcript text,
+  ADD COLUMN IF NOT EXISTS booking_confidence numeric(3, 2),
+  ADD COLUMN IF NOT EXISTS booking_confirmed boolean NOT NULL DEFAULT false;
+
+-- 2. Confidence is a score between 0 and 1
+ALTER TABLE public.appointments
+  DROP CONSTRAINT IF EXISTS appointments_booking_confidence_check;
+
+ALTER TABLE public.appointments
+  ADD CONSTRAINT appointments_booking_confidence_check
+  CHECK (booking_confidence IS NULL OR booking_confidence BETWEEN 0 AND 1);
+
+-- Verify the columns exist
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'appointments'
+  AND column_name IN ('booking_transcript', 'booking_confidence', 'booking_confirmed');
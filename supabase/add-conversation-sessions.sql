@@ -0,0 +1,51 @@
+-- Voice Booking Conversation Sessions
+-- Run this in Supabase SQL Editor
+
+-- /api/conversation saves the dialogue state (lib/dialogue.js) here after
+-- every turn, so a patient can resume an interrupted booking and support
+-- staff can read back a conversation that went wrong. Rows are kept after the
+-- conversation ends; only 'active' ones can be resumed.
+
+-- 1. Sessions table
+CREATE TABLE IF NOT EXISTS public.conversation_sessions (
+  id uuid PRIMARY KEY,
+  user_id uuid REFERENCES public.users(id) ON DELETE SET NULL, -- who started it, when signed in
+  patient_id uuid REFERENCES public.patients(id) ON DELETE SET NULL,
+  stage text NOT NULL,
+  status text NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'completed', 'emergency', 'failed')),
+  language_setting text NOT NULL DEFAULT 'auto', -- a language code or 'auto'
+  detected_language text,
+  fallback_language text,
+  transcript jsonb NOT NULL DEFAULT '[]'::jsonb, -- [{ speaker, text, timestamp }]
+  slots jsonb NOT NULL DEFAULT '{}'::jsonb, -- doctor, date, time, reason, ... gathered so far
+  result jsonb, -- the booked, cancelled or rescheduled appointment
+  error text, -- what the patient was told when the conversation failed
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS conversation_sessions_user_idx
+  ON public.conversation_sessions (user_id, status, updated_at DESC);
+
+CREATE INDEX IF NOT EXISTS conversation_sessions_status_idx
+  ON public.conversation_sessions (status, updated_at DESC);
+
+-- 2. RLS: written by the API with the service role; patients can read their
+-- own conversations and admins all of them
+ALTER TABLE public.conversation_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Patients can view own conversations" ON public.conversation_sessions;
+CREATE POLICY "Patients can view own conversations"
+  ON public.conversation_sessions FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all conversations" ON public.conversation_sessions;
+CREATE POLICY "Admins can view all conversations"
+  ON public.conversation_sessions FOR SELECT
+  USING (EXISTS (SELECT 1 FROM public.users u WHERE u.id = auth.uid() AND u.role = 'admin'));
+
+-- 3. Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'conversation_sessions';
@@ -0,0 +1,13 @@
+-- Add Patient Notes to Appointments
+-- Run this in Supabase SQL Editor
+
+-- Patients can leave a note for the doctor on their own appointments
+-- (e.g. "bringing previous test results"). Written through
+-- /api/patient/appointment-notes, which enforces ownership and length.
+ALTER TABLE public.appointments
+  ADD COLUMN IF NOT EXISTS patient_notes text;
+
+-- Verify the column exists
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'appointments' AND column_name = 'patient_notes';
@@ -0,0 +1,63 @@
+-- Atomic Weekly Schedule Updates
+-- Run this in Supabase SQL Editor (after add-availability-sessions.sql and
+-- add-time-zones.sql)
+
+-- POST /api/doctor/availability replaces the submitted weekdays wholesale:
+-- their old sessions and breaks are deleted and the new ones inserted. Done
+-- as separate requests, a failed insert left those days with no schedule at
+-- all. replace_doctor_availability() does the delete, the insert and the
+-- time zone change in one transaction, so either all of it happens or none.
+-- Only the service role may call it; the route checks who the doctor is.
+
+-- 1. The function. p_rows is a JSON array of
+--    { day_of_week, kind, start_time, end_time, slot_duration, is_active };
+--    every day in p_days is cleared first, so a day with no rows is closed.
+--    p_time_zone is only written when p_set_time_zone is true.
+CREATE OR REPLACE FUNCTION public.replace_doctor_availability(
+  p_doctor_id uuid,
+  p_days text[],
+  p_rows jsonb,
+  p_time_zone text DEFAULT NULL,
+  p_set_time_zone boolean DEFAULT false
+)
+RETURNS SETOF public.doctor_availability
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM public.doctor_availability
+  WHERE doctor_id = p_doctor_id
+    AND day_of_week = ANY (p_days);
+
+  RETURN QUERY
+  INSERT INTO public.doctor_availability
+    (doctor_id, day_of_week, kind, start_time, end_time, slot_duration, is_active)
+  SELECT p_doctor_id, r.day_of_week, r.kind, r.start_time, r.end_time, r.slot_duration, r.is_active
+  FROM jsonb_to_recordset(p_rows) AS r(
+    day_of_week text,
+    kind text,
+    start_time time,
+    end_time time,
+    slot_duration interval,
+    is_active boolean
+  )
+  RETURNING *;
+
+  IF p_set_time_zone THEN
+    UPDATE public.doctors
+    SET time_zone = p_time_zone
+    WHERE id = p_doctor_id;
+  END IF;
+END;
+$$;
+
+-- 2. Not callable with the anon or a signed-in user's key
+REVOKE ALL ON FUNCTION public.replace_doctor_availability(uuid, text[], jsonb, text, boolean)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.replace_doctor_availability(uuid, text[], jsonb, text, boolean)
+  TO service_role;
+
+-- 3. Verify
+SELECT proname, pg_get_function_identity_arguments(oid)
+FROM pg_proc
+WHERE proname = 'replace_doctor_availability';
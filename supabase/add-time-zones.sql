@@ -0,0 +1,36 @@
+-- Doctor Time Zones
+-- Run this in Supabase SQL Editor
+
+-- appointment_date/appointment_time, doctor_availability and the overrides
+-- are wall-clock values in the doctor's IANA time zone (e.g. 'Europe/London').
+-- A null time_zone means the clinic's zone, set with
+-- NEXT_PUBLIC_CLINIC_TIME_ZONE in .env.local (see lib/timezone.js).
+
+-- 1. Validation helper: true for names Postgres knows, such as 'Asia/Kolkata'
+CREATE OR REPLACE FUNCTION public.is_valid_time_zone(tz text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  PERFORM now() AT TIME ZONE tz;
+  RETURN true;
+EXCEPTION WHEN others THEN
+  RETURN false;
+END;
+$$;
+
+-- 2. Doctor time zone
+ALTER TABLE public.doctors
+  ADD COLUMN IF NOT EXISTS time_zone text;
+
+ALTER TABLE public.doctors
+  DROP CONSTRAINT IF EXISTS doctors_time_zone_check;
+
+ALTER TABLE public.doctors
+  ADD CONSTRAINT doctors_time_zone_check
+  CHECK (time_zone IS NULL OR public.is_valid_time_zone(time_zone));
+
+-- 3. Verify
+SELECT id, specialty, time_zone
+FROM public.doctors;
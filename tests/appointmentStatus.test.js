@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getTransitionError, getAllowedTransitions, isFinalStatus } from '../lib/appointmentStatus';
+
+// 10:00 on Monday 6 January 2025 in New York, 07:00 in Los Angeles
+const NOW = new Date('2025-01-06T15:00:00Z');
+
+const appointment = (status, date, time, timeZone = 'America/New_York') => ({
+  status,
+  appointment_date: date,
+  appointment_time: time,
+  doctor: { time_zone: timeZone },
+});
+
+describe('getTransitionError', () => {
+  it.each([
+    ['pending', 'confirmed', 'doctor'],
+    ['pending', 'cancelled', 'patient'],
+    ['confirmed', 'pending', 'patient'],
+    ['confirmed', 'cancelled', 'admin'],
+  ])('allows %s -> %s by a %s', (from, to, role) => {
+    expect(getTransitionError(appointment(from, '2025-01-07', '09:00'), to, role, NOW)).toBeNull();
+  });
+
+  it.each([
+    ['pending', 'confirmed', 'patient', 403],
+    ['cancelled', 'confirmed', 'doctor', 409],
+    ['completed', 'cancelled', 'admin', 409],
+    ['pending', 'archived', 'admin', 400],
+  ])('refuses %s -> %s by a %s with %i', (from, to, role, status) => {
+    expect(getTransitionError(appointment(from, '2025-01-07', '09:00'), to, role, NOW)).toMatchObject({ status });
+  });
+
+  it('only completes a visit once it has started in the doctor\'s zone', () => {
+    // 09:30 has passed in New York but not yet in Los Angeles
+    expect(getTransitionError(appointment('confirmed', '2025-01-06', '09:30'), 'completed', 'doctor', NOW)).toBeNull();
+    expect(getTransitionError(appointment('confirmed', '2025-01-06', '09:30', 'America/Los_Angeles'), 'completed', 'doctor', NOW))
+      .toMatchObject({ status: 409 });
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('offers a doctor confirm, reject and cancel on a pending request', () => {
+    expect(getAllowedTransitions(appointment('pending', '2025-01-07', '09:00'), 'doctor', NOW))
+      .toEqual(['confirmed', 'rejected', 'cancelled']);
+  });
+
+  it('offers no-show and completed only after the start', () => {
+    const past = appointment('confirmed', '2025-01-06', '09:00');
+    const future = appointment('confirmed', '2025-01-07', '09:00');
+    expect(getAllowedTransitions(past, 'doctor', NOW)).toEqual(['cancelled', 'completed', 'no-show']);
+    expect(getAllowedTransitions(future, 'doctor', NOW)).toEqual(['cancelled']);
+  });
+
+  it('offers nothing on a final status', () => {
+    expect(isFinalStatus('rejected')).toBe(true);
+    expect(getAllowedTransitions(appointment('rejected', '2025-01-07', '09:00'), 'admin', NOW)).toEqual([]);
+  });
+});
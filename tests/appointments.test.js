@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { findMatchingAppointments, getChangeBlocker, describeAppointment } from '../lib/appointments';
+
+// 10:00 on Monday 6 January 2025 in New York
+const NOW = new Date('2025-01-06T15:00:00Z');
+
+const appointment = (id, doctorName, specialty, date, time, status = 'confirmed') => ({
+  id,
+  appointment_date: date,
+  appointment_time: `${time}:00`,
+  status,
+  doctor: { specialty, time_zone: 'America/New_York', user: { full_name: doctorName } },
+});
+
+const APPOINTMENTS = [
+  appointment('patel-thu', 'Anita Patel', 'Pediatrics', '2025-01-09', '14:00'),
+  appointment('khan-fri', 'Sarah Khan', 'Cardiology', '2025-01-10', '09:30'),
+  appointment('patel-mon', 'Anita Patel', 'Pediatrics', '2025-01-13', '11:00', 'pending'),
+  appointment('patel-past', 'Anita Patel', 'Pediatrics', '2025-01-06', '09:00'),
+  appointment('khan-cancelled', 'Sarah Khan', 'Cardiology', '2025-01-15', '09:30', 'cancelled'),
+];
+
+const matching = criteria => findMatchingAppointments(APPOINTMENTS, criteria, NOW).map(apt => apt.id);
+
+describe('findMatchingAppointments', () => {
+  it.each([
+    [{}, ['patel-thu', 'khan-fri', 'patel-mon']],
+    [{ doctor: 'Dr. Patel' }, ['patel-thu', 'patel-mon']],
+    [{ doctor: 'Dr. Patel', date: '2025-01-09' }, ['patel-thu']],
+    [{ speciality: 'heart' }, ['khan-fri']],
+    [{ time: '09:30' }, ['khan-fri']],
+    [{ doctor: 'Dr. Okonkwo' }, []],
+  ])('finds %j among the upcoming active appointments', (criteria, expected) => {
+    expect(matching(criteria)).toEqual(expected);
+  });
+});
+
+describe('getChangeBlocker', () => {
+  it('lets a patient change an active appointment well ahead of time', () => {
+    expect(getChangeBlocker(APPOINTMENTS[0], 'cancel', NOW)).toBeNull();
+    expect(getChangeBlocker(APPOINTMENTS[0], 'reschedule', NOW)).toBeNull();
+  });
+
+  it('refuses changes inside the notice window', () => {
+    const tomorrowMorning = appointment('soon', 'Anita Patel', 'Pediatrics', '2025-01-07', '09:00');
+    expect(getChangeBlocker(tomorrowMorning, 'cancel', NOW)).toMatch(/24 hours in advance/);
+    expect(getChangeBlocker(tomorrowMorning, 'reschedule', NOW)).toMatch(/rescheduled/);
+  });
+
+  it('refuses changes to an appointment that is no longer active', () => {
+    expect(getChangeBlocker(APPOINTMENTS[4], 'cancel', NOW)).toBe('This appointment is already cancelled');
+  });
+});
+
+describe('describeAppointment', () => {
+  it('names the doctor, date and time', () => {
+    expect(describeAppointment(APPOINTMENTS[0])).toMatch(/Anita Patel.*2025-01-09.*14:00/);
+  });
+});
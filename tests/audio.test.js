@@ -0,0 +1,122 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { detectAudioFormat, readWavSamples, measureSpeech, checkUpload, prepareAudio, AUDIO_LIMITS } from '../lib/audio';
+import { wavBuffer, WEBM_HEADER } from './wav';
+
+describe('detectAudioFormat', () => {
+  it.each([
+    [WEBM_HEADER, 'webm'],
+    [Buffer.from('OggS\0\x02\0\0\0\0\0\0\0\0', 'latin1'), 'ogg'],
+    [wavBuffer(0.01).subarray(0, 16), 'wav'],
+    [Buffer.from('\0\0\0\x20ftypM4A \0\0\0\0', 'latin1'), 'mp4'],
+    [Buffer.from('fLaC\0\0\0\x22', 'latin1'), 'flac'],
+    [Buffer.from('ID3\x04\0\0', 'latin1'), 'mp3'],
+    [Buffer.from([0xff, 0xfb, 0x90, 0x64]), 'mp3'],
+  ])('recognises %s as %s', (header, format) => {
+    expect(detectAudioFormat(header)?.format).toBe(format);
+  });
+
+  it.each([
+    ['text', Buffer.from('hello world')],
+    ['RIFF that is not WAVE', Buffer.from('RIFF\0\0\0\0AVI LIST', 'latin1')],
+    ['nothing', Buffer.alloc(0)],
+  ])('rejects %s', (_, header) => {
+    expect(detectAudioFormat(header)).toBeNull();
+  });
+});
+
+describe('readWavSamples', () => {
+  it('reads 16-bit PCM samples and the sample rate', () => {
+    const { samples, sampleRate, channels, pcm16 } = readWavSamples(wavBuffer(0.5, { sampleRate: 8000 }));
+
+    expect(samples.length).toBe(4000);
+    expect({ sampleRate, channels, pcm16 }).toEqual({ sampleRate: 8000, channels: 1, pcm16: true });
+  });
+
+  it('skips chunks before the data, as ffmpeg writes them', () => {
+    const wav = wavBuffer(0.1);
+    const list = Buffer.concat([Buffer.from('LIST', 'latin1'), Buffer.from([4, 0, 0, 0]), Buffer.from('INFO', 'latin1')]);
+    const withList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+    expect(readWavSamples(withList).samples).toEqual(readWavSamples(wav).samples);
+  });
+
+  it('says when the samples are not 16-bit PCM', () => {
+    expect(readWavSamples(wavBuffer(0.1, { bitsPerSample: 24 })).pcm16).toBe(false);
+  });
+});
+
+describe('measureSpeech', () => {
+  it.each([
+    ['a tone', 8000, 1, 1],
+    ['silence', 0, 1, 0],
+    ['a whisper below the threshold', 100, 1, 0],
+  ])('finds speech in %s', (_, amplitude, durationSeconds, speechSeconds) => {
+    const { samples, sampleRate } = readWavSamples(wavBuffer(1, { amplitude }));
+    const measured = measureSpeech(samples, sampleRate);
+
+    expect(measured.durationSeconds).toBe(durationSeconds);
+    expect(measured.speechSeconds).toBeCloseTo(speechSeconds, 1);
+  });
+});
+
+describe('checkUpload and prepareAudio', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    // Nothing here may need ffmpeg
+    vi.stubEnv('FFMPEG_BIN', path.join(os.tmpdir(), 'no-such-ffmpeg'));
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audio-test-'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+
+  async function upload(bytes) {
+    const filePath = path.join(workDir, 'upload');
+    await fs.promises.writeFile(filePath, bytes);
+    return filePath;
+  }
+
+  it('accepts a recognised upload as it is', async () => {
+    const filePath = await upload(WEBM_HEADER);
+
+    expect(await checkUpload(filePath)).toEqual({
+      audio: { path: filePath, format: 'webm', mimeType: 'audio/webm', extension: 'webm' },
+    });
+  });
+
+  it.each([
+    ['empty', Buffer.alloc(0), { status: 422, reason: 'empty' }],
+    ['not audio', Buffer.from('<html></html>'), { status: 415, reason: 'unsupported_format' }],
+  ])('rejects an upload that is %s', async (_, bytes, refusal) => {
+    expect(await checkUpload(await upload(bytes))).toMatchObject(refusal);
+  });
+
+  it('rejects an upload over the size limit', async () => {
+    const filePath = await upload(WEBM_HEADER);
+    await fs.promises.truncate(filePath, AUDIO_LIMITS.maxBytes + 1);
+
+    expect(await checkUpload(filePath)).toMatchObject({ status: 413, reason: 'too_large' });
+  });
+
+  it('measures a WAV upload without converting it', async () => {
+    const filePath = await upload(wavBuffer(1.5, { sampleRate: 44100, channels: 2 }));
+
+    expect(await prepareAudio(filePath, workDir, { convert: false })).toEqual({
+      audio: { path: filePath, format: 'wav', mimeType: 'audio/wav', extension: 'wav', durationSeconds: 1.5 },
+    });
+  });
+
+  it.each([
+    ['silent', wavBuffer(2, { amplitude: 0 }), { status: 422, reason: 'silent' }],
+    ['too short', wavBuffer(0.1), { status: 422, reason: 'empty' }],
+    ['too long', wavBuffer(AUDIO_LIMITS.maxSeconds + 1, { sampleRate: 8000 }), { status: 413, reason: 'too_long' }],
+  ])('rejects a WAV upload that is %s', async (_, bytes, refusal) => {
+    expect(await prepareAudio(await upload(bytes), workDir, { convert: false })).toMatchObject(refusal);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getRequestedTimeError, bookAppointment } from '../lib/booking';
+import { BOOKING_HORIZON_DAYS } from '../lib/appointments';
+import { addDays } from '../lib/scheduling';
+import { completeJson } from '../lib/llm';
+import { createFakeDb } from './fakeDb';
+
+// The LLM turns down every doctor it is asked to confirm
+vi.mock('../lib/llm', () => ({
+  isLlmConfigured: () => true,
+  completeJson: vi.fn(async () => ({ match_id: null, confidence: 0.1 })),
+}));
+
+const ZONE = 'America/New_York';
+// 10:00 on Monday 6 January 2025 in New York
+const NOW = new Date('2025-01-06T15:00:00Z');
+
+describe('getRequestedTimeError', () => {
+  it.each([
+    ['2025-02-30', '10:00'],
+    ['06/01/2025', '10:00'],
+    ['2025-01-07', '24:00'],
+    ['2025-01-07', '9:30'],
+    ['2025-01-07', '10:60'],
+    ['2025-01-07', undefined],
+  ])('rejects %s %s as malformed', (date, time) => {
+    expect(getRequestedTimeError(date, time, ZONE, NOW)).toMatchObject({ status: 400, error: 'Invalid date or time' });
+  });
+
+  it('rejects a time that has already passed in the doctor\'s zone', () => {
+    expect(getRequestedTimeError('2025-01-06', '09:30', ZONE, NOW))
+      .toMatchObject({ status: 400, error: 'Appointment time is in the past' });
+  });
+
+  it('rejects dates beyond the booking horizon', () => {
+    const lastDay = addDays('2025-01-06', BOOKING_HORIZON_DAYS);
+    expect(getRequestedTimeError(lastDay, '10:00', ZONE, NOW)).toBeNull();
+    expect(getRequestedTimeError(addDays(lastDay, 1), '10:00', ZONE, NOW))
+      .toMatchObject({ status: 400, error: 'Appointment date is too far ahead' });
+  });
+
+  it('accepts a later time today, with or without seconds', () => {
+    expect(getRequestedTimeError('2025-01-06', '10:30', ZONE, NOW)).toBeNull();
+    expect(getRequestedTimeError('2025-01-06', '10:30:00', ZONE, NOW)).toBeNull();
+  });
+});
+
+describe('bookAppointment', () => {
+  const doctor = (id, fullName, specialty) => ({
+    id,
+    user_id: `user-${id}`,
+    specialty,
+    time_zone: ZONE,
+    user: { full_name: fullName },
+  });
+  const workday = doctorId => ({
+    doctor_id: doctorId,
+    day_of_week: 'Wednesday',
+    kind: 'session',
+    start_time: '09:00:00',
+    end_time: '17:00:00',
+    slot_duration: '30 minutes',
+    is_active: true,
+  });
+
+  let db;
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    completeJson.mockClear();
+    db = createFakeDb({
+      doctors: [doctor('sarah', 'Sarah Khan', 'Cardiology'), doctor('nguyen', 'Minh Nguyen', 'General Practice')],
+      doctor_availability: [workday('sarah'), workday('nguyen')],
+    });
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const book = request => bookAppointment(db, {
+    date: '2025-01-08',
+    time: '10:00',
+    patientId: 'patient-1',
+    confirmed: true,
+    ...request,
+  });
+
+  it('books a clearly named doctor', async () => {
+    const result = await book({ doctor: 'Dr. Sarah Khan' });
+
+    expect(result).toMatchObject({ success: true });
+    expect(db.tables.appointments).toMatchObject([{ doctor_id: 'sarah', appointment_time: '10:00', status: 'pending' }]);
+  });
+
+  it.each([
+    [undefined, 'voice'],
+    ['chat', 'chat'],
+  ])('records the booking method %s as %s', async (bookingMethod, stored) => {
+    const result = await book({ doctor: 'Dr. Sarah Khan', bookingMethod });
+
+    expect(result.appointment.bookingMethod).toBe(stored);
+    expect(db.tables.appointments).toMatchObject([{ booking_method: stored }]);
+    expect(db.tables.appointment_status_history).toMatchObject([{ note: `Booked by ${stored}` }]);
+  });
+
+  it('rejects an unknown booking method', async () => {
+    const result = await book({ doctor: 'Dr. Sarah Khan', bookingMethod: 'fax' });
+
+    expect(result).toMatchObject({ status: 400, error: 'Invalid booking method' });
+    expect(db.tables.appointments).toBeUndefined();
+  });
+
+  it('does not book a weak match the LLM rejected', async () => {
+    const result = await book({ doctor: 'Dr. Nuyen' });
+
+    expect(completeJson).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: 404 });
+    expect(db.tables.appointments).toBeUndefined();
+  });
+
+  it('books a weak match the LLM confirmed', async () => {
+    completeJson.mockResolvedValueOnce({ match_id: 'nguyen', confidence: 0.9 });
+    const result = await book({ doctor: 'Dr. Nuyen' });
+
+    expect(result).toMatchObject({ success: true });
+    expect(db.tables.appointments).toMatchObject([{ doctor_id: 'nguyen' }]);
+  });
+});
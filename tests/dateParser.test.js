@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { parseDateTimeMentions } from '../lib/dateParser';
+
+// Wednesday 8 January 2025
+const TODAY = '2025-01-08';
+
+const datesIn = text => parseDateTimeMentions(text, { today: TODAY }).dates.map(d => d.value);
+const timesIn = text => parseDateTimeMentions(text, { today: TODAY }).times.map(t => t.value);
+
+describe('parseDateTimeMentions dates', () => {
+  it.each([
+    ['today', '2025-01-08'],
+    ['tomorrow', '2025-01-09'],
+    ['the day after tomorrow', '2025-01-10'],
+    ['in 3 days', '2025-01-11'],
+    ['in two weeks', '2025-01-22'],
+    ['a week from tomorrow', '2025-01-16'],
+    ['in a fortnight', '2025-01-22'],
+  ])('resolves the relative day "%s" to %s', (text, expected) => {
+    expect(datesIn(text)).toEqual([expected]);
+  });
+
+  it.each([
+    ['Friday', '2025-01-10'],
+    ['this Friday', '2025-01-10'],
+    ['next Friday', '2025-01-17'],
+    ['Friday after next', '2025-01-24'],
+    ['next week on Monday', '2025-01-13'],
+    ['Wednesday', '2025-01-08'],
+    ['this Wednesday', '2025-01-08'],
+    ['next Wednesday', '2025-01-15'],
+  ])('resolves the weekday "%s" to %s', (text, expected) => {
+    expect(datesIn(text)).toEqual([expected]);
+  });
+
+  it.each([
+    ['the 3rd', '2025-02-03'],
+    ['the twenty first', '2025-01-21'],
+    ['December 5th', '2025-12-05'],
+    ['5th of December', '2025-12-05'],
+    ['the second of May', '2025-05-02'],
+    ['Dec 5 2026', '2026-12-05'],
+    ['February 29', '2028-02-29'],
+  ])('resolves the ordinal or calendar date "%s" to %s', (text, expected) => {
+    expect(datesIn(text)).toEqual([expected]);
+  });
+
+  it('does not read "just a second" as a date', () => {
+    expect(datesIn('just a second')).toEqual([]);
+  });
+});
+
+describe('parseDateTimeMentions times', () => {
+  it.each([
+    ['half past four', '16:30'],
+    ['half past twelve', '12:30'],
+    ['quarter to five', '16:45'],
+    ['ten to one', '12:50'],
+    ['quarter past nine in the morning', '09:15'],
+    ['four fifteen', '16:15'],
+    ['four oh five', '16:05'],
+    ['eleven thirty', '11:30'],
+    ['twelve thirty', '12:30'],
+    ['at 4 15', '16:15'],
+    ['four fifteen pm', '16:15'],
+  ])('resolves "%s" to %s', (text, expected) => {
+    expect(timesIn(text)).toEqual([expected]);
+  });
+
+  // Without AM or PM, hours follow clinic hours: 1-6 afternoon, 7-11 morning
+  it.each([
+    ['at 6', '18:00'],
+    ['at 7', '07:00'],
+    ['at 12', '12:00'],
+    ['four oclock', '16:00'],
+    ["four o'clock", '16:00'],
+    ['9 in the morning', '09:00'],
+    ['3pm', '15:00'],
+    ['noon', '12:00'],
+    ['in the evening', '18:00'],
+  ])('defaults "%s" to %s', (text, expected) => {
+    expect(timesIn(text)).toEqual([expected]);
+  });
+
+  it('reads a date and a spoken time together', () => {
+    const { dates, times } = parseDateTimeMentions('May 2nd at four fifteen', { today: TODAY });
+    expect(dates.map(d => d.value)).toEqual(['2025-05-02']);
+    expect(times.map(t => t.value)).toEqual(['16:15']);
+  });
+
+  it.each([
+    'in 4 15 minute intervals',
+    'I have 2 kids aged 4 and 10',
+  ])('finds no time in "%s"', text => {
+    expect(timesIn(text)).toEqual([]);
+  });
+});
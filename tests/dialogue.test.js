@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { startConversation, takeTurn } from '../lib/dialogue';
+
+const SARAH = { doctorId: 'sarah', doctorName: 'Dr. Sarah Khan' };
+const CHEST_PAIN = {
+  message: 'You mentioned chest pain. That may need urgent medical attention.',
+  redFlags: [{ id: 'chest_pain', label: 'chest pain' }],
+};
+
+// What /api/interpret makes of each thing the patient says in these tests
+const INTERPRETATIONS = {
+  'Dr. Sarah Khan': { intent: 'book', doctor: 'Dr. Sarah Khan', confidence: 0.95 },
+  'Dr. Sarah Khan, I have chest pain': {
+    intent: 'book', doctor: 'Dr. Sarah Khan', symptoms: ['chest pain'], urgency: 'urgent',
+    emergency: CHEST_PAIN, confidence: 0.9,
+  },
+  'Monday, March 4th': { date: '2030-03-04', confidence: 0.9 },
+  '9 am': { time: '09:00', confidence: 0.9 },
+  '9:30': { time: '09:30', confidence: 0.9 },
+  'Cancel my appointment with Dr. Patel': { intent: 'cancel', doctor: 'Dr. Patel' },
+  'Move my appointment with Dr. Patel to March 4th at 10': {
+    intent: 'reschedule', doctor: 'Dr. Patel', date: '2030-03-04', time: '10:00',
+  },
+};
+
+// The patient's upcoming appointment, for cancelling and rescheduling
+const PATEL_APPOINTMENT = {
+  id: 'patel-1',
+  doctor_id: 'patel',
+  appointment_date: '2030-03-01',
+  appointment_time: '14:00:00',
+  status: 'confirmed',
+  doctor: { id: 'patel', specialty: 'Pediatrics', time_zone: 'America/New_York', user: { full_name: 'Anita Patel' } },
+};
+
+// Services backed by fixed answers instead of the database and the LLM:
+// Dr. Sarah Khan works 09:00-12:00 every day, with 09:30 taken
+function stubServices(overrides = {}) {
+  return {
+    interpret: vi.fn(async ({ text }) => INTERPRETATIONS[text] || {}),
+    checkAvailability: vi.fn(async ({ date }) => date
+      ? {
+        available: true,
+        slots: [
+          { time: '09:00', available: true },
+          { time: '09:30', available: false },
+          { time: '10:00', available: true },
+        ],
+        windows: [{ start: '09:00', end: '12:00' }],
+        schedule: { start: '09:00', end: '12:00' },
+      }
+      : { available: true, ...SARAH, schedule: [{ day: 'Monday', start: '09:00', end: '12:00' }] }),
+    nextAvailable: vi.fn(async () => ({ slots: [] })),
+    generateResponse: vi.fn(async ({ context }) => `(${context.type || context.reason})`),
+    listAppointments: vi.fn(async () => []),
+    book: vi.fn(async () => ({ success: true })),
+    cancelAppointment: vi.fn(async () => ({ success: true })),
+    rescheduleAppointment: vi.fn(async () => ({ success: true })),
+    ...overrides,
+  };
+}
+
+// Start a conversation and say each of `texts` in turn; returns the last turn
+async function converse(texts, services) {
+  let turn = startConversation({ id: 'conversation-1', patientId: 'patient-1', language: 'en' });
+  for (const text of texts) {
+    turn = await takeTurn(turn.state, { text }, services);
+  }
+  return turn;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('the emergency advisory', () => {
+  it('gives the advisory and asks whether to book anyway', async () => {
+    const turn = await converse(['Dr. Sarah Khan, I have chest pain'], stubServices());
+
+    expect(turn.state.stage).toBe('confirming_emergency');
+    expect(turn.replies.join(' ')).toMatch(/chest pain.*still want me to book/);
+  });
+
+  it.each([
+    'No',
+    "No, I'm not sure, don't book",
+    "that's not right",
+  ])('ends without booking or acknowledging after "%s"', async answer => {
+    const services = stubServices();
+    const turn = await converse(['Dr. Sarah Khan, I have chest pain', answer], services);
+
+    expect(turn.state.stage).toBe('emergency');
+    expect(turn.state.data.acknowledgedEmergency).toBe(false);
+    expect(turn.listen).toBe(false);
+    expect(services.book).not.toHaveBeenCalled();
+  });
+
+  it.each(['hmm', 'yes, no, wait'])('asks again after "%s"', async answer => {
+    const turn = await converse(['Dr. Sarah Khan, I have chest pain', answer], stubServices());
+
+    expect(turn.state.stage).toBe('confirming_emergency');
+    expect(turn.state.data.acknowledgedEmergency).toBe(false);
+    expect(turn.replies).toEqual(['Sorry, was that a yes or a no? Do you still want me to book a regular appointment?']);
+  });
+
+  it('carries on with the booking after a yes, keeping the symptoms', async () => {
+    const turn = await converse(['Dr. Sarah Khan, I have chest pain', 'Yes, book it please'], stubServices());
+
+    expect(turn.state.stage).toBe('asking_date');
+    expect(turn.state.data).toMatchObject({
+      acknowledgedEmergency: true,
+      doctor: 'Dr. Sarah Khan',
+      symptoms: ['chest pain'],
+      urgency: 'urgent',
+    });
+  });
+});
+
+describe('booking an appointment', () => {
+  it('greets the patient and asks for a doctor', () => {
+    const turn = startConversation({ id: 'conversation-1', patientId: 'patient-1', language: 'en' });
+
+    expect(turn.state.stage).toBe('asking_doctor');
+    expect(turn.replies).toHaveLength(1);
+    expect(turn.listen).toBe(true);
+  });
+
+  it('goes from the doctor to the date and time and books after a yes', async () => {
+    const services = stubServices();
+    const turns = [];
+    let turn = startConversation({ id: 'conversation-1', patientId: 'patient-1', language: 'en' });
+    for (const text of ['Dr. Sarah Khan', 'Monday, March 4th', '9 am', 'Yes']) {
+      turn = await takeTurn(turn.state, { text }, services);
+      turns.push(turn);
+    }
+
+    expect(turns.map(t => t.state.stage)).toEqual(['asking_date', 'asking_time', 'confirming', 'completed']);
+    expect(turns[0].replies).toEqual(['(schedule_presentation)']);
+    expect(turns[2].replies).toEqual([
+      'Great! 09:00 is available. Should I confirm your appointment with Dr. Sarah Khan on Monday, March 4 at 09:00?',
+    ]);
+    expect(services.book).toHaveBeenCalledTimes(1);
+    expect(services.book).toHaveBeenCalledWith(expect.objectContaining({
+      doctor: 'Dr. Sarah Khan',
+      doctorId: 'sarah',
+      date: '2030-03-04',
+      time: '09:00',
+      patientId: 'patient-1',
+      confirmed: true,
+      confidence: 0.9,
+      transcript: 'Dr. Sarah Khan\nMonday, March 4th\n9 am\nYes',
+    }));
+    expect(turn.state.result).toMatchObject({ success: true });
+    expect(turn.listen).toBe(false);
+  });
+
+  it('offers the open times when the requested one is taken', async () => {
+    const services = stubServices();
+    const turn = await converse(['Dr. Sarah Khan', 'Monday, March 4th', '9:30'], services);
+
+    expect(turn.state.stage).toBe('offering_slots');
+    expect(turn.state.data.suggestedSlots.map(slot => slot.time)).toEqual(['09:00', '10:00']);
+    expect(turn.replies).toEqual(['(fully_booked)']);
+  });
+
+  it('reads a picked slot back before booking it', async () => {
+    const services = stubServices();
+    const turn = await converse(['Dr. Sarah Khan', 'Monday, March 4th', '9:30', 'the second one'], services);
+
+    expect(turn.state.stage).toBe('confirming');
+    expect(turn.state.data.time).toBe('10:00');
+    expect(services.book).not.toHaveBeenCalled();
+  });
+
+  it('starts over when the patient says no to the booking', async () => {
+    const services = stubServices();
+    const turn = await converse(['Dr. Sarah Khan', 'Monday, March 4th', '9 am', 'No'], services);
+
+    expect(turn.state.stage).toBe('asking_doctor');
+    expect(turn.state.data.doctor).toBeNull();
+    expect(services.book).not.toHaveBeenCalled();
+  });
+
+  it('explains a refused booking and stops listening', async () => {
+    const refusal = { status: 409, error: 'Time slot not available', reason: 'fully_booked' };
+    const services = stubServices({
+      book: vi.fn(async () => { throw Object.assign(new Error(refusal.error), { refusal }); }),
+    });
+    const turn = await converse(['Dr. Sarah Khan', 'Monday, March 4th', '9 am', 'Yes'], services);
+
+    expect(turn.state.stage).toBe('confirming');
+    expect(turn.state.error).toBe('Time slot not available');
+    expect(turn.listen).toBe(false);
+  });
+});
+
+describe('changing an appointment', () => {
+  it('cancels the appointment the patient names after a yes', async () => {
+    const services = stubServices({ listAppointments: vi.fn(async () => [PATEL_APPOINTMENT]) });
+    const asked = await converse(['Cancel my appointment with Dr. Patel'], services);
+
+    expect(asked.state.stage).toBe('confirming');
+    expect(asked.replies).toEqual(['Should I cancel your appointment with Anita Patel on 2030-03-01 at 14:00?']);
+    expect(services.cancelAppointment).not.toHaveBeenCalled();
+
+    const turn = await takeTurn(asked.state, { text: 'Yes' }, services);
+
+    expect(services.cancelAppointment).toHaveBeenCalledWith({ appointmentId: 'patel-1' });
+    expect(turn.state.stage).toBe('completed');
+    expect(turn.state.result).toMatchObject({ title: 'Appointment Cancelled' });
+  });
+
+  it('moves the appointment to the requested time after a yes, not counting its own slot as busy', async () => {
+    const services = stubServices({ listAppointments: vi.fn(async () => [PATEL_APPOINTMENT]) });
+    const asked = await converse(['Move my appointment with Dr. Patel to March 4th at 10'], services);
+
+    expect(asked.state.stage).toBe('confirming');
+    expect(services.checkAvailability).toHaveBeenCalledWith({
+      doctorId: 'patel', date: '2030-03-04', excludeAppointmentId: 'patel-1',
+    });
+    expect(asked.replies).toEqual([
+      'Great! 10:00 is available. Should I move your appointment with Anita Patel to Monday, March 4 at 10:00?',
+    ]);
+
+    const turn = await takeTurn(asked.state, { text: 'Yes' }, services);
+
+    expect(services.rescheduleAppointment).toHaveBeenCalledWith({ appointmentId: 'patel-1', date: '2030-03-04', time: '10:00' });
+    expect(services.book).not.toHaveBeenCalled();
+    expect(turn.state.stage).toBe('completed');
+  });
+
+  it('says so when no upcoming appointment matches', async () => {
+    const services = stubServices();
+    const turn = await converse(['Cancel my appointment with Dr. Patel'], services);
+
+    expect(turn.state.stage).toBe('asking_doctor');
+    expect(services.cancelAppointment).not.toHaveBeenCalled();
+  });
+});
+
+describe('yes and no to the booking', () => {
+  const CONFIRM = 'Great! 09:00 is available. Should I confirm your appointment with Dr. Sarah Khan on Monday, March 4 at 09:00?';
+  const UP_TO_CONFIRMING = ['Dr. Sarah Khan', 'Monday, March 4th', '9 am'];
+
+  it.each(['Yes', 'yes, that is right', 'Sure, go ahead', 'sí'])('books after "%s"', async answer => {
+    const services = stubServices();
+    const turn = await converse([...UP_TO_CONFIRMING, answer], services);
+
+    expect(turn.state.stage).toBe('completed');
+    expect(services.book).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    "No, that's not right",
+    "no, don't book it",
+    'not correct',
+    'wrong day',
+  ])('starts over without booking after "%s"', async answer => {
+    const services = stubServices();
+    const turn = await converse([...UP_TO_CONFIRMING, answer], services);
+
+    expect(turn.state.stage).toBe('asking_doctor');
+    expect(services.book).not.toHaveBeenCalled();
+  });
+
+  it.each(['alright', 'hmm', 'yes, no, wait'])('asks again without booking after "%s"', async answer => {
+    const services = stubServices();
+    const turn = await converse([...UP_TO_CONFIRMING, answer], services);
+
+    expect(turn.state.stage).toBe('confirming');
+    expect(turn.replies).toEqual([`Sorry, was that a yes or a no? ${CONFIRM}`]);
+    expect(services.book).not.toHaveBeenCalled();
+  });
+
+  it('asks about the cancellation again after an unclear answer', async () => {
+    const services = stubServices({ listAppointments: vi.fn(async () => [PATEL_APPOINTMENT]) });
+    const turn = await converse(['Cancel my appointment with Dr. Patel', 'alright'], services);
+
+    expect(turn.replies).toEqual([
+      'Sorry, was that a yes or a no? Should I cancel your appointment with Anita Patel on 2030-03-01 at 14:00?',
+    ]);
+    expect(services.cancelAppointment).not.toHaveBeenCalled();
+  });
+});
+
+describe('answers to the offered slots', () => {
+  const UP_TO_OFFER = ['Dr. Sarah Khan', 'Monday, March 4th', '9:30'];
+
+  it('takes the first slot after a yes', async () => {
+    const turn = await converse([...UP_TO_OFFER, 'yes please'], stubServices());
+
+    expect(turn.state.stage).toBe('confirming');
+    expect(turn.state.data.time).toBe('09:00');
+  });
+
+  it.each(['No', 'another time please', "those don't work"])('asks for another time after "%s"', async answer => {
+    const turn = await converse([...UP_TO_OFFER, answer], stubServices());
+
+    expect(turn.state.stage).toBe('asking_time');
+  });
+
+  it.each(['afternoon works', 'what about November', 'I know'])('does not read "%s" as a no', async answer => {
+    const services = stubServices();
+    const turn = await converse([...UP_TO_OFFER, answer], services);
+
+    expect(turn.state.stage).toBe('offering_slots');
+    expect(services.interpret).toHaveBeenLastCalledWith({ text: answer, language: 'en' });
+  });
+});
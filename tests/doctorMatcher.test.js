@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// The LLM always picks the first doctor it is shown, confidently, so any
+// call it should not have got shows up as a wrong match
+vi.mock('../lib/llm', () => ({
+  isLlmConfigured: () => true,
+  completeJson: vi.fn(async ({ messages }) => {
+    const [first] = JSON.parse(messages[0].content.match(/\[[\s\S]*\]/)[0]);
+    return { match_id: first.id, confidence: 0.95 };
+  }),
+}));
+
+const { completeJson } = await import('../lib/llm');
+const { resolveDoctor, normalizeName } = await import('../lib/doctorMatcher');
+
+const doctor = (id, fullName, specialty) => ({ id, user_id: `user-${id}`, specialty, user: { full_name: fullName } });
+
+const DIRECTORY = [
+  doctor('sarah', 'Sarah Khan', 'Cardiology'),
+  doctor('imran', 'Imran Khan', 'Dermatology'),
+  doctor('patel', 'Anita Patel', 'Pediatrics'),
+  doctor('nguyen', 'Minh Nguyen', 'General Practice'),
+  doctor('ahmed', 'احمد رضا', 'Cardiology'),
+  doctor('sharma', 'प्रिया शर्मा', 'Dermatology'),
+];
+
+const resolve = (query, doctors = DIRECTORY) => resolveDoctor(null, query, { doctors });
+
+describe('resolveDoctor', () => {
+  beforeEach(() => {
+    completeJson.mockClear();
+  });
+
+  it('asks which doctor was meant when two share the spoken name', async () => {
+    const match = await resolve({ name: 'Dr. Khan' });
+
+    expect(match).toMatchObject({ status: 'ambiguous', doctor: null, source: 'local' });
+    expect(match.candidates.map(c => c.id).sort()).toEqual(['imran', 'sarah']);
+    expect(completeJson).not.toHaveBeenCalled();
+  });
+
+  it('matches a clear winner without the LLM', async () => {
+    const match = await resolve({ name: 'Dr. Sarah Khan' });
+
+    expect(match).toMatchObject({ status: 'matched', source: 'local' });
+    expect(match.doctor.id).toBe('sarah');
+    expect(completeJson).not.toHaveBeenCalled();
+  });
+
+  it('asks the LLM to confirm a single weak leader, showing it only that doctor', async () => {
+    const match = await resolve({ name: 'Dr. Nuyen' });
+
+    expect(match).toMatchObject({ status: 'matched', source: 'llm' });
+    expect(match.doctor.id).toBe('nguyen');
+    expect(completeJson).toHaveBeenCalledTimes(1);
+    const shown = JSON.parse(completeJson.mock.calls[0][0].messages[0].content.match(/\[[\s\S]*\]/)[0]);
+    expect(shown.map(d => d.id)).toEqual(['nguyen']);
+  });
+
+  it('keeps a weak leader ambiguous, and says the LLM rejected it', async () => {
+    completeJson.mockResolvedValueOnce({ match_id: null, confidence: 0.2 });
+    const match = await resolve({ name: 'Dr. Nuyen' });
+
+    expect(match).toMatchObject({ status: 'ambiguous', doctor: null, source: 'llm' });
+    expect(match.candidates.map(c => c.id)).toEqual(['nguyen']);
+  });
+
+  it('finds nobody for a name that fits no one', async () => {
+    const match = await resolve({ name: 'Dr. Okonkwo' });
+
+    expect(match).toMatchObject({ status: 'none', candidates: [] });
+    expect(completeJson).not.toHaveBeenCalled();
+  });
+});
+
+describe('normalizeName', () => {
+  it.each([
+    ['Dr. José Núñez', ['jose', 'nunez']],
+    ['ڈاکٹر احمد رضا', ['احمد', 'رضا']],
+    ['الدكتور أَحمد', ['احمد']],
+    ['डॉ. प्रिया शर्मा', ['प्रिया', 'शर्मा']],
+  ])('splits "%s" into %j', (name, tokens) => {
+    expect(normalizeName(name)).toEqual(tokens);
+  });
+});
+
+describe('resolveDoctor with names in other scripts', () => {
+  it.each([
+    ['ڈاکٹر احمد رضا', 'ahmed'],
+    ['الدكتور أحمد رضا', 'ahmed'],
+    ['डॉक्टर प्रिया शर्मा', 'sharma'],
+  ])('matches "%s"', async (name, id) => {
+    const match = await resolve({ name });
+
+    expect(match).toMatchObject({ status: 'matched', source: 'local' });
+    expect(match.doctor.id).toBe(id);
+  });
+});
@@ -0,0 +1,54 @@
+// A stand-in for the Supabase client in lib tests: from(table) queries the
+// plain rows in `tables`, applying eq/neq/in/lte/gte filters, and insert()
+// appends to them (with a generated id) so a test can check what was
+// written. Joins are not resolved; give rows their joined objects directly,
+// e.g. a doctor with user: { full_name }.
+
+export function createFakeDb(tables = {}) {
+  let nextId = 1;
+
+  function from(table) {
+    const filters = [];
+    let rowsToInsert = null;
+    let updates = null;
+    let expect = 'many';
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      insert: rows => { rowsToInsert = rows; return builder; },
+      update: values => { updates = values; return builder; },
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      neq: (column, value) => { filters.push(row => row[column] !== value); return builder; },
+      in: (column, values) => { filters.push(row => values.includes(row[column])); return builder; },
+      lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+      gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+      single: () => { expect = 'one'; return builder; },
+      maybeSingle: () => { expect = 'maybe'; return builder; },
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    };
+
+    function run() {
+      tables[table] = tables[table] || [];
+      let rows;
+      if (rowsToInsert) {
+        rows = rowsToInsert.map(row => ({ id: `${table}-${nextId++}`, ...row }));
+        tables[table].push(...rows);
+      } else {
+        rows = tables[table].filter(row => filters.every(filter => filter(row)));
+        if (updates) rows.forEach(row => Object.assign(row, updates));
+      }
+
+      if (expect === 'many') return { data: rows, error: null };
+      if (rows.length > 1 || (expect === 'one' && rows.length === 0)) {
+        return { data: null, error: { message: `Expected one ${table} row, found ${rows.length}` } };
+      }
+      return { data: rows[0] || null, error: null };
+    }
+
+    return builder;
+  }
+
+  return { from, tables };
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { findUnlistedTimes, findUnlistedNumbers } from '../lib/responseTemplates';
+
+const ALLOWED = ['09:00', '15:00', '16:30'];
+
+describe('findUnlistedTimes', () => {
+  it.each([
+    ['en', 'Dr. Lee is free at 9:00, 3:00 PM or 4:30 PM.'],
+    ['en', 'Dr. Lee is free at nine in the morning or three in the afternoon.'],
+    ['en', "How about three o'clock?"],
+    ['en', 'Would half past four work?'],
+    ['es', 'La doctora puede a las tres.'],
+  ])('accepts the listed times in (%s) "%s"', (language, text) => {
+    expect(findUnlistedTimes(text, ALLOWED, language)).toEqual([]);
+  });
+
+  it.each([
+    ['en', 'Dr. Lee is also free at 11:15.', ['11:15']],
+    ['en', "How about two o'clock?", ['2 oclock']],
+    ['en', 'Would half past five work?', ['half past 5']],
+    ['en', 'Dr. Lee could see you at noon.', ['noon']],
+    ['en', 'She is free at 9 pm.', ['9 pm']],
+    ['es', 'La doctora puede a las cinco.', ['at 5']],
+  ])('flags the unlisted times in (%s) "%s"', (language, text, expected) => {
+    expect(findUnlistedTimes(text, ALLOWED, language)).toEqual(expected);
+  });
+});
+
+describe('findUnlistedNumbers', () => {
+  const template = 'Dr. Lee has 3 openings on Monday, January 13: 9:00 AM, 3:00 PM and 4:30 PM.';
+
+  it.each([
+    'Dr. Lee has three openings on Monday, January 13: nine, three and half past four.',
+    'On Monday the 13th, Dr. Lee can see you at 9:00 AM, 3:00 PM or 4:30 PM.',
+  ])('accepts "%s"', text => {
+    expect(findUnlistedNumbers(text, template)).toEqual([]);
+  });
+
+  it.each([
+    ['Dr. Lee has five openings on Monday, January 13.', ['5']],
+    ['Dr. Lee has 3 openings on Monday, January 14.', ['14']],
+  ])('flags the new numbers in "%s"', (text, expected) => {
+    expect(findUnlistedNumbers(text, template)).toEqual(expected);
+  });
+});
@@ -0,0 +1,23 @@
+// Runs the tests whose answers depend on instants and zones once per server
+// zone: `npm run test:tz`.
+// Extra zones can be passed as arguments, e.g. `npm run test:tz -- Asia/Tokyo`.
+
+import { spawnSync } from 'child_process';
+
+const ZONES = ['UTC', 'Pacific/Kiritimati', 'America/Los_Angeles', 'Asia/Kolkata', 'Pacific/Pago_Pago'];
+const TEST_FILES = ['tests/timezone.test.js', 'tests/appointments.test.js', 'tests/appointmentStatus.test.js'];
+
+const zones = [...ZONES, ...process.argv.slice(2)];
+const failed = zones.filter(zone => {
+  console.log(`\nTZ=${zone}`);
+  const run = spawnSync('npx', ['vitest', 'run', ...TEST_FILES], {
+    stdio: 'inherit',
+    env: { ...process.env, TZ: zone },
+  });
+  return run.status !== 0;
+});
+
+if (failed.length > 0) {
+  console.error(`\nTime zone tests failed under: ${failed.join(', ')}`);
+  process.exit(1);
+}
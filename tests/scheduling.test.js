@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  rangesOverlap,
+  toBusyRanges,
+  getWeeklyWindows,
+  applyOverrides,
+  generateSlots,
+  getUnavailableReason,
+  minutesToTime,
+} from '../lib/scheduling';
+import { isSlotConflict, SLOT_CONFLICT_CODE } from '../lib/appointments';
+
+const at = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const window = (start, end) => ({ start: at(start), end: at(end) });
+const asTimes = windows => windows.map(w => [minutesToTime(w.start), minutesToTime(w.end)]);
+
+describe('rangesOverlap', () => {
+  it.each([
+    [['09:00', '09:30'], ['09:15', '09:45'], true],
+    [['09:00', '10:00'], ['09:15', '09:30'], true],
+    [['09:00', '09:30'], ['09:30', '10:00'], false],
+    [['09:30', '10:00'], ['09:00', '09:30'], false],
+  ])('%j and %j overlap: %s', ([startA, endA], [startB, endB], expected) => {
+    expect(rangesOverlap(at(startA), at(endA), at(startB), at(endB))).toBe(expected);
+  });
+});
+
+describe('getWeeklyWindows and applyOverrides', () => {
+  const rows = [
+    { start_time: '09:00:00', end_time: '12:00:00', kind: 'session' },
+    { start_time: '13:00:00', end_time: '17:00:00', kind: 'session' },
+    { start_time: '15:00:00', end_time: '15:30:00', kind: 'break' },
+  ];
+
+  it('cuts recurring breaks out of the sessions', () => {
+    expect(asTimes(getWeeklyWindows(rows))).toEqual([['09:00', '12:00'], ['13:00', '15:00'], ['15:30', '17:00']]);
+  });
+
+  it('adds extra sessions and lets a block on the same day win', () => {
+    const windows = applyOverrides(getWeeklyWindows(rows), [
+      { kind: 'extra', start_time: '12:00', end_time: '13:00' },
+      { kind: 'block', start_time: '11:00', end_time: '12:30' },
+    ]);
+    expect(asTimes(windows)).toEqual([['09:00', '11:00'], ['12:30', '15:00'], ['15:30', '17:00']]);
+  });
+
+  it('takes the whole day off for a block without times', () => {
+    expect(applyOverrides(getWeeklyWindows(rows), [{ kind: 'block', start_time: null, end_time: null }])).toEqual([]);
+  });
+});
+
+describe('generateSlots', () => {
+  const windows = [window('09:00', '10:30')];
+  const available = slots => slots.filter(slot => slot.available).map(slot => slot.time);
+
+  it('offers every slot of an empty day', () => {
+    expect(available(generateSlots({ windows, slotMinutes: 30 }))).toEqual(['09:00', '09:30', '10:00']);
+  });
+
+  it('marks slots overlapping a booked appointment as taken', () => {
+    const busy = toBusyRanges([{ appointment_time: '09:30:00', duration_minutes: 30 }]);
+    expect(available(generateSlots({ windows, slotMinutes: 30, busy }))).toEqual(['09:00', '10:00']);
+  });
+
+  it('blocks every slot a longer existing visit overlaps', () => {
+    const busy = toBusyRanges([{ appointment_time: '09:00:00', duration_minutes: 60 }], 30);
+    expect(available(generateSlots({ windows, slotMinutes: 30, busy }))).toEqual(['10:00']);
+  });
+
+  it('only offers starts where a longer visit fits before the window closes', () => {
+    expect(available(generateSlots({ windows, slotMinutes: 30, durationMinutes: 60 }))).toEqual(['09:00', '09:30']);
+  });
+
+  it('takes an appointment without a stored length as one slot long', () => {
+    const busy = toBusyRanges([{ appointment_time: '09:00:00', duration_minutes: null }], 15);
+    expect(available(generateSlots({ windows: [window('09:00', '09:30')], slotMinutes: 15, busy }))).toEqual(['09:15']);
+  });
+});
+
+describe('getUnavailableReason', () => {
+  const day = {
+    windows: [window('09:00', '12:00')],
+    durationMinutes: 30,
+    busy: [window('10:00', '10:30')],
+    reason: null,
+  };
+
+  it.each([
+    ['09:00', null],
+    ['11:30', null],
+    ['10:00', 'fully_booked'],
+    ['09:45', 'fully_booked'],
+    ['11:45', 'time_out_of_bounds'],
+    ['08:30', 'time_out_of_bounds'],
+  ])('at %s gives %s', (time, expected) => {
+    expect(getUnavailableReason(day, time)).toBe(expected);
+  });
+
+  it('gives the closed day\'s reason when nothing is open', () => {
+    expect(getUnavailableReason({ ...day, windows: [], reason: 'day_blocked' }, '10:00')).toBe('day_blocked');
+  });
+});
+
+describe('isSlotConflict', () => {
+  it('recognises the double-booking constraint\'s error only', () => {
+    expect(isSlotConflict({ code: SLOT_CONFLICT_CODE })).toBe(true);
+    expect(isSlotConflict({ code: '23505' })).toBe(false);
+    expect(isSlotConflict(null)).toBe(false);
+  });
+});
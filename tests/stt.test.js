@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { transcribeRecording, setMockTranscript } from '../lib/stt';
+import { wavBuffer, WEBM_HEADER } from './wav';
+
+let workDir;
+
+beforeEach(async () => {
+  vi.stubEnv('STT_PROVIDER', 'mock');
+  vi.stubEnv('STT_MOCK_FIXTURES', '');
+  // ffmpeg must not be needed
+  vi.stubEnv('FFMPEG_BIN', path.join(os.tmpdir(), 'no-such-ffmpeg'));
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-test-'));
+});
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+async function upload(name, bytes) {
+  const filePath = path.join(workDir, name);
+  await fs.promises.writeFile(filePath, bytes);
+  return filePath;
+}
+
+describe('transcribeRecording with the mock provider', () => {
+  it('answers a WAV upload from a transcript registered for its name', async () => {
+    setMockTranscript('booking.wav', { text: 'Dr. Khan tomorrow at ten', language: 'en' });
+    const filePath = await upload('upload-1', wavBuffer(1));
+
+    const result = await transcribeRecording(filePath, workDir, { filename: 'booking.webm' });
+
+    expect(result).toEqual({ text: 'Dr. Khan tomorrow at ten', language: 'en' });
+    setMockTranscript('booking.wav', null);
+  });
+
+  it('answers a webm upload without converting it', async () => {
+    setMockTranscript('recording.webm', 'quiero una cita con la doctora Khan');
+    const filePath = await upload('upload-2', WEBM_HEADER);
+
+    const result = await transcribeRecording(filePath, workDir);
+
+    expect(result).toEqual({ text: 'quiero una cita con la doctora Khan', language: 'es' });
+    setMockTranscript('recording.webm', null);
+  });
+
+  it('answers from STT_MOCK_FIXTURES by the SHA-256 of the upload', async () => {
+    const bytes = wavBuffer(0.5);
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+    const fixtures = path.join(workDir, 'fixtures.json');
+    await fs.promises.writeFile(fixtures, JSON.stringify({ [hash]: 'cancel my appointment' }));
+    vi.stubEnv('STT_MOCK_FIXTURES', fixtures);
+
+    const result = await transcribeRecording(await upload('upload-3', bytes), workDir, { language: 'en' });
+
+    expect(result).toEqual({ text: 'cancel my appointment', language: 'en' });
+  });
+
+  it('still rejects an upload that is not audio', async () => {
+    const result = await transcribeRecording(await upload('upload-4', Buffer.from('hello')), workDir);
+
+    expect(result).toMatchObject({ status: 415, reason: 'unsupported_format' });
+  });
+});
+
+describe('transcribeRecording with a hosted provider', () => {
+  beforeEach(() => {
+    vi.stubEnv('STT_PROVIDER', 'groq');
+    vi.stubEnv('STT_API_KEY', 'test-key');
+  });
+
+  it.each([
+    ['silent', wavBuffer(2, { amplitude: 0 }), { status: 422, reason: 'silent' }],
+    ['too long', wavBuffer(121, { sampleRate: 8000 }), { status: 413, reason: 'too_long' }],
+  ])('rejects a %s recording before sending it', async (_, bytes, refusal) => {
+    const result = await transcribeRecording(await upload('upload', bytes), workDir);
+
+    expect(result).toMatchObject(refusal);
+  });
+});
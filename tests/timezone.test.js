@@ -0,0 +1,98 @@
+// Date logic must give the same answers whatever zone the server runs in.
+// `npm run test:tz` runs this file under several TZ values, including zones
+// on both sides of the date line; every expectation here is in UTC instants
+// and explicit IANA zones, so none of them may change with TZ.
+
+import { describe, it, expect } from 'vitest';
+import { todayInZone, zonedTimeToInstant, getZonedParts, formatCalendarDate } from '../lib/timezone';
+import { addDays, getDayOfWeek } from '../lib/scheduling';
+import { buildDayAvailability } from '../lib/availability';
+import { getRequestedTimeError } from '../lib/booking';
+import { BOOKING_HORIZON_DAYS } from '../lib/appointments';
+
+// 23:30 UTC on Monday 6 January 2025: still Monday afternoon in Los
+// Angeles, already Tuesday in Kolkata and Kiritimati
+const LATE_MONDAY_UTC = new Date('2025-01-06T23:30:00Z');
+
+describe(`time zone helpers (TZ=${process.env.TZ || 'unset'})`, () => {
+  it.each([
+    ['UTC', '2025-01-06', '23:30', 'Monday'],
+    ['America/Los_Angeles', '2025-01-06', '15:30', 'Monday'],
+    ['Asia/Kolkata', '2025-01-07', '05:00', 'Tuesday'],
+    ['Pacific/Kiritimati', '2025-01-07', '13:30', 'Tuesday'],
+  ])('sees the wall clock in %s', (zone, date, time, dayOfWeek) => {
+    expect(todayInZone(zone, LATE_MONDAY_UTC)).toBe(date);
+    expect(getZonedParts(LATE_MONDAY_UTC, zone)).toMatchObject({ date, time, dayOfWeek });
+  });
+
+  it.each([
+    ['Pacific/Kiritimati', '2025-01-07', '00:00', '2025-01-06T10:00:00.000Z'],
+    ['Pacific/Kiritimati', '2025-01-07', '09:00', '2025-01-06T19:00:00.000Z'],
+    ['America/Los_Angeles', '2025-01-06', '23:30', '2025-01-07T07:30:00.000Z'],
+    ['UTC', '2025-01-06', '00:00', '2025-01-06T00:00:00.000Z'],
+    // Skipped by the spring-forward: an hour later
+    ['America/Los_Angeles', '2025-03-09', '02:30', '2025-03-09T10:30:00.000Z'],
+    // Happens twice in the autumn: the first time
+    ['America/Los_Angeles', '2025-11-02', '01:30', '2025-11-02T08:30:00.000Z'],
+  ])('turns %s %s %s into an instant', (zone, date, time, instant) => {
+    expect(zonedTimeToInstant(date, time, zone).toISOString()).toBe(instant);
+  });
+
+  it('does calendar arithmetic without the server zone', () => {
+    expect(getDayOfWeek('2025-01-06')).toBe('Monday');
+    expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    expect(addDays('2025-03-08', 1)).toBe('2025-03-09');
+    expect(addDays('2025-11-02', -1)).toBe('2025-11-01');
+    expect(formatCalendarDate('2025-01-06', { weekday: 'long', month: 'long', day: 'numeric' })).toBe('Monday, January 6');
+  });
+});
+
+describe(`slots that have already started (TZ=${process.env.TZ || 'unset'})`, () => {
+  const weeklyRows = ['Monday', 'Tuesday'].map(day => ({
+    day_of_week: day,
+    kind: 'session',
+    start_time: '09:00:00',
+    end_time: '11:00:00',
+    slot_duration: '00:30:00',
+  }));
+
+  const openTimes = (date, timeZone, now) =>
+    buildDayAvailability({ date, weeklyRows, timeZone, now })
+      .slots.filter(slot => slot.available).map(slot => slot.time);
+
+  it('uses the doctor\'s clock on the far side of the date line', () => {
+    // 09:45 on Tuesday in Kiritimati, 19:45 on Monday in UTC
+    const now = new Date('2025-01-06T19:45:00Z');
+    expect(openTimes('2025-01-07', 'Pacific/Kiritimati', now)).toEqual(['10:00', '10:30']);
+    expect(openTimes('2025-01-06', 'Pacific/Kiritimati', now)).toEqual([]);
+    expect(openTimes('2025-01-07', 'UTC', now)).toEqual(['09:00', '09:30', '10:00', '10:30']);
+  });
+
+  it('uses the doctor\'s clock west of UTC after midnight UTC', () => {
+    // 09:45 on Monday in Los Angeles, already 17:45 in UTC
+    const now = new Date('2025-01-06T17:45:00Z');
+    expect(openTimes('2025-01-06', 'America/Los_Angeles', now)).toEqual(['10:00', '10:30']);
+    expect(openTimes('2025-01-06', 'UTC', now)).toEqual([]);
+  });
+});
+
+describe(`requested booking times (TZ=${process.env.TZ || 'unset'})`, () => {
+  it.each([
+    ['Pacific/Kiritimati', '2025-01-07', '13:00', 'Appointment time is in the past'],
+    ['Pacific/Kiritimati', '2025-01-07', '14:00', null],
+    ['America/Los_Angeles', '2025-01-06', '15:00', 'Appointment time is in the past'],
+    ['America/Los_Angeles', '2025-01-06', '16:00', null],
+    ['UTC', '2025-01-06', '23:00', 'Appointment time is in the past'],
+    ['UTC', '2025-01-07', '00:00', null],
+  ])('in %s, %s %s at 23:30 UTC', (zone, date, time, error) => {
+    const result = getRequestedTimeError(date, time, zone, LATE_MONDAY_UTC);
+    expect(result?.error ?? null).toBe(error);
+  });
+
+  it('counts the booking horizon from the doctor\'s today', () => {
+    // Kiritimati is already a day ahead, so its last bookable day is too
+    expect(getRequestedTimeError(addDays('2025-01-07', BOOKING_HORIZON_DAYS), '09:00', 'Pacific/Kiritimati', LATE_MONDAY_UTC)).toBeNull();
+    expect(getRequestedTimeError(addDays('2025-01-06', BOOKING_HORIZON_DAYS + 1), '09:00', 'America/Los_Angeles', LATE_MONDAY_UTC))
+      .toMatchObject({ error: 'Appointment date is too far ahead' });
+  });
+});
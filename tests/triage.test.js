@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { detectRedFlags, assessUrgency } from '../lib/triage';
+
+const flagsIn = text => detectRedFlags(text).map(flag => flag.id);
+
+describe('detectRedFlags', () => {
+  it.each([
+    ['I have chest pain', ['chest_pain']],
+    ['I feel suicidal', ['self_harm']],
+    ['shortness of breath since yesterday', ['breathing']],
+    ['I have had chest pain for the past week', ['chest_pain']],
+    ['my wife says I passed out', ['unconscious']],
+    ['No chest pain. I passed out this morning.', ['unconscious']],
+  ])('flags "%s"', (text, expected) => {
+    expect(flagsIn(text)).toEqual(expected);
+  });
+
+  it.each([
+    // Negated
+    'no chest pain',
+    'I am not short of breath',
+    // In the past
+    'my chest pain resolved last year',
+    'follow-up after my overdose in 2019',
+    'a history of suicidal thoughts',
+    'I was suicidal as a teenager',
+    'I attempted suicide in 2015',
+    // About someone else
+    'my brother was unconscious',
+    'my uncle died by suicide',
+  ])('does not flag "%s"', text => {
+    expect(flagsIn(text)).toEqual([]);
+  });
+});
+
+describe('assessUrgency', () => {
+  it('gives an advisory for a red flag in the reason or symptoms', () => {
+    const { emergency } = assessUrgency({ reason: 'check-up', symptoms: ['chest pain'], urgency: 'routine' });
+    expect(emergency.redFlags.map(flag => flag.id)).toEqual(['chest_pain']);
+    expect(emergency.message).toMatch(/chest pain/);
+  });
+
+  it('has no advisory for a follow-up about a past emergency', () => {
+    expect(assessUrgency({ reason: 'follow-up after my overdose in 2019', urgency: 'routine' }).emergency).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+// Small WAV files for the audio tests, built in memory
+
+// A 16-bit PCM WAV of `seconds` of a 440 Hz tone; amplitude 0 is silence.
+// `bitsPerSample` only changes the header, to stand for other encodings.
+export function wavBuffer(seconds, { sampleRate = 16000, channels = 1, amplitude = 8000, bitsPerSample = 16 } = {}) {
+  const samples = Math.round(seconds * sampleRate) * channels;
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * channels * 2, 28);
+  buffer.writeUInt16LE(channels * 2, 32);
+  buffer.writeUInt16LE(bitsPerSample, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    const t = Math.floor(i / channels) / sampleRate;
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * t)), 44 + i * 2);
+  }
+  return buffer;
+}
+
+// The start of a webm file: enough for format detection, not for decoding
+export const WEBM_HEADER = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0xf7, 0x81, 0x01, 0x42, 0xf2, 0x81]);